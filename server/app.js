@@ -0,0 +1,135 @@
+// Express app for the chat proxy. The browser posts Gemini-style requests to /api/chat and the
+// proxy adds the API key server-side, so the key is never part of the public bundle.
+const express = require('express');
+const { Readable } = require('stream');
+const { createRateLimiter } = require('./rateLimit');
+
+// Gemini request fields the browser may send; anything else is dropped
+const FORWARDED_FIELDS = ['systemInstruction', 'contents', 'generationConfig', 'safetySettings'];
+
+// Model names end up in the upstream URL, so only allow plain identifiers like "gemini-2.0-flash"
+const MODEL_PATTERN = /^[\w.-]+$/;
+
+// Errors use Gemini's own { error: { code, message } } shape so the frontend handles both alike
+const sendError = (res, status, message) => {
+    res.status(status).json({ error: { code: status, message } });
+};
+
+// One line per request; bodies are never logged since they hold what learners said
+const requestLogger = (logger) => (req, res, next) => {
+    const startedAt = Date.now();
+    res.on('finish', () => {
+        logger.info(`${req.method} ${req.originalUrl} ${res.statusCode} ${Date.now() - startedAt}ms ${req.ip}`);
+    });
+    next();
+};
+
+// Let the configured origin (e.g. the GitHub Pages site) call the proxy from the browser
+const cors = (allowedOrigin) => (req, res, next) => {
+    if (allowedOrigin && req.headers.origin === allowedOrigin) {
+        res.set('Access-Control-Allow-Origin', allowedOrigin);
+        res.set('Vary', 'Origin');
+        if (req.method === 'OPTIONS') {
+            res.set('Access-Control-Allow-Methods', 'POST');
+            res.set('Access-Control-Allow-Headers', 'Content-Type');
+            res.sendStatus(204);
+            return;
+        }
+    }
+    next();
+};
+
+const validateChatRequest = (body) => {
+    if (!body || typeof body !== 'object') return 'Request body must be a JSON object.';
+    if (typeof body.model !== 'string' || !MODEL_PATTERN.test(body.model)) return 'A valid "model" is required.';
+    if (!Array.isArray(body.contents) || body.contents.length === 0) return '"contents" must be a non-empty array.';
+    return null;
+};
+
+// `fetch` and `logger` can be swapped out, e.g. to run against a stub upstream
+const createApp = ({ config, fetch = global.fetch, logger = console }) => {
+    const app = express();
+    app.disable('x-powered-by');
+    if (config.trustProxy) {
+        app.set('trust proxy', true);
+    }
+
+    app.use(requestLogger(logger));
+    app.use(cors(config.allowedOrigin));
+    app.use('/api', createRateLimiter(config.rateLimit));
+    app.use(express.json({ limit: config.maxBodySize }));
+
+    app.post('/api/chat', async (req, res) => {
+        const problem = validateChatRequest(req.body);
+        if (problem) {
+            sendError(res, 400, problem);
+            return;
+        }
+        if (!config.apiKey) {
+            logger.error('GEMINI_API_KEY is not set; refusing to call the upstream API.');
+            sendError(res, 500, 'The server is missing its API key.');
+            return;
+        }
+
+        const { model, stream } = req.body;
+        const payload = {};
+        FORWARDED_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) payload[field] = req.body[field];
+        });
+        const upstreamUrl = stream
+            ? `${config.upstreamUrl}/${model}:streamGenerateContent?alt=sse`
+            : `${config.upstreamUrl}/${model}:generateContent`;
+
+        // Stop paying for a reply nobody is waiting for
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        let upstream;
+        try {
+            upstream = await fetch(upstreamUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-goog-api-key': config.apiKey },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+        } catch (err) {
+            if (controller.signal.aborted) return;
+            logger.error('Upstream request failed:', err.message);
+            sendError(res, 502, 'Could not reach the language model. Please try again.');
+            return;
+        }
+
+        res.status(upstream.status);
+        res.set('Content-Type', upstream.headers.get('content-type') || 'application/json');
+        if (!upstream.body) {
+            res.end();
+            return;
+        }
+        Readable.fromWeb(upstream.body)
+            .on('error', err => {
+                if (!controller.signal.aborted) logger.error('Upstream stream failed:', err.message);
+                res.destroy(err);
+            })
+            .pipe(res);
+    });
+
+    app.use((req, res) => sendError(res, 404, 'Not found.'));
+
+    // Body parser failures: oversized or malformed JSON
+    app.use((err, req, res, next) => {
+        if (err.type === 'entity.too.large') {
+            sendError(res, 413, 'Request is too large. Try a shorter message or start a new session.');
+        } else if (err.type === 'entity.parse.failed') {
+            sendError(res, 400, 'Request body is not valid JSON.');
+        } else {
+            logger.error('Unexpected proxy error:', err);
+            sendError(res, 500, 'Internal server error.');
+        }
+    });
+
+    return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,146 @@
+// Proxy tests against the stub upstream: `npm run test:server`
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./app');
+const { createStubUpstream, STUB_API_KEY } = require('./stubUpstream');
+
+const ORIGIN = 'https://coach.example';
+
+const silentLogger = { info: () => {}, error: () => {} };
+
+// Listen on a free port and resolve with the server and its base URL
+const listen = (app) => new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, url: `http://localhost:${server.address().port}` }));
+});
+
+const chatBody = (overrides = {}) => ({
+    model: 'gemini-2.0-flash',
+    contents: [{ role: 'user', parts: [{ text: 'Hello there' }] }],
+    ...overrides
+});
+
+describe('chat proxy', () => {
+    let stub;
+    let upstream;
+    const proxies = [];
+
+    before(async () => {
+        stub = createStubUpstream();
+        upstream = await listen(stub.app);
+    });
+
+    after(() => {
+        [upstream, ...proxies].forEach(({ server }) => server.close());
+    });
+
+    // Start a proxy in front of the stub, with `config` overriding the defaults
+    const startProxy = async (config = {}) => {
+        const proxy = await listen(createApp({
+            config: {
+                apiKey: STUB_API_KEY,
+                upstreamUrl: upstream.url,
+                allowedOrigin: ORIGIN,
+                rateLimit: { windowMs: 60 * 1000, max: 30 },
+                maxBodySize: '100kb',
+                ...config
+            },
+            logger: silentLogger
+        }));
+        proxies.push(proxy);
+        return proxy.url;
+    };
+
+    const postChat = (url, body, headers = {}) => fetch(`${url}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    it('adds the key as a header and never sends it back', async () => {
+        const url = await startProxy();
+        stub.requests.length = 0;
+
+        const res = await postChat(url, chatBody({ stream: false, apiKey: 'from-browser' }));
+        const text = await res.text();
+
+        assert.equal(res.status, 200);
+        assert.equal(JSON.parse(text).candidates[0].content.parts[0].text, 'Stub reply to: Hello there');
+        assert.equal(stub.requests.length, 1);
+        assert.equal(stub.requests[0].apiKey, STUB_API_KEY);
+        assert.equal(stub.requests[0].path, '/gemini-2.0-flash:generateContent');
+        assert.deepEqual(Object.keys(stub.requests[0].body), ['contents']);
+        assert.ok(!text.includes(STUB_API_KEY));
+        assert.ok(![...res.headers.values()].some(value => value.includes(STUB_API_KEY)));
+    });
+
+    it('passes streamed replies through as server-sent events', async () => {
+        const url = await startProxy();
+        stub.requests.length = 0;
+
+        const res = await postChat(url, chatBody({ stream: true }));
+        const text = await res.text();
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+        assert.equal(stub.requests[0].path, '/gemini-2.0-flash:streamGenerateContent');
+        const pieces = text.split('\r\n\r\n').filter(Boolean)
+            .map(event => JSON.parse(event.replace(/^data: /, '')).candidates[0].content.parts[0].text);
+        assert.ok(pieces.length > 1);
+        assert.equal(pieces.join(''), 'Stub reply to: Hello there');
+    });
+
+    it('rejects model names that could change the upstream URL', async () => {
+        const url = await startProxy();
+        stub.requests.length = 0;
+
+        for (const model of ['../../admin', 'gemini?key=x', 'a/b', '', 42]) {
+            const res = await postChat(url, chatBody({ model }));
+            assert.equal(res.status, 400);
+            assert.deepEqual(await res.json(), { error: { code: 400, message: 'A valid "model" is required.' } });
+        }
+        assert.equal(stub.requests.length, 0);
+    });
+
+    it('rejects bodies over the size limit', async () => {
+        const url = await startProxy({ maxBodySize: '1kb' });
+        stub.requests.length = 0;
+
+        const res = await postChat(url, chatBody({ contents: [{ role: 'user', parts: [{ text: 'a'.repeat(2048) }] }] }));
+
+        assert.equal(res.status, 413);
+        assert.equal((await res.json()).error.code, 413);
+        assert.equal(stub.requests.length, 0);
+    });
+
+    it('limits each client to its share of requests', async () => {
+        const url = await startProxy({ rateLimit: { windowMs: 60 * 1000, max: 2 } });
+
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push(await postChat(url, chatBody()));
+        }
+
+        assert.deepEqual(statuses.map(res => res.status), [200, 200, 429]);
+        assert.equal(statuses[2].headers.get('ratelimit-remaining'), '0');
+        assert.ok(Number(statuses[2].headers.get('retry-after')) > 0);
+        assert.equal((await statuses[2].json()).error.code, 429);
+    });
+
+    it('does not count CORS preflights against the limit', async () => {
+        const url = await startProxy({ rateLimit: { windowMs: 60 * 1000, max: 1 } });
+        const preflight = (origin) => fetch(`${url}/api/chat`, {
+            method: 'OPTIONS',
+            headers: { Origin: origin, 'Access-Control-Request-Method': 'POST' }
+        });
+
+        const allowed = await preflight(ORIGIN);
+        const other = await preflight('https://elsewhere.example');
+        const res = await postChat(url, chatBody(), { Origin: ORIGIN });
+
+        assert.equal(allowed.status, 204);
+        assert.equal(allowed.headers.get('access-control-allow-origin'), ORIGIN);
+        assert.equal(other.headers.get('access-control-allow-origin'), null);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('access-control-allow-origin'), ORIGIN);
+    });
+});
@@ -0,0 +1,28 @@
+// Proxy settings, read from environment variables so the Gemini key never reaches the browser bundle
+
+const DEFAULT_UPSTREAM_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+const toNumber = (value, fallback) => {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+const loadConfig = (env = process.env) => ({
+    port: toNumber(env.PORT, 3001),
+    apiKey: env.GEMINI_API_KEY || '',
+    // Point this at a local stub to run the proxy without touching Google
+    upstreamUrl: (env.GEMINI_UPSTREAM_URL || DEFAULT_UPSTREAM_URL).replace(/\/+$/, ''),
+    // Origin allowed to call the proxy from a browser (e.g. the GitHub Pages site); empty means same-origin only
+    allowedOrigin: env.ALLOWED_ORIGIN || '',
+    // Requests allowed per client per window
+    rateLimit: {
+        windowMs: toNumber(env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+        max: toNumber(env.RATE_LIMIT_MAX, 30)
+    },
+    // Largest accepted request body, in any format body-parser understands ('100kb', 102400, ...)
+    maxBodySize: env.MAX_BODY_SIZE || '100kb',
+    // Set when running behind a reverse proxy so rate limiting sees the real client address
+    trustProxy: env.TRUST_PROXY === 'true'
+});
+
+module.exports = { loadConfig, DEFAULT_UPSTREAM_URL };
@@ -0,0 +1,13 @@
+// Entry point for the chat proxy: `GEMINI_API_KEY=... npm run server`
+const { createApp } = require('./app');
+const { loadConfig } = require('./config');
+
+const config = loadConfig();
+if (!config.apiKey) {
+    console.error('GEMINI_API_KEY is not set. Set it in the environment before starting the proxy.');
+    process.exit(1);
+}
+
+createApp({ config }).listen(config.port, () => {
+    console.info(`Chat proxy listening on http://localhost:${config.port} (upstream ${config.upstreamUrl})`);
+});
@@ -0,0 +1,45 @@
+// Fixed-window, per-client rate limiting kept in memory (one proxy process is all we run)
+
+const createRateLimiter = ({ windowMs, max, now = Date.now }) => {
+    // client key -> { count, resetAt }
+    const clients = new Map();
+    let nextSweepAt = now() + windowMs;
+
+    // Forget clients whose window has passed so the map doesn't grow forever
+    const sweep = (time) => {
+        if (time < nextSweepAt) return;
+        for (const [key, entry] of clients) {
+            if (entry.resetAt <= time) clients.delete(key);
+        }
+        nextSweepAt = time + windowMs;
+    };
+
+    return (req, res, next) => {
+        // CORS preflights are sent by the browser, not the learner, and carry no work for the model
+        if (req.method === 'OPTIONS') {
+            next();
+            return;
+        }
+        const time = now();
+        sweep(time);
+
+        const key = req.ip;
+        let entry = clients.get(key);
+        if (!entry || entry.resetAt <= time) {
+            entry = { count: 0, resetAt: time + windowMs };
+            clients.set(key, entry);
+        }
+        entry.count++;
+
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - time) / 1000)));
+            res.status(429).json({ error: { code: 429, message: 'Too many requests. Please wait a moment and try again.' } });
+            return;
+        }
+        next();
+    };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,56 @@
+// Stand-in for the Gemini REST API, for exercising the proxy without a real key or network.
+// Run it with `node server/stubUpstream.js` and start the proxy with
+// GEMINI_UPSTREAM_URL=http://localhost:3002 GEMINI_API_KEY=stub-key npm run server
+const express = require('express');
+
+const STUB_API_KEY = 'stub-key';
+
+// A generateContent response whose text is built from the last user turn
+const replyFor = (body) => {
+    const lastUser = [...(body.contents || [])].reverse().find(content => content.role === 'user');
+    const said = lastUser ? lastUser.parts.map(part => part.text || '').join('') : '';
+    return `Stub reply to: ${said}`;
+};
+
+const toResult = (text) => ({ candidates: [{ content: { role: 'model', parts: [{ text }] } }] });
+
+// `requests` records every call ({ path, apiKey, body }) so tests can check what was forwarded
+const createStubUpstream = () => {
+    const requests = [];
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+
+    // Paths look like /gemini-2.0-flash:generateContent or /gemini-2.0-flash:streamGenerateContent
+    app.post('*', (req, res) => {
+        const apiKey = req.get('x-goog-api-key');
+        requests.push({ path: req.path, apiKey, body: req.body });
+
+        if (apiKey !== STUB_API_KEY) {
+            res.status(403).json({ error: { code: 403, message: 'API key not valid.' } });
+            return;
+        }
+
+        const text = replyFor(req.body);
+        if (!req.path.endsWith(':streamGenerateContent')) {
+            res.json(toResult(text));
+            return;
+        }
+        // Stream the reply word by word as server-sent events, like alt=sse does
+        res.set('Content-Type', 'text/event-stream');
+        text.split(/(?<=\s)/).forEach(word => {
+            res.write(`data: ${JSON.stringify(toResult(word))}\r\n\r\n`);
+        });
+        res.end();
+    });
+
+    return { app, requests };
+};
+
+if (require.main === module) {
+    const port = Number(process.env.STUB_PORT) || 3002;
+    createStubUpstream().app.listen(port, () => {
+        console.info(`Stub Gemini upstream listening on http://localhost:${port} (key "${STUB_API_KEY}")`);
+    });
+}
+
+module.exports = { createStubUpstream, STUB_API_KEY };
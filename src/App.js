@@ -1,4 +1,66 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import ProviderSettings from './components/ProviderSettings';
+import TeacherSettings from './components/TeacherSettings';
+import VoiceSettings from './components/VoiceSettings';
+import SessionSidebar from './components/SessionSidebar';
+import SidePanel from './components/SidePanel';
+import ChatMessage from './components/ChatMessage';
+import ThinkingBubble from './components/ThinkingBubble';
+import MessageComposer from './components/MessageComposer';
+import PracticeControls from './components/PracticeControls';
+import DrillPanel from './components/DrillPanel';
+import DeckReview from './components/DeckReview';
+import ProgressDashboard from './components/ProgressDashboard';
+import ScenarioPicker from './components/ScenarioPicker';
+import ScenarioBrief from './components/ScenarioBrief';
+import FailedTurnNotice from './components/FailedTurnNotice';
+import ShortcutHelp from './components/ShortcutHelp';
+import Classroom from './components/Classroom';
+import ReportReview from './components/ReportReview';
+import useSpeechSynthesis from './hooks/useSpeechSynthesis';
+import useChatClient from './hooks/useChatClient';
+import useAudioRecording from './hooks/useAudioRecording';
+import useVoiceTurns from './hooks/useVoiceTurns';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import useOfflineQueue from './hooks/useOfflineQueue';
+import useScenario from './hooks/useScenario';
+import useDrill from './hooks/useDrill';
+import useDeck from './hooks/useDeck';
+import useSessions from './hooks/useSessions';
+import useDataTransfer from './hooks/useDataTransfer';
+import useClassroom from './hooks/useClassroom';
+import { I18nContext, createTranslator, getUiLanguage } from './i18n';
+import { getScenario } from './data/scenarios';
+import { generateReply, LLMCancelledError, LLMError } from './services/llm';
+import { buildChatRequest } from './services/chatRequest';
+import { createSentenceSplitter } from './services/speechChunker';
+import { toSpeechText } from './services/speechText';
+import { StructuredReplyError } from './services/schema';
+import { isDue } from './services/srs';
+import { MESSAGE_KINDS, createMessageId, isLearnerTurn, isModelContext, withReplyAfter, withoutListeningPlaceholder } from './services/messages';
+import { findShortcut } from './services/shortcuts';
+import { getSkill } from './skills';
+import { listPractice, logPractice } from './services/progressLog';
+import { computeProgressStats } from './services/progressStats';
+import { assignmentDrillSet } from './services/assignments';
+import { countLearnerTurns, findUsedPhrases } from './services/scenarios';
+import {
+    loadInterfaceSettings,
+    loadLearnerProfile,
+    loadLlmSettings,
+    loadSpeechSettings,
+    loadTeacherSettings,
+    saveInterfaceSettings,
+    saveLearnerProfile,
+    saveLlmSettings,
+    saveSpeechSettings,
+    saveTeacherSettings
+} from './services/settings';
+import { buildSystemInstruction } from './services/cefr';
+import { planSummary } from './services/contextWindow';
+import { EMPTY_LEARNER_PROFILE, MEMORY_SCHEMA, buildMemoryPrompt, parseMemoryUpdate } from './services/learnerProfile';
+import { getAccent } from './services/accents';
+import { createSession } from './services/sessionStore';
 
 // Main App component
 const App = () => {
@@ -6,270 +68,409 @@ const App = () => {
     const [conversation, setConversation] = useState([]);
     // State for the user's current input message
     const [message, setMessage] = useState('');
-    // State to manage the speech recognition (listening) status
-    const [isListening, setIsListening] = useState(false);
-    // State to manage the speech synthesis (speaking) status of the AI
-    const [isSpeaking, setIsSpeaking] = useState(false);
     // State for loading indicator during AI response generation
     const [isLoading, setIsLoading] = useState(false);
     // State to store any error messages
     const [error, setError] = useState('');
-    // State to track if the AI is expecting specific input for a feature ('vocab' or 'rephrase')
-    const [awaitingFeatureInput, setAwaitingFeatureInput] = useState(null);
+    // State for the id of the skill whose follow-up question the teacher is waiting on, if any
+    const [awaitingSkill, setAwaitingSkill] = useState(null);
+    // State for the id of the teacher message currently being streamed in, if any
+    const [streamingMessageId, setStreamingMessageId] = useState(null);
+    // State for the metadata (id, title, mode, timestamps) of the session being practised
+    const [currentSession, setCurrentSession] = useState(() => createSession());
+    // State to show or hide the history sidebar
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    // State to show the role-play scenario picker
+    const [isScenarioPickerOpen, setIsScenarioPickerOpen] = useState(false);
+    // State to show the deck review screen
+    const [isDeckOpen, setIsDeckOpen] = useState(false);
+    // State for the voice, rate, pitch and target accent (persisted in localStorage)
+    const [speechSettings, setSpeechSettings] = useState(loadSpeechSettings);
+    // State to show the progress dashboard, and the stats it shows (null while loading)
+    const [isProgressOpen, setIsProgressOpen] = useState(false);
+    const [progressStats, setProgressStats] = useState(null);
+    // State for the turn whose reply failed: { prompt, messageFields, turnId, replyId, error }
+    const [failedTurn, setFailedTurn] = useState(null);
+    // State for the learner's CEFR level and the custom teacher persona (persisted in localStorage)
+    const [teacherSettings, setTeacherSettings] = useState(loadTeacherSettings);
+    // State for the teacher's memory of the learner's recurring mistakes and interests (persisted in localStorage)
+    const [learnerProfile, setLearnerProfile] = useState(loadLearnerProfile);
+    // State for the selected LLM provider, model and server URL (persisted in localStorage)
+    const [llmSettings, setLlmSettings] = useState(loadLlmSettings);
+    // State for the interface language, and the classroom role and name (persisted in localStorage)
+    const [interfaceSettings, setInterfaceSettings] = useState(loadInterfaceSettings);
+    // State to show the list of keyboard shortcuts
+    const [isShortcutHelpOpen, setIsShortcutHelpOpen] = useState(false);
+    // State for the latest screen-reader announcement: a finished teacher turn, or the mic opening or closing
+    const [announcement, setAnnouncement] = useState('');
     
-    // Refs for Speech Recognition, Speech Synthesis, and chat history
-    const recognitionRef = useRef(null);
-    const synthRef = useRef(null); // Will hold reference to the SpeechSynthesis object
+    // Refs for the chat history and other elements and values kept across renders
     const chatHistoryRef = useRef(null);
-
-    // Gemini API configuration
-    const apiKey = process.env.REACT_APP_GEMINI_API_KEY;
-
-    // Prompt to establish the AI's persona as a British BBC accent teacher
-    const initialPrompt = "You are an AI virtual teacher focused on helping users learn and practice a British BBC accent. Your responses should be clear, concise, and use formal British English vocabulary and phrasing. When appropriate, offer specific advice on pronunciation, intonation, or common British English nuances based on the user's input. Encourage polite, clear conversation. Start by introducing yourself and asking how you can assist the user in their journey to master the British accent.";
-
-    // Function to stop the AI's current speech
-    const stopSpeaking = useCallback(() => {
-        const synth = synthRef.current;
-        if (synth && synth.speaking) {
-            synth.cancel();
-            setIsSpeaking(false);
+    const summaryControllerRef = useRef(null); // AbortController of the background summarisation, if running
+    const summaryFailedAtRef = useRef(null); // Plan (covered count) whose summary failed; retried once the history moves on
+    const messageInputRef = useRef(null); // The chat's message box, for shortcuts and returning focus
+    const shortcutHandlerRef = useRef(null); // Latest keyboard shortcut handler, so the listener is attached once
+    const announcedMessageRef = useRef(null); // Teacher message last announced to screen readers
+    const wasListeningRef = useRef(false); // Mic state last announced to screen readers
+    const wasLoadingRef = useRef(false); // Whether a reply was pending on the previous render
+
+    // The interface language and its translator. Only the app's own text is translated: the
+    // teacher, the conversation and the practice content stay in English.
+    const uiLanguage = getUiLanguage(interfaceSettings.language);
+    const i18n = useMemo(() => ({ id: uiLanguage.id, dir: uiLanguage.dir, t: createTranslator(uiLanguage.id) }), [uiLanguage.id, uiLanguage.dir]);
+    const { t } = i18n;
+
+    // The accent being coached decides the teacher's persona, greeting and speech language
+    const accent = getAccent(speechSettings.accent);
+    // Persona the model plays as the accent teacher: the learner's own, or the accent's (a British BBC one by default)
+    const initialPrompt = teacherSettings.persona.trim() || accent.prompt;
+    // Whether the browser has a network connection; offline, turns are queued
+    const isOnline = useOnlineStatus();
+
+    // The teacher's voice, speaking queued chunks with the learner's voice settings
+    const {
+        voices,
+        isSpeaking,
+        speak: speakMessage,
+        enqueue: enqueueSpeech,
+        stop: stopSpeaking,
+        beginSpeechStream,
+        hasPendingSpeech
+    } = useSpeechSynthesis({
+        speechSettings,
+        offline: !isOnline,
+        onStart: () => setError(''),
+        onError: (code, detail) => setError(code === 'unavailable' ? t('errors.noSpeechSynthesis') : t('errors.speechSynthesis', { error: detail }))
+    });
+
+    // Requests to the teacher, one at a time, with the retry in progress for the thinking bubble
+    const chatClient = useChatClient(llmSettings);
+    const {
+        retryStatus,
+        begin: beginRequest,
+        end: endRequest,
+        cancel: cancelRequest,
+        isCurrent: isCurrentRequest,
+        stream: streamChat,
+        generate: generateChat
+    } = chatClient;
+
+    // Function to add a practice turn to the local progress log, tagged with the current session and mode
+    const logTurn = useCallback((entry) => {
+        logPractice({ sessionId: currentSession.id, mode: currentSession.mode, ...entry })
+            .catch(err => console.error("Could not log practice turn:", err));
+    }, [currentSession.id, currentSession.mode]);
+
+    // Function to silence the teacher and cancel the reply being fetched, if any
+    const stopTeacher = useCallback(() => {
+        cancelRequest();
+        stopSpeaking();
+    }, [cancelRequest, stopSpeaking]);
+
+    // Function to explain why a structured (JSON) request failed; `what` names the reply
+    const reportStructuredError = useCallback((err, what) => {
+        if (err instanceof LLMCancelledError) return; // The learner stopped it
+        if (err instanceof StructuredReplyError) {
+            console.error(`Invalid ${what}:`, err.problems);
+            setError(t('errors.structuredReply', { message: err.message }));
+        } else if (err instanceof LLMError) {
+            console.error("LLM error:", err.details || err);
+            setError(t('errors.llm', { message: err.message }));
+        } else {
+            console.error("Error communicating with the LLM provider:", err);
+            setError(t('errors.noResponse'));
         }
-    }, []); 
-
-    // Function to speak a given text message with robust chunking and queue management
-    const speakMessage = useCallback((text) => {
-        const synth = synthRef.current;
-        if (!synth) {
-            console.error("SpeechSynthesis not initialized.");
-            setError("Speech synthesis not available. Please try refreshing or using a supported browser.");
+    }, [t]);
+
+    // The authored scenario this session plays out, and its debrief
+    const { scenario, isRunning: isScenarioRunning, debrief: debriefScenario } = useScenario({
+        session: currentSession,
+        conversation,
+        setConversation,
+        isLoading,
+        setIsLoading,
+        isOnline,
+        level: teacherSettings.level,
+        chatClient,
+        enqueueSpeech,
+        logTurn,
+        reportStructuredError,
+        setError
+    });
+
+    // Helper function to send prompts to the configured LLM provider; `messageFields` are added to
+    // the teacher's reply (e.g. the skill that produced it) and `turnId` is the id of the learner
+    // message being answered, which is flagged as failed (and kept out of the history) if no
+    // reply arrives
+    const sendPromptToModel = useCallback(async (promptContent, messageFields = {}, turnId = null) => {
+        // Offline, a learner turn waits in the queue instead of failing
+        if (turnId && !isOnline) {
+            setConversation(prev => prev.map(msg => msg.id === turnId ? { ...msg, queued: true } : msg));
             return;
         }
 
-        stopSpeaking(); // Cancel any current speech before queuing new ones
+        const controller = beginRequest();
+        setFailedTurn(null);
+        setIsLoading(true); 
 
-        const voices = synth.getVoices();
-        let britishVoice = null;
-        for (const voice of voices) {
-            if (voice.lang === 'en-GB') {
-                britishVoice = voice;
-                if (voice.name.includes('Google UK English')) {
-                    break; 
-                }
-            }
-        }
-        
-        // --- Robust Chunking Logic ---
-        const maxUtteranceLength = 160; // Slightly reduced for more consistent browser compatibility
-        // Split by punctuation or newlines, maintaining punctuation at end of sentences
-        const segments = text.split(/(?<=[.!?])\s+|\n+/).filter(s => s.trim().length > 0); 
-        const chunks = [];
-        let currentChunk = '';
-
-        for (let i = 0; i < segments.length; i++) {
-            const segment = segments[i].trim();
-            if (segment.length === 0) continue;
-
-            // If adding the next segment keeps it under the limit, add it
-            if ((currentChunk + ' ' + segment).trim().length <= maxUtteranceLength) {
-                currentChunk += (currentChunk ? ' ' : '') + segment;
-            } else {
-                // If currentChunk is not empty, push it
-                if (currentChunk.trim()) {
-                    chunks.push(currentChunk.trim());
+        // The persona (or scenario character), level and memory, and the history the teacher sees
+        const { system, messages } = buildChatRequest({
+            conversation,
+            prompt: promptContent,
+            persona: initialPrompt,
+            level: teacherSettings.level,
+            memory: currentSession.memory,
+            profile: learnerProfile,
+            historyBudget: llmSettings.historyBudget,
+            scenario: isScenarioRunning ? scenario : null,
+            accent
+        });
+        const skill = messageFields.skill && getSkill(messageFields.skill);
+
+        // The teacher bubble is created on the first streamed piece and filled in as text arrives,
+        // while every complete sentence is queued for speech straight away
+        const messageId = createMessageId();
+        const sentenceSplitter = createSentenceSplitter();
+        let receivedText = '';
+        stopSpeaking();
+        // If the learner presses "Stop Teacher" mid-stream, the rest of this reply stays silent
+        const speakSentences = beginSpeechStream();
+
+        try {
+            await streamChat(controller, messages, (delta, textSoFar) => {
+                if (!receivedText) {
+                    setStreamingMessageId(messageId);
+                    setConversation(withReplyAfter(turnId, { ...messageFields, id: messageId, role: 'model', text: textSoFar }));
+                } else {
+                    setConversation(prev => prev.map(msg => msg.id === messageId ? { ...msg, text: textSoFar } : msg));
                 }
-                // Start a new chunk with the current segment
-                currentChunk = segment;
+                receivedText = textSoFar;
+                speakSentences(sentenceSplitter.push(delta));
+            }, {
+                system,
+                generation: skill && skill.generation
+            });
+            speakSentences(sentenceSplitter.flush());
+        } catch (err) {
+            // A dropped request belongs to a session that is no longer on screen, and a reply the
+            // learner stopped part-way is kept as it is
+            if (!isCurrentRequest(controller)) return;
+            if (err instanceof LLMCancelledError && receivedText) return;
+            // The connection went down while the request was on its way (the `isOnline` state
+            // is still the one from when it started): queue the turn like any other offline turn
+            if (err.kind === 'network' && turnId && !receivedText && !navigator.onLine) {
+                setConversation(prev => prev.map(msg => msg.id === turnId ? { ...msg, queued: true } : msg));
+                return;
             }
+
+            console.error("Error communicating with the LLM provider:", err.details || err);
+            setConversation(prev => prev.map(msg => msg.id === turnId || msg.id === messageId ? { ...msg, failed: true } : msg));
+            setFailedTurn({
+                prompt: promptContent,
+                messageFields,
+                turnId,
+                replyId: receivedText ? messageId : null,
+                error: err
+            });
+        } finally {
+            endRequest(controller);
+            setStreamingMessageId(null);
+            setIsLoading(false); 
         }
-        // Push the last chunk
-        if (currentChunk.trim()) {
-            chunks.push(currentChunk.trim());
+    }, [llmSettings.historyBudget, conversation, currentSession.memory, learnerProfile, teacherSettings.level, isOnline, stopSpeaking, beginSpeechStream, beginRequest, endRequest, isCurrentRequest, streamChat, setConversation, setIsLoading, initialPrompt, accent, scenario, isScenarioRunning]); 
+
+    // Function to fold older turns into the session summary and the learner profile, in the
+    // background. Failures are only logged: the turns are simply sent in full a little longer.
+    const summariseHistory = useCallback(async ({ messages, coveredCount }) => {
+        const sessionId = currentSession.id;
+        const controller = new AbortController();
+        summaryControllerRef.current = controller;
+        try {
+            const prompt = buildMemoryPrompt({
+                profile: learnerProfile,
+                summary: currentSession.memory && currentSession.memory.summary,
+                messages
+            });
+            const reply = await generateReply(llmSettings, [{ role: 'user', text: prompt }], { schema: MEMORY_SCHEMA, signal: controller.signal });
+            const { summary, profile } = parseMemoryUpdate(reply);
+            setLearnerProfile(profile);
+            setCurrentSession(prev => prev.id === sessionId ? { ...prev, memory: { summary, coveredCount } } : prev);
+        } catch (err) {
+            if (err instanceof LLMCancelledError) return;
+            console.warn("Could not summarise earlier turns:", err.problems || err);
+            summaryFailedAtRef.current = coveredCount;
+        } finally {
+            if (summaryControllerRef.current === controller) summaryControllerRef.current = null;
         }
-
-        if (chunks.length === 0) {
-            setIsSpeaking(false);
+    }, [currentSession.id, currentSession.memory, learnerProfile, llmSettings]);
+
+    // Function to stop a background summarisation, e.g. when the session changes
+    const cancelSummary = useCallback(() => {
+        if (summaryControllerRef.current) summaryControllerRef.current.abort();
+        summaryControllerRef.current = null;
+    }, []);
+
+    // Function to run a skill on the learner's input and show the result the way the skill declares
+    const executeSkill = useCallback(async (skill, input) => {
+        const prompt = skill.buildPrompt({ input, accent });
+        if (skill.output.type === 'chat') {
+            await sendPromptToModel(prompt, { skill: skill.id });
             return;
         }
 
-        let currentChunkIndex = 0;
-
-        const speakNext = () => {
-            if (currentChunkIndex < chunks.length) {
-                const utterance = new SpeechSynthesisUtterance(chunks[currentChunkIndex]);
-                if (britishVoice) {
-                    utterance.voice = britishVoice;
-                }
-                utterance.lang = 'en-GB';
-                utterance.rate = 1;
-                utterance.pitch = 1;
-
-                utterance.onstart = () => {
-                    setIsSpeaking(true);
-                    setError('');
-                };
-                utterance.onend = () => {
-                    currentChunkIndex++;
-                    if (currentChunkIndex < chunks.length) {
-                        // Speak the next chunk immediately after the current one ends
-                        speakNext(); 
-                    } else {
-                        setIsSpeaking(false); // All chunks spoken
-                    }
-                };
-                utterance.onerror = (event) => {
-                    console.error('Speech synthesis error on chunk:', event.error.message || event.error);
-                    setError(`Speech synthesis error: ${event.error.message || event.error}. Please try again.`);
-                    setIsSpeaking(false);
-                };
-
-                // Add a small delay before speaking each chunk to avoid "interrupted" errors
-                // particularly when quickly chaining utterances.
-                setTimeout(() => {
-                    synth.speak(utterance);
-                }, 50); // Small delay between chunks
-                
+        // Structured output is requested as JSON on its own, without the chat persona, so it can
+        // be checked against the skill's schema and rendered by its component
+        const controller = beginRequest();
+        setIsLoading(true);
+        stopSpeaking();
+        try {
+            const reply = await generateChat(controller, [{ role: 'user', text: prompt }], {
+                system: buildSystemInstruction({ level: teacherSettings.level }),
+                generation: skill.generation,
+                schema: skill.output.schema
+            });
+            const data = skill.output.parse(reply);
+            setConversation(prev => [...prev, {
+                id: createMessageId(),
+                role: 'model',
+                kind: skill.output.kind,
+                skill: skill.id,
+                data,
+                text: skill.output.summarise(data)
+            }]);
+            speakMessage(skill.output.speakable(data));
+            if (skill.output.toProgress) {
+                logTurn({ type: skill.output.kind, text: input, ...skill.output.toProgress(data) });
             }
-        };
-
-        // Start speaking the first chunk with a slightly longer initial delay
-        // to ensure any previous cancellation is fully processed.
-        setTimeout(speakNext, 200); // Initial delay
-        
-    }, [stopSpeaking, setError]); 
+        } catch (err) {
+            if (isCurrentRequest(controller)) reportStructuredError(err, skill.output.what);
+        } finally {
+            endRequest(controller);
+            setIsLoading(false);
+        }
+    }, [accent, teacherSettings.level, sendPromptToModel, speakMessage, stopSpeaking, logTurn, reportStructuredError, beginRequest, endRequest, isCurrentRequest, generateChat]);
 
-    // Function to handle sending messages (either typed or spoken)
-    const sendMessage = useCallback(async (textToSend) => {
-        setConversation(prev => prev.filter(msg => msg.text !== 'Listening...'));
+    // Function to handle sending messages (either typed or spoken); `extra` carries additional
+    // message fields such as the id of the recording made while the learner spoke
+    const sendMessage = useCallback(async (textToSend, extra = {}) => {
+        setConversation(withoutListeningPlaceholder);
         const userMessageContent = textToSend.trim(); 
 
         if (!userMessageContent || isLoading) {
             if (textToSend === message && !userMessageContent) {
-                 setError("Please enter or speak a message to send.");
+                 setError(t('errors.enterMessage'));
             }
             return; 
         }
 
         setError(''); 
-        setConversation(prev => [...prev, { role: 'user', text: userMessageContent }]);
+        setFailedTurn(null);
+        const turnId = createMessageId();
+        setConversation(prev => [...prev, { id: turnId, role: 'user', text: userMessageContent, ...extra }]);
         setMessage(''); 
+        logTurn({ type: 'utterance', text: userMessageContent, spokenMs: extra.spokenMs });
 
         stopSpeaking(); // Stop any teacher speech when user sends new message
 
-        if (awaitingFeatureInput === 'vocab') {
-            const prompt = `The user is asking for British English vocabulary and idioms related to the topic: "${userMessageContent}". As a British BBC accent teacher, please provide a list of 5-7 relevant words or idioms with brief explanations/contexts.`;
-            setAwaitingFeatureInput(null); 
-            setConversation(prev => [...prev, { role: 'model', text: 'Thank you. Please wait a moment while I compile some suggestions for you.' }]);
-            await sendPromptToGemini(prompt);
-        } else if (awaitingFeatureInput === 'rephrase') {
-            const prompt = `The user wants to rephrase the sentence: "${userMessageContent}". As a British BBC accent teacher, please rephrase this sentence to sound more natural and idiomatic in British English. Offer one or two alternative phrasings.`;
-            setAwaitingFeatureInput(null); 
-            setConversation(prev => [...prev, { role: 'model', text: 'Understood. Let me consider how to best rephrase that for a British context.' }]);
-            await sendPromptToGemini(prompt);
+        const skill = awaitingSkill && getSkill(awaitingSkill);
+        if (skill) {
+            setAwaitingSkill(null); 
+            setConversation(prev => [...prev, { id: createMessageId(), role: 'model', kind: MESSAGE_KINDS.SYSTEM_NOTICE, text: skill.followUp.acknowledgement }]);
+            await executeSkill(skill, userMessageContent);
         } else {
-            await sendPromptToGemini(userMessageContent);
+            await sendPromptToModel(userMessageContent, {}, turnId);
         }
-    }, [isLoading, awaitingFeatureInput, conversation, apiKey, setConversation, setAwaitingFeatureInput, setMessage, stopSpeaking]);
-
-
-    // Function to start speech recognition
-    const startListening = useCallback(() => {
-        stopSpeaking(); // Stop any current speaking before listening
-        if (recognitionRef.current && !isListening) {
-            setError(''); 
-            setMessage(''); 
-            setConversation(prev => [...prev, { role: 'user', text: 'Listening...' }]); 
-            try {
-                recognitionRef.current.start();
-                setIsListening(true);
-            } catch (e) {
-                console.error("Error starting speech recognition:", e);
-                setError("Failed to start speech recognition. Please check microphone permissions and try again.");
-                setIsListening(false);
-                setConversation(prev => prev.filter(msg => msg.text !== 'Listening...')); 
+    }, [isLoading, awaitingSkill, message, executeSkill, sendPromptToModel, logTurn, setConversation, setAwaitingSkill, setMessage, stopSpeaking, t]);
+
+
+    // The learner's voice, recorded for playback alongside recognition or on its own
+    const recording = useAudioRecording();
+
+    // The listen-and-repeat drill in progress, if any
+    const {
+        drill,
+        isPickerOpen: isDrillPickerOpen,
+        setIsPickerOpen: setIsDrillPickerOpen,
+        isRecordingAttempt,
+        start: startDrill,
+        submitAttempt: submitDrillAttempt,
+        finish: finishDrill,
+        toggleRecording: toggleDrillRecording,
+        next: nextDrillItem,
+        playTarget: playDrillTarget,
+        reset: resetDrill
+    } = useDrill({ setConversation, setCurrentSession, speak: speakMessage, stopSpeaking, logTurn, recording, setError, t });
+
+    // The learner's spoken turns, recognised in the language of the accent being coached. What
+    // they say is a drill attempt while a drill runs, and otherwise a chat turn.
+    const {
+        isListening,
+        isHandsFree,
+        startListening,
+        stopListening,
+        toggleHandsFree
+    } = useVoiceTurns({
+        lang: accent.lang,
+        conversation,
+        setConversation,
+        message,
+        setMessage,
+        setError,
+        t,
+        isLoading,
+        // Drills take one repetition at a time, and pickers wait for a choice
+        isPaused: Boolean(drill || isDrillPickerOpen || isScenarioPickerOpen),
+        hasPendingSpeech,
+        stopSpeaking,
+        recording,
+        onSpeech: (speechResult, { recordingId, spokenMs }) => {
+            if (drill) {
+                submitDrillAttempt(speechResult, recordingId, spokenMs);
+                return;
             }
-        } else {
-            setError("Speech recognition is not available or already active.");
-        }
-    }, [isListening, setConversation, setError, setMessage, stopSpeaking]);
-
-    // Function to stop speech recognition
-    const stopListening = useCallback(() => {
-        if (recognitionRef.current && isListening) {
-            recognitionRef.current.stop();
-            setIsListening(false);
+            setMessage(speechResult);
+            sendMessage(speechResult, recordingId ? { recordingId, spokenMs } : { spokenMs });
         }
-    }, [isListening]);
+    });
 
+    // Skills and the microphone are unavailable while the teacher is busy or awaiting an answer
+    // (in hands-free mode the mic is always open, so listening doesn't count as busy)
+    const isBusy = isLoading || (isListening && !isHandsFree) || isSpeaking || !!awaitingSkill;
 
-    // Effect for initializing Speech Recognition and Speech Synthesis APIs
+    // Effect to greet the learner when the app opens on an empty conversation
     useEffect(() => {
-        // Initialize SpeechSynthesis (assign to ref)
-        synthRef.current = window.speechSynthesis;
-        const synth = synthRef.current; 
-
-        // Event listener for voices loaded (important for getting British voice)
-        const handleVoicesChanged = () => {
-            setTimeout(() => {
-                console.log("Voices changed/loaded. Available voices:", synth.getVoices().map(v => v.name));
-            }, 100);
-        };
-        
-        if (synth) {
-            synth.addEventListener('voiceschanged', handleVoicesChanged);
-        }
-        
-
-        // Initialize SpeechRecognition
-        if ('webkitSpeechRecognition' in window) {
-            recognitionRef.current = new window.webkitSpeechRecognition();
-            recognitionRef.current.continuous = false; 
-            recognitionRef.current.interimResults = false; 
-            recognitionRef.current.lang = 'en-GB'; 
-
-            recognitionRef.current.onresult = (event) => {
-                const speechResult = event.results[0][0].transcript;
-                console.log("Speech recognized (onresult):", speechResult); 
-                setMessage(speechResult); 
-                sendMessage(speechResult); 
-            };
-
-            recognitionRef.current.onend = () => {
-                setIsListening(false);
-                if (!message.trim() && conversation.some(msg => msg.text === 'Listening...')) {
-                    setError("No speech was recognized. Please try speaking clearly.");
-                    setConversation(prev => prev.filter(msg => msg.text !== 'Listening...'));
-                }
-            };
-
-            recognitionRef.current.onerror = (event) => {
-                console.error('Speech recognition error:', event.error.message || event.error);
-                setError(`Speech recognition error: ${event.error.message || event.error}. Please ensure microphone access is granted.`);
-                setIsListening(false);
-                setConversation(prev => prev.filter(msg => msg.text !== 'Listening...')); 
-            };
-        } else {
-            setError("Web Speech API is not supported in this browser. Please use Chrome or Edge for voice input.");
-        }
+        setConversation(prev => (prev.length === 0 ? [{ id: createMessageId(), role: 'model', text: accent.greeting }] : prev));
+    }, [accent.greeting]);
 
-        // Initial greeting from the AI teacher (only if conversation is empty on mount)
-        if (conversation.length === 0) {
-            setConversation([{ role: 'model', text: 'Hello! I am your AI British accent teacher. How may I assist you today in mastering the nuances of British English?' }]);
+    // Effect to summarise older turns once the history outgrows its budget, between replies
+    useEffect(() => {
+        if (isLoading || !isOnline || summaryControllerRef.current) return;
+        const memory = currentSession.memory;
+        const plan = planSummary(conversation.filter(isModelContext), memory ? memory.coveredCount : 0, llmSettings.historyBudget);
+        if (plan && plan.coveredCount !== summaryFailedAtRef.current) {
+            summariseHistory(plan);
         }
-
-        // Cleanup function for unmounting
-        return () => {
-            if (recognitionRef.current) {
-                recognitionRef.current.stop();
-            }
-            if (synth) { 
-                synth.removeEventListener('voiceschanged', handleVoicesChanged);
-                if (synth.speaking) {
-                    synth.cancel();
-                }
-            }
-        };
-    }, [conversation, sendMessage, setMessage, setConversation, setError, setIsListening]); 
+    }, [isLoading, isOnline, conversation, currentSession.memory, llmSettings.historyBudget, summariseHistory]);
+
+    // Function to answer a turn that was queued while offline
+    const sendQueuedTurn = useCallback((text, turnId) => sendPromptToModel(text, {}, turnId), [sendPromptToModel]);
+
+    // Turns queued while offline are sent once the connection is back; a failed one holds up the
+    // rest until it is retried
+    useOfflineQueue({
+        isOnline,
+        isLoading,
+        isBlocked: Boolean(failedTurn || awaitingSkill),
+        conversation,
+        setConversation,
+        send: sendQueuedTurn
+    });
+
+    // Effect to cancel requests still in flight on unmount
+    useEffect(() => () => {
+        cancelRequest({ drop: true });
+        cancelSummary();
+    }, [cancelRequest, cancelSummary]);
 
     // Effect to auto-scroll to the bottom of the chat history
     useEffect(() => {
@@ -278,269 +479,517 @@ const App = () => {
         }
     }, [conversation]); // Scroll whenever conversation updates
 
-    // Helper function to send prompts to Gemini API
-    const sendPromptToGemini = useCallback(async (promptContent) => {
-        setIsLoading(true); 
+    // Effect to persist provider settings whenever they change
+    useEffect(() => {
+        saveLlmSettings(llmSettings);
+    }, [llmSettings]);
 
-        // Prepare chat history for Gemini API, filtering out temporary UI messages
-        const filteredConversation = conversation.filter(msg => 
-            msg.text !== 'Listening...' &&
-            !msg.text.startsWith('✨') && 
-            msg.text !== 'Thank you. Please wait a moment while I compile some suggestions for you.' &&
-            msg.text !== 'Understood. Let me consider how to best rephrase that for a British context.'
-        );
-
-        const chatHistory = [
-            { role: "user", parts: [{ text: initialPrompt }] },
-            ...filteredConversation.map(msg => ({ 
-                role: msg.role === 'user' ? 'user' : 'model',
-                parts: [{ text: msg.text }]
-            })),
-            { role: "user", parts: [{ text: promptContent }] } 
-        ];
+    // Effect to persist voice and accent settings whenever they change
+    useEffect(() => {
+        saveSpeechSettings(speechSettings);
+    }, [speechSettings]);
 
-        try {
-            const payload = { contents: chatHistory };
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
+    // Effect to persist the learner's level and teacher persona whenever they change
+    useEffect(() => {
+        saveTeacherSettings(teacherSettings);
+    }, [teacherSettings]);
 
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+    // Effect to persist the teacher's memory of the learner whenever it changes
+    useEffect(() => {
+        saveLearnerProfile(learnerProfile);
+    }, [learnerProfile]);
 
-            const result = await response.json();
+    // Effect to persist the interface language whenever it changes
+    useEffect(() => {
+        saveInterfaceSettings(interfaceSettings);
+    }, [interfaceSettings]);
 
-            let aiResponseText = "I apologize, I couldn't generate a response at this moment. Please try again.";
-            if (result.candidates && result.candidates.length > 0 &&
-                result.candidates[0].content && result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0) {
-                aiResponseText = result.candidates[0].content.parts[0].text;
-            } else if (result.error) {
-                console.error("Gemini API error:", result.error);
-                aiResponseText = `Error: ${result.error.message || "An unknown API error occurred."}`;
-            }
+    // Effect to give the page the interface language's lang, writing direction and title
+    useEffect(() => {
+        document.documentElement.lang = i18n.id;
+        document.documentElement.dir = i18n.dir;
+        document.title = i18n.t('app.title');
+    }, [i18n]);
 
-            const aiMessage = { role: 'model', text: aiResponseText };
-            setConversation(prev => [...prev, aiMessage]); 
-            speakMessage(aiResponseText); 
+    // Effect to announce each finished teacher turn to screen readers. The chat log itself is
+    // silent, so a streamed reply is read once, as speech text, instead of piece by piece.
+    useEffect(() => {
+        const lastMessage = conversation[conversation.length - 1];
+        if (!lastMessage || lastMessage.role !== 'model' || (streamingMessageId && lastMessage.id === streamingMessageId)) return;
+        if (announcedMessageRef.current === lastMessage) return;
+        announcedMessageRef.current = lastMessage;
+        setAnnouncement(t('announce.teacherSaid', { text: toSpeechText(lastMessage.text) }));
+    }, [conversation, streamingMessageId, t]);
+
+    // Effect to announce the push-to-talk mic opening and closing (in hands-free mode it reopens
+    // after every reply, which would cut off the announcement of the reply itself)
+    useEffect(() => {
+        if (wasListeningRef.current === isListening) return;
+        wasListeningRef.current = isListening;
+        if (!isHandsFree) {
+            setAnnouncement(t(isListening ? 'announce.listening' : 'announce.micOff'));
+        }
+    }, [isListening, isHandsFree, t]);
 
-        } catch (err) {
-            console.error("Error communicating with Gemini API:", err);
-            setError("Failed to get response from AI. Please check your network connection.");
-            setConversation(prev => [...prev, { role: 'model', text: "I'm having trouble connecting right now. Please try again later." }]);
-        } finally {
-            setIsLoading(false); 
+    // Effect to put focus back in the message box once a reply arrives, if the control that had
+    // focus was disabled while the teacher was thinking (focus would otherwise drop to the page)
+    useEffect(() => {
+        if (wasLoadingRef.current && !isLoading && document.activeElement === document.body && messageInputRef.current) {
+            messageInputRef.current.focus();
         }
-    }, [apiKey, conversation, speakMessage, setConversation, setError, setIsLoading, initialPrompt]); 
+        wasLoadingRef.current = isLoading;
+    }, [isLoading]);
+
+    // Function to stop whatever the current session was doing before another one takes its place
+    const leaveSession = () => {
+        cancelRequest({ drop: true });
+        cancelSummary();
+        setFailedTurn(null);
+        stopSpeaking();
+        stopListening();
+        recording.discard();
+        resetDrill();
+        setIsScenarioPickerOpen(false);
+        setAwaitingSkill(null);
+        setMessage('');
+        setError('');
+    };
 
+    // Function to clear the conversation history; the old session stays saved and a new one begins
+    const clearConversation = () => {
+        leaveSession();
+        setConversation([{ id: createMessageId(), role: 'model', text: accent.greeting }]);
+        setCurrentSession(createSession());
+    };
 
-    // Function to get pronunciation tips using Gemini API
-    const getPronunciationTips = async () => {
+    // The saved sessions in the history sidebar, with the current one saved as it goes
+    const {
+        sessions,
+        refresh: refreshSessions,
+        resume: resumeSession,
+        rename: renameSession,
+        remove: removeSession
+    } = useSessions({
+        session: currentSession,
+        setSession: setCurrentSession,
+        conversation,
+        setConversation,
+        isLoading,
+        leaveSession,
+        startNewSession: clearConversation,
+        setError,
+        t
+    });
+
+    // The flashcard deck, and the cards being made from a message
+    const {
+        cards,
+        savingId: savingDeckId,
+        refresh: refreshDeck,
+        saveMessage: saveToDeck,
+        grade: gradeCard,
+        remove: removeCard
+    } = useDeck({ chatClient, conversation, setConversation, stopSpeaking, reportStructuredError, setError, t });
+
+    // Exports and backups from the history sidebar, and importing them again
+    const { exportSession, backupAll, importData } = useDataTransfer({ refreshSessions, refreshDeck, setError, t });
+
+    // The classroom's assignments, and the learner report open for review
+    const {
+        assignments,
+        isOpen: isClassroomOpen,
+        setIsOpen: setIsClassroomOpen,
+        openReport,
+        closeReport,
+        create: createOwnAssignment,
+        download: downloadAssignment,
+        receiveFile: receiveAssignmentFile,
+        submitReport,
+        remove: removeAssignment,
+        openReportFile,
+        saveReview
+    } = useClassroom({ name: interfaceSettings.name, setInterfaceSettings, sessions, setError, t });
+
+    // Function to start a skill from its button: post its notice, then either ask its follow-up
+    // question or run it straight away
+    const runSkill = async (skill) => {
         setError('');
-        if (isLoading || isListening || isSpeaking || awaitingFeatureInput) return; 
+        if (isBusy) return; 
+
+        let input = null;
+        if (skill.input === 'last-utterance') {
+            // Find the last thing the learner actually said (not a notice or placeholder)
+            const lastUserMessage = conversation.slice().reverse().find(isLearnerTurn);
+            if (!lastUserMessage) {
+                setError(t(`errors.${skill.id}`, {}, skill.missingInputError));
+                return;
+            }
+            input = lastUserMessage.text;
+        }
 
-        // Find the last actual user message (not temporary or feature initiation messages)
-        const lastUserMessage = conversation
-            .slice()
-            .reverse()
-            .find(msg => msg.role === 'user' && msg.text !== 'Listening...' &&
-                          !msg.text.startsWith('✨')); 
+        if (skill.mode) {
+            setCurrentSession(prev => ({ ...prev, mode: skill.mode }));
+        }
+        setConversation(prev => [...prev, { id: createMessageId(), role: 'user', kind: MESSAGE_KINDS.SYSTEM_NOTICE, text: skill.notice({ input }) }]);
 
-        if (!lastUserMessage) {
-            setError("Please speak or type a message first to get pronunciation tips.");
+        if (skill.followUp) {
+            setConversation(prev => [...prev, { id: createMessageId(), role: 'model', text: skill.followUp.question }]);
+            speakMessage(skill.followUp.question);
+            setAwaitingSkill(skill.id); 
             return;
         }
-
-        const prompt = `The user just said: "${lastUserMessage.text}". As a British BBC accent teacher, please provide specific, helpful pronunciation tips for improving the British English sound of that sentence. Focus on key words or common phonetic differences. Keep it concise and practical.`;
-        setConversation(prev => [...prev, { role: 'user', text: `✨ Requested pronunciation tips for: "${lastUserMessage.text}"` }]);
-        await sendPromptToGemini(prompt);
+        await executeSkill(skill, input);
     };
 
-    // Function to initiate British Vocabulary/Idioms feature
-    const getBritishVocabulary = async () => {
-        setError('');
-        if (isLoading || isListening || isSpeaking || awaitingFeatureInput) return; 
-        
-        setConversation(prev => [...prev, { role: 'user', text: '✨ I\'d like some British vocabulary/idioms.' }]);
-        const promptText = 'Excellent! Please tell me, what topic would you like vocabulary or idioms for? For example, you could say "food," "travel," or "everyday life."';
-        setConversation(prev => [...prev, { role: 'model', text: promptText }]);
-        speakMessage(promptText);
-        setAwaitingFeatureInput('vocab'); 
+    // Function to begin an authored role-play scenario in a new session; the persona opens the scene.
+    // A scenario set as an assignment links the session to it, so it can be handed in as a report.
+    const startScenario = (id, assignment = null) => {
+        const picked = getScenario(id);
+        leaveSession();
+        setCurrentSession({
+            ...createSession('role-play'),
+            title: assignment ? `Assignment: ${assignment.title}` : `Role-play: ${picked.title}`,
+            scenarioId: picked.id,
+            ...(assignment && { assignmentId: assignment.id })
+        });
+        setConversation([
+            {
+                id: createMessageId(),
+                role: 'model',
+                kind: MESSAGE_KINDS.SYSTEM_NOTICE,
+                text: `🎭 ${picked.title}. ${picked.setting} You are talking to ${picked.persona.name}, ${picked.persona.role}.`
+            },
+            { id: createMessageId(), role: 'model', text: picked.opening }
+        ]);
+        speakMessage(picked.opening);
     };
 
-    // Function to initiate Rephrase Sentence feature
-    const rephraseSentence = async () => {
-        setError('');
-        if (isLoading || isListening || isSpeaking || awaitingFeatureInput) return; 
+    // Function to begin an assignment in a new session linked to it. A scenario plays out as usual;
+    // a drill set or phrase list runs as a drill, whose summary keeps each item's score.
+    const startAssignment = (assignment) => {
+        setIsClassroomOpen(false);
+        if (assignment.kind === 'scenario') {
+            startScenario(assignment.scenarioId, assignment);
+            return;
+        }
+        leaveSession();
+        setCurrentSession({ ...createSession('drill'), title: `Assignment: ${assignment.title}`, assignmentId: assignment.id });
+        setConversation([{
+            id: createMessageId(),
+            role: 'model',
+            kind: MESSAGE_KINDS.SYSTEM_NOTICE,
+            text: `📝 ${assignment.title}${assignment.instructions ? `. ${assignment.instructions}` : ''}`
+        }]);
+        startDrill(assignmentDrillSet(assignment));
+    };
 
-        setConversation(prev => [...prev, { role: 'user', text: '✨ I\'d like a sentence rephrased in British English.' }]);
-        const promptText = 'Certainly. Please provide the sentence you wish to rephrase. I will endeavour to make it sound more quintessentially British.';
-        setConversation(prev => [...prev, { role: 'model', text: promptText }]);
-        speakMessage(promptText);
-        setAwaitingFeatureInput('rephrase'); 
+    // Function to open the progress dashboard and compute its stats from the practice log
+    const openProgress = async () => {
+        setIsProgressOpen(true);
+        setProgressStats(null);
+        try {
+            setProgressStats(computeProgressStats(await listPractice()));
+        } catch (err) {
+            console.error("Could not load practice log:", err);
+            setError(t('errors.loadProgress'));
+            setIsProgressOpen(false);
+        }
     };
 
-    // Function to start a role-play scenario using Gemini API
-    const startRolePlay = async () => {
+    // Function to send the failed turn again, dropping any reply that was cut short
+    const retryFailedTurn = () => {
+        const { prompt, messageFields, turnId, replyId } = failedTurn;
+        setConversation(prev => prev
+            .filter(msg => !replyId || msg.id !== replyId)
+            .map(msg => {
+                if (msg.id !== turnId) return msg;
+                const { failed, ...rest } = msg;
+                return rest;
+            }));
         setError('');
-        if (isLoading || isListening || isSpeaking || awaitingFeatureInput) return; 
-
-        const prompt = "As a British BBC accent teacher, please initiate a short, engaging role-play scenario for the user to practice their British English. Suggest a setting (e.g., a café, a train station, a British garden party) and start the conversation. Keep your initial prompt for the role-play short and set the scene clearly.";
-        setConversation(prev => [...prev, { role: 'user', text: '✨ Starting a new role-play scenario...' }]);
-        await sendPromptToGemini(prompt);
+        sendPromptToModel(prompt, messageFields, turnId);
     };
 
-    // Function to clear the conversation history
-    const clearConversation = () => {
-        setConversation([{ role: 'model', text: 'Hello! I am your AI British accent teacher. How may I assist you today in mastering the nuances of British English?' }]);
-        setError('');
-        setAwaitingFeatureInput(null); 
-        stopSpeaking();
-        stopListening();
-        setMessage(''); 
+    // Function to run a global keyboard shortcut. A shortcut that doesn't apply right now (e.g.
+    // Escape with nothing to stop) is left alone so the key keeps its usual meaning.
+    const handleShortcut = (event) => {
+        const shortcut = findShortcut(event);
+        if (!shortcut || isHistoryOpen || isDeckOpen || isProgressOpen || isShortcutHelpOpen || isClassroomOpen || openReport) return; // Dialogs handle their own keys
+
+        switch (shortcut.id) {
+            case 'toggleMic':
+                if (drill && !isOnline) {
+                    if (isSpeaking && !isRecordingAttempt) return;
+                    toggleDrillRecording(); // Offline drills record without recognition
+                } else if (isListening && !isHandsFree) {
+                    stopListening();
+                } else if (drill ? !isSpeaking : !isBusy && !isHandsFree && !isDrillPickerOpen && !isScenarioPickerOpen) {
+                    startListening();
+                } else {
+                    return;
+                }
+                break;
+            case 'stopTeacher':
+                if (!isSpeaking && !isLoading) return;
+                stopTeacher();
+                break;
+            case 'toggleHandsFree':
+                if (isLoading || drill || isDrillPickerOpen || isScenarioPickerOpen) return;
+                toggleHandsFree();
+                break;
+            case 'retry':
+                if (!failedTurn || isLoading || (isListening && !isHandsFree)) return;
+                retryFailedTurn();
+                break;
+            case 'focusInput':
+                if (!messageInputRef.current) return;
+                messageInputRef.current.focus();
+                break;
+            case 'showShortcuts':
+                setIsShortcutHelpOpen(true);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
     };
 
+    // Effect to keep the shortcut listener calling the latest handler
+    useEffect(() => {
+        shortcutHandlerRef.current = handleShortcut;
+    });
+
+    // Effect to listen for keyboard shortcuts anywhere on the page
+    useEffect(() => {
+        const onKeyDown = (event) => shortcutHandlerRef.current(event);
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, []);
+
     return (
-        <div className="min-h-screen bg-gradient-to-br from-blue-100 to-indigo-200 flex items-center justify-center p-4 font-sans antialiased">
-            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-4xl flex flex-col md:flex-row gap-6 border border-blue-200">
-                {/* Left Panel: App Title and Description */}
-                <div className="w-full md:w-1/3 p-4 bg-blue-50 rounded-lg shadow-inner flex flex-col justify-between flex-shrink-0">
-                    <div>
-                        <h1 className="text-4xl font-extrabold text-blue-800 mb-4 text-center">
-                            <span className="block mb-2">🇬🇧</span>British Accent Teacher
-                        </h1>
-                        <p className="text-blue-700 text-lg leading-relaxed text-center">
-                            Master the elegant nuances of British English pronunciation with your personal AI teacher.
-                            Speak naturally, get feedback, and refine your accent through engaging conversations.
-                        </p>
-                    </div>
-                    <div className="mt-8">
-                        <p className="text-blue-600 text-sm text-center">
-                            <strong className="font-semibold">How to Use:</strong><br />
-                            1. Click "Start Speaking" or type your message.<br />
-                            2. Grant microphone access if prompted.<br />
-                            3. Converse with your AI teacher!<br />
-                            (For best results, use Chrome or Edge browser)
-                        </p>
-                        {error && (
-                            <div className="mt-4 p-3 bg-red-100 text-red-700 rounded-lg border border-red-300 text-center text-sm">
-                                {error}
+        <I18nContext.Provider value={i18n}>
+            <div className="min-h-screen bg-gradient-to-br from-blue-100 to-indigo-200 flex items-center justify-center p-4 font-sans antialiased">
+                <a
+                    href="#message-input"
+                    className="sr-only focus:not-sr-only focus:absolute focus:top-2 focus:start-2 focus:z-40 focus:p-2 focus:rounded focus:bg-white focus:text-blue-800 focus:shadow"
+                >
+                    {t('app.skipToInput')}
+                </a>
+                {/* Screen-reader announcements of teacher turns and the mic state */}
+                <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">{announcement}</div>
+                {isShortcutHelpOpen && <ShortcutHelp onClose={() => setIsShortcutHelpOpen(false)} />}
+                {isClassroomOpen && (
+                    <Classroom
+                        role={interfaceSettings.role}
+                        name={interfaceSettings.name}
+                        onRoleChange={(role) => setInterfaceSettings(prev => ({ ...prev, role }))}
+                        onNameChange={(name) => setInterfaceSettings(prev => ({ ...prev, name }))}
+                        assignments={assignments}
+                        sessions={sessions}
+                        onCreate={createOwnAssignment}
+                        onDownload={downloadAssignment}
+                        onReceive={receiveAssignmentFile}
+                        onStart={startAssignment}
+                        onSubmit={submitReport}
+                        onRemove={removeAssignment}
+                        onOpenReport={openReportFile}
+                        onClose={() => setIsClassroomOpen(false)}
+                        disabled={isBusy}
+                    />
+                )}
+                {openReport && (
+                    <ReportReview
+                        key={`${openReport.session.id}-${openReport.reviewedAt || openReport.submittedAt}`}
+                        report={openReport}
+                        editable={interfaceSettings.role === 'tutor'}
+                        reviewer={interfaceSettings.name}
+                        onSave={saveReview}
+                        onClose={closeReport}
+                    />
+                )}
+                {isProgressOpen && (
+                    <ProgressDashboard
+                        stats={progressStats}
+                        profile={learnerProfile}
+                        onForgetProfile={() => setLearnerProfile(EMPTY_LEARNER_PROFILE)}
+                        onClose={() => setIsProgressOpen(false)}
+                    />
+                )}
+                {isDeckOpen && (
+                    <DeckReview
+                        dueCards={cards.filter(card => isDue(card)).sort((a, b) => a.due - b.due)}
+                        deckSize={cards.length}
+                        onGrade={gradeCard}
+                        onDelete={removeCard}
+                        onSpeak={speakMessage}
+                        onClose={() => { stopSpeaking(); setIsDeckOpen(false); }}
+                    />
+                )}
+                {isHistoryOpen && (
+                    <SessionSidebar
+                        sessions={sessions}
+                        currentSessionId={currentSession.id}
+                        onResume={async (id) => {
+                            if (await resumeSession(id)) setIsHistoryOpen(false);
+                        }}
+                        onRename={renameSession}
+                        onDelete={removeSession}
+                        onExport={exportSession}
+                        onBackup={backupAll}
+                        onImport={importData}
+                        onClose={() => setIsHistoryOpen(false)}
+                        disabled={isLoading || isListening}
+                    />
+                )}
+                <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-4xl flex flex-col md:flex-row gap-6 border border-blue-200">
+                    {/* Left Panel: App Title and Description */}
+                    <SidePanel
+                        languageId={uiLanguage.id}
+                        onLanguageChange={(language) => setInterfaceSettings(prev => ({ ...prev, language }))}
+                        sessionCount={sessions.length}
+                        dueCount={cards.filter(card => isDue(card)).length}
+                        onOpenHistory={() => setIsHistoryOpen(true)}
+                        onOpenDeck={() => { stopSpeaking(); setIsDeckOpen(true); }}
+                        deckDisabled={isLoading || isListening}
+                        onOpenProgress={openProgress}
+                        onOpenClassroom={() => setIsClassroomOpen(true)}
+                        onOpenShortcuts={() => setIsShortcutHelpOpen(true)}
+                        error={error}
+                    >
+                        <VoiceSettings
+                            settings={speechSettings}
+                            voices={voices}
+                            onChange={setSpeechSettings}
+                            onTest={() => speakMessage(accent.greeting)}
+                            disabled={isListening}
+                        />
+                        <TeacherSettings
+                            settings={teacherSettings}
+                            defaultPersona={accent.prompt}
+                            onChange={setTeacherSettings}
+                            disabled={isLoading}
+                        />
+                        <ProviderSettings
+                            settings={llmSettings}
+                            onChange={setLlmSettings}
+                            disabled={isLoading}
+                        />
+                    </SidePanel>
+
+                    {/* Right Panel: Chat Interface */}
+                    <main className="w-full md:w-2/3 flex flex-col h-[90vh] md:h-[85vh] max-h-[90vh] md:max-h-[85vh]">
+                        {!isOnline && (
+                            <div role="status" className="mb-3 p-2 rounded-lg bg-amber-100 text-amber-900 border border-amber-300 text-sm">
+                                {t('offline.banner')}
                             </div>
                         )}
-                    </div>
-                </div>
+                        {/* Chat History (announced through the live region above, not as it streams in) */}
+                        <div
+                            ref={chatHistoryRef}
+                            role="log"
+                            aria-label={t('app.conversation')}
+                            aria-live="off"
+                            aria-busy={isLoading}
+                            tabIndex={0}
+                            className="flex-1 bg-gray-50 p-4 rounded-lg overflow-y-auto shadow-inner mb-4 border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            {conversation.map(msg => (
+                                <ChatMessage
+                                    key={msg.id}
+                                    message={msg}
+                                    isStreaming={msg.id === streamingMessageId}
+                                    onSpeak={speakMessage}
+                                    onStopSpeaking={stopSpeaking}
+                                    onSaveToDeck={() => saveToDeck(msg.id)}
+                                    isSaving={savingDeckId === msg.id}
+                                    saveDisabled={isLoading || !isOnline || savingDeckId !== null}
+                                    isOffline={!isOnline}
+                                    speakDisabled={isListening && !isHandsFree}
+                                    playbackDisabled={isListening || isLoading}
+                                />
+                            ))}
+                            {isLoading && !streamingMessageId && <ThinkingBubble retryStatus={retryStatus} />}
+                            {failedTurn && !isLoading && (
+                                <FailedTurnNotice
+                                    error={failedTurn.error}
+                                    onRetry={retryFailedTurn}
+                                    onDismiss={() => setFailedTurn(null)}
+                                    disabled={isListening && !isHandsFree}
+                                />
+                            )}
+                        </div>
 
-                {/* Right Panel: Chat Interface */}
-                <div className="w-full md:w-2/3 flex flex-col h-[90vh] md:h-[85vh] max-h-[90vh] md:max-h-[85vh]">
-                    {/* Chat History */}
-                    <div ref={chatHistoryRef} className="flex-1 bg-gray-50 p-4 rounded-lg overflow-y-auto shadow-inner mb-4 border border-gray-200">
-                        {conversation.map((msg, index) => (
-                            <div key={index} className={`mb-3 p-3 rounded-lg shadow-sm ${msg.role === 'user' ? 'bg-indigo-100 ml-auto text-indigo-900 max-w-[80%]' : 'bg-blue-100 mr-auto text-blue-900 max-w-[80%]'}`}>
-                                <strong className="font-semibold text-sm">{msg.role === 'user' ? 'You:' : 'Teacher:'}</strong> {msg.text}
-                            </div>
-                        ))}
-                        {isLoading && (
-                            <div className="mb-3 p-3 rounded-lg shadow-sm bg-blue-100 mr-auto text-blue-900 max-w-[80%]">
-                                <span className="animate-pulse">Teacher is thinking...</span>
-                            </div>
-                        )}
-                    </div>
-
-                    {/* Message Input and Controls */}
-                    <div className="flex flex-col gap-3">
-                        {/* Input field and Send button in one row */}
-                        <div className="flex">
-                            <input
-                                type="text"
-                                className="flex-1 p-3 rounded-l-lg border-2 border-blue-300 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition duration-200"
-                                placeholder={awaitingFeatureInput === 'vocab' ? 'Enter a topic for vocabulary...' : awaitingFeatureInput === 'rephrase' ? 'Enter sentence to rephrase...' : 'Type your message here...'}
-                                value={message}
-                                onChange={(e) => setMessage(e.target.value)}
-                                onKeyPress={(e) => {
-                                    if (e.key === 'Enter') {
-                                        sendMessage(message); 
-                                    }
-                                }}
-                                disabled={isLoading || isListening || isSpeaking}
+                        {/* Message Input and Controls */}
+                        {drill || isDrillPickerOpen ? (
+                            <DrillPanel
+                                drill={drill}
+                                onStart={startDrill}
+                                onPlay={playDrillTarget}
+                                onRepeat={isOnline ? startListening : toggleDrillRecording}
+                                onNext={nextDrillItem}
+                                onExit={finishDrill}
+                                onSpeak={speakMessage}
+                                onStopSpeaking={stopSpeaking}
+                                isListening={isListening}
+                                isRecording={isRecordingAttempt}
+                                isOffline={!isOnline}
+                                disabled={isListening || isSpeaking || isRecordingAttempt}
                             />
-                            <button
-                                onClick={() => sendMessage(message)} 
-                                className="bg-blue-600 text-white p-3 rounded-r-lg hover:bg-blue-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-                                disabled={!message.trim() || isLoading || isListening || isSpeaking}
-                            >
-                                Send
-                            </button>
-                        </div>
-                        
-                        {/* Buttons for Speaking, Tips, Role-play, Clear Chat */}
-                        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
-                            <button
-                                onClick={startListening}
-                                className={`flex items-center justify-center p-3 rounded-lg font-semibold transition duration-200 ${isListening ? 'bg-red-500 hover:bg-red-600 text-white' : 'bg-green-500 hover:bg-green-600 text-white'} disabled:opacity-50 disabled:cursor-not-allowed`}
-                                disabled={isListening || isLoading || isSpeaking || awaitingFeatureInput}
-                            >
-                                {isListening ? (
-                                    <>
-                                        <svg className="animate-bounce h-5 w-5 mr-2" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path fillRule="evenodd" d="M7 4a3 3 0 016 0v4a3 3 0 11-6 0V4zm4 10.93A7.001 3 0 0017 8a1 1 0 10-2 0 5 5 0 01-5 5.93V15a1 1 0 102 0v-.077a2.99 3 0 01.297.023l.117.008A1 1 0 0115 16a3 3 0 11-6 0 1 1 0 01.297-.023l.117-.008A2.99 3 0 019 14.93V15a1 1 0 102 0v-.07z" clipRule="evenodd"></path></svg>
-                                        Listening...
-                                    </>
-                                ) : (
-                                    <>
-                                        <svg className="h-5 w-5 mr-2" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path fillRule="evenodd" d="M7 4a3 3 0 016 0v4a3 3 0 11-6 0V4zm4 10.93A7.001 3 0 0017 8a1 1 0 10-2 0 5 5 0 01-5 5.93V15a1 1 0 102 0v-.077a2.99 3 0 01.297.023l.117-.008A1 1 0 0115 16a3 3 0 11-6 0 1 1 0 01.297-.023l.117-.008A2.99 3 0 019 14.93V15a1 1 0 102 0v-.07z" clipRule="evenodd"></path></svg>
-                                        Start Speaking
-                                    </>
+                        ) : isScenarioPickerOpen ? (
+                            <ScenarioPicker onStart={startScenario} onCancel={() => setIsScenarioPickerOpen(false)} />
+                        ) : (
+                            <div className="flex flex-col gap-3">
+                                {isScenarioRunning && (
+                                    <ScenarioBrief
+                                        scenario={scenario}
+                                        turnsTaken={countLearnerTurns(conversation)}
+                                        usedPhrases={findUsedPhrases(scenario, conversation.filter(isLearnerTurn).map(msg => msg.text))}
+                                        onDebrief={debriefScenario}
+                                        disabled={isLoading || !isOnline || !conversation.some(isLearnerTurn)}
+                                    />
                                 )}
-                            </button>
-                            <button
-                                onClick={stopSpeaking}
-                                className="flex items-center justify-center p-3 rounded-lg bg-orange-500 text-white font-semibold hover:bg-orange-600 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-                                disabled={!isSpeaking || isLoading}
-                            >
-                                <svg className="h-5 w-5 mr-2" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8 7a1 1 0 00-1 1v4a1 1 0 001 1h4a1 1 0 001-1V8a1 1 0 00-1-1H8z" clipRule="evenodd"></path></svg>
-                                Stop Teacher
-                            </button>
-                            <button
-                                onClick={getPronunciationTips}
-                                className="flex items-center justify-center p-3 rounded-lg bg-purple-600 text-white font-semibold hover:bg-purple-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-                                disabled={isLoading || isListening || isSpeaking || awaitingFeatureInput || conversation.filter(msg => msg.role === 'user' && msg.text !== 'Listening...').length === 0}
-                            >
-                                ✨ Pronunciation Tips
-                            </button>
-                            <button
-                                onClick={getBritishVocabulary}
-                                className="flex items-center justify-center p-3 rounded-lg bg-yellow-600 text-white font-semibold hover:bg-yellow-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-                                disabled={isLoading || isListening || isSpeaking || awaitingFeatureInput}
-                            >
-                                ✨ British Vocab/Idioms
-                            </button>
-                            <button
-                                onClick={rephraseSentence}
-                                className="flex items-center justify-center p-3 rounded-lg bg-pink-600 text-white font-semibold hover:bg-pink-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-                                disabled={isLoading || isListening || isSpeaking || awaitingFeatureInput}
-                            >
-                                ✨ Rephrase Britishly
-                            </button>
-                            <button
-                                onClick={startRolePlay}
-                                className="flex items-center justify-center p-3 rounded-lg bg-teal-600 text-white font-semibold hover:bg-teal-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-                                disabled={isLoading || isListening || isSpeaking || awaitingFeatureInput}
-                            >
-                                ✨ Start Role-play
-                            </button>
-                            <button
-                                onClick={clearConversation}
-                                className="col-span-1 md:col-span-3 flex items-center justify-center p-3 rounded-lg bg-gray-300 text-gray-800 font-semibold hover:bg-gray-400 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-                                disabled={isLoading || isListening || isSpeaking}
-                            >
-                                <svg className="h-5 w-5 mr-2" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 11-2 0v6a1 1 0 112 0V8z" clipRule="evenodd"></path></svg>
-                                Clear Chat
-                            </button>
-                        </div>
-                    </div>
+                                <MessageComposer
+                                    inputRef={messageInputRef}
+                                    value={message}
+                                    onChange={setMessage}
+                                    onSend={sendMessage}
+                                    placeholder={awaitingSkill ? getSkill(awaitingSkill).followUp.placeholder : null}
+                                    disabled={isLoading || (isListening && !isHandsFree)}
+                                    isHandsFree={isHandsFree}
+                                    onToggleHandsFree={toggleHandsFree}
+                                    handsFreeDisabled={isLoading}
+                                />
+
+                                {/* Buttons for Speaking, Tips, Role-play, Clear Chat */}
+                                <PracticeControls
+                                    isListening={isListening}
+                                    isSpeaking={isSpeaking}
+                                    isLoading={isLoading}
+                                    isBusy={isBusy}
+                                    isHandsFree={isHandsFree}
+                                    isOnline={isOnline}
+                                    hasLearnerTurn={conversation.some(isLearnerTurn)}
+                                    onStartListening={startListening}
+                                    onStopTeacher={stopTeacher}
+                                    onRunSkill={runSkill}
+                                    onOpenScenarios={() => {
+                                        stopListening(); // Reopened in hands-free mode once a scenario starts
+                                        setError('');
+                                        setIsScenarioPickerOpen(true);
+                                    }}
+                                    onOpenDrills={() => {
+                                        if (isHandsFree) toggleHandsFree(); // Drills take one repetition at a time
+                                        setError('');
+                                        setIsDrillPickerOpen(true);
+                                    }}
+                                    onClear={clearConversation}
+                                />
+                            </div>
+                        )}
+                    </main>
                 </div>
             </div>
-        </div>
+        </I18nContext.Provider>
     );
 };
 
@@ -0,0 +1,138 @@
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import App from './App';
+import { getAccent } from './services/accents';
+import { FakeSpeechRecognition, errorReply, mockFetch, requestBody, setOnline, streamedReply } from './testing/browserFakes';
+
+// Sessions, recordings, the deck and the practice log live in IndexedDB, which jsdom lacks:
+// every store answers from an empty database
+jest.mock('./services/db', () => ({
+    ...jest.requireActual('./services/db'),
+    withStores: async () => []
+}));
+
+const greeting = getAccent('rp').greeting;
+
+const typeAndSend = (text) => {
+    fireEvent.change(screen.getByRole('textbox', { name: 'Your message' }), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+};
+
+describe('App', () => {
+    beforeEach(() => {
+        // The app logs failures it also shows on screen
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('greets the learner', async () => {
+        render(<App />);
+
+        expect(await screen.findByText(greeting)).toBeInTheDocument();
+    });
+
+    it('answers a typed message with a streamed reply and speaks it', async () => {
+        mockFetch(streamedReply('Lovely to ', 'meet you. ', 'Shall we begin?'));
+        render(<App />);
+
+        typeAndSend('Hello, teacher!');
+
+        expect(await screen.findByText('Hello, teacher!')).toBeInTheDocument();
+        expect(await screen.findByText('Lovely to meet you. Shall we begin?')).toBeInTheDocument();
+        expect(requestBody().contents.slice(-1)).toEqual([{ role: 'user', parts: [{ text: 'Hello, teacher!' }] }]);
+        await waitFor(() => expect(window.speechSynthesis.texts()).toEqual(['Lovely to meet you.']));
+        expect(screen.getByRole('textbox', { name: 'Your message' })).toHaveValue('');
+    });
+
+    it('sends what the learner says with push-to-talk', async () => {
+        mockFetch(streamedReply('Well said!'));
+        render(<App />);
+        const recognition = FakeSpeechRecognition.latest();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Start Speaking' }));
+        expect(recognition.isStarted).toBe(true);
+        expect(recognition.continuous).toBe(false);
+
+        act(() => recognition.hear('a cup of', { isFinal: false }));
+        expect(await screen.findByText('a cup of')).toBeInTheDocument();
+
+        act(() => recognition.hear('a cup of tea please'));
+        expect(await screen.findByText('Well said!')).toBeInTheDocument();
+        expect(screen.getByText('a cup of tea please')).toBeInTheDocument();
+        expect(requestBody().contents.slice(-1)[0].parts[0].text).toBe('a cup of tea please');
+    });
+
+    it('says so when the mic heard nothing', async () => {
+        render(<App />);
+        const recognition = FakeSpeechRecognition.latest();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Start Speaking' }));
+        act(() => recognition.stop());
+
+        expect(await screen.findByRole('alert')).toHaveTextContent(/No speech/i);
+        expect(screen.queryByText('Listening...')).not.toBeInTheDocument();
+    });
+
+    it('keeps a failed turn out of the conversation until it is retried', async () => {
+        mockFetch(errorReply(400, 'Invalid model.'), streamedReply('Here is my answer.'));
+        render(<App />);
+
+        typeAndSend('Can you hear me?');
+
+        expect(await screen.findByText(/The language model returned an error/)).toBeInTheDocument();
+        expect(screen.getByText(/Not answered/)).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: /Retry this message/ }));
+
+        expect(await screen.findByText('Here is my answer.')).toBeInTheDocument();
+        expect(screen.queryByText(/Not answered/)).not.toBeInTheDocument();
+        expect(requestBody(1).contents.slice(-1)[0].parts[0].text).toBe('Can you hear me?');
+    });
+
+    it('leaves a failed turn behind when a role-play scenario starts', async () => {
+        mockFetch(errorReply(400, 'Invalid model.'));
+        render(<App />);
+
+        typeAndSend('Can you hear me?');
+        expect(await screen.findByRole('button', { name: /Retry this message/ })).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: /Role-play Scenarios/ }));
+        fireEvent.click(screen.getByRole('button', { name: /Ordering at a pub/ }));
+
+        expect(await screen.findByText('Evening! What can I get you?')).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: /Retry this message/ })).not.toBeInTheDocument();
+        expect(screen.queryByText('Can you hear me?')).not.toBeInTheDocument();
+    });
+
+    it('queues a message sent offline and sends it once the connection returns', async () => {
+        mockFetch(streamedReply('Welcome back!'));
+        render(<App />);
+
+        act(() => setOnline(false));
+        expect(await screen.findByText(/You're offline/)).toBeInTheDocument();
+        typeAndSend('Are you there?');
+
+        expect(await screen.findByText(/Waiting for a connection/)).toBeInTheDocument();
+        expect(window.fetch).not.toHaveBeenCalled();
+
+        act(() => setOnline(true));
+
+        expect(await screen.findByText('Welcome back!')).toBeInTheDocument();
+        expect(screen.queryByText(/Waiting for a connection/)).not.toBeInTheDocument();
+    });
+
+    it('stops the teacher mid-sentence', async () => {
+        mockFetch(streamedReply('First sentence. Second sentence.'));
+        render(<App />);
+        typeAndSend('Tell me two things.');
+        await waitFor(() => expect(window.speechSynthesis.speaking).toBe(true));
+
+        fireEvent.click(screen.getByRole('button', { name: 'Stop Teacher' }));
+
+        expect(window.speechSynthesis.speaking).toBe(false);
+        expect(screen.getByRole('button', { name: 'Stop Teacher' })).toBeDisabled();
+    });
+});
@@ -0,0 +1,80 @@
+import React from 'react';
+import StructuredMessage, { hasStructuredRenderer } from './StructuredMessage';
+import MarkdownMessage from './MarkdownMessage';
+import RecordingPlayback from './RecordingPlayback';
+import { canSaveToDeck } from '../skills';
+import { useI18n } from '../i18n';
+
+// One message in the chat: a card for structured results, otherwise a bubble. Teacher replies are
+// rendered as Markdown with speakable phrases; the learner's spoken turns can be played back.
+// A skill's reply can be turned into flashcards once it has finished streaming in.
+const ChatMessage = ({
+    message,
+    isStreaming,
+    onSpeak,
+    onStopSpeaking,
+    onSaveToDeck,
+    isSaving,
+    saveDisabled,
+    isOffline,
+    speakDisabled,
+    playbackDisabled
+}) => {
+    const { t } = useI18n();
+    if (hasStructuredRenderer(message.kind)) {
+        return <StructuredMessage message={message} />;
+    }
+
+    return (
+        <div className={`mb-3 p-3 rounded-lg shadow-sm ${message.role === 'user' ? 'bg-indigo-100 ms-auto text-indigo-900 max-w-[80%]' : 'bg-blue-100 me-auto text-blue-900 max-w-[80%]'} ${message.failed ? 'opacity-70 border border-red-300' : ''}`}>
+            {message.role === 'user' || message.kind ? (
+                <><strong className="font-semibold text-sm">{message.role === 'user' ? t('chat.you') : t('chat.teacher')}</strong> <span dir="auto">{message.text}</span></>
+            ) : (
+                <>
+                    <strong className="font-semibold text-sm">{t('chat.teacher')}</strong>
+                    <div dir="ltr" lang="en">
+                        <MarkdownMessage text={message.text} onSpeak={onSpeak} disabled={speakDisabled} />
+                    </div>
+                </>
+            )}
+            {message.failed && (
+                <div className="mt-1 text-xs text-red-700">
+                    {message.role === 'user' ? t('chat.notAnswered') : t('chat.replyCutShort')}
+                </div>
+            )}
+            {message.queued && (
+                <div className="mt-1 text-xs text-amber-700">{t('chat.queued')}</div>
+            )}
+            {canSaveToDeck(message.skill) && !isStreaming && (
+                <div className="mt-2">
+                    {message.savedCardCount !== undefined ? (
+                        <span className="text-xs text-blue-700">
+                            {t(message.savedCardCount === 1 ? 'chat.savedCardsOne' : 'chat.savedCardsOther', { count: message.savedCardCount })}
+                        </span>
+                    ) : (
+                        <button
+                            onClick={onSaveToDeck}
+                            className="px-2 py-1 rounded bg-white text-blue-800 border border-blue-300 text-xs hover:bg-blue-50 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                            disabled={saveDisabled}
+                            title={isOffline ? t('offline.needsConnection') : undefined}
+                        >
+                            {isSaving ? t('chat.saving') : t('chat.saveToDeck')}
+                        </button>
+                    )}
+                </div>
+            )}
+            {message.recordingId && (
+                <RecordingPlayback
+                    key={message.recordingId}
+                    recordingId={message.recordingId}
+                    text={message.text}
+                    onSpeak={onSpeak}
+                    onStopSpeaking={onStopSpeaking}
+                    disabled={playbackDisabled}
+                />
+            )}
+        </div>
+    );
+};
+
+export default ChatMessage;
@@ -0,0 +1,393 @@
+import React, { useRef, useState } from 'react';
+import { DRILL_SETS } from '../data/drills';
+import { SCENARIOS } from '../data/scenarios';
+import { getDrillSet } from '../data/drills';
+import { getScenario } from '../data/scenarios';
+import {
+    ASSIGNMENT_KINDS,
+    assignmentToLink,
+    checkAssignmentDraft,
+    isOverdue,
+    parsePhraseList,
+    sortAssignments
+} from '../services/assignments';
+import { importErrorMessage } from '../services/dataTransfer';
+import useDialogFocus from '../hooks/useDialogFocus';
+import { useI18n } from '../i18n';
+
+// Blank form for a new assignment, due a week from today
+const emptyDraft = () => {
+    const due = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    return {
+        title: '',
+        kind: 'drill',
+        setId: DRILL_SETS[0].id,
+        scenarioId: SCENARIOS[0].id,
+        phraseText: '',
+        due: `${due.getFullYear()}-${String(due.getMonth() + 1).padStart(2, '0')}-${String(due.getDate()).padStart(2, '0')}`,
+        instructions: ''
+    };
+};
+
+// The link that opens this copy of the app with the assignment ready to add
+const shareLink = (assignment) => assignmentToLink(assignment, `${window.location.origin}${window.location.pathname}`);
+
+const formatDue = (assignment) => new Date(`${assignment.due}T00:00`).toLocaleDateString();
+
+// Label for an assignment kind in the interface language
+export const kindLabel = (t, kind) => t(`classroom.kinds.${kind}`, {}, ASSIGNMENT_KINDS[kind]);
+
+// One line describing what the assignment asks for, e.g. "Drill set: TRAP–BATH split"
+const describeAssignment = (t, assignment) => {
+    const kind = kindLabel(t, assignment.kind);
+    switch (assignment.kind) {
+        case 'drill':
+            return t('classroom.describe', { kind, title: getDrillSet(assignment.setId).title });
+        case 'scenario':
+            return t('classroom.describe', { kind, title: getScenario(assignment.scenarioId).title });
+        default: {
+            const count = assignment.phrases.length;
+            return t(count === 1 ? 'classroom.phraseCountOne' : 'classroom.phraseCountOther', { kind, count });
+        }
+    }
+};
+
+// Run `action` with a file the user picked, reporting ImportError messages (and `failure` for
+// anything else) through `setStatus`
+const openFile = (action, setStatus, t, failure) => async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Let the same file be picked again
+    if (!file) return;
+    setStatus(null);
+    try {
+        const message = await action(file);
+        if (message) setStatus({ message, isError: false });
+    } catch (err) {
+        console.error("Could not open file:", err.problems || err);
+        setStatus({ message: importErrorMessage(t, err, failure), isError: true });
+    }
+};
+
+// Tutor's form for setting an assignment: what to practise, by when, and any instructions
+const AssignmentEditor = ({ onCreate }) => {
+    const { t } = useI18n();
+    // State for the form fields
+    const [draft, setDraft] = useState(emptyDraft);
+    // State for problems stopping the assignment being created
+    const [problems, setProblems] = useState([]);
+
+    const update = (field) => (e) => setDraft(prev => ({ ...prev, [field]: e.target.value }));
+
+    const create = async (e) => {
+        e.preventDefault();
+        const fields = { ...draft, phrases: parsePhraseList(draft.phraseText) };
+        const found = checkAssignmentDraft(fields);
+        setProblems(found);
+        if (found.length > 0) return;
+        if (await onCreate(fields)) setDraft(emptyDraft());
+    };
+
+    const fieldClass = 'w-full p-2 rounded-lg border border-blue-300 bg-white';
+    return (
+        <form onSubmit={create} className="p-3 rounded-lg bg-blue-50 border border-blue-200 flex flex-col gap-2 text-sm">
+            <h3 className="font-semibold text-blue-900">{t('classroom.newAssignment')}</h3>
+            <label className="flex flex-col gap-1 text-blue-800">
+                {t('classroom.assignmentTitle')}
+                <input type="text" className={fieldClass} value={draft.title} onChange={update('title')} placeholder={t('classroom.titlePlaceholder')} />
+            </label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <label className="flex flex-col gap-1 text-blue-800">
+                    {t('classroom.practice')}
+                    <select className={fieldClass} value={draft.kind} onChange={update('kind')}>
+                        {Object.keys(ASSIGNMENT_KINDS).map(kind => (
+                            <option key={kind} value={kind}>{kindLabel(t, kind)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col gap-1 text-blue-800">
+                    {t('classroom.dueDate')}
+                    <input type="date" className={fieldClass} value={draft.due} onChange={update('due')} />
+                </label>
+            </div>
+            {draft.kind === 'drill' && (
+                <label className="flex flex-col gap-1 text-blue-800">
+                    {t('classroom.drillSet')}
+                    <select className={fieldClass} value={draft.setId} onChange={update('setId')}>
+                        {DRILL_SETS.map(set => <option key={set.id} value={set.id}>{set.title}</option>)}
+                    </select>
+                </label>
+            )}
+            {draft.kind === 'scenario' && (
+                <label className="flex flex-col gap-1 text-blue-800">
+                    {t('classroom.scenario')}
+                    <select className={fieldClass} value={draft.scenarioId} onChange={update('scenarioId')}>
+                        {SCENARIOS.map(scenario => <option key={scenario.id} value={scenario.id}>{scenario.title}</option>)}
+                    </select>
+                </label>
+            )}
+            {draft.kind === 'phrases' && (
+                <label className="flex flex-col gap-1 text-blue-800">
+                    {t('classroom.phrases')}
+                    <textarea className={fieldClass} rows={4} value={draft.phraseText} onChange={update('phraseText')} />
+                </label>
+            )}
+            <label className="flex flex-col gap-1 text-blue-800">
+                {t('classroom.instructions')}
+                <textarea className={fieldClass} rows={2} value={draft.instructions} onChange={update('instructions')} />
+            </label>
+            {problems.length > 0 && (
+                <ul className="text-red-700 list-disc list-inside" role="alert">
+                    {problems.map(field => <li key={field}>{t(`classroom.problems.${field}`)}</li>)}
+                </ul>
+            )}
+            <button type="submit" className="p-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 transition duration-200">
+                {t('classroom.create')}
+            </button>
+        </form>
+    );
+};
+
+// Assignments the tutor has set on this device, each shareable again as a link or file
+const TutorAssignments = ({ assignments, onDownload, onRemove, setStatus }) => {
+    const { t } = useI18n();
+    const copyLink = async (assignment) => {
+        try {
+            await navigator.clipboard.writeText(shareLink(assignment));
+            setStatus({ message: t('classroom.linkCopied', { title: assignment.title }), isError: false });
+        } catch (err) {
+            setStatus({ message: t('classroom.copyFailed'), isError: true });
+        }
+    };
+
+    if (assignments.length === 0) {
+        return <p className="text-sm text-gray-500">{t('classroom.noneSet')}</p>;
+    }
+    return (
+        <ul className="flex flex-col gap-2">
+            {sortAssignments(assignments).map(assignment => (
+                <li key={assignment.id} className="p-3 rounded-lg border border-gray-200 bg-gray-50 text-sm">
+                    <p className="font-semibold text-blue-900">{assignment.title}</p>
+                    <p className="text-gray-600">{describeAssignment(t, assignment)} · {t('classroom.dueOn', { date: formatDue(assignment) })}</p>
+                    <div className="flex flex-wrap gap-2 mt-2">
+                        <button onClick={() => copyLink(assignment)} className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 transition duration-200">
+                            {t('classroom.copyLink')}
+                        </button>
+                        <button onClick={() => onDownload(assignment)} className="px-2 py-1 rounded bg-blue-100 text-blue-800 hover:bg-blue-200 transition duration-200">
+                            {t('classroom.download')}
+                        </button>
+                        <button onClick={() => onRemove(assignment)} className="px-2 py-1 rounded bg-red-100 text-red-700 hover:bg-red-200 transition duration-200">
+                            {t('classroom.delete')}
+                        </button>
+                    </div>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+// Assignments the learner received, with their due dates and whether a report has gone in
+const LearnerAssignments = ({ assignments, sessions, onStart, onSubmit, onRemove, disabled }) => {
+    const { t } = useI18n();
+    if (assignments.length === 0) {
+        return <p className="text-sm text-gray-500">{t('classroom.noneReceived')}</p>;
+    }
+    return (
+        <ul className="flex flex-col gap-2">
+            {sortAssignments(assignments).map(assignment => {
+                const hasSession = sessions.some(session => session.assignmentId === assignment.id);
+                const overdue = !assignment.submittedAt && isOverdue(assignment);
+                return (
+                    <li key={assignment.id} className={`p-3 rounded-lg border text-sm ${overdue ? 'border-red-300 bg-red-50' : 'border-gray-200 bg-gray-50'}`}>
+                        <p className="font-semibold text-blue-900">{assignment.title}</p>
+                        <p className="text-gray-600">
+                            {describeAssignment(t, assignment)}
+                            {assignment.tutor && ` · ${t('classroom.from', { tutor: assignment.tutor })}`}
+                        </p>
+                        <p className={overdue ? 'text-red-700 font-semibold' : 'text-gray-600'}>
+                            {t('classroom.dueOnLearner', { date: formatDue(assignment) })}
+                            {overdue && ` · ${t('classroom.overdue')}`}
+                            {assignment.submittedAt && ` · ${t('classroom.submittedOn', { date: new Date(assignment.submittedAt).toLocaleString() })}`}
+                        </p>
+                        {assignment.instructions && <p className="text-gray-800 mt-1">{assignment.instructions}</p>}
+                        <div className="flex flex-wrap gap-2 mt-2">
+                            <button
+                                onClick={() => onStart(assignment)}
+                                className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                disabled={disabled}
+                            >
+                                {t(hasSession ? 'classroom.practiseAgain' : 'classroom.start')}
+                            </button>
+                            <button
+                                onClick={() => onSubmit(assignment)}
+                                className="px-2 py-1 rounded bg-green-600 text-white hover:bg-green-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                disabled={!hasSession}
+                                title={t(hasSession ? 'classroom.submitHint' : 'classroom.practiseFirst')}
+                            >
+                                {t(assignment.submittedAt ? 'classroom.submitAgain' : 'classroom.submit')}
+                            </button>
+                            <button onClick={() => onRemove(assignment)} className="px-2 py-1 rounded bg-red-100 text-red-700 hover:bg-red-200 transition duration-200">
+                                {t('classroom.remove')}
+                            </button>
+                        </div>
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+// Classroom dialog. Tutors set assignments and share them as a link or file, and open the reports
+// learners hand in; learners see the assignments they received, practise them, submit a report
+// of the session, and open the reviewed report their tutor sends back.
+const Classroom = ({
+    role,
+    name,
+    onRoleChange,
+    onNameChange,
+    assignments,
+    sessions,
+    onCreate,
+    onDownload,
+    onReceive,
+    onStart,
+    onSubmit,
+    onRemove,
+    onOpenReport,
+    onClose,
+    disabled
+}) => {
+    const { t } = useI18n();
+    // State for the result of the last file opened or link copied: { message, isError }
+    const [status, setStatus] = useState(null);
+    // Hidden file inputs for an assignment file and a report
+    const assignmentInputRef = useRef(null);
+    const reportInputRef = useRef(null);
+    // Focus stays in the dialog while it is open; Escape closes it
+    const dialogProps = useDialogFocus(onClose);
+
+    const isTutor = role === 'tutor';
+    const visibleAssignments = assignments.filter(assignment => Boolean(assignment.isOwn) === isTutor);
+
+    const confirmRemove = (assignment) => {
+        if (window.confirm(t('classroom.confirmRemove', { title: assignment.title }))) {
+            onRemove(assignment.id);
+        }
+    };
+
+    const create = async (fields) => {
+        setStatus(null);
+        try {
+            const assignment = await onCreate(fields);
+            setStatus({ message: t('classroom.created', { title: assignment.title }), isError: false });
+            return true;
+        } catch (err) {
+            console.error("Could not save assignment:", err);
+            setStatus({ message: t('classroom.saveFailed'), isError: true });
+            return false;
+        }
+    };
+
+    const submit = async (assignment) => {
+        setStatus(null);
+        try {
+            await onSubmit(assignment);
+            setStatus({ message: t('classroom.submitted', { title: assignment.title }), isError: false });
+        } catch (err) {
+            console.error("Could not build report:", err);
+            setStatus({ message: t('classroom.submitFailed'), isError: true });
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-30 bg-black bg-opacity-40 flex items-center justify-center p-4">
+            <div {...dialogProps} aria-labelledby="classroom-title" className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto flex flex-col gap-4 focus:outline-none">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                    <h2 id="classroom-title" className="text-xl font-bold text-blue-800">{t('classroom.title')}</h2>
+                    <div role="radiogroup" aria-label={t('classroom.roleLabel')} className="flex rounded-lg border border-blue-300 overflow-hidden text-sm">
+                        {['learner', 'tutor'].map(value => (
+                            <button
+                                key={value}
+                                role="radio"
+                                aria-checked={role === value}
+                                onClick={() => { setStatus(null); onRoleChange(value); }}
+                                className={`px-3 py-1 transition duration-200 ${role === value ? 'bg-blue-600 text-white' : 'bg-white text-blue-800 hover:bg-blue-50'}`}
+                            >
+                                {t(`classroom.${value}`)}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-blue-800">
+                    {t('classroom.name')}
+                    <input
+                        type="text"
+                        className="flex-1 p-2 rounded-lg border border-blue-300"
+                        value={name}
+                        onChange={(e) => onNameChange(e.target.value)}
+                        placeholder={t(isTutor ? 'classroom.namePlaceholderTutor' : 'classroom.namePlaceholderLearner')}
+                    />
+                </label>
+                <div className="flex gap-2 text-sm">
+                    {!isTutor && (
+                        <button
+                            onClick={() => assignmentInputRef.current.click()}
+                            className="flex-1 px-2 py-1 rounded bg-blue-100 text-blue-800 hover:bg-blue-200 transition duration-200"
+                        >
+                            {t('classroom.addFile')}
+                        </button>
+                    )}
+                    <button
+                        onClick={() => reportInputRef.current.click()}
+                        className="flex-1 px-2 py-1 rounded bg-blue-100 text-blue-800 hover:bg-blue-200 transition duration-200"
+                    >
+                        {t(isTutor ? 'classroom.reviewReport' : 'classroom.openReviewed')}
+                    </button>
+                    <input
+                        ref={assignmentInputRef}
+                        type="file"
+                        accept=".json,application/json"
+                        className="hidden"
+                        onChange={openFile(onReceive, setStatus, t, t('classroom.addFailed'))}
+                    />
+                    <input
+                        ref={reportInputRef}
+                        type="file"
+                        accept=".json,application/json"
+                        className="hidden"
+                        onChange={openFile(onOpenReport, setStatus, t, t('classroom.openReportFailed'))}
+                    />
+                </div>
+                {status && (
+                    <p className={`text-sm ${status.isError ? 'text-red-700' : 'text-green-700'}`}>{status.message}</p>
+                )}
+                {isTutor ? (
+                    <>
+                        <AssignmentEditor onCreate={create} />
+                        <h3 className="font-semibold text-gray-800">{t('classroom.assignmentsSet')}</h3>
+                        <TutorAssignments assignments={visibleAssignments} onDownload={onDownload} onRemove={confirmRemove} setStatus={setStatus} />
+                    </>
+                ) : (
+                    <>
+                        <h3 className="font-semibold text-gray-800">{t('classroom.yourAssignments')}</h3>
+                        <LearnerAssignments
+                            assignments={visibleAssignments}
+                            sessions={sessions}
+                            onStart={onStart}
+                            onSubmit={submit}
+                            onRemove={confirmRemove}
+                            disabled={disabled}
+                        />
+                    </>
+                )}
+                <button
+                    onClick={onClose}
+                    className="p-3 rounded-lg bg-gray-300 text-gray-800 font-semibold hover:bg-gray-400 transition duration-200"
+                >
+                    {t('classroom.close')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default Classroom;
@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import { REVIEW_GRADES } from '../services/srs';
+import useDialogFocus from '../hooks/useDialogFocus';
+import { useI18n } from '../i18n';
+
+// Flashcard review screen: the teacher reads each due card aloud, the learner recalls the
+// answer, reveals it and grades how well they knew it
+const DeckReview = ({ dueCards, deckSize, onGrade, onDelete, onSpeak, onClose }) => {
+    const { t } = useI18n();
+    // State for whether the back of the current card is showing
+    const [isRevealed, setIsRevealed] = useState(false);
+    const card = dueCards[0];
+    const cardId = card && card.id;
+    const cardFront = card && card.front;
+    // Focus stays in the review while it is open; Escape closes it
+    const dialogProps = useDialogFocus(onClose);
+
+    // Effect to read out each new card and hide its answer
+    useEffect(() => {
+        setIsRevealed(false);
+        if (cardFront) {
+            onSpeak(cardFront);
+        }
+    }, [cardId, cardFront, onSpeak]);
+
+    const reveal = () => {
+        setIsRevealed(true);
+        onSpeak([card.back, card.example].filter(Boolean).join('. '));
+    };
+
+    return (
+        <div className="fixed inset-0 z-30 bg-black bg-opacity-40 flex items-center justify-center p-4">
+            <div {...dialogProps} aria-labelledby="deck-review-title" className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg flex flex-col gap-4 focus:outline-none">
+                <div className="flex items-center justify-between">
+                    <h2 id="deck-review-title" className="text-xl font-bold text-blue-800">{t('deck.title')}</h2>
+                    <span className="text-sm text-gray-600">{t('deck.counts', { due: dueCards.length, total: deckSize })}</span>
+                </div>
+
+                {!card ? (
+                    <p className="text-center text-blue-700 py-8">
+                        {t(deckSize === 0 ? 'deck.empty' : 'deck.caughtUp')}
+                    </p>
+                ) : (
+                    <>
+                        <button
+                            onClick={() => onSpeak(card.front)}
+                            className="p-6 rounded-lg bg-blue-50 border border-blue-200 text-2xl font-semibold text-blue-900 text-center hover:bg-blue-100 transition duration-200"
+                            title={t('deck.hearAgain')}
+                        >
+                            {card.front}
+                        </button>
+                        {isRevealed ? (
+                            <>
+                                <div className="p-4 rounded-lg bg-gray-50 border border-gray-200 text-center">
+                                    <p className="text-lg text-gray-900">{card.back}</p>
+                                    {card.example && <p className="text-sm text-gray-600 italic mt-2">{card.example}</p>}
+                                </div>
+                                <div className="grid grid-cols-4 gap-2">
+                                    {REVIEW_GRADES.map(grade => (
+                                        <button
+                                            key={grade.label}
+                                            onClick={() => onGrade(card, grade.quality)}
+                                            className="p-2 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 transition duration-200"
+                                        >
+                                            {t(`deck.grades.${grade.label.toLowerCase()}`, {}, grade.label)}
+                                        </button>
+                                    ))}
+                                </div>
+                            </>
+                        ) : (
+                            <button
+                                onClick={reveal}
+                                className="p-3 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 transition duration-200"
+                            >
+                                {t('deck.showAnswer')}
+                            </button>
+                        )}
+                        <button
+                            onClick={() => onDelete(card)}
+                            className="text-sm text-red-600 hover:underline self-center"
+                        >
+                            {t('deck.remove')}
+                        </button>
+                    </>
+                )}
+
+                <button
+                    onClick={onClose}
+                    className="p-3 rounded-lg bg-gray-300 text-gray-800 font-semibold hover:bg-gray-400 transition duration-200"
+                >
+                    {t('deck.close')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default DeckReview;
@@ -0,0 +1,136 @@
+import React from 'react';
+import { DRILL_SETS } from '../data/drills';
+import { getDrillTarget } from '../services/drillScoring';
+import RecordingPlayback from './RecordingPlayback';
+import { useI18n } from '../i18n';
+
+// Styling for each word status produced by compareTranscript
+const WORD_STYLES = {
+    correct: 'bg-green-100 text-green-800',
+    wrong: 'bg-red-100 text-red-800',
+    missing: 'bg-gray-200 text-gray-500 line-through',
+    extra: 'bg-orange-100 text-orange-800 italic'
+};
+
+// The learner's last attempt, word by word, with what was heard for wrong or extra words.
+// Attempts recorded offline have no result: only the recording is there to compare.
+const AttemptResult = ({ attempt }) => {
+    const { t } = useI18n();
+    return !attempt.result ? (
+        <p className="text-sm mt-3 text-gray-700">{t('drill.notScored')}</p>
+    ) : (
+        <div className="mt-3">
+            <div className="flex flex-wrap gap-1">
+                {attempt.result.words.map((w, index) => (
+                    <span key={index} className={`px-1 rounded ${WORD_STYLES[w.status]}`} title={t(`drill.words.${w.status}`)}>
+                        {w.expected || w.heard}
+                        {w.status === 'wrong' && <span className="text-xs"> ({w.heard})</span>}
+                    </span>
+                ))}
+            </div>
+            <p className="text-sm mt-2">
+                {attempt.result.isPerfect && `${t('drill.perfect')} `}
+                {t('drill.result', { score: attempt.result.score, transcript: attempt.transcript })}
+            </p>
+        </div>
+    );
+};
+
+// Shadowing / minimal-pair drill: pick a set, hear each target, repeat it and see which words
+// were recognised. Replaces the normal chat controls while a drill is running. Offline, where
+// recognition doesn't work, "Record" starts and stops a recording instead (`isRecording`).
+const DrillPanel = ({ drill, onStart, onPlay, onRepeat, onNext, onExit, onSpeak, onStopSpeaking, isListening, isRecording, isOffline, disabled }) => {
+    const { t } = useI18n();
+    if (!drill) {
+        return (
+            <div className="flex flex-col gap-3">
+                <p className="text-blue-800 font-semibold">{t('drill.choose')}</p>
+                {DRILL_SETS.map(set => (
+                    <button
+                        key={set.id}
+                        onClick={() => onStart(set)}
+                        className="text-start p-3 rounded-lg bg-white border border-blue-300 hover:bg-blue-50 transition duration-200"
+                    >
+                        <span className="font-semibold text-blue-900">{set.title}</span>
+                        <span className="block text-sm text-gray-700">{set.feature}</span>
+                    </button>
+                ))}
+                <button
+                    onClick={onExit}
+                    className="p-3 rounded-lg bg-gray-300 text-gray-800 font-semibold hover:bg-gray-400 transition duration-200"
+                >
+                    {t('drill.backToChat')}
+                </button>
+            </div>
+        );
+    }
+
+    const set = drill.set;
+    const item = set.items[drill.index];
+    const attempt = drill.attempts[drill.index];
+    const isLastItem = drill.index === set.items.length - 1;
+    const repeatLabel = t(isRecording ? 'drill.stopRecording'
+        : isListening ? 'drill.listening'
+        : isOffline ? (attempt ? 'drill.recordAgain' : 'drill.record')
+        : attempt ? 'drill.tryAgain' : 'drill.repeat');
+
+    return (
+        <div className="flex flex-col gap-3">
+            <div className="p-4 rounded-lg bg-white border border-blue-300">
+                <div className="flex justify-between text-sm text-blue-700">
+                    <span className="font-semibold">{set.title}</span>
+                    <span>{drill.index + 1} / {set.items.length}</span>
+                </div>
+                <p className="text-2xl font-semibold text-blue-900 mt-2">
+                    {item.type === 'minimal-pair' ? item.words.join(' / ') : item.text}
+                </p>
+                {item.ipa && <p className="font-mono text-blue-700">{item.ipa.join('   ')}</p>}
+                {item.note && <p className="text-sm text-gray-700 mt-1">{item.note}</p>}
+                {attempt && <AttemptResult attempt={attempt} />}
+                {attempt && attempt.recordingId && (
+                    <RecordingPlayback
+                        key={attempt.recordingId}
+                        recordingId={attempt.recordingId}
+                        text={getDrillTarget(item)}
+                        onSpeak={onSpeak}
+                        onStopSpeaking={onStopSpeaking}
+                        disabled={disabled}
+                    />
+                )}
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <button
+                    onClick={onPlay}
+                    className="p-3 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={disabled}
+                >
+                    {t('drill.hear')}
+                </button>
+                <button
+                    onClick={onRepeat}
+                    className={`p-3 rounded-lg font-semibold text-white transition duration-200 ${isListening || isRecording ? 'bg-red-500' : 'bg-green-500 hover:bg-green-600'} disabled:opacity-50 disabled:cursor-not-allowed`}
+                    disabled={disabled && !isRecording}
+                    aria-pressed={isListening || isRecording}
+                >
+                    {repeatLabel}
+                </button>
+                <button
+                    onClick={onNext}
+                    className="p-3 rounded-lg bg-teal-600 text-white font-semibold hover:bg-teal-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={disabled}
+                >
+                    {t(isLastItem ? 'drill.finish' : 'drill.next')}
+                </button>
+                <button
+                    onClick={onExit}
+                    className="p-3 rounded-lg bg-gray-300 text-gray-800 font-semibold hover:bg-gray-400 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={isListening || isRecording}
+                >
+                    {t('drill.end')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default DrillPanel;
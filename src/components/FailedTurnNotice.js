@@ -0,0 +1,47 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+// What went wrong, by LLMError kind: the `failed.<key>Title` and `failed.<key>Hint` strings
+const FAILURE_KEYS = {
+    network: 'network',
+    timeout: 'timeout',
+    'rate-limit': 'rateLimit',
+    api: 'api',
+    response: 'response',
+    cancelled: 'cancelled'
+};
+
+// Card shown in the chat in place of the teacher's reply when a turn fails. The failed turn is
+// left out of the model's history until "Retry" sends it again.
+const FailedTurnNotice = ({ error, onRetry, onDismiss, disabled }) => {
+    const { t } = useI18n();
+    const failureKey = FAILURE_KEYS[error.kind] || 'unknown';
+    const waitSeconds = error.retryAfterMs ? Math.ceil(error.retryAfterMs / 1000) : 0;
+    return (
+        <div role="alert" className="mb-3 p-3 rounded-lg shadow-sm bg-red-50 border border-red-300 text-red-900 me-auto max-w-[80%] text-sm">
+            <strong className="font-semibold">⚠ {t(`failed.${failureKey}Title`)}</strong>
+            {error.kind !== 'cancelled' && <p className="mt-1" dir="auto">{error.message}</p>}
+            <p className="mt-1 text-red-700">
+                {t(`failed.${failureKey}Hint`)}
+                {waitSeconds > 0 && ` ${t(waitSeconds === 1 ? 'failed.waitOne' : 'failed.waitOther', { seconds: waitSeconds })}`}
+            </p>
+            <div className="flex gap-2 mt-2">
+                <button
+                    onClick={onRetry}
+                    className="px-3 py-1 rounded-lg bg-red-600 text-white font-semibold hover:bg-red-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={disabled}
+                >
+                    {t('failed.retry')}
+                </button>
+                <button
+                    onClick={onDismiss}
+                    className="px-3 py-1 rounded-lg bg-white text-red-800 border border-red-300 hover:bg-red-100 transition duration-200"
+                >
+                    {t('failed.dismiss')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default FailedTurnNotice;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import FailedTurnNotice from './FailedTurnNotice';
+import { I18nContext, createTranslator } from '../i18n';
+import { LLMApiError, LLMCancelledError, LLMNetworkError } from '../services/llm';
+
+describe('FailedTurnNotice', () => {
+    it('explains the failure and offers a retry', () => {
+        const onRetry = jest.fn();
+        const onDismiss = jest.fn();
+        render(<FailedTurnNotice error={new LLMNetworkError()} onRetry={onRetry} onDismiss={onDismiss} />);
+
+        expect(screen.getByRole('alert')).toHaveTextContent("Couldn't reach the teacher");
+        fireEvent.click(screen.getByRole('button', { name: /Retry this message/ }));
+        fireEvent.click(screen.getByRole('button', { name: 'Dismiss' }));
+
+        expect(onRetry).toHaveBeenCalled();
+        expect(onDismiss).toHaveBeenCalled();
+    });
+
+    it('says how long the server asked to wait', () => {
+        const error = new LLMApiError('Too many requests.', null, { status: 429, retryAfterMs: 30000 });
+        render(<FailedTurnNotice error={error} onRetry={() => {}} onDismiss={() => {}} />);
+
+        expect(screen.getByRole('alert')).toHaveTextContent('The server asked to wait about 30 seconds.');
+    });
+
+    it('leaves out the error message when the learner stopped the reply', () => {
+        render(<FailedTurnNotice error={new LLMCancelledError()} onRetry={() => {}} onDismiss={() => {}} />);
+
+        expect(screen.getByRole('alert')).toHaveTextContent('You stopped this reply');
+        expect(screen.queryByText('The request was cancelled.')).not.toBeInTheDocument();
+    });
+
+    it('speaks the interface language', () => {
+        render(
+            <I18nContext.Provider value={{ id: 'ar', dir: 'rtl', t: createTranslator('ar') }}>
+                <FailedTurnNotice error={new LLMNetworkError()} onRetry={() => {}} onDismiss={() => {}} />
+            </I18nContext.Provider>
+        );
+
+        expect(screen.getByRole('button', { name: createTranslator('ar')('failed.retry') })).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,100 @@
+import React from 'react';
+import { inlineText, isSafeHref, parseMarkdown } from '../services/markdown';
+import { useI18n } from '../i18n';
+
+// A phrase the learner can click to hear on its own
+const Speakable = ({ text, onSpeak, disabled, children }) => {
+    const { t } = useI18n();
+    return (
+        <button
+            type="button"
+            onClick={() => onSpeak(text)}
+            className="inline p-0 border-0 bg-transparent text-left underline decoration-dotted decoration-blue-400 underline-offset-2 hover:bg-blue-200 rounded cursor-pointer disabled:cursor-text disabled:no-underline"
+            title={t('markdown.hear')}
+            disabled={disabled}
+        >
+            {children}
+        </button>
+    );
+};
+
+// An IPA transcription such as /ɑː/, kept in its slashes or brackets
+const Ipa = ({ node }) => {
+    const { t } = useI18n();
+    return <span className="font-mono text-purple-800" title={t('markdown.ipa')}>{node.open}{node.text}{node.close}</span>;
+};
+
+// Render inline nodes. Emphasised, quoted and code phrases are the words a reply highlights,
+// so they become speakable; nothing inside one of them is (buttons can't nest).
+const Inline = ({ nodes, onSpeak, disabled, nested = false }) => nodes.map((node, index) => {
+    const content = (() => {
+        switch (node.type) {
+            case 'strong':
+                return <strong className="font-semibold"><Inline nodes={node.children} nested /></strong>;
+            case 'em':
+                return <em><Inline nodes={node.children} nested /></em>;
+            case 'code':
+                return <code className="px-1 rounded bg-white font-mono text-sm">{node.text}</code>;
+            case 'quote':
+                return <>“{node.text}”</>;
+            case 'ipa':
+                return <Ipa node={node} />;
+            case 'link':
+                return isSafeHref(node.href) ? (
+                    <a href={node.href} target="_blank" rel="noopener noreferrer" className="underline text-blue-700">
+                        <Inline nodes={node.children} nested />
+                    </a>
+                ) : <Inline nodes={node.children} nested />;
+            default:
+                return node.text;
+        }
+    })();
+
+    const isSpeakable = ['strong', 'em', 'code', 'quote'].includes(node.type);
+    if (!isSpeakable || nested || !onSpeak) {
+        return <React.Fragment key={index}>{content}</React.Fragment>;
+    }
+    const text = node.type === 'code' || node.type === 'quote' ? node.text : inlineText(node.children);
+    return <Speakable key={index} text={text} onSpeak={onSpeak} disabled={disabled}>{content}</Speakable>;
+});
+
+const HEADING_CLASSES = {
+    1: 'text-lg font-bold',
+    2: 'text-base font-bold',
+    3: 'font-semibold'
+};
+
+// Markdown body of a teacher bubble. `onSpeak(text)` plays a clicked phrase; `disabled` turns
+// the phrases back into plain text (e.g. while the microphone is open).
+const MarkdownMessage = ({ text, onSpeak, disabled }) => (
+    <div className="flex flex-col gap-2">
+        {parseMarkdown(text).map((block, index) => {
+            const inline = (nodes) => <Inline nodes={nodes} onSpeak={onSpeak} disabled={disabled} />;
+            switch (block.type) {
+                case 'heading':
+                    return <div key={index} className={HEADING_CLASSES[block.level]}>{inline(block.children)}</div>;
+                case 'list': {
+                    const List = block.ordered ? 'ol' : 'ul';
+                    return (
+                        <List key={index} className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-5 flex flex-col gap-1`}>
+                            {block.items.map((item, itemIndex) => <li key={itemIndex}>{inline(item)}</li>)}
+                        </List>
+                    );
+                }
+                default:
+                    return (
+                        <p key={index}>
+                            {block.lines.map((line, lineIndex) => (
+                                <React.Fragment key={lineIndex}>
+                                    {lineIndex > 0 && <br />}
+                                    {inline(line)}
+                                </React.Fragment>
+                            ))}
+                        </p>
+                    );
+            }
+        })}
+    </div>
+);
+
+export default MarkdownMessage;
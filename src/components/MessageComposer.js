@@ -0,0 +1,63 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+// The message box with its Send button, and the hands-free switch below. Enter sends, unless an
+// input method is still composing a word.
+const MessageComposer = ({
+    inputRef,
+    value,
+    onChange,
+    onSend,
+    placeholder,
+    disabled,
+    isHandsFree,
+    onToggleHandsFree,
+    handsFreeDisabled
+}) => {
+    const { t } = useI18n();
+    return (
+        <>
+            {/* Input field and Send button in one row */}
+            <div className="flex">
+                <input
+                    ref={inputRef}
+                    id="message-input"
+                    type="text"
+                    dir="auto"
+                    aria-label={t('chat.inputLabel')}
+                    className="flex-1 p-3 rounded-s-lg border-2 border-blue-300 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition duration-200"
+                    placeholder={placeholder || t('chat.placeholder')}
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    onKeyDown={(e) => {
+                        // Enter while an input method is still composing a word only confirms the word
+                        if (e.key === 'Enter' && !e.nativeEvent.isComposing) {
+                            onSend(value);
+                        }
+                    }}
+                    disabled={disabled}
+                />
+                <button
+                    onClick={() => onSend(value)}
+                    className="bg-blue-600 text-white p-3 rounded-e-lg hover:bg-blue-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={!value.trim() || disabled}
+                >
+                    {t('chat.send')}
+                </button>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                    type="checkbox"
+                    checked={isHandsFree}
+                    onChange={onToggleHandsFree}
+                    disabled={handsFreeDisabled}
+                    aria-keyshortcuts="Alt+H"
+                />
+                {t('chat.handsFree')}
+            </label>
+        </>
+    );
+};
+
+export default MessageComposer;
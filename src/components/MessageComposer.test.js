@@ -0,0 +1,56 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import MessageComposer from './MessageComposer';
+
+const renderComposer = (props = {}) => {
+    const handlers = { onChange: jest.fn(), onSend: jest.fn(), onToggleHandsFree: jest.fn() };
+    render(<MessageComposer value="" isHandsFree={false} {...handlers} {...props} />);
+    return handlers;
+};
+
+describe('MessageComposer', () => {
+    it('sends the message with Enter or the Send button', () => {
+        const { onSend } = renderComposer({ value: 'Cheers' });
+
+        fireEvent.keyDown(screen.getByRole('textbox', { name: 'Your message' }), { key: 'Enter' });
+        fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+        expect(onSend.mock.calls).toEqual([['Cheers'], ['Cheers']]);
+    });
+
+    it('leaves Enter to an input method that is still composing a word', () => {
+        const { onSend } = renderComposer({ value: 'こんにち' });
+
+        fireEvent.keyDown(screen.getByRole('textbox', { name: 'Your message' }), { key: 'Enter', isComposing: true });
+
+        expect(onSend).not.toHaveBeenCalled();
+    });
+
+    it('reports what the learner types', () => {
+        const { onChange } = renderComposer();
+
+        fireEvent.change(screen.getByRole('textbox', { name: 'Your message' }), { target: { value: 'Hiya' } });
+
+        expect(onChange).toHaveBeenCalledWith('Hiya');
+    });
+
+    it('can only send something', () => {
+        renderComposer({ value: '   ' });
+
+        expect(screen.getByRole('button', { name: 'Send' })).toBeDisabled();
+    });
+
+    it("shows a skill's own placeholder", () => {
+        renderComposer({ placeholder: 'Type the sentence to rephrase...' });
+
+        expect(screen.getByRole('textbox', { name: 'Your message' })).toHaveAttribute('placeholder', 'Type the sentence to rephrase...');
+    });
+
+    it('switches hands-free mode', () => {
+        const { onToggleHandsFree } = renderComposer();
+
+        fireEvent.click(screen.getByRole('checkbox', { name: /Hands-free conversation/ }));
+
+        expect(onToggleHandsFree).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,98 @@
+import React from 'react';
+import { SKILLS } from '../skills';
+import { useI18n } from '../i18n';
+
+// Microphone icon for the speaking button
+const MicIcon = ({ className }) => (
+    <svg className={className} aria-hidden="true" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path fillRule="evenodd" d="M7 4a3 3 0 016 0v4a3 3 0 11-6 0V4zm4 10.93A7.001 3 0 0017 8a1 1 0 10-2 0 5 5 0 01-5 5.93V15a1 1 0 102 0v-.077a2.99 3 0 01.297.023l.117.008A1 1 0 0115 16a3 3 0 11-6 0 1 1 0 01.297-.023l.117-.008A2.99 3 0 019 14.93V15a1 1 0 102 0v-.07z" clipRule="evenodd"></path></svg>
+);
+
+// The practice buttons under the message box: the mic, stopping the teacher, one button per
+// skill, role-play, drills and clearing the chat. Skills and the mic are unavailable while the
+// teacher is busy (`isBusy`); skills and role-play also need a connection.
+const PracticeControls = ({
+    isListening,
+    isSpeaking,
+    isLoading,
+    isBusy,
+    isHandsFree,
+    isOnline,
+    hasLearnerTurn,
+    onStartListening,
+    onStopTeacher,
+    onRunSkill,
+    onOpenScenarios,
+    onOpenDrills,
+    onClear
+}) => {
+    const { t } = useI18n();
+    const offlineTitle = isOnline ? undefined : t('offline.needsConnection');
+    return (
+        <div role="group" aria-label={t('app.controls')} className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <button
+                onClick={onStartListening}
+                aria-pressed={isListening}
+                aria-keyshortcuts="Alt+M"
+                className={`flex items-center justify-center p-3 rounded-lg font-semibold transition duration-200 ${isListening ? 'bg-red-500 hover:bg-red-600 text-white' : 'bg-green-500 hover:bg-green-600 text-white'} disabled:opacity-50 disabled:cursor-not-allowed`}
+                disabled={isBusy || isHandsFree}
+            >
+                {isListening ? (
+                    <>
+                        <MicIcon className="animate-bounce h-5 w-5 me-2" />
+                        {t('controls.listening')}
+                    </>
+                ) : (
+                    <>
+                        <MicIcon className="h-5 w-5 me-2" />
+                        {t('controls.startSpeaking')}
+                    </>
+                )}
+            </button>
+            <button
+                onClick={onStopTeacher}
+                className="flex items-center justify-center p-3 rounded-lg bg-orange-500 text-white font-semibold hover:bg-orange-600 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={!isSpeaking && !isLoading}
+                aria-keyshortcuts="Escape"
+            >
+                <svg className="h-5 w-5 me-2" aria-hidden="true" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8 7a1 1 0 00-1 1v4a1 1 0 001 1h4a1 1 0 001-1V8a1 1 0 00-1-1H8z" clipRule="evenodd"></path></svg>
+                {t('controls.stopTeacher')}
+            </button>
+            {SKILLS.map(skill => (
+                <button
+                    key={skill.id}
+                    onClick={() => onRunSkill(skill)}
+                    className={`flex items-center justify-center p-3 rounded-lg text-white font-semibold transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${skill.buttonClass}`}
+                    disabled={isBusy || !isOnline || (skill.input === 'last-utterance' && !hasLearnerTurn)}
+                    title={offlineTitle}
+                >
+                    {t(`skills.${skill.id}`, {}, skill.label)}
+                </button>
+            ))}
+            <button
+                onClick={onOpenScenarios}
+                className="flex items-center justify-center p-3 rounded-lg bg-teal-600 text-white font-semibold hover:bg-teal-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={isBusy || !isOnline}
+                title={offlineTitle}
+            >
+                {t('controls.rolePlay')}
+            </button>
+            <button
+                onClick={onOpenDrills}
+                className="flex items-center justify-center p-3 rounded-lg bg-cyan-600 text-white font-semibold hover:bg-cyan-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={isBusy}
+            >
+                {t('controls.drill')}
+            </button>
+            <button
+                onClick={onClear}
+                className="col-span-1 flex items-center justify-center p-3 rounded-lg bg-gray-300 text-gray-800 font-semibold hover:bg-gray-400 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={isLoading || (isListening && !isHandsFree) || isSpeaking}
+            >
+                <svg className="h-5 w-5 me-2" aria-hidden="true" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 11-2 0v6a1 1 0 112 0V8z" clipRule="evenodd"></path></svg>
+                {t('controls.clearChat')}
+            </button>
+        </div>
+    );
+};
+
+export default PracticeControls;
@@ -0,0 +1,171 @@
+import React from 'react';
+import useDialogFocus from '../hooks/useDialogFocus';
+import { useI18n } from '../i18n';
+
+// Kinds of scored practice drawn in the trend chart, labelled by `progress.series.<type>`
+const TREND_SERIES = [
+    { type: 'pronunciation-feedback', colour: '#7c3aed' },
+    { type: 'drill-attempt', colour: '#0891b2' },
+    { type: 'scenario-debrief', colour: '#0d9488' }
+];
+
+// A single headline number
+const StatCard = ({ label, value }) => (
+    <div className="p-3 rounded-lg bg-blue-50 border border-blue-200 text-center">
+        <div className="text-2xl font-bold text-blue-900">{value}</div>
+        <div className="text-xs text-blue-700">{label}</div>
+    </div>
+);
+
+// Ranked list of the most often flagged sounds or words
+const FlaggedList = ({ title, items, emptyText }) => (
+    <div className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+        <h3 className="font-semibold text-gray-800 mb-2">{title}</h3>
+        {items.length === 0 ? (
+            <p className="text-sm text-gray-500">{emptyText}</p>
+        ) : (
+            <ol className="text-sm text-gray-800 list-decimal list-inside">
+                {items.map(item => (
+                    <li key={item.label}>
+                        <span className="font-mono">{item.label}</span> <span className="text-gray-500">× {item.count}</span>
+                    </li>
+                ))}
+            </ol>
+        )}
+    </div>
+);
+
+// Daily average scores drawn as one line per kind of scored practice
+const ScoreTrendChart = ({ trend }) => {
+    const { t } = useI18n();
+    const days = [...new Set(trend.map(point => point.day))];
+    if (days.length === 0) {
+        return <p className="text-sm text-gray-500">{t('progress.trendEmpty')}</p>;
+    }
+
+    const width = 480;
+    const height = 160;
+    const padding = 24;
+    const x = (day) => padding + (days.length === 1 ? (width - 2 * padding) / 2 : days.indexOf(day) * (width - 2 * padding) / (days.length - 1));
+    const y = (score) => height - padding - score * (height - 2 * padding) / 100;
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label={t('progress.trendLabel')}>
+                {[0, 50, 100].map(score => (
+                    <g key={score}>
+                        <line x1={padding} x2={width - padding} y1={y(score)} y2={y(score)} stroke="#e5e7eb" />
+                        <text x={2} y={y(score) + 4} fontSize="10" fill="#6b7280">{score}</text>
+                    </g>
+                ))}
+                {TREND_SERIES.map(series => {
+                    const points = trend.filter(point => point.type === series.type);
+                    return (
+                        <g key={series.type}>
+                            <polyline
+                                fill="none"
+                                stroke={series.colour}
+                                strokeWidth="2"
+                                points={points.map(point => `${x(point.day)},${y(point.average)}`).join(' ')}
+                            />
+                            {points.map(point => (
+                                <circle key={point.day} cx={x(point.day)} cy={y(point.average)} r="3" fill={series.colour}>
+                                    <title>{`${point.day}: ${point.average} (${point.count})`}</title>
+                                </circle>
+                            ))}
+                        </g>
+                    );
+                })}
+            </svg>
+            <div className="flex gap-4 text-xs mt-1">
+                {TREND_SERIES.map(series => (
+                    <span key={series.type} className="flex items-center gap-1">
+                        <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: series.colour }}></span>
+                        {t(`progress.series.${series.type}`)}
+                    </span>
+                ))}
+                <span className="text-gray-500 ms-auto">{days[0]} – {days[days.length - 1]}</span>
+            </div>
+        </div>
+    );
+};
+
+// What the teacher has noted about the learner from summarised conversations
+const LearnerMemory = ({ profile, onForget }) => {
+    const { t } = useI18n();
+    const isEmpty = profile.mistakes.length === 0 && profile.interests.length === 0;
+    return (
+        <div className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+            <h3 className="font-semibold text-gray-800 mb-2">{t('progress.memoryTitle')}</h3>
+            {isEmpty ? (
+                <p className="text-sm text-gray-500">{t('progress.memoryEmpty')}</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm text-gray-800">
+                    <div>
+                        <h4 className="font-semibold text-gray-700">{t('progress.mistakes')}</h4>
+                        <ul className="list-disc list-inside">
+                            {profile.mistakes.map(mistake => <li key={mistake}>{mistake}</li>)}
+                        </ul>
+                    </div>
+                    <div>
+                        <h4 className="font-semibold text-gray-700">{t('progress.interests')}</h4>
+                        <ul className="list-disc list-inside">
+                            {profile.interests.map(interest => <li key={interest}>{interest}</li>)}
+                        </ul>
+                    </div>
+                </div>
+            )}
+            {!isEmpty && (
+                <button
+                    onClick={onForget}
+                    className="mt-2 px-3 py-1 rounded-lg bg-white text-gray-700 border border-gray-300 text-sm hover:bg-gray-100 transition duration-200"
+                >
+                    {t('progress.forget')}
+                </button>
+            )}
+        </div>
+    );
+};
+
+// Progress overview: streak, speaking time, most-flagged sounds and words, score trends and
+// the teacher's notes about the learner
+const ProgressDashboard = ({ stats, profile, onForgetProfile, onClose }) => {
+    const { t } = useI18n();
+    const dialogProps = useDialogFocus(onClose);
+    return (
+        <div className="fixed inset-0 z-30 bg-black bg-opacity-40 flex items-center justify-center p-4">
+            <div {...dialogProps} aria-labelledby="progress-title" className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto flex flex-col gap-4 focus:outline-none">
+                <h2 id="progress-title" className="text-xl font-bold text-blue-800">{t('progress.title')}</h2>
+                {!stats ? (
+                    <p className="text-center text-blue-700 py-8">{t('progress.loading')}</p>
+                ) : (
+                    <>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                            <StatCard label={t('progress.streak')} value={stats.streak} />
+                            <StatCard label={t('progress.practiceDays')} value={stats.practiceDays} />
+                            <StatCard label={t('progress.minutesSpoken')} value={stats.minutesSpoken} />
+                            <StatCard label={t('progress.turns')} value={stats.turns} />
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                            <FlaggedList title={t('progress.topSounds')} items={stats.topSounds} emptyText={t('progress.noSounds')} />
+                            <FlaggedList title={t('progress.topWords')} items={stats.topWords} emptyText={t('progress.noWords')} />
+                        </div>
+                        <div className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+                            <h3 className="font-semibold text-gray-800 mb-2">{t('progress.trendTitle')}</h3>
+                            <ScoreTrendChart trend={stats.scoreTrend} />
+                        </div>
+                        <LearnerMemory profile={profile} onForget={onForgetProfile} />
+                    </>
+                )}
+                <button
+                    onClick={onClose}
+                    className="p-3 rounded-lg bg-gray-300 text-gray-800 font-semibold hover:bg-gray-400 transition duration-200"
+                >
+                    {t('progress.close')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ProgressDashboard;
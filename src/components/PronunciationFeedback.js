@@ -0,0 +1,74 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+// Strip punctuation and case so "Water," in the sentence matches the flagged word "water"
+const normaliseWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+// Colour for a 0-100 score: green when good, amber when middling, red when poor
+const scoreColour = (score) => {
+    if (score >= 80) return 'bg-green-100 text-green-800 border-green-300';
+    if (score >= 50) return 'bg-yellow-100 text-yellow-800 border-yellow-300';
+    return 'bg-red-100 text-red-800 border-red-300';
+};
+
+// Structured pronunciation feedback: the learner's sentence with at-risk words highlighted,
+// followed by the target RP IPA, common mispronunciations and a tip for each of them
+const PronunciationFeedback = ({ feedback }) => {
+    const { t } = useI18n();
+    const flagged = new Map(feedback.words.map(w => [normaliseWord(w.word), w]));
+    // Keep the whitespace tokens so the sentence renders exactly as it was said
+    const tokens = feedback.sentence.split(/(\s+)/);
+
+    return (
+        <div className="flex flex-col gap-3">
+            <div className="flex items-center justify-between gap-2">
+                <span className="font-semibold text-sm">{t('feedback.title')}</span>
+                <span className={`px-2 py-1 rounded-full border text-sm font-bold ${scoreColour(feedback.score)}`}>
+                    {feedback.score}/100
+                </span>
+            </div>
+            <p className="text-lg leading-relaxed bg-white rounded-lg p-2">
+                {tokens.map((token, index) => {
+                    const word = flagged.get(normaliseWord(token));
+                    return word ? (
+                        <mark
+                            key={index}
+                            className="bg-yellow-200 rounded px-1 underline decoration-dotted"
+                            title={`${word.ipa} · ${word.sound}`}
+                        >
+                            {token}
+                        </mark>
+                    ) : (
+                        <React.Fragment key={index}>{token}</React.Fragment>
+                    );
+                })}
+            </p>
+            <p className="text-sm">{feedback.summary}</p>
+            {feedback.words.length > 0 && (
+                <ul className="flex flex-col gap-2">
+                    {feedback.words.map((w, index) => (
+                        <li key={index} className="bg-white rounded-lg p-2 text-sm border border-blue-200">
+                            <div className="flex items-center justify-between gap-2">
+                                <span>
+                                    <strong>{w.word}</strong> <span className="font-mono">{w.ipa}</span>
+                                </span>
+                                <span className={`px-2 rounded-full border text-xs font-semibold ${scoreColour(w.score)}`}>
+                                    {w.score}
+                                </span>
+                            </div>
+                            <div className="text-gray-700">{t('feedback.sound', { sound: w.sound })}</div>
+                            {w.commonMispronunciations.length > 0 && (
+                                <div className="text-gray-700">
+                                    {t('feedback.avoid')} <span className="font-mono">{w.commonMispronunciations.join(', ')}</span>
+                                </div>
+                            )}
+                            {w.tip && <div className="mt-1">{w.tip}</div>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default PronunciationFeedback;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { PROVIDERS, getProvider } from '../services/llm';
+
+// Smallest history budget allowed; less would leave the teacher without the last few turns
+const MIN_HISTORY_BUDGET = 500;
+
+// Settings panel for choosing which LLM provider and model the teacher runs on
+const ProviderSettings = ({ settings, onChange, disabled }) => {
+    const { t } = useI18n();
+    const provider = getProvider(settings.provider);
+
+    // Switching provider resets the model and base URL to that provider's defaults
+    const handleProviderChange = (e) => {
+        const nextProvider = getProvider(e.target.value);
+        onChange({
+            ...settings,
+            provider: nextProvider.id,
+            model: nextProvider.defaultModel,
+            baseUrl: nextProvider.defaultBaseUrl || ''
+        });
+    };
+
+    return (
+        <details className="mt-4 p-3 bg-white rounded-lg border border-blue-200 text-sm text-blue-800">
+            <summary className="cursor-pointer font-semibold">{t('provider.title')}</summary>
+            <div className="mt-3 flex flex-col gap-2">
+                <label className="flex flex-col gap-1">
+                    {t('provider.provider')}
+                    <select
+                        className="p-2 rounded border border-blue-300"
+                        value={provider.id}
+                        onChange={handleProviderChange}
+                        disabled={disabled}
+                    >
+                        {Object.values(PROVIDERS).map(p => (
+                            <option key={p.id} value={p.id}>{p.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                    {t('provider.model')}
+                    <input
+                        type="text"
+                        className="p-2 rounded border border-blue-300"
+                        value={settings.model}
+                        placeholder={provider.defaultModel}
+                        onChange={(e) => onChange({ ...settings, model: e.target.value })}
+                        disabled={disabled}
+                    />
+                </label>
+                {provider.requiresBaseUrl && (
+                    <label className="flex flex-col gap-1">
+                        {t('provider.serverUrl')}
+                        <input
+                            type="text"
+                            className="p-2 rounded border border-blue-300"
+                            value={settings.baseUrl}
+                            placeholder={provider.defaultBaseUrl}
+                            onChange={(e) => onChange({ ...settings, baseUrl: e.target.value })}
+                            disabled={disabled}
+                        />
+                    </label>
+                )}
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={settings.stream}
+                        onChange={(e) => onChange({ ...settings, stream: e.target.checked })}
+                        disabled={disabled}
+                    />
+                    {t('provider.stream')}
+                </label>
+                <label className="flex flex-col gap-1">
+                    {t('provider.historyBudget')}
+                    <input
+                        type="number"
+                        min={MIN_HISTORY_BUDGET}
+                        step="500"
+                        className="p-2 rounded border border-blue-300"
+                        value={settings.historyBudget}
+                        onChange={(e) => onChange({ ...settings, historyBudget: Number(e.target.value) })}
+                        onBlur={() => onChange({ ...settings, historyBudget: Math.max(MIN_HISTORY_BUDGET, settings.historyBudget || 0) })}
+                        disabled={disabled}
+                    />
+                    <span className="text-xs text-blue-600">{t('provider.historyBudgetHint')}</span>
+                </label>
+            </div>
+        </details>
+    );
+};
+
+export default ProviderSettings;
@@ -0,0 +1,70 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getRecording } from '../services/recordingStore';
+import { useI18n } from '../i18n';
+
+// Playback controls shown in a user bubble: the learner's own clip, the teacher saying the
+// same sentence, and both back to back for comparison
+const RecordingPlayback = ({ recordingId, text, onSpeak, onStopSpeaking, disabled }) => {
+    const { t } = useI18n();
+    // State for whether the learner's clip is currently playing
+    const [isPlaying, setIsPlaying] = useState(false);
+    // State for a clip that couldn't be loaded (e.g. deleted or never saved)
+    const [isMissing, setIsMissing] = useState(false);
+    const audioRef = useRef(null);
+
+    // Effect to stop playback and free the object URL when the bubble goes away
+    useEffect(() => () => {
+        if (audioRef.current) {
+            audioRef.current.pause();
+            URL.revokeObjectURL(audioRef.current.src);
+        }
+    }, []);
+
+    // Play the learner's clip, then call `onEnded` once it finishes
+    const playRecording = async (onEnded) => {
+        onStopSpeaking();
+        try {
+            if (!audioRef.current) {
+                const blob = await getRecording(recordingId);
+                if (!blob) {
+                    setIsMissing(true);
+                    return;
+                }
+                audioRef.current = new Audio(URL.createObjectURL(blob));
+            }
+            const audio = audioRef.current;
+            audio.onended = () => {
+                setIsPlaying(false);
+                if (onEnded) onEnded();
+            };
+            audio.currentTime = 0;
+            setIsPlaying(true);
+            await audio.play();
+        } catch (err) {
+            console.error("Could not play recording:", err);
+            setIsPlaying(false);
+        }
+    };
+
+    if (isMissing) {
+        return <div className="mt-2 text-xs text-gray-500">{t('recording.unavailable')}</div>;
+    }
+
+    const buttonClass = 'px-2 py-1 rounded bg-white text-indigo-800 border border-indigo-300 hover:bg-indigo-50 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+    return (
+        <div className="mt-2 flex flex-wrap gap-2 text-xs">
+            <button onClick={() => playRecording()} className={buttonClass} disabled={disabled || isPlaying}>
+                {t('recording.you')}
+            </button>
+            <button onClick={() => onSpeak(text)} className={buttonClass} disabled={disabled || isPlaying}>
+                {t('recording.teacher')}
+            </button>
+            <button onClick={() => playRecording(() => onSpeak(text))} className={buttonClass} disabled={disabled || isPlaying}>
+                {t('recording.compare')}
+            </button>
+        </div>
+    );
+};
+
+export default RecordingPlayback;
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { isOverdue } from '../services/assignments';
+import { MESSAGE_KINDS } from '../services/messages';
+import { markReviewed, reportRecordingUrls, withTurnComment } from '../services/reports';
+import useDialogFocus from '../hooks/useDialogFocus';
+import { useI18n } from '../i18n';
+import { kindLabel } from './Classroom';
+
+// A clip played straight from the report's embedded data URL
+const Clip = ({ src, label }) => src ? <audio controls src={src} aria-label={label} className="mt-2 w-full" /> : null;
+
+// The per-item results saved with a drill summary
+const DrillItems = ({ items, recordingUrls }) => {
+    const { t } = useI18n();
+    return (
+        <ol className="mt-2 flex flex-col gap-2 list-decimal list-inside">
+            {items.map((item, index) => (
+                <li key={index}>
+                    <span className="font-semibold">{item.target}</span>
+                    {' · '}
+                    {item.score === null ? t('report.notScored') : t('report.scored', { score: item.score, transcript: item.transcript })}
+                    <Clip src={item.recordingId && recordingUrls[item.recordingId]} label={t('report.itemRecording', { target: item.target })} />
+                </li>
+            ))}
+        </ol>
+    );
+};
+
+// One message of the learner's session, as the tutor sees it
+const Turn = ({ msg, recordingUrls }) => {
+    const { t } = useI18n();
+    if (msg.kind === MESSAGE_KINDS.SYSTEM_NOTICE) {
+        return <p className="text-sm text-gray-500 italic">{msg.text}</p>;
+    }
+    if (msg.kind === MESSAGE_KINDS.PRONUNCIATION_FEEDBACK && msg.data) {
+        return (
+            <div className="text-sm">
+                <p className="font-semibold text-purple-800">{t('report.pronunciationFeedback', { score: msg.data.score })}</p>
+                <p className="italic">"{msg.data.sentence}"</p>
+                <p>{msg.data.summary}</p>
+            </div>
+        );
+    }
+    if (msg.kind === MESSAGE_KINDS.SCENARIO_DEBRIEF && msg.data) {
+        return (
+            <div className="text-sm">
+                <p className="font-semibold text-teal-800">{t('report.scenarioDebrief', { score: msg.data.score })}</p>
+                <p>{msg.data.summary}</p>
+                <ul className="list-disc list-inside">
+                    {msg.data.goals.map(goal => <li key={goal.goal}>{goal.achieved ? '✓' : '✗'} {goal.goal}</li>)}
+                </ul>
+            </div>
+        );
+    }
+    return (
+        <div className="text-sm">
+            <span className="font-semibold">{t(msg.role === 'user' ? 'report.learnerSaid' : 'report.teacherSaid')}</span>
+            <span className="whitespace-pre-wrap">{msg.text}</span>
+            {msg.kind === MESSAGE_KINDS.DRILL_SUMMARY && msg.data && <DrillItems items={msg.data.items} recordingUrls={recordingUrls} />}
+            <Clip src={msg.recordingId && recordingUrls[msg.recordingId]} label={t('report.learnerRecording')} />
+        </div>
+    );
+};
+
+// The tutor's comment on a turn: a text box while reviewing, otherwise the comment itself
+const TurnComment = ({ turn, text, editable, onChange }) => {
+    const { t } = useI18n();
+    if (editable) {
+        return (
+            <textarea
+                className="mt-2 w-full p-2 rounded-lg border border-amber-300 bg-amber-50 text-sm"
+                rows={text ? 3 : 1}
+                value={text}
+                onChange={(e) => onChange(turn, e.target.value)}
+                placeholder={t('report.commentPlaceholder')}
+                aria-label={t('report.commentLabel', { turn: turn + 1 })}
+            />
+        );
+    }
+    return text ? (
+        <p className="mt-2 p-2 rounded-lg bg-amber-50 border border-amber-300 text-sm text-amber-900">
+            <span className="font-semibold">{t('report.tutorSaid')}</span>{text}
+        </p>
+    ) : null;
+};
+
+const ScoreCard = ({ label, value }) => (
+    <div className="p-2 rounded-lg bg-blue-50 border border-blue-200 text-center">
+        <div className="text-xl font-bold text-blue-900">{value === null || value === undefined ? '–' : value}</div>
+        <div className="text-xs text-blue-700">{label}</div>
+    </div>
+);
+
+// Review view for a learner report. A tutor (`editable`) comments on individual turns, adds
+// overall feedback and saves the reviewed report to send back; a learner reads that review.
+const ReportReview = ({ report, editable, reviewer, onSave, onClose }) => {
+    const { t } = useI18n();
+    // State for the comments being written, keyed by turn, and the overall feedback
+    const [comments, setComments] = useState(() => Object.fromEntries(report.comments.map(c => [c.turn, c.text])));
+    const [feedback, setFeedback] = useState(report.feedback || '');
+    const dialogProps = useDialogFocus(onClose);
+
+    const recordingUrls = reportRecordingUrls(report);
+    const scores = report.scores || {};
+    const isLate = isOverdue(report.assignment, report.submittedAt);
+
+    const setComment = (turn, text) => setComments(prev => ({ ...prev, [turn]: text }));
+
+    const save = () => {
+        const commented = Object.entries(comments).reduce((result, [turn, text]) => withTurnComment(result, Number(turn), text), report);
+        onSave(markReviewed({ ...commented, feedback: feedback.trim() }, reviewer));
+    };
+
+    return (
+        <div className="fixed inset-0 z-30 bg-black bg-opacity-40 flex items-center justify-center p-4">
+            <div {...dialogProps} aria-labelledby="report-title" className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto flex flex-col gap-4 focus:outline-none">
+                <div>
+                    <h2 id="report-title" className="text-xl font-bold text-blue-800">
+                        {report.learner || t('report.learner')} · {report.assignment.title}
+                    </h2>
+                    <p className="text-sm text-gray-600">
+                        {kindLabel(t, report.assignment.kind)}
+                        {' · '}{t('report.dueOn', { date: new Date(`${report.assignment.due}T00:00`).toLocaleDateString() })}
+                        {' · '}{t('report.submittedOn', { date: new Date(report.submittedAt).toLocaleString() })}
+                        {isLate && <span className="text-red-700 font-semibold"> {t('report.late')}</span>}
+                    </p>
+                    {report.reviewedAt && (
+                        <p className="text-sm text-green-700">
+                            {report.reviewer
+                                ? t('report.reviewedBy', { reviewer: report.reviewer, date: new Date(report.reviewedAt).toLocaleString() })
+                                : t('report.reviewedOn', { date: new Date(report.reviewedAt).toLocaleString() })}
+                        </p>
+                    )}
+                </div>
+                <div className="grid grid-cols-3 gap-3">
+                    <ScoreCard label={t('report.pronunciationScore')} value={scores.pronunciation} />
+                    <ScoreCard label={t('report.drillScore')} value={scores.drills} />
+                    <ScoreCard label={t('report.scenarioScore')} value={scores.scenario} />
+                </div>
+                <ol className="flex flex-col gap-3">
+                    {report.session.conversation.map((msg, turn) => msg.kind === MESSAGE_KINDS.LISTENING ? null : (
+                        <li
+                            key={turn}
+                            className={`p-3 rounded-lg border ${msg.role === 'user' ? 'border-indigo-200 bg-indigo-50' : 'border-blue-200 bg-white'}`}
+                        >
+                            <Turn msg={msg} recordingUrls={recordingUrls} />
+                            {msg.kind !== MESSAGE_KINDS.SYSTEM_NOTICE && (
+                                <TurnComment turn={turn} text={comments[turn] || ''} editable={editable} onChange={setComment} />
+                            )}
+                        </li>
+                    ))}
+                </ol>
+                {editable ? (
+                    <label className="flex flex-col gap-1 text-sm text-blue-800 font-semibold">
+                        {t('report.feedback')}
+                        <textarea
+                            className="p-2 rounded-lg border border-blue-300 font-normal"
+                            rows={3}
+                            value={feedback}
+                            onChange={(e) => setFeedback(e.target.value)}
+                        />
+                    </label>
+                ) : feedback && (
+                    <div className="p-3 rounded-lg bg-amber-50 border border-amber-300 text-sm text-amber-900">
+                        <p className="font-semibold">{t('report.feedback')}</p>
+                        <p className="whitespace-pre-wrap">{feedback}</p>
+                    </div>
+                )}
+                <div className="flex gap-3">
+                    {editable && (
+                        <button
+                            onClick={save}
+                            className="flex-1 p-3 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 transition duration-200"
+                            title={t('report.saveHint')}
+                        >
+                            {t('report.save')}
+                        </button>
+                    )}
+                    <button
+                        onClick={onClose}
+                        className="flex-1 p-3 rounded-lg bg-gray-300 text-gray-800 font-semibold hover:bg-gray-400 transition duration-200"
+                    >
+                        {t('report.close')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReportReview;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import ReportReview from './ReportReview';
+import { MESSAGE_KINDS } from '../services/messages';
+import { I18nContext, createTranslator } from '../i18n';
+
+const report = {
+    format: 'ai-accent-coach-report',
+    version: 1,
+    submittedAt: new Date(2026, 2, 8).getTime(),
+    learner: 'Sam',
+    assignment: { id: 'asg-1', title: 'Week 3', kind: 'drill', due: '2026-03-06' },
+    session: {
+        id: 'session-1',
+        title: 'Assignment: Week 3',
+        conversation: [
+            { role: 'model', kind: MESSAGE_KINDS.SYSTEM_NOTICE, text: '📝 Week 3' },
+            { role: 'user', text: 'I can\'t ask for a glass', recordingId: 'rec-a' },
+            { role: 'model', text: 'Lovely long vowels.' }
+        ]
+    },
+    scores: { pronunciation: null, drills: 80, scenario: null },
+    recordings: [{ id: 'rec-a', dataUrl: 'data:audio/webm;base64,AAAA' }],
+    comments: [{ turn: 2, text: 'Agreed.' }]
+};
+
+describe('ReportReview', () => {
+    it('lets the tutor comment on a turn and save the review', () => {
+        const onSave = jest.fn();
+        render(<ReportReview report={report} editable reviewer="Ms Hughes" onSave={onSave} onClose={() => {}} />);
+
+        expect(screen.getByText('(late)')).toBeInTheDocument();
+        expect(screen.getByLabelText("Learner's recording")).toHaveAttribute('src', 'data:audio/webm;base64,AAAA');
+        expect(screen.queryByRole('textbox', { name: 'Comment on turn 1' })).not.toBeInTheDocument(); // Notices take no comments
+
+        fireEvent.change(screen.getByRole('textbox', { name: 'Comment on turn 2' }), { target: { value: 'Try "glass" again. ' } });
+        fireEvent.change(screen.getByRole('textbox', { name: 'Overall feedback' }), { target: { value: 'Good work.' } });
+        fireEvent.click(screen.getByRole('button', { name: /Save reviewed report/ }));
+
+        expect(onSave).toHaveBeenCalledWith(expect.objectContaining({
+            comments: [{ turn: 1, text: 'Try "glass" again.' }, { turn: 2, text: 'Agreed.' }],
+            feedback: 'Good work.',
+            reviewer: 'Ms Hughes',
+            reviewedAt: expect.any(Number)
+        }));
+    });
+
+    it("shows the learner their tutor's comments", () => {
+        render(<ReportReview report={{ ...report, feedback: 'Good work.', reviewer: 'Ms Hughes', reviewedAt: 1 }} editable={false} reviewer="Sam" onSave={() => {}} onClose={() => {}} />);
+
+        expect(screen.getByText('Agreed.')).toBeInTheDocument();
+        expect(screen.getByText('Good work.')).toBeInTheDocument();
+        expect(screen.getByText(/Reviewed by Ms Hughes/)).toBeInTheDocument();
+        expect(screen.queryByRole('textbox')).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: /Save reviewed report/ })).not.toBeInTheDocument();
+    });
+
+    it('is shown in the interface language, with the transcript as written', () => {
+        const t = createTranslator('ar');
+        render(
+            <I18nContext.Provider value={{ id: 'ar', dir: 'rtl', t }}>
+                <ReportReview report={{ ...report, recordings: [{ id: 'rec-a', dataUrl: 'https://example.com/a.webm' }] }} editable reviewer="Ms Hughes" onSave={() => {}} onClose={() => {}} />
+            </I18nContext.Provider>
+        );
+
+        expect(screen.getByRole('textbox', { name: t('report.commentLabel', { turn: 2 }) })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: t('report.save') })).toBeInTheDocument();
+        expect(screen.getByText(/مجموعة تمارين/)).toBeInTheDocument();
+        expect(screen.getByText('Lovely long vowels.')).toBeInTheDocument();
+        expect(screen.queryByLabelText(t('report.learnerRecording'))).not.toBeInTheDocument(); // Not an audio data URL
+    });
+});
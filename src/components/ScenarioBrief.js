@@ -0,0 +1,38 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+// Card above the chat controls while a scenario runs: who the learner is talking to, the goals,
+// the target phrases (ticked off as they are said) and how many turns are left
+const ScenarioBrief = ({ scenario, turnsTaken, usedPhrases, onDebrief, disabled }) => {
+    const { t } = useI18n();
+    return (
+        <div className="p-3 rounded-lg bg-white border border-teal-300 text-sm">
+            <div className="flex justify-between gap-2 text-teal-800">
+                <span className="font-semibold">{t('scenario.withPersona', { title: scenario.title, persona: scenario.persona.name })}</span>
+                <span>{t('scenario.turn', { turn: Math.min(turnsTaken, scenario.turnLimit), limit: scenario.turnLimit })}</span>
+            </div>
+            <ul className="list-disc list-inside text-gray-700 mt-2">
+                {scenario.goals.map((goal, index) => <li key={index}>{goal}</li>)}
+            </ul>
+            <div className="flex flex-wrap gap-1 mt-2">
+                {scenario.targetPhrases.map((phrase, index) => {
+                    const used = usedPhrases.includes(phrase);
+                    return (
+                        <span key={index} className={`px-2 py-1 rounded ${used ? 'bg-green-100 text-green-800' : 'bg-teal-50 text-teal-900'}`}>
+                            {used ? '✓ ' : ''}"{phrase}"
+                        </span>
+                    );
+                })}
+            </div>
+            <button
+                onClick={onDebrief}
+                className="mt-2 px-3 py-1 rounded-lg bg-teal-600 text-white font-semibold hover:bg-teal-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={disabled}
+            >
+                {t('scenario.endAndDebrief')}
+            </button>
+        </div>
+    );
+};
+
+export default ScenarioBrief;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+// Colour for a 0-100 score: green when good, amber when middling, red when poor
+const scoreColour = (score) => {
+    if (score >= 80) return 'bg-green-100 text-green-800 border-green-300';
+    if (score >= 50) return 'bg-yellow-100 text-yellow-800 border-yellow-300';
+    return 'bg-red-100 text-red-800 border-red-300';
+};
+
+// End-of-scenario debrief: which goals were achieved (with evidence from the conversation),
+// which target phrases were used, and tips for the next attempt
+const ScenarioDebrief = ({ debrief }) => {
+    const { t } = useI18n();
+    return (
+        <div className="flex flex-col gap-3">
+            <div className="flex items-center justify-between gap-2">
+                <span className="font-semibold text-sm">{t('scenario.debriefTitle', { title: debrief.title })}</span>
+                <span className={`px-2 py-1 rounded-full border text-sm font-bold ${scoreColour(debrief.score)}`}>
+                    {debrief.score}/100
+                </span>
+            </div>
+            <p className="text-sm">{debrief.summary}</p>
+            <div>
+                <p className="font-semibold text-sm mb-1">{t('scenario.goals')}</p>
+                <ul className="flex flex-col gap-2">
+                    {debrief.goals.map((g, index) => (
+                        <li key={index} className="bg-white rounded-lg p-2 text-sm border border-blue-200">
+                            <span className={g.achieved ? 'text-green-700' : 'text-red-700'}>{g.achieved ? '✓' : '✗'}</span>{' '}
+                            <strong>{g.goal}</strong>
+                            {g.evidence && <div className="text-gray-700 mt-1">{g.evidence}</div>}
+                        </li>
+                    ))}
+                </ul>
+            </div>
+            <div>
+                <p className="font-semibold text-sm mb-1">{t('scenario.targetPhrases')}</p>
+                <div className="flex flex-wrap gap-1">
+                    {debrief.phrases.map((p, index) => (
+                        <span
+                            key={index}
+                            className={`px-2 py-1 rounded text-sm ${p.used ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-500'}`}
+                            title={t(p.used ? 'scenario.used' : 'scenario.notUsed')}
+                        >
+                            {p.used ? '✓ ' : ''}"{p.phrase}"
+                        </span>
+                    ))}
+                </div>
+            </div>
+            {debrief.tips.length > 0 && (
+                <div>
+                    <p className="font-semibold text-sm mb-1">{t('scenario.nextTime')}</p>
+                    <ul className="list-disc list-inside text-sm">
+                        {debrief.tips.map((tip, index) => <li key={index}>{tip}</li>)}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ScenarioDebrief;
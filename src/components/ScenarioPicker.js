@@ -0,0 +1,34 @@
+import React from 'react';
+import { SCENARIOS } from '../data/scenarios';
+import { useI18n } from '../i18n';
+
+// List of authored role-play scenarios; replaces the chat controls until one is chosen
+const ScenarioPicker = ({ onStart, onCancel }) => {
+    const { t } = useI18n();
+    return (
+        <div className="flex flex-col gap-3">
+            <p className="text-blue-800 font-semibold">{t('scenario.choose')}</p>
+            {SCENARIOS.map(scenario => (
+                <button
+                    key={scenario.id}
+                    onClick={() => onStart(scenario.id)}
+                    className="text-start p-3 rounded-lg bg-white border border-blue-300 hover:bg-blue-50 transition duration-200"
+                >
+                    <span className="font-semibold text-blue-900">{scenario.title}</span>
+                    <span className="block text-sm text-gray-700">{scenario.setting}</span>
+                    <span className="block text-xs text-gray-500 mt-1">
+                        {t('scenario.summary', { goals: scenario.goals.length, phrases: scenario.targetPhrases.length, turns: scenario.turnLimit })}
+                    </span>
+                </button>
+            ))}
+            <button
+                onClick={onCancel}
+                className="p-3 rounded-lg bg-gray-300 text-gray-800 font-semibold hover:bg-gray-400 transition duration-200"
+            >
+                {t('scenario.backToChat')}
+            </button>
+        </div>
+    );
+};
+
+export default ScenarioPicker;
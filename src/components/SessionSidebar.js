@@ -0,0 +1,184 @@
+import React, { useRef, useState } from 'react';
+import { SESSION_MODES, filterSessions } from '../services/sessionStore';
+import { importErrorMessage } from '../services/dataTransfer';
+import useDialogFocus from '../hooks/useDialogFocus';
+import { useI18n } from '../i18n';
+
+// Formats a single session can be exported in, labelled by the `sessions.formats.<format>` strings
+const EXPORT_FORMATS = ['json', 'markdown', 'html', 'print'];
+
+// Describe what an import added, e.g. "Imported 2 sessions, 3 recordings and 10 cards.", with
+// the list joined the way the interface language joins lists
+const describeImport = (t, languageId, counts) => {
+    const parts = ['sessions', 'recordings', 'cards', 'practiceLog']
+        .filter(kind => counts[kind] > 0)
+        .map(kind => t(`sessions.${kind}${counts[kind] === 1 ? 'One' : 'Other'}`, { count: counts[kind] }));
+    if (parts.length === 0) return t('sessions.nothingNew');
+    return t('sessions.imported', { items: new Intl.ListFormat(languageId, { type: 'conjunction' }).format(parts) });
+};
+
+// Slide-over sidebar listing saved practice sessions, with search, rename, resume, delete,
+// export and import
+const SessionSidebar = ({ sessions, currentSessionId, onResume, onRename, onDelete, onExport, onBackup, onImport, onClose, disabled }) => {
+    const { t, id: languageId } = useI18n();
+    // State for the search box
+    const [query, setQuery] = useState('');
+    // State for the session being renamed and its draft title
+    const [editingId, setEditingId] = useState(null);
+    const [draftTitle, setDraftTitle] = useState('');
+    // State for the result of the last import: { message, isError }
+    const [importStatus, setImportStatus] = useState(null);
+    // Hidden file input opened by the Import button
+    const fileInputRef = useRef(null);
+    // Focus stays in the sidebar while it is open; Escape closes it
+    const dialogProps = useDialogFocus(onClose);
+
+    const startRename = (session) => {
+        setEditingId(session.id);
+        setDraftTitle(session.title);
+    };
+
+    const commitRename = () => {
+        if (draftTitle.trim()) {
+            onRename(editingId, draftTitle.trim());
+        }
+        setEditingId(null);
+    };
+
+    const confirmDelete = (session) => {
+        if (window.confirm(t('sessions.confirmDelete', { title: session.title }))) {
+            onDelete(session.id);
+        }
+    };
+
+    const importFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Let the same file be picked again
+        if (!file) return;
+        setImportStatus(null);
+        try {
+            setImportStatus({ message: describeImport(t, languageId, await onImport(file)), isError: false });
+        } catch (err) {
+            console.error("Import failed:", err.problems || err);
+            setImportStatus({ message: importErrorMessage(t, err, t('sessions.importFailed')), isError: true });
+        }
+    };
+
+    const visibleSessions = filterSessions(sessions, query);
+
+    return (
+        <aside {...dialogProps} aria-labelledby="session-sidebar-title" className="fixed inset-y-0 start-0 z-20 w-full max-w-sm bg-white shadow-2xl border-e border-blue-200 flex flex-col focus:outline-none">
+            <div className="flex items-center justify-between p-4 border-b border-blue-100">
+                <h2 id="session-sidebar-title" className="text-xl font-bold text-blue-800">{t('sessions.title')}</h2>
+                <button
+                    onClick={onClose}
+                    className="p-2 rounded-lg text-blue-700 hover:bg-blue-50 transition duration-200"
+                >
+                    {t('sessions.close')}
+                </button>
+            </div>
+            <div className="p-4">
+                <input
+                    type="search"
+                    className="w-full p-2 rounded-lg border-2 border-blue-300 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder={t('sessions.search')}
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                />
+                <div className="flex gap-2 mt-2 text-sm">
+                    <button
+                        onClick={() => fileInputRef.current.click()}
+                        className="flex-1 px-2 py-1 rounded bg-blue-100 text-blue-800 hover:bg-blue-200 transition duration-200"
+                    >
+                        {t('sessions.import')}
+                    </button>
+                    <button
+                        onClick={onBackup}
+                        className="flex-1 px-2 py-1 rounded bg-blue-100 text-blue-800 hover:bg-blue-200 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        disabled={sessions.length === 0}
+                        title={t('sessions.backupHint')}
+                    >
+                        {t('sessions.backup')}
+                    </button>
+                    <input ref={fileInputRef} type="file" accept=".json,application/json" className="hidden" onChange={importFile} />
+                </div>
+                {importStatus && (
+                    <p className={`text-sm mt-2 ${importStatus.isError ? 'text-red-700' : 'text-green-700'}`}>{importStatus.message}</p>
+                )}
+            </div>
+            <ul className="flex-1 overflow-y-auto px-4 pb-4">
+                {visibleSessions.length === 0 && (
+                    <li className="text-sm text-gray-500 text-center mt-4">
+                        {t(sessions.length === 0 ? 'sessions.none' : 'sessions.noMatch')}
+                    </li>
+                )}
+                {visibleSessions.map(session => (
+                    <li
+                        key={session.id}
+                        className={`mb-3 p-3 rounded-lg border ${session.id === currentSessionId ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-gray-50'}`}
+                    >
+                        {editingId === session.id ? (
+                            <input
+                                type="text"
+                                className="w-full p-1 rounded border border-blue-300"
+                                value={draftTitle}
+                                autoFocus
+                                onChange={(e) => setDraftTitle(e.target.value)}
+                                onBlur={commitRename}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') commitRename();
+                                    if (e.key === 'Escape') {
+                                        e.stopPropagation(); // Cancel the rename, not the sidebar
+                                        setEditingId(null);
+                                    }
+                                }}
+                            />
+                        ) : (
+                            <p className="font-semibold text-blue-900 break-words">{session.title}</p>
+                        )}
+                        <p className="text-xs text-gray-600 mt-1">
+                            {new Date(session.updatedAt).toLocaleString()} · {SESSION_MODES[session.mode]
+                                ? t(`sessions.modes.${session.mode}`, {}, SESSION_MODES[session.mode])
+                                : t('sessions.modes.free-chat')}
+                        </p>
+                        <div className="flex gap-2 mt-2 text-sm">
+                            <button
+                                onClick={() => onResume(session.id)}
+                                className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                disabled={disabled || session.id === currentSessionId}
+                            >
+                                {t('sessions.resume')}
+                            </button>
+                            <button
+                                onClick={() => startRename(session)}
+                                className="px-2 py-1 rounded bg-gray-200 text-gray-800 hover:bg-gray-300 transition duration-200"
+                            >
+                                {t('sessions.rename')}
+                            </button>
+                            <button
+                                onClick={() => confirmDelete(session)}
+                                className="px-2 py-1 rounded bg-red-100 text-red-700 hover:bg-red-200 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                disabled={disabled && session.id === currentSessionId}
+                            >
+                                {t('sessions.delete')}
+                            </button>
+                            <select
+                                value=""
+                                onChange={(e) => onExport(session.id, e.target.value)}
+                                className="px-1 py-1 rounded bg-gray-200 text-gray-800 hover:bg-gray-300"
+                                aria-label={t('sessions.exportLabel', { title: session.title })}
+                            >
+                                <option value="" disabled>{t('sessions.export')}</option>
+                                {EXPORT_FORMATS.map(format => (
+                                    <option key={format} value={format}>{t(`sessions.formats.${format}`)}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </aside>
+    );
+};
+
+export default SessionSidebar;
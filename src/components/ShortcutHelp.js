@@ -0,0 +1,37 @@
+import React from 'react';
+import { SHORTCUTS } from '../services/shortcuts';
+import useDialogFocus from '../hooks/useDialogFocus';
+import { useI18n } from '../i18n';
+
+// Dialog listing the keyboard shortcuts, in the interface language
+const ShortcutHelp = ({ onClose }) => {
+    const { t } = useI18n();
+    const dialogProps = useDialogFocus(onClose);
+    const rows = [...SHORTCUTS, { id: 'send', keys: 'Enter' }];
+
+    return (
+        <div className="fixed inset-0 z-30 bg-black bg-opacity-40 flex items-center justify-center p-4">
+            <div {...dialogProps} aria-labelledby="shortcut-help-title" className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-md flex flex-col gap-4 focus:outline-none">
+                <h2 id="shortcut-help-title" className="text-xl font-bold text-blue-800">{t('shortcuts.title')}</h2>
+                <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 text-sm">
+                    {rows.map(shortcut => (
+                        <React.Fragment key={shortcut.id}>
+                            <dt>
+                                <kbd dir="ltr" className="px-2 py-1 rounded border border-gray-300 bg-gray-50 font-mono text-xs">{shortcut.keys}</kbd>
+                            </dt>
+                            <dd className="text-gray-800">{t(`shortcuts.${shortcut.id}`)}</dd>
+                        </React.Fragment>
+                    ))}
+                </dl>
+                <button
+                    onClick={onClose}
+                    className="p-3 rounded-lg bg-gray-300 text-gray-800 font-semibold hover:bg-gray-400 transition duration-200"
+                >
+                    {t('shortcuts.close')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ShortcutHelp;
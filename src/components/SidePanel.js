@@ -0,0 +1,95 @@
+import React from 'react';
+import { UI_LANGUAGES, useI18n } from '../i18n';
+
+// Left panel: the interface language, the app's title and how-to, buttons opening the history,
+// deck, progress, classroom and shortcut dialogs, the current error, and the settings panels (`children`)
+const SidePanel = ({
+    languageId,
+    onLanguageChange,
+    sessionCount,
+    dueCount,
+    onOpenHistory,
+    onOpenDeck,
+    deckDisabled,
+    onOpenProgress,
+    onOpenClassroom,
+    onOpenShortcuts,
+    error,
+    children
+}) => {
+    const { t } = useI18n();
+    return (
+        <aside aria-label={t('app.sidePanel')} className="w-full md:w-1/3 p-4 bg-blue-50 rounded-lg shadow-inner flex flex-col justify-between flex-shrink-0">
+            <div>
+                <label className="flex items-center justify-end gap-2 mb-2 text-sm text-blue-700">
+                    {t('app.interfaceLanguage')}
+                    <select
+                        className="p-1 rounded border border-blue-300 bg-white"
+                        value={languageId}
+                        onChange={(e) => onLanguageChange(e.target.value)}
+                    >
+                        {Object.values(UI_LANGUAGES).map(language => (
+                            <option key={language.id} value={language.id} lang={language.id}>{language.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <h1 className="text-4xl font-extrabold text-blue-800 mb-4 text-center">
+                    <span className="block mb-2" aria-hidden="true">🇬🇧</span>{t('app.title')}
+                </h1>
+                <p className="text-blue-700 text-lg leading-relaxed text-center">
+                    {t('app.tagline')}
+                </p>
+            </div>
+            <div className="mt-8">
+                <p className="text-blue-600 text-sm text-center">
+                    <strong className="font-semibold">{t('app.howToTitle')}</strong><br />
+                    {t('app.howTo1')}<br />
+                    {t('app.howTo2')}<br />
+                    {t('app.howTo3')}<br />
+                    {t('app.browserHint')}<br />
+                    {t('app.shortcutsHint')}
+                </p>
+                <button
+                    onClick={onOpenHistory}
+                    className="mt-4 w-full p-2 rounded-lg bg-white text-blue-700 font-semibold border border-blue-300 hover:bg-blue-100 transition duration-200"
+                >
+                    {t('nav.pastSessions', { count: sessionCount })}
+                </button>
+                <button
+                    onClick={onOpenDeck}
+                    className="mt-2 w-full p-2 rounded-lg bg-white text-blue-700 font-semibold border border-blue-300 hover:bg-blue-100 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={deckDisabled}
+                >
+                    {t('nav.reviewDeck', { count: dueCount })}
+                </button>
+                <button
+                    onClick={onOpenProgress}
+                    className="mt-2 w-full p-2 rounded-lg bg-white text-blue-700 font-semibold border border-blue-300 hover:bg-blue-100 transition duration-200"
+                >
+                    {t('nav.myProgress')}
+                </button>
+                <button
+                    onClick={onOpenClassroom}
+                    className="mt-2 w-full p-2 rounded-lg bg-white text-blue-700 font-semibold border border-blue-300 hover:bg-blue-100 transition duration-200"
+                >
+                    {t('nav.classroom')}
+                </button>
+                <button
+                    onClick={onOpenShortcuts}
+                    className="mt-2 w-full p-2 rounded-lg bg-white text-blue-700 font-semibold border border-blue-300 hover:bg-blue-100 transition duration-200"
+                    aria-keyshortcuts="Alt+/"
+                >
+                    {t('nav.shortcuts')}
+                </button>
+                {error && (
+                    <div role="alert" className="mt-4 p-3 bg-red-100 text-red-700 rounded-lg border border-red-300 text-center text-sm">
+                        {error}
+                    </div>
+                )}
+                {children}
+            </div>
+        </aside>
+    );
+};
+
+export default SidePanel;
@@ -0,0 +1,25 @@
+import React from 'react';
+import PronunciationFeedback from './PronunciationFeedback';
+import ScenarioDebrief from './ScenarioDebrief';
+import { MESSAGE_KINDS } from '../services/messages';
+
+// Components that render the `data` of structured messages, keyed by message kind. A skill with
+// structured output registers its renderer here under the `kind` it declares.
+const RENDERERS = {
+    [MESSAGE_KINDS.PRONUNCIATION_FEEDBACK]: ({ data }) => <PronunciationFeedback feedback={data} />,
+    [MESSAGE_KINDS.SCENARIO_DEBRIEF]: ({ data }) => <ScenarioDebrief debrief={data} />
+};
+
+export const hasStructuredRenderer = (kind) => Boolean(kind && RENDERERS[kind]);
+
+// Full-width card for a structured teacher result, shown instead of a chat bubble
+const StructuredMessage = ({ message }) => {
+    const Renderer = RENDERERS[message.kind];
+    return (
+        <div className="mb-3 p-4 rounded-lg shadow-sm bg-purple-50 border border-purple-200 text-purple-900 w-full">
+            <Renderer data={message.data} />
+        </div>
+    );
+};
+
+export default StructuredMessage;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { CEFR_LEVELS } from '../services/cefr';
+
+// Settings panel for the learner's CEFR level and the teacher's persona (the system prompt).
+// `defaultPersona` is the target accent's own persona, used while no custom one is set.
+const TeacherSettings = ({ settings, defaultPersona, onChange, disabled }) => {
+    const { t } = useI18n();
+    const update = (changes) => onChange({ ...settings, ...changes });
+
+    return (
+        <details className="mt-4 p-3 bg-white rounded-lg border border-blue-200 text-sm text-blue-800">
+            <summary className="cursor-pointer font-semibold">{t('teacher.title')}</summary>
+            <div className="mt-3 flex flex-col gap-2">
+                <label className="flex flex-col gap-1">
+                    {t('teacher.level')}
+                    <select
+                        className="p-2 rounded border border-blue-300"
+                        value={settings.level}
+                        onChange={(e) => update({ level: e.target.value })}
+                        disabled={disabled}
+                    >
+                        {Object.values(CEFR_LEVELS).map(level => (
+                            <option key={level.id} value={level.id}>{level.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                    {t('teacher.persona')}
+                    <textarea
+                        dir="ltr"
+                        className="p-2 rounded border border-blue-300 h-32"
+                        value={settings.persona || defaultPersona}
+                        onChange={(e) => update({ persona: e.target.value === defaultPersona ? '' : e.target.value })}
+                        disabled={disabled}
+                    />
+                </label>
+                {settings.persona && (
+                    <button
+                        onClick={() => update({ persona: '' })}
+                        className="self-start px-2 py-1 rounded bg-blue-50 border border-blue-300 hover:bg-blue-100 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        disabled={disabled}
+                    >
+                        {t('teacher.resetPersona')}
+                    </button>
+                )}
+            </div>
+        </details>
+    );
+};
+
+export default TeacherSettings;
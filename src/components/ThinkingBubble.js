@@ -0,0 +1,20 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+// Placeholder bubble while the teacher's reply is on its way, saying so when a transient failure
+// is being retried ({ attempt, retries, error })
+const ThinkingBubble = ({ retryStatus }) => {
+    const { t } = useI18n();
+    return (
+        <div className="mb-3 p-3 rounded-lg shadow-sm bg-blue-100 me-auto text-blue-900 max-w-[80%]">
+            <span className="animate-pulse">{t('chat.thinking')}</span>
+            {retryStatus && (
+                <div className="mt-1 text-xs text-blue-700">
+                    {t('chat.retrying', { message: retryStatus.error.message, attempt: retryStatus.attempt, retries: retryStatus.retries })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ThinkingBubble;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { ACCENTS } from '../services/accents';
+
+// Settings panel for the teacher's voice, speaking rate and pitch, and the target accent
+const VoiceSettings = ({ settings, voices, onChange, onTest, disabled }) => {
+    const { t } = useI18n();
+    const update = (changes) => onChange({ ...settings, ...changes });
+    const englishVoices = voices.filter(voice => voice.lang.startsWith('en'));
+
+    return (
+        <details className="mt-4 p-3 bg-white rounded-lg border border-blue-200 text-sm text-blue-800">
+            <summary className="cursor-pointer font-semibold">{t('voice.title')}</summary>
+            <div className="mt-3 flex flex-col gap-2">
+                <label className="flex flex-col gap-1">
+                    {t('voice.accent')}
+                    <select
+                        className="p-2 rounded border border-blue-300"
+                        value={settings.accent}
+                        // A new accent usually needs a different voice, so go back to automatic
+                        onChange={(e) => update({ accent: e.target.value, voiceURI: '' })}
+                        disabled={disabled}
+                    >
+                        {Object.values(ACCENTS).map(accent => (
+                            <option key={accent.id} value={accent.id}>{accent.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                    {t('voice.voice')}
+                    <select
+                        className="p-2 rounded border border-blue-300"
+                        value={settings.voiceURI}
+                        onChange={(e) => update({ voiceURI: e.target.value })}
+                        disabled={disabled}
+                    >
+                        <option value="">{t('voice.automaticVoice')}</option>
+                        {englishVoices.map(voice => (
+                            <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name} ({voice.lang})</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                    {t('voice.rate', { value: settings.rate.toFixed(2) })}
+                    <input
+                        type="range"
+                        min="0.5"
+                        max="1.5"
+                        step="0.05"
+                        value={settings.rate}
+                        onChange={(e) => update({ rate: Number(e.target.value) })}
+                        disabled={disabled}
+                    />
+                </label>
+                <label className="flex flex-col gap-1">
+                    {t('voice.pitch', { value: settings.pitch.toFixed(2) })}
+                    <input
+                        type="range"
+                        min="0.5"
+                        max="1.5"
+                        step="0.05"
+                        value={settings.pitch}
+                        onChange={(e) => update({ pitch: Number(e.target.value) })}
+                        disabled={disabled}
+                    />
+                </label>
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={settings.slowMode}
+                        onChange={(e) => update({ slowMode: e.target.checked })}
+                        disabled={disabled}
+                    />
+                    {t('voice.slowMode')}
+                </label>
+                <button
+                    onClick={onTest}
+                    className="p-2 rounded bg-blue-600 text-white font-semibold hover:bg-blue-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={disabled}
+                >
+                    {t('voice.test')}
+                </button>
+            </div>
+        </details>
+    );
+};
+
+export default VoiceSettings;
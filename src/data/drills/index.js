@@ -0,0 +1,9 @@
+import trapBath from './trap-bath.json';
+import nonRhoticity from './non-rhoticity.json';
+import lotVowel from './lot-vowel.json';
+
+// Bundled drill sets, each focused on one feature of RP. Items are either a "sentence" with
+// `text`, or a "minimal-pair" with two contrasting `words` and their `ipa`.
+export const DRILL_SETS = [trapBath, nonRhoticity, lotVowel];
+
+export const getDrillSet = (id) => DRILL_SETS.find(set => set.id === id);
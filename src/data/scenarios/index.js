@@ -0,0 +1,11 @@
+import jobInterview from './job-interview.json';
+import gpAppointment from './gp-appointment.json';
+import pubOrder from './pub-order.json';
+import landlordCall from './landlord-call.json';
+
+// Authored role-play scenarios. Each has a `persona` (name, role, manner) the model plays, an
+// `opening` line, the learner's `goals`, `targetPhrases` to try out and a `turnLimit` after
+// which the scenario ends with a scored debrief.
+export const SCENARIOS = [jobInterview, gpAppointment, pubOrder, landlordCall];
+
+export const getScenario = (id) => SCENARIOS.find(scenario => scenario.id === id);
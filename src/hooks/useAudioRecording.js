@@ -0,0 +1,54 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { createAudioRecorder, isRecordingSupported } from '../services/audioRecorder';
+import { createRecordingId, saveRecording } from '../services/recordingStore';
+
+// The learner's voice, recorded alongside speech recognition (or on its own in an offline drill)
+// and saved under a recording id the learner's message or drill attempt points to
+const useAudioRecording = () => {
+    const recorderRef = useRef(null); // MediaRecorder wrapper capturing the learner's voice
+    const pendingRecordingIdRef = useRef(null); // Id for the clip being recorded in the current turn
+
+    // Function to start capturing the learner's audio. Recording is best-effort: if the browser
+    // or permissions don't allow it, recognition carries on without it.
+    const start = useCallback(() => {
+        if (!isRecordingSupported()) return;
+        if (!recorderRef.current) {
+            recorderRef.current = createAudioRecorder();
+        }
+        const recordingId = createRecordingId();
+        pendingRecordingIdRef.current = recordingId;
+        recorderRef.current.start().catch(err => {
+            console.warn("Audio recording unavailable:", err);
+            if (pendingRecordingIdRef.current === recordingId) {
+                pendingRecordingIdRef.current = null;
+            }
+        });
+    }, []);
+
+    // Function to stop recording and save the clip; returns the clip's id, or null if none was running
+    const finish = useCallback(() => {
+        const recordingId = pendingRecordingIdRef.current;
+        pendingRecordingIdRef.current = null;
+        if (!recordingId || !recorderRef.current) return null;
+
+        recorderRef.current.stop()
+            .then(blob => blob && saveRecording(recordingId, blob))
+            .catch(err => console.error("Could not save recording:", err));
+        return recordingId;
+    }, []);
+
+    // Function to throw away the current recording (e.g. nothing was recognised)
+    const discard = useCallback(() => {
+        pendingRecordingIdRef.current = null;
+        if (recorderRef.current) {
+            recorderRef.current.cancel();
+        }
+    }, []);
+
+    // Effect to release the microphone if the app unmounts mid-recording
+    useEffect(() => discard, [discard]);
+
+    return { start, finish, discard };
+};
+
+export default useAudioRecording;
@@ -0,0 +1,54 @@
+import { useCallback, useRef, useState } from 'react';
+import { generateReply, streamReply } from '../services/llm';
+
+// Requests to the teacher with the learner's provider settings, one at a time. A request is
+// begun with `begin()`, which cancels any still in flight, and passed to `stream` or `generate`;
+// `retryStatus` is the retry in progress after a transient failure, for the "thinking" bubble.
+const useChatClient = (llmSettings) => {
+    // State for the retry in progress after a transient failure: { attempt, retries, delayMs, error }
+    const [retryStatus, setRetryStatus] = useState(null);
+
+    const controllerRef = useRef(null); // AbortController of the request in flight
+
+    // Function to start a cancellable request, cancelling any still in flight
+    const begin = useCallback(() => {
+        if (controllerRef.current) controllerRef.current.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        setRetryStatus(null);
+        return controller;
+    }, []);
+
+    // Function to settle a request once its outcome has been handled
+    const end = useCallback((controller) => {
+        if (controllerRef.current !== controller) return;
+        controllerRef.current = null;
+        setRetryStatus(null);
+    }, []);
+
+    // Function to cancel the request in flight. A dropped request (the learner cleared or left the
+    // session) is forgotten entirely; otherwise it fails as cancelled and can be retried.
+    const cancel = useCallback(({ drop = false } = {}) => {
+        const controller = controllerRef.current;
+        if (!controller) return;
+        if (drop) controllerRef.current = null;
+        controller.abort();
+    }, []);
+
+    // Function to tell whether a request is still the one in flight (not replaced or dropped)
+    const isCurrent = useCallback((controller) => controllerRef.current === controller, []);
+
+    // Function to stream a chat reply for the request `controller` (see streamReply)
+    const stream = useCallback((controller, messages, onDelta, options = {}) =>
+        streamReply(llmSettings, messages, onDelta, { ...options, signal: controller.signal, onRetry: setRetryStatus }),
+    [llmSettings]);
+
+    // Function to fetch a whole reply, e.g. JSON for a skill, for the request `controller` (see generateReply)
+    const generate = useCallback((controller, messages, options = {}) =>
+        generateReply(llmSettings, messages, { ...options, signal: controller.signal, onRetry: setRetryStatus }),
+    [llmSettings]);
+
+    return { retryStatus, begin, end, cancel, isCurrent, stream, generate };
+};
+
+export default useChatClient;
@@ -0,0 +1,60 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import useChatClient from './useChatClient';
+import { errorReply, jsonReply, mockFetch, streamedReply } from '../testing/browserFakes';
+import { LLMCancelledError } from '../services/llm';
+
+const settings = { provider: 'gemini', model: 'gemini-2.0-flash', baseUrl: '', stream: true, historyBudget: 2000 };
+const messages = [{ role: 'user', text: 'Hello' }];
+
+describe('useChatClient', () => {
+    it('streams a reply for the request in flight', async () => {
+        mockFetch(streamedReply('Good ', 'morning!'));
+        const { result } = renderHook(() => useChatClient(settings));
+        const onDelta = jest.fn();
+
+        const controller = result.current.begin();
+        await expect(result.current.stream(controller, messages, onDelta)).resolves.toBe('Good morning!');
+
+        expect(onDelta).toHaveBeenLastCalledWith('morning!', 'Good morning!');
+        expect(result.current.isCurrent(controller)).toBe(true);
+        act(() => result.current.end(controller));
+        expect(result.current.isCurrent(controller)).toBe(false);
+    });
+
+    it('cancels the previous request when a new one begins', async () => {
+        const { result } = renderHook(() => useChatClient(settings));
+
+        const first = result.current.begin();
+        const second = result.current.begin();
+
+        expect(first.signal.aborted).toBe(true);
+        expect(result.current.isCurrent(second)).toBe(true);
+    });
+
+    it('forgets a dropped request, which then fails as cancelled', async () => {
+        mockFetch(jsonReply('Too late'));
+        const { result } = renderHook(() => useChatClient(settings));
+
+        const controller = result.current.begin();
+        result.current.cancel({ drop: true });
+
+        expect(result.current.isCurrent(controller)).toBe(false);
+        await expect(result.current.generate(controller, messages)).rejects.toBeInstanceOf(LLMCancelledError);
+    });
+
+    it('shows the retry in progress after a transient failure', async () => {
+        mockFetch(errorReply(503, 'Overloaded.', { 'retry-after': '0' }), jsonReply('Hello again'));
+        const { result } = renderHook(() => useChatClient(settings));
+
+        const controller = result.current.begin();
+        let reply;
+        await act(async () => {
+            reply = await result.current.generate(controller, messages);
+        });
+
+        expect(reply).toBe('Hello again');
+        await waitFor(() => expect(result.current.retryStatus).toMatchObject({ attempt: 1, retries: 2 }));
+        act(() => result.current.end(controller));
+        expect(result.current.retryStatus).toBeNull();
+    });
+});
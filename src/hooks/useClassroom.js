@@ -0,0 +1,132 @@
+import { useCallback, useEffect, useState } from 'react';
+import { assignmentToFile, createAssignment, parseAssignmentFile, readAssignmentLink } from '../services/assignments';
+import { deleteAssignment, listAssignments, receiveAssignment, saveAssignment } from '../services/assignmentStore';
+import { downloadFile, exportFilename } from '../services/dataTransfer';
+import { buildReport, parseReport, reportFilename } from '../services/reports';
+import { getSession } from '../services/sessionStore';
+
+// The classroom: assignments a tutor sets and shares and a learner receives and hands in, and the
+// learner report open for review. `name` is the classroom name from the interface settings, put
+// on assignments and reports; opening a tutor's link switches `setInterfaceSettings` to the
+// learner's role. `sessions` (newest first) are searched for the one to hand in.
+const useClassroom = ({ name, setInterfaceSettings, sessions, setError, t }) => {
+    // State for the assignments set or received on this device
+    const [assignments, setAssignments] = useState([]);
+    // State to show the classroom dialog
+    const [isOpen, setIsOpen] = useState(false);
+    // State for the learner report open in the review view, if any
+    const [openReport, setOpenReport] = useState(null);
+
+    // Function to reload the assignments for the classroom dialog
+    const refresh = useCallback(async () => {
+        try {
+            setAssignments(await listAssignments());
+        } catch (err) {
+            console.error("Could not load assignments:", err);
+        }
+    }, []);
+
+    // Effect to load assignments on mount
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    // Effect to add an assignment the app was opened with from a tutor's link, then take it out
+    // of the address bar so reloading (or running this again) doesn't add it twice
+    useEffect(() => {
+        const { hash, pathname, search } = window.location;
+        let assignment;
+        try {
+            assignment = readAssignmentLink(hash);
+        } catch (err) {
+            console.error("Could not read assignment link:", err.problems || err);
+            setError(t('errors.assignmentLink'));
+        }
+        if (assignment === null) return; // Not an assignment link
+        window.history.replaceState(null, '', `${pathname}${search}`);
+        if (!assignment) return;
+        receiveAssignment(assignment)
+            .then(() => {
+                refresh();
+                setInterfaceSettings(prev => ({ ...prev, role: 'learner' }));
+                setIsOpen(true);
+            })
+            .catch(err => {
+                console.error("Could not save assignment:", err);
+                setError(t('errors.saveAssignment'));
+            });
+    }, [refresh, setInterfaceSettings, setError, t]);
+
+    // Function to save an assignment the tutor set; errors are shown by the classroom dialog
+    const create = async (fields) => {
+        const assignment = { ...createAssignment({ ...fields, tutor: name }), isOwn: true };
+        await saveAssignment(assignment);
+        refresh();
+        return assignment;
+    };
+
+    // Function to download an assignment as a file to share with the class
+    const download = (assignment) => {
+        downloadFile(exportFilename(assignment.title, 'json'), assignmentToFile(assignment), 'application/json');
+    };
+
+    // Function to add an assignment from a file the tutor shared; errors are shown by the classroom dialog
+    const receiveFile = async (file) => {
+        const assignment = await receiveAssignment(parseAssignmentFile(await file.text()));
+        refresh();
+        return t('classroom.added', { title: assignment.title });
+    };
+
+    // Function to download the learner's latest session for an assignment as a report for the
+    // tutor, and note when it was submitted; errors are shown by the classroom dialog
+    const submitReport = async (assignment) => {
+        const latest = sessions.find(session => session.assignmentId === assignment.id); // Newest first
+        const session = await getSession(latest.id);
+        const report = await buildReport({ assignment, session, learner: name });
+        downloadFile(reportFilename(report), JSON.stringify(report, null, 2), 'application/json');
+        await saveAssignment({ ...assignment, submittedAt: report.submittedAt });
+        refresh();
+    };
+
+    // Function to remove an assignment; sessions practised for it stay in the history
+    const remove = async (id) => {
+        setAssignments(prev => prev.filter(assignment => assignment.id !== id));
+        try {
+            await deleteAssignment(id);
+        } catch (err) {
+            console.error("Could not delete assignment:", err);
+            setError(t('errors.removeAssignment'));
+            refresh();
+        }
+    };
+
+    // Function to open a learner report in the review view; errors are shown by the classroom dialog
+    const openReportFile = async (file) => {
+        const report = parseReport(await file.text());
+        setIsOpen(false);
+        setOpenReport(report);
+    };
+
+    // Function to download a report with the tutor's comments, to send back to the learner
+    const saveReview = (report) => {
+        downloadFile(reportFilename(report), JSON.stringify(report, null, 2), 'application/json');
+        setOpenReport(report);
+    };
+
+    return {
+        assignments,
+        isOpen,
+        setIsOpen,
+        openReport,
+        closeReport: () => setOpenReport(null),
+        create,
+        download,
+        receiveFile,
+        submitReport,
+        remove,
+        openReportFile,
+        saveReview
+    };
+};
+
+export default useClassroom;
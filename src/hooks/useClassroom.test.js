@@ -0,0 +1,49 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import useClassroom from './useClassroom';
+import { assignmentToLink, createAssignment } from '../services/assignments';
+import { listAssignments, receiveAssignment } from '../services/assignmentStore';
+
+// Assignments live in IndexedDB, which jsdom lacks
+jest.mock('../services/assignmentStore');
+
+const assignment = createAssignment({ title: 'Week 3', kind: 'drill', setId: 'trap-bath', due: '2026-03-06', tutor: 'Ms Hughes' });
+
+const renderClassroom = () => {
+    const props = { name: 'Sam', setInterfaceSettings: jest.fn(), sessions: [], setError: jest.fn(), t: (key) => key };
+    const { result } = renderHook(() => useClassroom(props));
+    return { result, props };
+};
+
+describe('useClassroom', () => {
+    beforeEach(() => {
+        listAssignments.mockResolvedValue([]);
+        receiveAssignment.mockImplementation(async (received) => received);
+    });
+
+    afterEach(() => {
+        window.history.replaceState(null, '', '/');
+    });
+
+    it('adds the assignment from a tutor\'s link and opens the classroom as a learner', async () => {
+        const link = assignmentToLink(assignment, '');
+        window.history.replaceState(null, '', `/${link.slice(link.indexOf('#'))}`);
+        const { result, props } = renderClassroom();
+
+        await waitFor(() => expect(result.current.isOpen).toBe(true));
+        expect(receiveAssignment).toHaveBeenCalledWith(assignment);
+        expect(props.setInterfaceSettings.mock.calls[0][0]({ role: 'tutor', name: 'Sam' })).toEqual({ role: 'learner', name: 'Sam' });
+        expect(window.location.hash).toBe('');
+    });
+
+    it('says so when a link was cut short', async () => {
+        const link = assignmentToLink(assignment, '');
+        window.history.replaceState(null, '', `/${link.slice(link.indexOf('#'), -10)}`);
+        const { result, props } = renderClassroom();
+
+        await waitFor(() => expect(listAssignments).toHaveBeenCalled());
+        expect(props.setError).toHaveBeenCalledWith('errors.assignmentLink');
+        expect(receiveAssignment).not.toHaveBeenCalled();
+        expect(result.current.isOpen).toBe(false);
+        expect(window.location.hash).toBe('');
+    });
+});
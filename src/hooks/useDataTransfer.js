@@ -0,0 +1,70 @@
+import { useCallback } from 'react';
+import { buildExport, collectRecordings, downloadFile, exportFilename, importExport, parseExport } from '../services/dataTransfer';
+import { getSession, listSessions } from '../services/sessionStore';
+import { sessionToHtml, sessionToMarkdown } from '../services/transcript';
+
+// Exporting saved sessions and backups from the history sidebar, and importing them again.
+// `refreshSessions` and `refreshDeck` reload what an import (or a missing session) changed.
+const useDataTransfer = ({ refreshSessions, refreshDeck, setError, t }) => {
+    // Function to export a saved session: JSON that can be imported again, a Markdown or HTML
+    // transcript, or a print-ready page the browser can save as PDF
+    const exportSession = useCallback(async (id, format) => {
+        // Open the print window straight away, while the click still counts as a user action
+        const printWindow = format === 'print' ? window.open('', '_blank') : null;
+        if (format === 'print' && !printWindow) {
+            setError(t('errors.printBlocked'));
+            return;
+        }
+        try {
+            const session = await getSession(id);
+            if (!session) {
+                if (printWindow) printWindow.close();
+                setError(t('errors.sessionMissing'));
+                refreshSessions();
+                return;
+            }
+            if (format === 'json') {
+                const data = await buildExport([session]);
+                downloadFile(exportFilename(session.title, 'json'), JSON.stringify(data, null, 2), 'application/json');
+            } else if (format === 'markdown') {
+                downloadFile(exportFilename(session.title, 'md'), sessionToMarkdown(session), 'text/markdown');
+            } else if (format === 'html') {
+                const html = sessionToHtml(session, await collectRecordings([session]));
+                downloadFile(exportFilename(session.title, 'html'), html, 'text/html');
+            } else {
+                printWindow.document.write(sessionToHtml(session));
+                printWindow.document.close();
+                printWindow.focus();
+                printWindow.print();
+            }
+        } catch (err) {
+            console.error("Could not export session:", err);
+            if (printWindow) printWindow.close();
+            setError(t('errors.exportSession'));
+        }
+    }, [refreshSessions, setError, t]);
+
+    // Function to download every session with its recordings, plus the deck and practice log
+    const backupAll = useCallback(async () => {
+        try {
+            const data = await buildExport(await listSessions(), { includeLearningData: true });
+            const date = new Date().toISOString().slice(0, 10);
+            downloadFile(`accent-coach-backup-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+        } catch (err) {
+            console.error("Could not back up learning data:", err);
+            setError(t('errors.backup'));
+        }
+    }, [setError, t]);
+
+    // Function to import a JSON export or backup; errors are shown by the sidebar
+    const importData = useCallback(async (file) => {
+        const counts = await importExport(parseExport(await file.text()));
+        refreshSessions();
+        refreshDeck();
+        return counts;
+    }, [refreshSessions, refreshDeck]);
+
+    return { exportSession, backupAll, importData };
+};
+
+export default useDataTransfer;
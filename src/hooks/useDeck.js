@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from 'react';
+import { addCards, deleteCard, listCards, updateCard } from '../services/deckStore';
+import { buildFlashcardPrompt, FLASHCARDS_SCHEMA, parseFlashcards } from '../services/flashcards';
+import { LLMError } from '../services/llm';
+import { StructuredReplyError } from '../services/schema';
+import { scheduleReview } from '../services/srs';
+import { getSkill } from '../skills';
+
+// The local flashcard deck: its cards, reviews, and cards made from a skill's reply in the
+// conversation. Cards are extracted through `chatClient` (see useChatClient), so the request
+// is cancelled with the teacher's, and a request dropped with its session changes nothing.
+const useDeck = ({ chatClient, conversation, setConversation, stopSpeaking, reportStructuredError, setError, t }) => {
+    // State for all flashcards in the local deck
+    const [cards, setCards] = useState([]);
+    // State for the id of the message whose cards are being extracted
+    const [savingId, setSavingId] = useState(null);
+
+    const { begin, end, isCurrent, generate } = chatClient;
+
+    // Function to reload the flashcard deck
+    const refresh = useCallback(async () => {
+        try {
+            setCards(await listCards());
+        } catch (err) {
+            console.error("Could not load flashcards:", err);
+        }
+    }, []);
+
+    // Effect to load the deck on mount
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    // Function to turn a skill's reply (vocabulary, rephrasing, ...) into flashcards and add them to the deck
+    const saveMessage = async (id) => {
+        const msg = conversation.find(m => m.id === id);
+        const skill = getSkill(msg.skill);
+        setError('');
+        setSavingId(id);
+        const controller = begin();
+        try {
+            const reply = await generate(
+                controller,
+                [{ role: 'user', text: buildFlashcardPrompt(msg.text, skill.output.deckInstructions) }],
+                { schema: FLASHCARDS_SCHEMA }
+            );
+            const newCards = parseFlashcards(reply).map(card => ({ ...card, source: msg.skill }));
+            const added = await addCards(newCards);
+            if (isCurrent(controller)) {
+                setConversation(prev => prev.map(m => m.id === id ? { ...m, savedCardCount: added } : m));
+            }
+            refresh();
+        } catch (err) {
+            if (!isCurrent(controller)) return;
+            if (err instanceof StructuredReplyError || err instanceof LLMError) {
+                reportStructuredError(err, 'flashcards');
+            } else {
+                console.error("Could not save flashcards:", err);
+                setError(t('errors.saveFlashcards'));
+            }
+        } finally {
+            end(controller);
+            setSavingId(null);
+        }
+    };
+
+    // Function to record a flashcard review and reschedule the card
+    const grade = async (card, quality) => {
+        stopSpeaking();
+        const updated = scheduleReview(card, quality);
+        setCards(prev => prev.map(c => c.id === card.id ? updated : c));
+        try {
+            await updateCard(updated);
+        } catch (err) {
+            console.error("Could not save review:", err);
+            setError(t('errors.saveReview'));
+        }
+    };
+
+    // Function to remove a flashcard from the deck
+    const remove = async (card) => {
+        stopSpeaking();
+        setCards(prev => prev.filter(c => c.id !== card.id));
+        try {
+            await deleteCard(card.id);
+        } catch (err) {
+            console.error("Could not delete card:", err);
+            setError(t('errors.removeCard'));
+            refresh();
+        }
+    };
+
+    return { cards, savingId, refresh, saveMessage, grade, remove };
+};
+
+export default useDeck;
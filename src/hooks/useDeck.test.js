@@ -0,0 +1,70 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import useDeck from './useDeck';
+import useChatClient from './useChatClient';
+import { addCards, listCards } from '../services/deckStore';
+import { jsonReply, mockFetch } from '../testing/browserFakes';
+
+// The deck lives in IndexedDB, which jsdom lacks
+jest.mock('../services/deckStore');
+
+const settings = { provider: 'gemini', model: 'gemini-2.0-flash', baseUrl: '', stream: false, historyBudget: 2000 };
+const conversation = [{ id: 'msg-1', role: 'model', skill: 'vocab', text: 'Chuffed to bits: extremely pleased.' }];
+
+// Render the deck with a real chat client, so requests can be cancelled the way the app does it
+const renderDeck = async () => {
+    const props = {
+        conversation,
+        setConversation: jest.fn(),
+        stopSpeaking: jest.fn(),
+        reportStructuredError: jest.fn(),
+        setError: jest.fn(),
+        t: (key) => key
+    };
+    const { result } = renderHook(() => {
+        const chatClient = useChatClient(settings);
+        return { chatClient, deck: useDeck({ ...props, chatClient }) };
+    });
+    await waitFor(() => expect(listCards).toHaveBeenCalled());
+    return { result, props };
+};
+
+describe('useDeck', () => {
+    beforeEach(() => {
+        listCards.mockResolvedValue([]);
+        addCards.mockImplementation(async (cards) => cards.length);
+    });
+
+    it('turns a skill reply into cards and notes how many were saved', async () => {
+        mockFetch(jsonReply(JSON.stringify({ cards: [{ front: 'chuffed to bits', back: 'extremely pleased' }] })));
+        const { result, props } = await renderDeck();
+
+        await act(() => result.current.deck.saveMessage('msg-1'));
+
+        expect(addCards).toHaveBeenCalledWith([{ front: 'chuffed to bits', back: 'extremely pleased', source: 'vocab' }]);
+        const update = props.setConversation.mock.calls[0][0];
+        expect(update(conversation)[0].savedCardCount).toBe(1);
+        expect(result.current.deck.savingId).toBeNull();
+    });
+
+    it('leaves the deck and conversation alone when the request is dropped with its session', async () => {
+        window.fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new DOMException('The user aborted a request.', 'AbortError')));
+        }));
+        const { result, props } = await renderDeck();
+
+        let saving;
+        act(() => {
+            saving = result.current.deck.saveMessage('msg-1');
+        });
+        expect(result.current.deck.savingId).toBe('msg-1');
+        await act(async () => {
+            result.current.chatClient.cancel({ drop: true });
+            await saving;
+        });
+
+        expect(addCards).not.toHaveBeenCalled();
+        expect(props.setConversation).not.toHaveBeenCalled();
+        expect(props.reportStructuredError).not.toHaveBeenCalled();
+        expect(result.current.deck.savingId).toBeNull();
+    });
+});
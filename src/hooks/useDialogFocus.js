@@ -0,0 +1,54 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])';
+
+// Elements Tab can reach inside the dialog (skipping ones hidden with Tailwind's `hidden`)
+const focusableIn = (dialog) => Array.from(dialog.querySelectorAll(FOCUSABLE)).filter(el => !el.closest('.hidden'));
+
+// Focus handling for a modal dialog: focus moves into the dialog when it opens, Tab and
+// Shift+Tab cycle inside it, Escape calls `onClose`, and focus goes back to whatever had it
+// before once the dialog closes. Returns props to spread on the dialog's container.
+const useDialogFocus = (onClose) => {
+    const dialogRef = useRef(null);
+
+    // Effect to focus the dialog on open and restore the previous focus on close
+    useEffect(() => {
+        const previouslyFocused = document.activeElement;
+        if (dialogRef.current) dialogRef.current.focus();
+        return () => {
+            if (previouslyFocused && previouslyFocused.isConnected && typeof previouslyFocused.focus === 'function') {
+                previouslyFocused.focus();
+            }
+        };
+    }, []);
+
+    // Escape closes; Tab wraps around at either end. Keys handled by a control inside (e.g.
+    // Escape cancelling a rename) can stop propagation to keep the dialog open.
+    const onKeyDown = useCallback((event) => {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            onClose();
+            return;
+        }
+        if (event.key !== 'Tab') return;
+        const elements = focusableIn(dialogRef.current);
+        if (elements.length === 0) {
+            event.preventDefault();
+            return;
+        }
+        const first = elements[0];
+        const last = elements[elements.length - 1];
+        const active = document.activeElement;
+        if (event.shiftKey && (active === first || active === dialogRef.current)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && active === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }, [onClose]);
+
+    return { ref: dialogRef, role: 'dialog', 'aria-modal': true, tabIndex: -1, onKeyDown };
+};
+
+export default useDialogFocus;
@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { compareTranscript, getDrillTarget } from '../services/drillScoring';
+import { isRecordingSupported } from '../services/audioRecorder';
+import { MESSAGE_KINDS, createMessageId, withoutListeningPlaceholder } from '../services/messages';
+
+// Listen-and-repeat drills: the running drill, its set picker and the repetitions recorded
+// offline. `recording` is the learner's recorder (see useAudioRecording); each finished drill
+// posts a summary of the attempted items to the conversation through `setConversation`.
+const useDrill = ({ setConversation, setCurrentSession, speak, stopSpeaking, logTurn, recording, setError, t }) => {
+    // State for the running drill: { set, index, attempts } where attempts[i] is the latest try at item i
+    const [drill, setDrill] = useState(null);
+    // State to show the drill set picker
+    const [isPickerOpen, setIsPickerOpen] = useState(false);
+    // State for a drill repetition being recorded without recognition (offline)
+    const [isRecordingAttempt, setIsRecordingAttempt] = useState(false);
+
+    const drillRef = useRef(null); // Mirrors `drill` so recognition callbacks can route results to it
+
+    // Effect to keep the drill ref in step with state
+    useEffect(() => {
+        drillRef.current = drill;
+    }, [drill]);
+
+    // Function to begin a drill set; the teacher says the first target straight away
+    const start = (set) => {
+        setError('');
+        setIsPickerOpen(false);
+        setDrill({ set, index: 0, attempts: [] });
+        setCurrentSession(prev => ({ ...prev, mode: 'drill' }));
+        speak(`${set.title}. Listen and repeat. ${getDrillTarget(set.items[0])}`);
+    };
+
+    // Function to score a recognised repetition against the current drill item
+    const submitAttempt = useCallback((transcript, recordingId, spokenMs) => {
+        setConversation(withoutListeningPlaceholder);
+        const current = drillRef.current;
+        if (!current) return;
+
+        const set = current.set;
+        const result = compareTranscript(getDrillTarget(set.items[current.index]), transcript);
+        setDrill(prev => {
+            if (!prev) return prev;
+            const attempts = [...prev.attempts];
+            attempts[current.index] = { transcript, recordingId, result };
+            return { ...prev, attempts };
+        });
+        logTurn({
+            type: 'drill-attempt',
+            text: transcript,
+            spokenMs,
+            score: result.score,
+            // Every target word that was missed or misheard counts against the drill's feature
+            flagged: result.words
+                .filter(w => w.status === 'wrong' || w.status === 'missing')
+                .map(w => ({ word: w.expected, sound: set.title }))
+        });
+    }, [logTurn, setConversation]);
+
+    // Function to end the drill and post a summary of the attempted items to the chat
+    const finish = () => {
+        stopSpeaking();
+        setIsPickerOpen(false);
+        if (!drill) return;
+
+        const set = drill.set;
+        const attempts = drill.attempts.filter(Boolean);
+        setDrill(null);
+        if (attempts.length === 0) return;
+
+        // Attempts recorded offline have no score
+        const scored = attempts.filter(a => a.result);
+        const perfect = scored.filter(a => a.result.isPerfect).length;
+        const average = scored.length ? Math.round(scored.reduce((sum, a) => sum + a.result.score, 0) / scored.length) : 0;
+        const summary = scored.length
+            ? `Drill complete: ${set.title}. You said ${perfect} of ${scored.length} items perfectly, with an average word accuracy of ${average}%.`
+            : `Drill complete: ${set.title}. You recorded ${attempts.length} item${attempts.length === 1 ? '' : 's'} offline to compare by ear.`;
+        // Each attempted item, so the session (and any report made from it) keeps per-item results
+        const items = drill.attempts
+            .map((attempt, index) => attempt && {
+                target: getDrillTarget(set.items[index]),
+                transcript: attempt.transcript,
+                score: attempt.result ? attempt.result.score : null,
+                ...(attempt.recordingId && { recordingId: attempt.recordingId })
+            })
+            .filter(Boolean);
+        setConversation(prev => [...prev, {
+            id: createMessageId(),
+            role: 'model',
+            kind: MESSAGE_KINDS.DRILL_SUMMARY,
+            text: summary,
+            data: { setId: set.id, title: set.title, items }
+        }]);
+        speak(summary);
+    };
+
+    // Function to record a drill repetition without speech recognition, which needs the network
+    // in most browsers. Offline attempts are saved unscored, for the learner to compare by ear.
+    const toggleRecording = () => {
+        if (isRecordingAttempt) {
+            const recordingId = recording.finish();
+            setIsRecordingAttempt(false);
+            if (!recordingId) return;
+            setDrill(prev => {
+                if (!prev) return prev;
+                const attempts = [...prev.attempts];
+                attempts[prev.index] = { transcript: '', recordingId, result: null };
+                return { ...prev, attempts };
+            });
+            return;
+        }
+        if (!isRecordingSupported()) {
+            setError(t('errors.noRecording'));
+            return;
+        }
+        stopSpeaking();
+        setError('');
+        recording.start();
+        setIsRecordingAttempt(true);
+    };
+
+    // Function to move on to the next drill item, or finish after the last one
+    const next = () => {
+        const set = drill.set;
+        if (drill.index + 1 >= set.items.length) {
+            finish();
+            return;
+        }
+        setDrill(prev => ({ ...prev, index: prev.index + 1 }));
+        speak(getDrillTarget(set.items[drill.index + 1]));
+    };
+
+    // Function to say the current drill item again
+    const playTarget = () => speak(getDrillTarget(drill.set.items[drill.index]));
+
+    // Function to drop the drill without a summary, e.g. when the session changes
+    const reset = useCallback(() => {
+        setDrill(null);
+        setIsPickerOpen(false);
+        setIsRecordingAttempt(false);
+    }, []);
+
+    return {
+        drill,
+        isPickerOpen,
+        setIsPickerOpen,
+        isRecordingAttempt,
+        start,
+        submitAttempt,
+        finish,
+        toggleRecording,
+        next,
+        playTarget,
+        reset
+    };
+};
+
+export default useDrill;
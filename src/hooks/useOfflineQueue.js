@@ -0,0 +1,22 @@
+import { useEffect } from 'react';
+import { isQueuedTurn } from '../services/messages';
+
+// Learner turns queued while offline (flagged `queued` in the conversation) are sent with
+// `send(text, turnId)` once the connection is back, oldest first. Each waits for the previous
+// reply (`isLoading`), and nothing is sent while `isBlocked`, e.g. a failed turn awaits a retry.
+const useOfflineQueue = ({ isOnline, isLoading, isBlocked, conversation, setConversation, send }) => {
+    // Effect to send the next queued turn once the connection is back and the teacher is free
+    useEffect(() => {
+        if (!isOnline || isLoading || isBlocked) return;
+        const queuedTurn = conversation.find(isQueuedTurn);
+        if (!queuedTurn) return;
+        setConversation(prev => prev.map(msg => {
+            if (msg.id !== queuedTurn.id) return msg;
+            const { queued, ...rest } = msg;
+            return rest;
+        }));
+        send(queuedTurn.text, queuedTurn.id);
+    }, [isOnline, isLoading, isBlocked, conversation, setConversation, send]);
+};
+
+export default useOfflineQueue;
@@ -0,0 +1,35 @@
+import { renderHook } from '@testing-library/react';
+import useOfflineQueue from './useOfflineQueue';
+
+const conversation = [
+    { id: 'a', role: 'user', text: 'First', queued: true },
+    { id: 'b', role: 'user', text: 'Second', queued: true }
+];
+
+const renderQueue = (props) => {
+    const initialProps = { isOnline: true, isLoading: false, isBlocked: false, conversation, setConversation: jest.fn(), send: jest.fn(), ...props };
+    const { rerender } = renderHook((current) => useOfflineQueue(current), { initialProps });
+    return { rerender, props: initialProps };
+};
+
+describe('useOfflineQueue', () => {
+    it('sends the oldest queued turn and takes it out of the queue', () => {
+        const { props } = renderQueue();
+
+        expect(props.send).toHaveBeenCalledTimes(1);
+        expect(props.send).toHaveBeenCalledWith('First', 'a');
+        const update = props.setConversation.mock.calls[0][0];
+        expect(update(conversation)).toEqual([{ id: 'a', role: 'user', text: 'First' }, conversation[1]]);
+    });
+
+    it('waits for the connection, the previous reply and any failed turn', () => {
+        const { props, rerender } = renderQueue({ isOnline: false });
+
+        rerender({ ...props, isOnline: true, isLoading: true });
+        rerender({ ...props, isOnline: true, isBlocked: true });
+        expect(props.send).not.toHaveBeenCalled();
+
+        rerender({ ...props, isOnline: true });
+        expect(props.send).toHaveBeenCalledWith('First', 'a');
+    });
+});
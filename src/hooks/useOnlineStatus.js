@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+
+// Whether the browser has a network connection, following it going offline and coming back
+const useOnlineStatus = () => {
+    // State for whether the browser has a network connection
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+    // Effect to follow the browser going offline and coming back
+    useEffect(() => {
+        const goOnline = () => setIsOnline(true);
+        const goOffline = () => setIsOnline(false);
+        window.addEventListener('online', goOnline);
+        window.addEventListener('offline', goOffline);
+        return () => {
+            window.removeEventListener('online', goOnline);
+            window.removeEventListener('offline', goOffline);
+        };
+    }, []);
+
+    return isOnline;
+};
+
+export default useOnlineStatus;
@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { getScenario } from '../data/scenarios';
+import { buildSystemInstruction } from '../services/cefr';
+import { MESSAGE_KINDS, createMessageId, isLearnerTurn, withoutListeningPlaceholder } from '../services/messages';
+import { chunkText } from '../services/speechChunker';
+import {
+    SCENARIO_DEBRIEF_SCHEMA,
+    buildDebriefPrompt,
+    countLearnerTurns,
+    parseScenarioDebrief,
+    speakableDebrief,
+    summariseDebrief
+} from '../services/scenarios';
+
+// The authored role-play scenario the current `session` plays out. It runs until its debrief is
+// posted: by the learner, or by itself once the persona has answered the last of the scenario's
+// turns. The debrief is requested through `chatClient` (see useChatClient), so stopping the
+// teacher or leaving the session cancels it like any other reply.
+const useScenario = ({
+    session,
+    conversation,
+    setConversation,
+    isLoading,
+    setIsLoading,
+    isOnline,
+    level,
+    chatClient,
+    enqueueSpeech,
+    logTurn,
+    reportStructuredError,
+    setError
+}) => {
+    const debriefRequestedRef = useRef(null); // Id of the session whose scenario was sent for debrief
+
+    const scenario = session.scenarioId ? getScenario(session.scenarioId) : null;
+    const isRunning = Boolean(scenario) && !conversation.some(msg => msg.kind === MESSAGE_KINDS.SCENARIO_DEBRIEF);
+    const { begin, end, isCurrent, generate } = chatClient;
+
+    // Function to end the running scenario with a scored debrief. Goals are judged by the model;
+    // target phrases are checked locally. The debrief is spoken after the persona's last line.
+    const debrief = useCallback(async () => {
+        if (!scenario) return;
+        debriefRequestedRef.current = session.id;
+        setError('');
+        const controller = begin();
+        setIsLoading(true);
+        const transcript = withoutListeningPlaceholder(conversation).filter(msg => !msg.failed);
+        try {
+            const reply = await generate(controller, [{ role: 'user', text: buildDebriefPrompt(scenario, transcript) }], {
+                system: buildSystemInstruction({ level }),
+                schema: SCENARIO_DEBRIEF_SCHEMA
+            });
+            const result = parseScenarioDebrief(reply, scenario, transcript.filter(isLearnerTurn).map(msg => msg.text));
+            setConversation(prev => [...prev, {
+                id: createMessageId(),
+                role: 'model',
+                kind: MESSAGE_KINDS.SCENARIO_DEBRIEF,
+                data: result,
+                text: summariseDebrief(result)
+            }]);
+            enqueueSpeech(chunkText(speakableDebrief(result)));
+            logTurn({ type: MESSAGE_KINDS.SCENARIO_DEBRIEF, text: scenario.title, score: result.score });
+        } catch (err) {
+            if (isCurrent(controller)) reportStructuredError(err, 'debrief');
+        } finally {
+            end(controller);
+            setIsLoading(false);
+        }
+    }, [scenario, session.id, conversation, level, setConversation, setIsLoading, setError, enqueueSpeech, logTurn, reportStructuredError, begin, end, isCurrent, generate]);
+
+    // Effect to debrief a scenario by itself once the persona has answered the learner's last turn
+    useEffect(() => {
+        if (!isRunning || isLoading || !isOnline || debriefRequestedRef.current === session.id) return;
+        const lastMessage = conversation[conversation.length - 1];
+        if (countLearnerTurns(conversation) >= scenario.turnLimit && lastMessage.role === 'model' && !lastMessage.kind) {
+            debrief();
+        }
+    }, [isRunning, isLoading, isOnline, conversation, session.id, scenario, debrief]);
+
+    return { scenario, isRunning, debrief };
+};
+
+export default useScenario;
@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useState } from 'react';
+import { MESSAGE_KINDS, isLearnerTurn, withoutListeningPlaceholder } from '../services/messages';
+import {
+    DEFAULT_SESSION_TITLE,
+    deleteSession,
+    getSession,
+    listSessions,
+    saveSession,
+    suggestSessionTitle
+} from '../services/sessionStore';
+
+// Saved practice sessions: the list in the history sidebar, the current `session` saved as it
+// goes, and resuming, renaming and deleting saved ones. `leaveSession()` stops whatever the
+// current session was doing before another is resumed; `startNewSession()` replaces a deleted
+// current session with a fresh one.
+const useSessions = ({ session, setSession, conversation, setConversation, isLoading, leaveSession, startNewSession, setError, t }) => {
+    // State for the saved sessions listed in the history sidebar
+    const [sessions, setSessions] = useState([]);
+
+    // Function to reload the list of saved sessions for the sidebar
+    const refresh = useCallback(async () => {
+        try {
+            setSessions(await listSessions());
+        } catch (err) {
+            console.error("Could not load saved sessions:", err);
+        }
+    }, []);
+
+    // Effect to load saved sessions on mount
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    // Effect to save the current session once the learner has said something and no reply is pending
+    useEffect(() => {
+        const savedConversation = withoutListeningPlaceholder(conversation);
+        if (isLoading || !savedConversation.some(msg => isLearnerTurn(msg) || msg.kind === MESSAGE_KINDS.DRILL_SUMMARY)) return;
+
+        const record = {
+            ...session,
+            title: session.title === DEFAULT_SESSION_TITLE ? suggestSessionTitle(savedConversation) : session.title,
+            updatedAt: Date.now(),
+            conversation: savedConversation
+        };
+        saveSession(record)
+            .then(refresh)
+            .catch(err => console.error("Could not save session:", err));
+    }, [conversation, isLoading, session, refresh]);
+
+    // Function to resume a saved session; resolves to whether it was resumed
+    const resume = async (id) => {
+        try {
+            const saved = await getSession(id);
+            if (!saved) {
+                setError(t('errors.sessionMissing'));
+                refresh();
+                return false;
+            }
+            const { conversation: savedConversation, ...metadata } = saved;
+            leaveSession();
+            setConversation(savedConversation);
+            setSession(metadata);
+            return true;
+        } catch (err) {
+            console.error("Could not resume session:", err);
+            setError(t('errors.loadSession'));
+            return false;
+        }
+    };
+
+    // Function to rename a saved session
+    const rename = async (id, title) => {
+        if (id === session.id) {
+            setSession(prev => ({ ...prev, title })); // Saved by the auto-save effect
+        }
+        try {
+            const saved = await getSession(id);
+            if (saved) {
+                await saveSession({ ...saved, title });
+                refresh();
+            }
+        } catch (err) {
+            console.error("Could not rename session:", err);
+            setError(t('errors.renameSession'));
+        }
+    };
+
+    // Function to delete a saved session; deleting the current one starts a fresh session
+    const remove = async (id) => {
+        try {
+            await deleteSession(id);
+            if (id === session.id) {
+                startNewSession();
+            }
+            refresh();
+        } catch (err) {
+            console.error("Could not delete session:", err);
+            setError(t('errors.deleteSession'));
+        }
+    };
+
+    return { sessions, refresh, resume, rename, remove };
+};
+
+export default useSessions;
@@ -0,0 +1,91 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Speech recognition in `lang`. One recogniser is created per language, and its events go to
+// whichever handlers the latest render passed in, so they always see the current state:
+// - `onResult(results, { continuous })` with the recognition results so far
+// - `onSpeechStart()` when the learner actually starts talking
+// - `onEnd({ continuous })` whenever recognition stops, by itself or not
+// - `onError(error)` with the browser's error code; in continuous (hands-free) mode silence and
+//   interrupted sessions are not errors, as recognition simply starts again
+// - `onUnavailable()` if the browser has no speech recognition
+const useSpeechRecognition = ({ lang, onResult, onSpeechStart, onEnd, onError, onUnavailable }) => {
+    // State to manage the speech recognition (listening) status
+    const [isListening, setIsListening] = useState(false);
+
+    const recognitionRef = useRef(null);
+    const handlersRef = useRef({ onResult, onSpeechStart, onEnd, onError, onUnavailable }); // Latest event handlers
+
+    // Effect to hand recognition events to the latest handlers
+    useEffect(() => {
+        handlersRef.current = { onResult, onSpeechStart, onEnd, onError, onUnavailable };
+    });
+
+    // Effect for creating the recogniser in the given language
+    useEffect(() => {
+        if (!('webkitSpeechRecognition' in window)) {
+            if (handlersRef.current.onUnavailable) handlersRef.current.onUnavailable();
+            return;
+        }
+        const recognition = new window.webkitSpeechRecognition();
+        recognition.continuous = false; // Switched on per turn in hands-free mode
+        recognition.interimResults = true; // Shown live in the "Listening..." bubble
+        recognition.lang = lang;
+
+        recognition.onresult = (event) => {
+            handlersRef.current.onResult(event.results, { continuous: recognition.continuous });
+        };
+        recognition.onspeechstart = () => {
+            if (handlersRef.current.onSpeechStart) handlersRef.current.onSpeechStart();
+        };
+        recognition.onend = () => {
+            setIsListening(false);
+            handlersRef.current.onEnd({ continuous: recognition.continuous });
+        };
+        recognition.onerror = (event) => {
+            if (recognition.continuous && (event.error === 'no-speech' || event.error === 'aborted')) return;
+            setIsListening(false);
+            handlersRef.current.onError(event.error);
+        };
+        recognitionRef.current = recognition;
+
+        return () => {
+            recognition.abort();
+            if (recognitionRef.current === recognition) {
+                recognitionRef.current = null;
+            }
+        };
+    }, [lang]);
+
+    // Function to tell whether the mic can be opened now
+    const canListen = useCallback(() => Boolean(recognitionRef.current) && !isListening, [isListening]);
+
+    // Function to open the mic; `continuous` keeps it open across pauses (hands-free). Throws if
+    // the browser refuses to start.
+    const start = useCallback(({ continuous = false } = {}) => {
+        const recognition = recognitionRef.current;
+        recognition.continuous = continuous;
+        recognition.start();
+        setIsListening(true);
+    }, []);
+
+    // Function to close the mic; a continuous session is aborted, so nothing more is reported
+    const stop = useCallback(() => {
+        const recognition = recognitionRef.current;
+        if (!recognition || !isListening) return;
+        if (recognition.continuous) {
+            recognition.abort();
+        } else {
+            recognition.stop();
+        }
+        setIsListening(false);
+    }, [isListening]);
+
+    // Function to end the learner's turn: recognition stops and reports what it heard
+    const endTurn = useCallback(() => {
+        if (recognitionRef.current) recognitionRef.current.stop();
+    }, []);
+
+    return { isListening, canListen, start, stop, endTurn };
+};
+
+export default useSpeechRecognition;
@@ -0,0 +1,96 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import useSpeechRecognition from './useSpeechRecognition';
+import { FakeSpeechRecognition } from '../testing/browserFakes';
+
+// Render the hook with jest.fn() handlers; `rerender` takes replacements for any of them
+const renderRecognition = (props = {}) => {
+    const handlers = {
+        lang: 'en-GB',
+        onResult: jest.fn(),
+        onSpeechStart: jest.fn(),
+        onEnd: jest.fn(),
+        onError: jest.fn(),
+        onUnavailable: jest.fn(),
+        ...props
+    };
+    const { result, rerender } = renderHook((current) => useSpeechRecognition(current), { initialProps: handlers });
+    return { result, rerender, handlers };
+};
+
+describe('useSpeechRecognition', () => {
+    it('creates one recogniser per language', () => {
+        const { rerender, handlers } = renderRecognition();
+        rerender({ ...handlers, onResult: jest.fn() });
+        expect(FakeSpeechRecognition.instances).toHaveLength(1);
+        expect(FakeSpeechRecognition.latest().lang).toBe('en-GB');
+
+        rerender({ ...handlers, lang: 'en-AU' });
+        expect(FakeSpeechRecognition.instances).toHaveLength(2);
+        expect(FakeSpeechRecognition.latest().lang).toBe('en-AU');
+    });
+
+    it('hands results to the handlers of the latest render', () => {
+        const { result, rerender, handlers } = renderRecognition();
+        const latest = jest.fn();
+        rerender({ ...handlers, onResult: latest });
+
+        act(() => result.current.start());
+        act(() => FakeSpeechRecognition.latest().hear('a cup of tea', { isFinal: false }));
+
+        expect(handlers.onResult).not.toHaveBeenCalled();
+        expect(latest).toHaveBeenCalledWith([expect.objectContaining({ isFinal: false })], { continuous: false });
+    });
+
+    it('stops listening when recognition ends by itself', async () => {
+        const { result, handlers } = renderRecognition();
+
+        act(() => result.current.start());
+        expect(result.current.isListening).toBe(true);
+        expect(result.current.canListen()).toBe(false);
+
+        act(() => FakeSpeechRecognition.latest().hear('hello'));
+
+        await waitFor(() => expect(handlers.onEnd).toHaveBeenCalledWith({ continuous: false }));
+        expect(result.current.isListening).toBe(false);
+    });
+
+    it('keeps listening through silence in continuous mode', () => {
+        const { result, handlers } = renderRecognition();
+
+        act(() => result.current.start({ continuous: true }));
+        act(() => FakeSpeechRecognition.latest().onerror({ error: 'no-speech' }));
+
+        expect(handlers.onError).not.toHaveBeenCalled();
+        expect(result.current.isListening).toBe(true);
+    });
+
+    it('reports other errors and stops listening', () => {
+        const { result, handlers } = renderRecognition();
+
+        act(() => result.current.start({ continuous: true }));
+        act(() => FakeSpeechRecognition.latest().onerror({ error: 'not-allowed' }));
+
+        expect(handlers.onError).toHaveBeenCalledWith('not-allowed');
+        expect(result.current.isListening).toBe(false);
+    });
+
+    it('aborts a continuous session instead of waiting for a result', () => {
+        const { result } = renderRecognition();
+
+        act(() => result.current.start({ continuous: true }));
+        const recognition = FakeSpeechRecognition.latest();
+        const abort = jest.spyOn(recognition, 'abort');
+        act(() => result.current.stop());
+
+        expect(abort).toHaveBeenCalled();
+        expect(result.current.isListening).toBe(false);
+    });
+
+    it('reports a browser without speech recognition', () => {
+        delete window.webkitSpeechRecognition;
+        const { result, handlers } = renderRecognition();
+
+        expect(handlers.onUnavailable).toHaveBeenCalled();
+        expect(result.current.canListen()).toBe(false);
+    });
+});
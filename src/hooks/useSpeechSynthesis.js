@@ -0,0 +1,166 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { chunkText } from '../services/speechChunker';
+import { toSpeechText } from '../services/speechText';
+import { getAccent } from '../services/accents';
+import { effectiveRate, pickVoice } from '../services/voices';
+
+// The teacher's voice: a queue of short chunks spoken one after another with the learner's voice
+// settings. `onStart()` is called whenever a chunk starts playing; `onError(code, detail)` reports
+// 'unavailable' (no speech synthesis in this browser) or 'utterance' (a chunk failed, with the
+// browser's error). Offline, only voices installed on the device are used.
+const useSpeechSynthesis = ({ speechSettings, offline = false, onStart, onError }) => {
+    // State for the speech synthesis voices installed in the browser
+    const [voices, setVoices] = useState([]);
+    // State for whether the teacher is speaking
+    const [isSpeaking, setIsSpeaking] = useState(false);
+
+    const synthRef = useRef(null); // The browser's SpeechSynthesis object
+    const speechQueueRef = useRef([]); // Chunks waiting to be spoken
+    const speechGenerationRef = useRef(0); // Bumped on every stop so stale utterance callbacks are ignored
+    const isUtteranceActiveRef = useRef(false); // Whether a chunk is currently scheduled or being spoken
+    const callbacksRef = useRef({ onStart, onError }); // Latest callbacks, read when an utterance reports back
+
+    // Effect to keep the callbacks current without rebuilding the queue functions
+    useEffect(() => {
+        callbacksRef.current = { onStart, onError };
+    });
+
+    // Function to stop the current speech and drop anything still queued
+    const stop = useCallback(() => {
+        speechGenerationRef.current++; // Invalidate callbacks of utterances already scheduled
+        speechQueueRef.current = [];
+        isUtteranceActiveRef.current = false;
+        const synth = synthRef.current;
+        if (synth && (synth.speaking || synth.pending)) {
+            synth.cancel();
+        }
+        setIsSpeaking(false);
+    }, []);
+
+    // Function to speak the next queued chunk; each chunk starts the following one when it ends
+    const speakNextChunk = useCallback(() => {
+        const synth = synthRef.current;
+        if (!synth || isUtteranceActiveRef.current || speechQueueRef.current.length === 0) return;
+
+        const voice = pickVoice(synth.getVoices(), speechSettings, { offline });
+
+        const generation = speechGenerationRef.current;
+        const utterance = new window.SpeechSynthesisUtterance(speechQueueRef.current.shift());
+        if (voice) {
+            utterance.voice = voice;
+        }
+        utterance.lang = voice ? voice.lang : getAccent(speechSettings.accent).lang;
+        utterance.rate = effectiveRate(speechSettings);
+        utterance.pitch = speechSettings.pitch;
+        isUtteranceActiveRef.current = true;
+
+        utterance.onstart = () => {
+            setIsSpeaking(true);
+            if (callbacksRef.current.onStart) callbacksRef.current.onStart();
+        };
+        utterance.onend = () => {
+            if (generation !== speechGenerationRef.current) return;
+            isUtteranceActiveRef.current = false;
+            if (speechQueueRef.current.length > 0) {
+                // Speak the next chunk immediately after the current one ends
+                speakNextChunk();
+            } else {
+                setIsSpeaking(false); // Queue drained (more may still arrive while streaming)
+            }
+        };
+        utterance.onerror = (event) => {
+            if (generation !== speechGenerationRef.current) return;
+            const detail = event.error.message || event.error;
+            console.error('Speech synthesis error on chunk:', detail);
+            if (callbacksRef.current.onError) callbacksRef.current.onError('utterance', detail);
+            speechQueueRef.current = [];
+            isUtteranceActiveRef.current = false;
+            setIsSpeaking(false);
+        };
+
+        // Add a small delay before speaking each chunk to avoid "interrupted" errors
+        // particularly when quickly chaining utterances.
+        setTimeout(() => {
+            if (generation === speechGenerationRef.current) {
+                synth.speak(utterance);
+            }
+        }, 50); // Small delay between chunks
+    }, [speechSettings, offline]);
+
+    // Function to add chunks to the queue, starting playback if the teacher is silent
+    const enqueue = useCallback((chunks, initialDelay = 0) => {
+        if (!synthRef.current) {
+            console.error("SpeechSynthesis not initialized.");
+            if (callbacksRef.current.onError) callbacksRef.current.onError('unavailable');
+            return;
+        }
+        if (chunks.length === 0) return;
+
+        speechQueueRef.current.push(...chunks);
+        if (!isUtteranceActiveRef.current) {
+            const generation = speechGenerationRef.current;
+            setTimeout(() => {
+                if (generation === speechGenerationRef.current) {
+                    speakNextChunk();
+                }
+            }, initialDelay);
+        }
+    }, [speakNextChunk]);
+
+    // Function to speak a text with robust chunking and queue management; markup, IPA and
+    // abbreviations are turned into speakable text first
+    const speak = useCallback((text) => {
+        stop(); // Cancel any current speech before queuing new ones
+
+        // Start speaking the first chunk with a slightly longer initial delay
+        // to ensure any previous cancellation is fully processed.
+        enqueue(chunkText(toSpeechText(text)), 200);
+    }, [stop, enqueue]);
+
+    // Function to start speaking a reply that is still arriving: returns a function that queues
+    // each batch of complete sentences, chunked the same way as `speak`, and goes quiet for good
+    // once the teacher is stopped
+    const beginSpeechStream = useCallback(() => {
+        const generation = speechGenerationRef.current;
+        return (sentences) => {
+            if (generation === speechGenerationRef.current) {
+                enqueue(chunkText(sentences.map(toSpeechText).join(' ')));
+            }
+        };
+    }, [enqueue]);
+
+    // Function to tell whether the teacher is talking or has more to say, e.g. to recognise echo
+    const hasPendingSpeech = useCallback(() => isUtteranceActiveRef.current || speechQueueRef.current.length > 0, []);
+
+    // Effect for initializing the Speech Synthesis API
+    useEffect(() => {
+        synthRef.current = window.speechSynthesis;
+        const synth = synthRef.current;
+
+        // Event listener for voices loaded (important for listing voices and finding the accent's voice)
+        const handleVoicesChanged = () => {
+            setTimeout(() => {
+                setVoices(synth.getVoices());
+            }, 100);
+        };
+
+        if (synth) {
+            setVoices(synth.getVoices());
+            synth.addEventListener('voiceschanged', handleVoicesChanged);
+        }
+
+        // Cleanup function for unmounting
+        return () => {
+            if (synth) {
+                synth.removeEventListener('voiceschanged', handleVoicesChanged);
+                if (synth.speaking) {
+                    synth.cancel();
+                }
+            }
+        };
+    }, []);
+
+    return { voices, isSpeaking, speak, enqueue, stop, beginSpeechStream, hasPendingSpeech };
+};
+
+export default useSpeechSynthesis;
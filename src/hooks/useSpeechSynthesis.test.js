@@ -0,0 +1,127 @@
+import { act, renderHook } from '@testing-library/react';
+import useSpeechSynthesis from './useSpeechSynthesis';
+import { DEFAULT_SPEECH_SETTINGS } from '../services/settings';
+import { MAX_UTTERANCE_LENGTH } from '../services/speechChunker';
+
+// Let the queue's small delays between chunks pass
+const advance = () => act(() => {
+    jest.runOnlyPendingTimers();
+});
+
+const renderSpeech = (options = {}) =>
+    renderHook(() => useSpeechSynthesis({ speechSettings: DEFAULT_SPEECH_SETTINGS, ...options }));
+
+describe('useSpeechSynthesis', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('speaks a long reply in chunks, one after another', () => {
+        const synth = window.speechSynthesis;
+        const { result } = renderSpeech();
+        const long = `${'First sentence goes on for a while. '.repeat(6)}Second part.`;
+
+        act(() => result.current.speak(long));
+        advance();
+        advance();
+        expect(synth.texts()).toHaveLength(1);
+        expect(result.current.isSpeaking).toBe(true);
+
+        act(() => synth.finish());
+        advance();
+        expect(synth.texts()).toHaveLength(2);
+        expect(synth.texts().join(' ')).toBe(long.trim());
+
+        act(() => synth.finish());
+        expect(result.current.isSpeaking).toBe(false);
+    });
+
+    it('speaks markup as plain text', () => {
+        const { result } = renderSpeech();
+
+        act(() => result.current.speak('Say **tomato** like this.'));
+        advance();
+        advance();
+
+        expect(window.speechSynthesis.texts()).toEqual(['Say tomato like this.']);
+    });
+
+    it('drops queued chunks when stopped', () => {
+        const synth = window.speechSynthesis;
+        const { result } = renderSpeech();
+
+        act(() => result.current.enqueue(['One.', 'Two.']));
+        advance();
+        advance();
+        act(() => result.current.stop());
+        act(() => synth.finish());
+        advance();
+
+        expect(synth.texts()).toEqual(['One.']);
+        expect(result.current.isSpeaking).toBe(false);
+        expect(result.current.hasPendingSpeech()).toBe(false);
+    });
+
+    it('keeps a streamed reply silent once the teacher is stopped', () => {
+        const synth = window.speechSynthesis;
+        const { result } = renderSpeech();
+
+        const speakSentences = result.current.beginSpeechStream();
+        act(() => speakSentences(['Hello there.']));
+        advance();
+        advance();
+        act(() => result.current.stop());
+        act(() => speakSentences(['Anything else?']));
+        advance();
+
+        expect(synth.texts()).toEqual(['Hello there.']);
+    });
+
+    it('chunks streamed sentences like a whole reply', () => {
+        const synth = window.speechSynthesis;
+        const { result } = renderSpeech();
+        const sentence = 'This sentence is a fair bit longer than the others. ';
+
+        const speakSentences = result.current.beginSpeechStream();
+        act(() => speakSentences(['Right.', 'Listen.', ...Array(4).fill(sentence.trim())]));
+        advance();
+        advance();
+        act(() => synth.finish());
+        advance();
+
+        expect(synth.texts()).toEqual([`Right. Listen. ${sentence.repeat(2).trim()}`, sentence.repeat(2).trim()]);
+        expect(synth.texts().every(text => text.length <= MAX_UTTERANCE_LENGTH)).toBe(true);
+    });
+
+    it('reports a browser without speech synthesis', () => {
+        delete window.speechSynthesis;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const onError = jest.fn();
+        const { result } = renderSpeech({ onError });
+
+        act(() => result.current.speak('Hello'));
+
+        expect(onError).toHaveBeenCalledWith('unavailable');
+    });
+
+    it('reports a chunk that fails and stops speaking', () => {
+        const synth = window.speechSynthesis;
+        const onError = jest.fn();
+        const { result } = renderSpeech({ onError });
+
+        act(() => result.current.enqueue(['One.', 'Two.']));
+        advance();
+        advance();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        act(() => synth.current.onerror({ error: 'synthesis-failed' }));
+
+        expect(onError).toHaveBeenCalledWith('utterance', 'synthesis-failed');
+        expect(result.current.isSpeaking).toBe(false);
+        expect(result.current.hasPendingSpeech()).toBe(false);
+    });
+});
@@ -0,0 +1,204 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import useSpeechRecognition from './useSpeechRecognition';
+import {
+    LISTENING_MESSAGE,
+    isListeningPlaceholder,
+    withListeningText,
+    withoutListeningPlaceholder
+} from '../services/messages';
+import { SILENCE_TIMEOUT_MS, isLikelyEcho, readTranscript } from '../services/turnTaking';
+
+// The learner's spoken turns, with push-to-talk or hands-free. Recognition results are shown in
+// the "Listening..." bubble as they come in and the finished turn, with the id of the clip
+// `recording` made of it (see useAudioRecording), goes to `onSpeech(text, { recordingId, spokenMs })`.
+// In hands-free mode the mic reopens after every reply unless `isPaused`, silence ends the
+// turn, and the learner can barge in while the teacher (`hasPendingSpeech`) is talking.
+const useVoiceTurns = ({
+    lang,
+    conversation,
+    setConversation,
+    message,
+    setMessage,
+    setError,
+    t,
+    isLoading,
+    isPaused,
+    hasPendingSpeech,
+    stopSpeaking,
+    recording,
+    onSpeech
+}) => {
+    // State for hands-free mode, where the mic reopens by itself and silence ends the learner's turn
+    const [isHandsFree, setIsHandsFree] = useState(false);
+
+    const speechStartedAtRef = useRef(0); // When the learner started speaking, for minutes-spoken stats
+    const heardRef = useRef(''); // Hands-free: everything the learner has said so far this turn
+    const turnStartIndexRef = useRef(0); // Hands-free: first recognition result that belongs to this turn
+    const silenceTimerRef = useRef(null); // Hands-free: ends the turn once the learner goes quiet
+
+    // Function to hand on what the learner said, with its recording and how long they spoke for
+    const submitSpeech = (speechResult) => {
+        const recordingId = recording.finish();
+        const spokenMs = Date.now() - speechStartedAtRef.current;
+        onSpeech(speechResult, recordingId ? { recordingId, spokenMs } : { spokenMs });
+    };
+
+    // Function to follow what the learner is saying as recognition results come in
+    const handleRecognitionResult = (results, { continuous }) => {
+        const { finalText, interimText, settledIndex } = readTranscript(results, turnStartIndexRef.current);
+        const heard = `${finalText} ${interimText}`.trim();
+
+        // Push-to-talk: recognition stops by itself and the final result is the turn
+        if (!continuous) {
+            if (finalText) {
+                submitSpeech(finalText);
+            } else {
+                setConversation(withListeningText(interimText));
+            }
+            return;
+        }
+
+        // Hands-free: the mic is open while the teacher talks, so ignore the teacher's own
+        // voice coming back through the speakers, and cut the teacher off for anything else
+        if (hasPendingSpeech()) {
+            const teacherText = [...conversation].reverse().find(msg => msg.role === 'model')?.text || '';
+            if (isLikelyEcho(heard, teacherText)) {
+                turnStartIndexRef.current = settledIndex; // Keep finished echo out of the turn
+                return;
+            }
+            stopSpeaking(); // Barge-in
+        }
+        if (!heard) return;
+
+        if (!heardRef.current) {
+            speechStartedAtRef.current = Date.now();
+        }
+        heardRef.current = heard;
+        setConversation(withListeningText(heard));
+
+        // The turn ends once the learner has been quiet for a moment
+        clearTimeout(silenceTimerRef.current);
+        silenceTimerRef.current = setTimeout(endTurn, SILENCE_TIMEOUT_MS);
+    };
+
+    // Function to wrap up the learner's turn once recognition stops
+    const handleRecognitionEnd = ({ continuous }) => {
+        if (continuous) {
+            // Hands-free: send whatever was heard; the mic reopens once the teacher replies
+            clearTimeout(silenceTimerRef.current);
+            const heard = heardRef.current;
+            heardRef.current = '';
+            if (heard) {
+                submitSpeech(heard);
+            } else {
+                recording.discard();
+                setConversation(withoutListeningPlaceholder);
+            }
+            return;
+        }
+        recording.discard(); // No-op when a result already claimed the clip
+        if (!message.trim() && conversation.some(isListeningPlaceholder)) {
+            setError(t('errors.noSpeech'));
+            setConversation(withoutListeningPlaceholder);
+        }
+    };
+
+    // Function to report a recognition failure and drop the turn in progress
+    const handleRecognitionError = (error) => {
+        console.error('Speech recognition error:', error);
+        setError(error === 'network' && !navigator.onLine
+            ? t('errors.recognitionOffline')
+            : t('errors.recognition', { error }));
+        setIsHandsFree(false);
+        heardRef.current = '';
+        recording.discard();
+        setConversation(withoutListeningPlaceholder);
+    };
+
+    // The learner's voice, recognised in the language of the accent being coached
+    const {
+        isListening,
+        canListen,
+        start: startRecognition,
+        stop: stopRecognition,
+        endTurn
+    } = useSpeechRecognition({
+        lang,
+        onResult: handleRecognitionResult,
+        // Time speech from when the learner actually starts talking, not from the button press
+        onSpeechStart: () => { speechStartedAtRef.current = Date.now(); },
+        onEnd: handleRecognitionEnd,
+        onError: handleRecognitionError,
+        onUnavailable: () => setError(t('errors.noSpeechApi'))
+    });
+
+    const startRecording = recording.start;
+
+    // Function to open the microphone without interrupting the teacher; in hands-free mode
+    // recognition runs continuously so the learner can barge in while the teacher is talking
+    const openMic = useCallback(() => {
+        if (canListen()) {
+            setError('');
+            setMessage('');
+            setConversation(prev => [...prev, LISTENING_MESSAGE]);
+            heardRef.current = '';
+            turnStartIndexRef.current = 0;
+            try {
+                startRecognition({ continuous: isHandsFree });
+                speechStartedAtRef.current = Date.now();
+                startRecording();
+            } catch (e) {
+                console.error("Error starting speech recognition:", e);
+                setError(t('errors.micStart'));
+                setIsHandsFree(false);
+                setConversation(withoutListeningPlaceholder);
+            }
+        } else {
+            setError(t('errors.micBusy'));
+            setIsHandsFree(false);
+        }
+    }, [canListen, startRecognition, isHandsFree, setConversation, setError, setMessage, startRecording, t]);
+
+    // Function to start speech recognition
+    const startListening = useCallback(() => {
+        stopSpeaking(); // Stop any current speaking before listening
+        openMic();
+    }, [stopSpeaking, openMic]);
+
+    // Function to stop speech recognition; a hands-free turn in progress is dropped, not sent
+    const stopListening = useCallback(() => {
+        clearTimeout(silenceTimerRef.current);
+        heardRef.current = '';
+        stopRecognition();
+    }, [stopRecognition]);
+
+    // Function to switch hands-free mode on (the effect below opens the mic) or off
+    const toggleHandsFree = () => {
+        if (isHandsFree) {
+            setIsHandsFree(false);
+            stopListening();
+            setConversation(withoutListeningPlaceholder);
+        } else {
+            setError('');
+            setIsHandsFree(true);
+        }
+    };
+
+    // Effect to keep the mic open in hands-free mode: it closes while the teacher is thinking
+    // and reopens as soon as the reply arrives, so the learner can answer or barge in
+    useEffect(() => {
+        if (!isHandsFree || isPaused) return;
+        if (isLoading && isListening) {
+            stopListening();
+        } else if (!isLoading && !isListening) {
+            openMic();
+        }
+    }, [isHandsFree, isPaused, isLoading, isListening, openMic, stopListening]);
+
+    // Effect to clear a pending end-of-turn timer on unmount
+    useEffect(() => () => clearTimeout(silenceTimerRef.current), []);
+
+    return { isListening, isHandsFree, startListening, stopListening, toggleHandsFree };
+};
+
+export default useVoiceTurns;
@@ -0,0 +1,397 @@
+// Arabic interface strings (shown right to left). Keys mirror ./en.js.
+const ar = {
+    app: {
+        title: 'مدرّس اللكنة البريطانية',
+        tagline: 'أتقن دقائق النطق في الإنجليزية البريطانية مع مدرّسك الشخصي بالذكاء الاصطناعي. تحدّث بشكل طبيعي، واحصل على ملاحظات، وحسّن لكنتك من خلال محادثات ممتعة.',
+        howToTitle: 'طريقة الاستخدام:',
+        howTo1: '١. انقر على «ابدأ التحدث» أو اكتب رسالتك.',
+        howTo2: '٢. اسمح بالوصول إلى الميكروفون إذا طُلب منك ذلك.',
+        howTo3: '٣. تحدّث مع مدرّسك!',
+        browserHint: '(للحصول على أفضل النتائج استخدم متصفح Chrome أو Edge)',
+        shortcutsHint: 'اضغط Alt+/ لعرض اختصارات لوحة المفاتيح.',
+        skipToInput: 'الانتقال إلى مربع الرسالة',
+        interfaceLanguage: 'لغة الواجهة',
+        sidePanel: 'حول التطبيق والإعدادات',
+        conversation: 'المحادثة',
+        controls: 'أدوات التدريب'
+    },
+    nav: {
+        pastSessions: '📚 الجلسات السابقة ({count})',
+        reviewDeck: '🗂 مراجعة البطاقات (المستحقة: {count})',
+        myProgress: '📈 تقدّمي',
+        classroom: '🏫 الفصل والواجبات',
+        shortcuts: '⌨ اختصارات لوحة المفاتيح'
+    },
+    chat: {
+        you: 'أنت:',
+        teacher: 'المدرّس:',
+        thinking: 'المدرّس يفكّر...',
+        retrying: '{message} جارٍ إعادة المحاولة ({attempt} من {retries})...',
+        notAnswered: '⚠ لم تتم الإجابة – لن تُحتسب هذه الرسالة في المحادثة',
+        queued: '⏳ بانتظار الاتصال – ستُرسل عند عودتك إلى الإنترنت',
+        replyCutShort: '⚠ انقطع الرد – لن يُحتسب في المحادثة',
+        savedCardsOne: '✓ أُضيفت بطاقة جديدة إلى مجموعتك',
+        savedCardsOther: '✓ أُضيفت بطاقات جديدة إلى مجموعتك: {count}',
+        saveToDeck: '🗂 حفظ في البطاقات',
+        saving: 'جارٍ الحفظ...',
+        inputLabel: 'رسالتك',
+        placeholder: 'اكتب رسالتك هنا (بالإنجليزية)...',
+        send: 'إرسال',
+        handsFree: 'محادثة دون استخدام اليدين: يُعاد فتح الميكروفون بعد كل رد، وينتهي دورك عندما تتوقف عن الكلام، ويمكنك مقاطعة المدرّس بالتحدث'
+    },
+    offline: {
+        banner: 'أنت غير متصل بالإنترنت. التمارين ومراجعة البطاقات وتسجيلاتك تعمل كالمعتاد، والرسائل التي ترسلها تُحفظ حتى يعود الاتصال.',
+        needsConnection: 'يتطلب اتصالاً بالإنترنت'
+    },
+    controls: {
+        startSpeaking: 'ابدأ التحدث',
+        listening: 'جارٍ الاستماع...',
+        stopTeacher: 'أوقف المدرّس',
+        rolePlay: '🎭 سيناريوهات لعب الأدوار',
+        drill: '🎯 وضع التمارين',
+        clearChat: 'محادثة جديدة'
+    },
+    skills: {
+        'pronunciation-tips': '✨ نصائح النطق',
+        vocab: '✨ مفردات وتعابير بريطانية',
+        rephrase: '✨ أعد الصياغة بالأسلوب البريطاني',
+        'formal-email': '✨ أسلوب البريد الرسمي'
+    },
+    announce: {
+        teacherSaid: 'المدرّس: {text}',
+        listening: 'جارٍ الاستماع.',
+        micOff: 'أُغلق الميكروفون.'
+    },
+    failed: {
+        networkTitle: 'تعذّر الوصول إلى المدرّس',
+        networkHint: 'تحقّق من اتصالك بالإنترنت ثم أعد المحاولة.',
+        timeoutTitle: 'استغرق المدرّس وقتاً طويلاً للرد',
+        timeoutHint: 'قد تكون الخدمة مشغولة. إعادة المحاولة تنجح عادةً.',
+        rateLimitTitle: 'طلبات كثيرة جداً',
+        rateLimitHint: 'الخدمة تحدّ من عدد الطلبات. انتظر قليلاً ثم أعد المحاولة.',
+        apiTitle: 'أعاد نموذج اللغة خطأً',
+        apiHint: 'راجع إعدادات النموذج إذا تكرر ذلك.',
+        responseTitle: 'تعذّر استخدام رد المدرّس',
+        responseHint: 'إعادة المحاولة تأتي عادةً برد سليم.',
+        cancelledTitle: 'أوقفتَ هذا الرد',
+        cancelledHint: 'لم تتم الإجابة عن رسالتك.',
+        unknownTitle: 'حدث خطأ ما',
+        unknownHint: 'يُرجى المحاولة مرة أخرى.',
+        waitOne: 'طلب الخادم الانتظار نحو ثانية واحدة.',
+        waitOther: 'طلب الخادم الانتظار قرابة {seconds} من الثواني.',
+        retry: '↻ أعد إرسال هذه الرسالة',
+        dismiss: 'تجاهل'
+    },
+    shortcuts: {
+        title: 'اختصارات لوحة المفاتيح',
+        close: 'إغلاق',
+        toggleMic: 'بدء الاستماع أو إيقافه',
+        stopTeacher: 'إيقاف المدرّس (الكلام والرد الجاري تحميله)',
+        toggleHandsFree: 'تشغيل المحادثة دون استخدام اليدين أو إيقافها',
+        retry: 'إعادة إرسال رسالة فشلت',
+        focusInput: 'الانتقال إلى مربع الرسالة',
+        showShortcuts: 'عرض هذه القائمة',
+        send: 'إرسال الرسالة (داخل مربع الرسالة)'
+    },
+    voice: {
+        title: 'الصوت واللكنة',
+        accent: 'اللكنة المستهدفة',
+        voice: 'الصوت',
+        automaticVoice: 'تلقائي (الأنسب للّكنة)',
+        rate: 'السرعة: {value}×',
+        pitch: 'طبقة الصوت: {value}',
+        slowMode: 'وضع الإبطاء للمتعلمين',
+        test: '🔊 تجربة الصوت'
+    },
+    teacher: {
+        title: 'المستوى والمدرّس',
+        level: 'مستواك (الإطار الأوروبي CEFR)',
+        persona: 'شخصية المدرّس',
+        resetPersona: 'استخدام الشخصية الافتراضية للّكنة'
+    },
+    provider: {
+        title: 'إعدادات النموذج',
+        provider: 'المزوّد',
+        model: 'النموذج',
+        serverUrl: 'عنوان الخادم',
+        stream: 'عرض الردود أثناء كتابتها',
+        historyBudget: 'حدّ سجل المحادثة (بالرموز)',
+        historyBudgetHint: 'تُلخَّص الأدوار الأقدم من هذا الحد في ذاكرة المدرّس بدلاً من إعادة إرسالها.'
+    },
+    sessions: {
+        title: 'الجلسات السابقة',
+        close: 'إغلاق',
+        search: 'ابحث في الجلسات...',
+        import: '⬆ استيراد JSON',
+        backup: '⬇ نسخ احتياطي لكل شيء',
+        backupHint: 'كل الجلسات مع تسجيلاتها، إضافة إلى بطاقاتك وتقدّمك',
+        importFailed: 'تعذّر الاستيراد. يُرجى المحاولة مرة أخرى.',
+        nothingNew: 'لا جديد للاستيراد: كل ما في هذا الملف موجود هنا بالفعل.',
+        imported: 'استُورد: {items}.',
+        sessionsOne: 'جلسة واحدة',
+        sessionsOther: 'الجلسات: {count}',
+        recordingsOne: 'تسجيل واحد',
+        recordingsOther: 'التسجيلات: {count}',
+        cardsOne: 'بطاقة واحدة',
+        cardsOther: 'البطاقات: {count}',
+        practiceLogOne: 'سجل تدريب واحد',
+        practiceLogOther: 'سجلات التدريب: {count}',
+        none: 'لا توجد جلسات محفوظة بعد.',
+        noMatch: 'لا توجد جلسات تطابق بحثك.',
+        resume: 'متابعة',
+        rename: 'إعادة تسمية',
+        delete: 'حذف',
+        confirmDelete: 'هل تريد حذف «{title}»؟ لا يمكن التراجع عن ذلك.',
+        export: 'تصدير…',
+        exportLabel: 'تصدير «{title}»',
+        formats: {
+            json: 'JSON (يمكن استيراده مرة أخرى)',
+            markdown: 'نص المحادثة بتنسيق Markdown',
+            html: 'نص المحادثة بتنسيق HTML',
+            print: 'طباعة / حفظ بصيغة PDF'
+        },
+        modes: {
+            'free-chat': 'محادثة حرة',
+            'role-play': 'لعب أدوار',
+            vocab: 'مفردات',
+            rephrase: 'إعادة صياغة',
+            drill: 'تمرين',
+            'formal-email': 'بريد رسمي'
+        }
+    },
+    deck: {
+        title: 'مراجعة البطاقات',
+        counts: 'المستحقة: {due} · البطاقات: {total}',
+        empty: 'مجموعتك فارغة. استخدم «حفظ في البطاقات» على ردود المفردات أو إعادة الصياغة لإضافة بطاقات.',
+        caughtUp: 'أحسنت! لا توجد بطاقات مستحقة الآن.',
+        hearAgain: 'استمع مرة أخرى',
+        showAnswer: 'إظهار الإجابة',
+        grades: {
+            again: 'مرة أخرى',
+            hard: 'صعبة',
+            good: 'جيدة',
+            easy: 'سهلة'
+        },
+        remove: 'إزالة هذه البطاقة من المجموعة',
+        close: 'إغلاق'
+    },
+    progress: {
+        title: 'تقدّمك',
+        loading: 'جارٍ تحميل سجل تدريبك...',
+        streak: 'أيام متتالية',
+        practiceDays: 'أيام التدريب',
+        minutesSpoken: 'دقائق التحدث',
+        turns: 'أدوار المحادثة',
+        topSounds: 'أكثر الأصوات المُشار إليها',
+        topWords: 'أكثر الكلمات المُشار إليها',
+        noSounds: 'لم يُشر إلى أي صوت بعد.',
+        noWords: 'لم يُشر إلى أي كلمة بعد.',
+        trendTitle: 'تطوّر الدرجات (المتوسط اليومي)',
+        trendLabel: 'تطوّر الدرجات',
+        trendEmpty: 'ستظهر الدرجات هنا بعد أن تحصل على ملاحظات النطق أو تؤدي تمريناً.',
+        series: {
+            'pronunciation-feedback': 'ملاحظات النطق',
+            'drill-attempt': 'التمارين',
+            'scenario-debrief': 'السيناريوهات'
+        },
+        memoryTitle: 'ما يتذكّره المدرّس',
+        memoryEmpty: 'تظهر الملاحظات هنا عندما تطول المحادثة بما يكفي لتلخيصها.',
+        mistakes: 'الأخطاء المتكررة',
+        interests: 'الاهتمامات',
+        forget: 'انسَ هذه الملاحظات',
+        close: 'إغلاق'
+    },
+    drill: {
+        choose: 'اختر مجموعة تمارين:',
+        backToChat: 'العودة إلى المحادثة',
+        notScored: 'سُجّل دون اتصال، لذا لم يُقيَّم. قارن تسجيلك بصوت المدرّس أدناه.',
+        perfect: 'ممتاز!',
+        result: 'الدرجة: {score}% · سُمع: «{transcript}»',
+        words: {
+            correct: 'صحيحة',
+            wrong: 'خاطئة',
+            missing: 'ناقصة',
+            extra: 'زائدة'
+        },
+        stopRecording: '■ إيقاف التسجيل',
+        listening: 'جارٍ الاستماع...',
+        record: 'تسجيل',
+        recordAgain: 'سجّل مرة أخرى',
+        tryAgain: 'حاول مرة أخرى',
+        repeat: 'كرّر',
+        hear: '🔊 استمع',
+        finish: 'إنهاء',
+        next: 'التالي',
+        end: 'إنهاء التمرين'
+    },
+    scenario: {
+        choose: 'اختر سيناريو لعب أدوار:',
+        backToChat: 'العودة إلى المحادثة',
+        summary: 'الأهداف: {goals} · العبارات المستهدفة: {phrases} · الأدوار: {turns}',
+        withPersona: '🎭 {title} مع {persona}',
+        turn: 'الدور {turn} / {limit}',
+        endAndDebrief: '🏁 إنهاء وتقييم',
+        debriefTitle: 'تقييم السيناريو: {title}',
+        goals: 'الأهداف',
+        targetPhrases: 'العبارات المستهدفة',
+        used: 'مستخدمة',
+        notUsed: 'غير مستخدمة',
+        nextTime: 'في المرة القادمة'
+    },
+    feedback: {
+        title: 'ملاحظات النطق',
+        sound: 'الصوت: {sound}',
+        avoid: 'تجنّب:'
+    },
+    recording: {
+        unavailable: 'التسجيل غير متاح.',
+        you: '▶ أنت',
+        teacher: '▶ المدرّس',
+        compare: '▶ أنت مقابل المدرّس'
+    },
+    markdown: {
+        hear: 'انقر للاستماع',
+        ipa: 'الكتابة الصوتية (IPA)'
+    },
+    classroom: {
+        title: 'الفصل',
+        roleLabel: 'أنا',
+        learner: 'متعلّم',
+        tutor: 'معلّم',
+        name: 'اسمك',
+        namePlaceholderTutor: 'يظهر على واجباتك ومراجعاتك',
+        namePlaceholderLearner: 'يظهر لمعلّمك على تقاريرك',
+        addFile: '⬆ إضافة ملف واجب',
+        reviewReport: '⬆ مراجعة تقرير متعلّم',
+        openReviewed: '⬆ فتح تقرير تمت مراجعته',
+        added: 'أُضيف «{title}».',
+        addFailed: 'تعذّرت إضافة الواجب. يُرجى المحاولة مرة أخرى.',
+        openReportFailed: 'تعذّر فتح التقرير. يُرجى المحاولة مرة أخرى.',
+        created: '«{title}» جاهز. انسخ رابطه أو نزّل ملفه لمشاركته مع فصلك.',
+        saveFailed: 'تعذّر حفظ الواجب. يُرجى المحاولة مرة أخرى.',
+        submitted: 'نُزّل تقريرك عن «{title}». أرسل الملف إلى معلّمك.',
+        submitFailed: 'تعذّر إنشاء التقرير. يُرجى المحاولة مرة أخرى.',
+        confirmRemove: 'هل تريد إزالة «{title}»؟ ستبقى جلسات تدرّبك عليه محفوظة.',
+        assignmentsSet: 'الواجبات التي حدّدتها',
+        yourAssignments: 'واجباتك',
+        close: 'إغلاق',
+        newAssignment: 'واجب جديد',
+        assignmentTitle: 'العنوان',
+        titlePlaceholder: 'مثلاً: الأسبوع ٣: صوت BATH',
+        practice: 'التدريب',
+        dueDate: 'تاريخ التسليم',
+        drillSet: 'مجموعة التمارين',
+        scenario: 'السيناريو',
+        phrases: 'العبارات، واحدة في كل سطر',
+        instructions: 'التعليمات (اختيارية)',
+        create: 'إنشاء الواجب',
+        kinds: {
+            drill: 'مجموعة تمارين',
+            scenario: 'سيناريو لعب أدوار',
+            phrases: 'قائمة عبارات'
+        },
+        describe: '{kind}: {title}',
+        phraseCountOne: '{kind}: عبارة واحدة',
+        phraseCountOther: '{kind}: عدد العبارات {count}',
+        problems: {
+            title: 'أعطِ الواجب عنواناً.',
+            setId: 'اختر مجموعة تمارين.',
+            scenarioId: 'اختر سيناريو.',
+            phrases: 'أضف عبارة واحدة على الأقل، واحدة في كل سطر.',
+            due: 'اختر تاريخ التسليم.'
+        },
+        linkCopied: 'نُسخ رابط «{title}». الصقه في محادثة الفصل أو في رسالة بريد إلكتروني.',
+        copyFailed: 'تعذّر نسخ الرابط. نزّل الملف وشاركه بدلاً من ذلك.',
+        noneSet: 'تظهر هنا الواجبات التي تنشئها، جاهزة للمشاركة مع فصلك.',
+        noneReceived: 'لا توجد واجبات بعد. افتح الرابط الذي أرسله معلّمك، أو أضف الملف الذي شاركه.',
+        copyLink: '🔗 نسخ الرابط',
+        download: '⬇ تنزيل الملف',
+        delete: 'حذف',
+        dueOn: 'التسليم {date}',
+        dueOnLearner: 'التسليم {date}',
+        overdue: 'متأخر',
+        from: 'من {tutor}',
+        submittedOn: 'سُلّم التقرير {date}',
+        start: 'ابدأ',
+        practiseAgain: 'تدرّب مرة أخرى',
+        submit: '⬇ تسليم التقرير',
+        submitAgain: '⬇ التسليم مرة أخرى',
+        submitHint: 'نزّل آخر جلسة لك في هذا الواجب تقريراً لمعلّمك',
+        practiseFirst: 'تدرّب على الواجب أولاً',
+        remove: 'إزالة'
+    },
+    report: {
+        learner: 'المتعلّم',
+        dueOn: 'التسليم {date}',
+        submittedOn: 'سُلّم {date}',
+        late: '(متأخر)',
+        reviewedBy: 'راجعه {reviewer} في {date}',
+        reviewedOn: 'تمت المراجعة في {date}',
+        pronunciationScore: 'النطق (المتوسط)',
+        drillScore: 'بنود التمارين (متوسط النسبة)',
+        scenarioScore: 'تقييم السيناريو',
+        pronunciationFeedback: 'ملاحظات النطق · {score}/100',
+        scenarioDebrief: 'تقييم السيناريو · {score}/100',
+        learnerSaid: 'المتعلّم: ',
+        teacherSaid: 'المدرّس: ',
+        tutorSaid: 'المعلّم: ',
+        notScored: 'سُجّل دون اتصال، بلا تقييم',
+        scored: '{score}% · سُمع «{transcript}»',
+        itemRecording: 'تسجيل «{target}»',
+        learnerRecording: 'تسجيل المتعلّم',
+        commentPlaceholder: 'علّق على هذا الدور...',
+        commentLabel: 'تعليق على الدور {turn}',
+        feedback: 'الملاحظات العامة',
+        save: '⬇ حفظ التقرير بعد المراجعة',
+        saveHint: 'نزّل التقرير مع تعليقاتك لإرساله إلى المتعلّم',
+        close: 'إغلاق'
+    },
+    imports: {
+        notJson: 'هذا الملف ليس بتنسيق JSON صالح.',
+        notExport: 'هذا الملف ليس ملف تصدير من هذا التطبيق.',
+        exportNewer: 'صُدّر هذا الملف بإصدار أحدث من التطبيق. يُرجى التحديث ثم المحاولة مرة أخرى.',
+        exportDamaged: 'ملف التصدير هذا تالف أو غير مكتمل.',
+        badRecording: 'يحتوي هذا الملف على تسجيل ليس صوتاً صالحاً.',
+        notReport: 'هذا الملف ليس تقرير متعلّم من هذا التطبيق.',
+        reportNewer: 'أُنشئ هذا التقرير بإصدار أحدث من التطبيق. يُرجى التحديث ثم المحاولة مرة أخرى.',
+        reportDamaged: 'هذا التقرير تالف أو غير مكتمل.',
+        notAssignment: 'هذا الملف ليس واجباً من هذا التطبيق.',
+        assignmentNewer: 'أُنشئ هذا الواجب بإصدار أحدث من التطبيق. يُرجى التحديث ثم المحاولة مرة أخرى.',
+        assignmentDamaged: 'هذا الواجب تالف أو غير مكتمل.',
+        assignmentUnknownPractice: 'يستخدم هذا الواجب تدريباً غير موجود في هذا الإصدار من التطبيق. يُرجى التحديث ثم المحاولة مرة أخرى.',
+        assignmentNoPhrases: 'لا يحتوي هذا الواجب على عبارات للتدرّب عليها.',
+        assignmentLink: 'رابط الواجب هذا غير مكتمل. اطلب من معلّمك إرساله مرة أخرى.'
+    },
+    errors: {
+        enterMessage: 'يُرجى كتابة رسالة أو قولها قبل الإرسال.',
+        speechSynthesis: 'خطأ في تحويل النص إلى كلام: {error}. يُرجى المحاولة مرة أخرى.',
+        noSpeechSynthesis: 'تحويل النص إلى كلام غير متاح. جرّب تحديث الصفحة أو استخدام متصفح مدعوم.',
+        structuredReply: '{message} يُرجى المحاولة مرة أخرى.',
+        llm: 'خطأ: {message}',
+        noResponse: 'تعذّر الحصول على رد. يُرجى التحقق من اتصالك بالشبكة.',
+        micStart: 'تعذّر بدء التعرّف على الكلام. تحقّق من أذونات الميكروفون ثم أعد المحاولة.',
+        micBusy: 'التعرّف على الكلام غير متاح أو يعمل بالفعل.',
+        noSpeechApi: 'هذا المتصفح لا يدعم التعرّف على الكلام. استخدم Chrome أو Edge للإدخال الصوتي.',
+        noSpeech: 'لم يُلتقط أي كلام. حاول التحدث بوضوح.',
+        recognitionOffline: 'التعرّف على الكلام يتطلب اتصالاً بالإنترنت. اكتب رسالتك بدلاً من ذلك، أو تدرّب بالتمارين: فهي دون اتصال تسجّل صوتك لتقارنه بأذنك.',
+        noRecording: 'هذا المتصفح لا يستطيع تسجيل الصوت، لذا لا يمكن التدرّب على التمارين دون اتصال.',
+        recognition: 'خطأ في التعرّف على الكلام: {error}. تأكّد من السماح بالوصول إلى الميكروفون.',
+        saveFlashcards: 'تعذّر حفظ البطاقات. يُرجى المحاولة مرة أخرى.',
+        saveReview: 'تعذّر حفظ مراجعتك. يُرجى المحاولة مرة أخرى.',
+        removeCard: 'تعذّر حذف البطاقة. يُرجى المحاولة مرة أخرى.',
+        loadProgress: 'تعذّر تحميل تقدّمك. يُرجى المحاولة مرة أخرى.',
+        sessionMissing: 'لم يُعثر على هذه الجلسة. ربما حُذفت.',
+        loadSession: 'تعذّر تحميل الجلسة المحفوظة. يُرجى المحاولة مرة أخرى.',
+        renameSession: 'تعذّرت إعادة تسمية الجلسة. يُرجى المحاولة مرة أخرى.',
+        deleteSession: 'تعذّر حذف الجلسة. يُرجى المحاولة مرة أخرى.',
+        printBlocked: 'منع متصفحك نافذة الطباعة. اسمح بالنوافذ المنبثقة لهذا الموقع ثم أعد المحاولة.',
+        exportSession: 'تعذّر تصدير الجلسة. يُرجى المحاولة مرة أخرى.',
+        backup: 'تعذّر إنشاء نسخة احتياطية من بياناتك. يُرجى المحاولة مرة أخرى.',
+        assignmentLink: 'تعذّر فتح رابط الواجب. اطلب من معلّمك إرساله مرة أخرى.',
+        saveAssignment: 'تعذّر حفظ الواجب. يُرجى المحاولة مرة أخرى.',
+        removeAssignment: 'تعذّر حذف الواجب. يُرجى المحاولة مرة أخرى.',
+        'pronunciation-tips': 'تحدّث أو اكتب رسالة أولاً للحصول على نصائح النطق.'
+    }
+};
+
+export default ar;
@@ -0,0 +1,398 @@
+// English interface strings. Every other catalogue mirrors these keys; missing keys fall back to
+// the English text. `{name}` placeholders are filled in by the translator.
+const en = {
+    app: {
+        title: 'British Accent Teacher',
+        tagline: 'Master the elegant nuances of British English pronunciation with your personal AI teacher. Speak naturally, get feedback, and refine your accent through engaging conversations.',
+        howToTitle: 'How to Use:',
+        howTo1: '1. Click "Start Speaking" or type your message.',
+        howTo2: '2. Grant microphone access if prompted.',
+        howTo3: '3. Converse with your AI teacher!',
+        browserHint: '(For best results, use Chrome or Edge browser)',
+        shortcutsHint: 'Press Alt+/ to see the keyboard shortcuts.',
+        skipToInput: 'Skip to message input',
+        interfaceLanguage: 'Interface language',
+        sidePanel: 'About and settings',
+        conversation: 'Conversation',
+        controls: 'Practice controls'
+    },
+    nav: {
+        pastSessions: '📚 Past Sessions ({count})',
+        reviewDeck: '🗂 Review Deck ({count} due)',
+        myProgress: '📈 My Progress',
+        classroom: '🏫 Classroom & Assignments',
+        shortcuts: '⌨ Keyboard Shortcuts'
+    },
+    chat: {
+        you: 'You:',
+        teacher: 'Teacher:',
+        thinking: 'Teacher is thinking...',
+        retrying: '{message} Retrying ({attempt} of {retries})...',
+        notAnswered: '⚠ Not answered – left out of the conversation',
+        queued: '⏳ Waiting for a connection – sent when you are back online',
+        replyCutShort: '⚠ Reply cut short – left out of the conversation',
+        savedCardsOne: '✓ Saved 1 new card to your deck',
+        savedCardsOther: '✓ Saved {count} new cards to your deck',
+        saveToDeck: '🗂 Save to deck',
+        saving: 'Saving...',
+        inputLabel: 'Your message',
+        placeholder: 'Type your message here...',
+        send: 'Send',
+        handsFree: 'Hands-free conversation: the mic reopens after each reply, a pause ends your turn, and you can talk over the teacher to interrupt'
+    },
+    offline: {
+        banner: "You're offline. Drills, deck review and your recordings still work, and messages you send are queued until the connection returns.",
+        needsConnection: 'Needs an internet connection'
+    },
+    controls: {
+        startSpeaking: 'Start Speaking',
+        listening: 'Listening...',
+        stopTeacher: 'Stop Teacher',
+        rolePlay: '🎭 Role-play Scenarios',
+        drill: '🎯 Drill Mode',
+        clearChat: 'Clear Chat'
+    },
+    skills: {
+        'pronunciation-tips': '✨ Pronunciation Tips',
+        vocab: '✨ British Vocab/Idioms',
+        rephrase: '✨ Rephrase Britishly',
+        'formal-email': '✨ Formal Email Register'
+    },
+    announce: {
+        teacherSaid: 'Teacher: {text}',
+        listening: 'Listening.',
+        micOff: 'Microphone off.'
+    },
+    failed: {
+        networkTitle: "Couldn't reach the teacher",
+        networkHint: 'Check your internet connection, then retry.',
+        timeoutTitle: 'The teacher took too long to answer',
+        timeoutHint: 'The service may be busy. Retrying usually helps.',
+        rateLimitTitle: 'Too many requests',
+        rateLimitHint: 'The service is limiting how often you can ask. Wait a moment, then retry.',
+        apiTitle: 'The language model returned an error',
+        apiHint: 'Check the provider settings if this keeps happening.',
+        responseTitle: "The teacher's reply could not be used",
+        responseHint: 'Retrying usually gets a proper answer.',
+        cancelledTitle: 'You stopped this reply',
+        cancelledHint: 'Your message was not answered.',
+        unknownTitle: 'Something went wrong',
+        unknownHint: 'Please try again.',
+        waitOne: 'The server asked to wait about 1 second.',
+        waitOther: 'The server asked to wait about {seconds} seconds.',
+        retry: '↻ Retry this message',
+        dismiss: 'Dismiss'
+    },
+    shortcuts: {
+        title: 'Keyboard shortcuts',
+        close: 'Close',
+        toggleMic: 'Start or stop listening',
+        stopTeacher: 'Stop the teacher (speech and the reply being fetched)',
+        toggleHandsFree: 'Turn hands-free conversation on or off',
+        retry: 'Retry a failed message',
+        focusInput: 'Jump to the message box',
+        showShortcuts: 'Show this list',
+        send: 'Send the message (in the message box)'
+    },
+    voice: {
+        title: 'Voice & Accent',
+        accent: 'Target accent',
+        voice: 'Voice',
+        automaticVoice: 'Automatic (best match for accent)',
+        rate: 'Rate: {value}×',
+        pitch: 'Pitch: {value}',
+        slowMode: 'Slow-down mode for learners',
+        test: '🔊 Test Voice'
+    },
+    teacher: {
+        title: 'Level & Teacher',
+        level: 'Your level (CEFR)',
+        persona: 'Teacher persona',
+        resetPersona: "Use the accent's default persona"
+    },
+    provider: {
+        title: 'Model Settings',
+        provider: 'Provider',
+        model: 'Model',
+        serverUrl: 'Server URL',
+        stream: 'Stream replies as they are written',
+        historyBudget: 'History budget (tokens)',
+        historyBudgetHint: "Earlier turns beyond this are summarised into the teacher's memory instead of being resent."
+    },
+    sessions: {
+        title: 'Past Sessions',
+        close: 'Close',
+        search: 'Search sessions...',
+        import: '⬆ Import JSON',
+        backup: '⬇ Back up everything',
+        backupHint: 'Every session with its recordings, plus your flashcards and progress',
+        importFailed: 'The import failed. Please try again.',
+        nothingNew: 'Nothing new to import: everything in that file is already here.',
+        imported: 'Imported {items}.',
+        sessionsOne: '1 session',
+        sessionsOther: '{count} sessions',
+        recordingsOne: '1 recording',
+        recordingsOther: '{count} recordings',
+        cardsOne: '1 card',
+        cardsOther: '{count} cards',
+        practiceLogOne: '1 practice log entry',
+        practiceLogOther: '{count} practice log entries',
+        none: 'No saved sessions yet.',
+        noMatch: 'No sessions match your search.',
+        resume: 'Resume',
+        rename: 'Rename',
+        delete: 'Delete',
+        confirmDelete: 'Delete "{title}"? This cannot be undone.',
+        export: 'Export…',
+        exportLabel: 'Export "{title}"',
+        formats: {
+            json: 'JSON (can be imported again)',
+            markdown: 'Markdown transcript',
+            html: 'HTML transcript',
+            print: 'Print / save as PDF'
+        },
+        modes: {
+            'free-chat': 'Free chat',
+            'role-play': 'Role-play',
+            vocab: 'Vocabulary',
+            rephrase: 'Rephrase',
+            drill: 'Drill',
+            'formal-email': 'Formal email'
+        }
+    },
+    deck: {
+        title: 'Review Deck',
+        counts: '{due} due · {total} cards',
+        empty: 'Your deck is empty. Use "Save to deck" on vocabulary or rephrasing replies to add cards.',
+        caughtUp: 'All caught up! No cards are due right now.',
+        hearAgain: 'Hear it again',
+        showAnswer: 'Show Answer',
+        grades: {
+            again: 'Again',
+            hard: 'Hard',
+            good: 'Good',
+            easy: 'Easy'
+        },
+        remove: 'Remove this card from the deck',
+        close: 'Close'
+    },
+    progress: {
+        title: 'Your Progress',
+        loading: 'Loading your practice history...',
+        streak: 'Day streak',
+        practiceDays: 'Days practised',
+        minutesSpoken: 'Minutes spoken',
+        turns: 'Conversation turns',
+        topSounds: 'Most-flagged sounds',
+        topWords: 'Most-flagged words',
+        noSounds: 'No sounds flagged yet.',
+        noWords: 'No words flagged yet.',
+        trendTitle: 'Score trend (daily average)',
+        trendLabel: 'Score trend',
+        trendEmpty: 'Scores will appear here once you get pronunciation feedback or do a drill.',
+        series: {
+            'pronunciation-feedback': 'Pronunciation feedback',
+            'drill-attempt': 'Drills',
+            'scenario-debrief': 'Scenarios'
+        },
+        memoryTitle: 'What the teacher remembers',
+        memoryEmpty: 'Notes appear here once a conversation grows long enough to be summarised.',
+        mistakes: 'Recurring mistakes',
+        interests: 'Interests',
+        forget: 'Forget these notes',
+        close: 'Close'
+    },
+    drill: {
+        choose: 'Choose a drill set:',
+        backToChat: 'Back to Chat',
+        notScored: "Recorded offline, so it isn't scored. Compare your recording with the teacher below.",
+        perfect: 'Perfect!',
+        result: 'Score: {score}% · Heard: "{transcript}"',
+        words: {
+            correct: 'correct',
+            wrong: 'wrong',
+            missing: 'missing',
+            extra: 'extra'
+        },
+        stopRecording: '■ Stop Recording',
+        listening: 'Listening...',
+        record: 'Record',
+        recordAgain: 'Record Again',
+        tryAgain: 'Try Again',
+        repeat: 'Repeat',
+        hear: '🔊 Hear It',
+        finish: 'Finish',
+        next: 'Next',
+        end: 'End Drill'
+    },
+    scenario: {
+        choose: 'Choose a role-play scenario:',
+        backToChat: 'Back to Chat',
+        summary: '{goals} goals · {phrases} target phrases · {turns} turns',
+        withPersona: '🎭 {title} with {persona}',
+        turn: 'Turn {turn} / {limit}',
+        endAndDebrief: '🏁 End & Debrief',
+        debriefTitle: 'Scenario debrief: {title}',
+        goals: 'Goals',
+        targetPhrases: 'Target phrases',
+        used: 'Used',
+        notUsed: 'Not used',
+        nextTime: 'Next time'
+    },
+    feedback: {
+        title: 'Pronunciation feedback',
+        sound: 'Sound: {sound}',
+        avoid: 'Avoid:'
+    },
+    recording: {
+        unavailable: 'Recording unavailable.',
+        you: '▶ You',
+        teacher: '▶ Teacher',
+        compare: '▶ You vs. teacher'
+    },
+    markdown: {
+        hear: 'Click to hear this',
+        ipa: 'IPA transcription'
+    },
+    classroom: {
+        title: 'Classroom',
+        roleLabel: 'I am a',
+        learner: 'Learner',
+        tutor: 'Tutor',
+        name: 'Your name',
+        namePlaceholderTutor: 'Shown on your assignments and reviews',
+        namePlaceholderLearner: 'Shown to your tutor on your reports',
+        addFile: '⬆ Add assignment file',
+        reviewReport: '⬆ Review a learner report',
+        openReviewed: '⬆ Open a reviewed report',
+        added: 'Added "{title}".',
+        addFailed: 'The assignment could not be added. Please try again.',
+        openReportFailed: 'The report could not be opened. Please try again.',
+        created: '"{title}" is ready. Copy its link or download the file to share it with your class.',
+        saveFailed: 'The assignment could not be saved. Please try again.',
+        submitted: 'Your report for "{title}" has downloaded. Send the file to your tutor.',
+        submitFailed: 'The report could not be created. Please try again.',
+        confirmRemove: 'Remove "{title}"? Your practice sessions for it are kept.',
+        assignmentsSet: 'Assignments you set',
+        yourAssignments: 'Your assignments',
+        close: 'Close',
+        newAssignment: 'New assignment',
+        assignmentTitle: 'Title',
+        titlePlaceholder: 'e.g. Week 3: the BATH vowel',
+        practice: 'Practice',
+        dueDate: 'Due date',
+        drillSet: 'Drill set',
+        scenario: 'Scenario',
+        phrases: 'Phrases, one per line',
+        instructions: 'Instructions (optional)',
+        create: 'Create assignment',
+        kinds: {
+            drill: 'Drill set',
+            scenario: 'Role-play scenario',
+            phrases: 'Phrase list'
+        },
+        describe: '{kind}: {title}',
+        phraseCountOne: '{kind}: 1 phrase',
+        phraseCountOther: '{kind}: {count} phrases',
+        problems: {
+            title: 'Give the assignment a title.',
+            setId: 'Choose a drill set.',
+            scenarioId: 'Choose a scenario.',
+            phrases: 'Add at least one phrase, one per line.',
+            due: 'Choose a due date.'
+        },
+        linkCopied: 'Link to "{title}" copied. Paste it into your class chat or email.',
+        copyFailed: "Couldn't copy the link. Download the file and share that instead.",
+        noneSet: 'Assignments you create appear here, ready to share with your class.',
+        noneReceived: 'No assignments yet. Open the link your tutor sent, or add the file they shared.',
+        copyLink: '🔗 Copy link',
+        download: '⬇ Download file',
+        delete: 'Delete',
+        dueOn: 'due {date}',
+        dueOnLearner: 'Due {date}',
+        overdue: 'overdue',
+        from: 'from {tutor}',
+        submittedOn: 'report submitted {date}',
+        start: 'Start',
+        practiseAgain: 'Practise again',
+        submit: '⬇ Submit report',
+        submitAgain: '⬇ Submit again',
+        submitHint: 'Download your latest session for this assignment as a report for your tutor',
+        practiseFirst: 'Practise the assignment first',
+        remove: 'Remove'
+    },
+    report: {
+        learner: 'Learner',
+        dueOn: 'due {date}',
+        submittedOn: 'submitted {date}',
+        late: '(late)',
+        reviewedBy: 'Reviewed by {reviewer} on {date}',
+        reviewedOn: 'Reviewed on {date}',
+        pronunciationScore: 'Pronunciation (average)',
+        drillScore: 'Drill items (average %)',
+        scenarioScore: 'Scenario debrief',
+        pronunciationFeedback: 'Pronunciation feedback · {score}/100',
+        scenarioDebrief: 'Scenario debrief · {score}/100',
+        learnerSaid: 'Learner: ',
+        teacherSaid: 'Teacher: ',
+        tutorSaid: 'Tutor: ',
+        notScored: 'recorded offline, not scored',
+        scored: '{score}% · heard "{transcript}"',
+        itemRecording: 'Recording of "{target}"',
+        learnerRecording: "Learner's recording",
+        commentPlaceholder: 'Comment on this turn...',
+        commentLabel: 'Comment on turn {turn}',
+        feedback: 'Overall feedback',
+        save: '⬇ Save reviewed report',
+        saveHint: 'Download the report with your comments, to send back to the learner',
+        close: 'Close'
+    },
+    imports: {
+        notJson: 'That file is not valid JSON.',
+        notExport: 'That file is not an export from this app.',
+        exportNewer: 'That file was exported by a newer version of the app. Please update and try again.',
+        exportDamaged: 'That export file is damaged or incomplete.',
+        badRecording: 'That file contains a recording that is not valid audio.',
+        notReport: 'That file is not a learner report from this app.',
+        reportNewer: 'That report was made by a newer version of the app. Please update and try again.',
+        reportDamaged: 'That report is damaged or incomplete.',
+        notAssignment: 'That file is not an assignment from this app.',
+        assignmentNewer: 'That assignment was made by a newer version of the app. Please update and try again.',
+        assignmentDamaged: 'That assignment is damaged or incomplete.',
+        assignmentUnknownPractice: 'That assignment uses practice this version of the app does not have. Please update and try again.',
+        assignmentNoPhrases: 'That assignment has no phrases to practise.',
+        assignmentLink: 'That assignment link is incomplete. Ask your tutor to send it again.'
+    },
+    errors: {
+        enterMessage: 'Please enter or speak a message to send.',
+        speechSynthesis: 'Speech synthesis error: {error}. Please try again.',
+        noSpeechSynthesis: 'Speech synthesis not available. Please try refreshing or using a supported browser.',
+        structuredReply: '{message} Please try again.',
+        llm: 'Error: {message}',
+        noResponse: 'Failed to get response from AI. Please check your network connection.',
+        micStart: 'Failed to start speech recognition. Please check microphone permissions and try again.',
+        micBusy: 'Speech recognition is not available or already active.',
+        noSpeechApi: 'Web Speech API is not supported in this browser. Please use Chrome or Edge for voice input.',
+        noSpeech: 'No speech was recognized. Please try speaking clearly.',
+        recognitionOffline: 'Speech recognition needs an internet connection. Type your message instead, or practise a drill: offline, it records your voice for you to compare by ear.',
+        noRecording: "This browser can't record audio, so drills can't be practised offline.",
+        recognition: 'Speech recognition error: {error}. Please ensure microphone access is granted.',
+        saveFlashcards: 'Failed to save flashcards. Please try again.',
+        saveReview: 'Failed to save your review. Please try again.',
+        removeCard: 'Failed to remove the card. Please try again.',
+        loadProgress: 'Failed to load your progress. Please try again.',
+        sessionMissing: 'That session could not be found. It may have been deleted.',
+        loadSession: 'Failed to load the saved session. Please try again.',
+        renameSession: 'Failed to rename the session. Please try again.',
+        deleteSession: 'Failed to delete the session. Please try again.',
+        printBlocked: 'Your browser blocked the print window. Please allow pop-ups for this site and try again.',
+        exportSession: 'Failed to export the session. Please try again.',
+        backup: 'Failed to back up your data. Please try again.',
+        assignmentLink: 'That assignment link could not be opened. Ask your tutor to send it again.',
+        saveAssignment: 'Failed to save the assignment. Please try again.',
+        removeAssignment: 'Failed to remove the assignment. Please try again.',
+        'pronunciation-tips': 'Please speak or type a message first to get pronunciation tips.'
+    }
+};
+
+export default en;
@@ -0,0 +1,38 @@
+import { createContext, useContext } from 'react';
+import en from './en';
+import ar from './ar';
+
+// Interface languages. The teacher always speaks English; these only change the app's own
+// text, such as labels, help and error messages. `dir` is the writing direction.
+export const UI_LANGUAGES = {
+    en: { id: 'en', label: 'English', dir: 'ltr', strings: en },
+    ar: { id: 'ar', label: 'العربية', dir: 'rtl', strings: ar }
+};
+
+export const DEFAULT_UI_LANGUAGE = 'en';
+
+export const getUiLanguage = (id) => UI_LANGUAGES[id] || UI_LANGUAGES[DEFAULT_UI_LANGUAGE];
+
+// The browser's preferred language, if there is a catalogue for it
+export const detectUiLanguage = () => {
+    const preferred = (typeof navigator !== 'undefined' && navigator.language) || '';
+    const id = preferred.split('-')[0].toLowerCase();
+    return UI_LANGUAGES[id] ? id : DEFAULT_UI_LANGUAGE;
+};
+
+const lookup = (strings, key) => key.split('.').reduce((node, part) => (node ? node[part] : undefined), strings);
+
+// Build `t(key, values, fallback)` for a language. Keys are dotted paths into the catalogue
+// ("chat.send"); missing keys fall back to English, then to `fallback`, then to the key itself.
+export const createTranslator = (languageId) => {
+    const { strings } = getUiLanguage(languageId);
+    return (key, values = {}, fallback = key) => {
+        const template = lookup(strings, key) ?? lookup(en, key) ?? fallback;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+    };
+};
+
+// The current language ({ id, dir, t }) for components below App
+export const I18nContext = createContext({ id: DEFAULT_UI_LANGUAGE, dir: 'ltr', t: createTranslator(DEFAULT_UI_LANGUAGE) });
+
+export const useI18n = () => useContext(I18nContext);
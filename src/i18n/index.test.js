@@ -0,0 +1,28 @@
+import { UI_LANGUAGES, createTranslator } from '.';
+import en from './en';
+
+// Dotted paths of every string in a catalogue, e.g. "classroom.kinds.drill"
+const keysOf = (strings, prefix = '') => Object.entries(strings).flatMap(([key, value]) =>
+    typeof value === 'string' ? [`${prefix}${key}`] : keysOf(value, `${prefix}${key}.`));
+
+// The `{name}` placeholders a string fills in
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+describe('i18n', () => {
+    it.each(Object.keys(UI_LANGUAGES))('%s has every interface string, with the same placeholders', (id) => {
+        const t = createTranslator(id);
+        const { strings } = UI_LANGUAGES[id];
+
+        expect(keysOf(strings).sort()).toEqual(keysOf(en).sort());
+        keysOf(en).forEach(key => {
+            expect([key, placeholders(t(key))]).toEqual([key, placeholders(createTranslator('en')(key))]);
+        });
+    });
+
+    it('falls back to English, then to the given text', () => {
+        const t = createTranslator('ar');
+
+        expect(t('classroom.kinds.unknown', {}, 'Unknown kind')).toBe('Unknown kind');
+        expect(createTranslator('xx')('sessions.imported', { items: '2 cards' })).toBe('Imported 2 cards.');
+    });
+});
@@ -0,0 +1,48 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker built by react-scripts (Workbox InjectManifest) for production builds. It keeps
+// the app usable offline: the build itself is precached, page loads fall back to the cached
+// index.html, and the Tailwind script and fonts from their CDNs are cached as they are fetched.
+// Requests to the model are never cached; turns sent while offline are queued by the app instead.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+
+clientsClaim();
+
+// Every file in the build. The list is injected at build time.
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for page navigations (the app has no other pages), except for URLs that
+// look like files, such as a downloaded export
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !url.pathname.match(fileExtensionRegexp),
+    createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// The Tailwind CDN script and the font stylesheet: used from the cache straight away and
+// refreshed in the background. Cross-origin scripts come back opaque (status 0).
+registerRoute(
+    ({ url }) => url.origin === 'https://cdn.tailwindcss.com' || url.origin === 'https://fonts.googleapis.com',
+    new StaleWhileRevalidate({
+        cacheName: 'styles',
+        plugins: [new CacheableResponsePlugin({ statuses: [0, 200] })]
+    })
+);
+
+// Font files never change at a given URL, so they are only fetched once
+registerRoute(
+    ({ url }) => url.origin === 'https://fonts.gstatic.com',
+    new CacheFirst({
+        cacheName: 'fonts',
+        plugins: [
+            new CacheableResponsePlugin({ statuses: [0, 200] }),
+            new ExpirationPlugin({ maxEntries: 30, maxAgeSeconds: 60 * 60 * 24 * 365 })
+        ]
+    })
+);
@@ -0,0 +1,35 @@
+// Registers the service worker (src/service-worker.js) in production builds, so the app
+// installs as a PWA and opens without a network connection. Development builds skip it:
+// a cached app shell would hide code changes.
+
+// Ask the browser to keep IndexedDB (sessions, recordings, the deck, the practice log) even when
+// storage runs low; otherwise offline data can be evicted without warning
+const requestPersistentStorage = () => {
+    if (!navigator.storage || !navigator.storage.persist) return;
+    navigator.storage.persist()
+        .then(persisted => {
+            if (!persisted) console.warn("Saved sessions and flashcards may be cleared if the browser runs low on storage.");
+        })
+        .catch(err => console.warn("Could not request persistent storage:", err));
+};
+
+export const register = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+    // The worker only controls pages under PUBLIC_URL, so it can't run if that is another origin (e.g. a CDN)
+    const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+    if (publicUrl.origin !== window.location.origin) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+            .then(requestPersistentStorage)
+            .catch(err => console.error("Service worker registration failed:", err));
+    });
+};
+
+export const unregister = () => {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.unregister())
+        .catch(err => console.error("Could not unregister the service worker:", err));
+};
@@ -0,0 +1,27 @@
+import { ASSIGNMENTS_STORE, withStores } from './db';
+import { assignmentContent } from './assignments';
+
+// Assignments kept in IndexedDB: those the tutor set on this device (`isOwn`) and those the
+// learner received, with when the learner last submitted a report for them (`submittedAt`)
+
+export const listAssignments = () => withStores(ASSIGNMENTS_STORE, 'readonly', store => store.getAll());
+
+export const saveAssignment = (assignment) => withStores(ASSIGNMENTS_STORE, 'readwrite', store => store.put(assignment));
+
+// Add an assignment that arrived by link or file. Receiving the same one again keeps what this
+// device knows about it, so a learner who opens the link twice doesn't lose their submission.
+// Only the assignment's content comes from the link or file; this device's bookkeeping is its own.
+export const receiveAssignment = async (assignment) => {
+    const existing = await withStores(ASSIGNMENTS_STORE, 'readonly', store => store.get(assignment.id));
+    const { receivedAt = Date.now(), isOwn, submittedAt } = existing || {};
+    const record = {
+        ...assignmentContent(assignment),
+        receivedAt,
+        ...(isOwn && { isOwn }),
+        ...(submittedAt && { submittedAt })
+    };
+    await saveAssignment(record);
+    return record;
+};
+
+export const deleteAssignment = (id) => withStores(ASSIGNMENTS_STORE, 'readwrite', store => store.delete(id));
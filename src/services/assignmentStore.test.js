@@ -0,0 +1,40 @@
+import { receiveAssignment } from './assignmentStore';
+import { withStores } from './db';
+
+// IndexedDB isn't in jsdom: a Map stands in for the assignments store
+jest.mock('./db', () => ({ ASSIGNMENTS_STORE: 'assignments', withStores: jest.fn() }));
+
+const assignment = { id: 'asg-1', title: 'Week 3', kind: 'drill', setId: 'trap-bath', due: '2026-03-06', createdAt: 1 };
+
+const fakeStore = (records) => {
+    const saved = new Map(records.map(record => [record.id, record]));
+    const store = {
+        get: (id) => ({ result: saved.get(id) }),
+        put: (record) => saved.set(record.id, record)
+    };
+    withStores.mockImplementation(async (name, mode, callback) => {
+        const request = callback(store);
+        return request && request.result;
+    });
+    return saved;
+};
+
+describe('assignmentStore', () => {
+    it('keeps what this device knows when an assignment arrives again', async () => {
+        const saved = fakeStore([{ ...assignment, title: 'Old title', receivedAt: 5, submittedAt: 9 }]);
+
+        await receiveAssignment({ ...assignment, title: 'Week 3 (updated)' });
+
+        expect(saved.get('asg-1')).toEqual({ ...assignment, title: 'Week 3 (updated)', receivedAt: 5, submittedAt: 9 });
+    });
+
+    it('takes only the assignment itself from a link or file', async () => {
+        const saved = fakeStore([]);
+
+        const record = await receiveAssignment({ ...assignment, isOwn: true, submittedAt: 2, receivedAt: 0, extra: 'x' });
+
+        expect(record).toEqual({ ...assignment, receivedAt: expect.any(Number) });
+        expect(record.receivedAt).toBeGreaterThan(0);
+        expect(saved.get('asg-1')).toEqual(record);
+    });
+});
@@ -0,0 +1,184 @@
+import { validateSchema } from './schema';
+import { ImportError } from './dataTransfer';
+import { getDrillSet } from '../data/drills';
+import { getScenario } from '../data/scenarios';
+
+// Assignments a tutor sets for a class: a drill set, a role-play scenario or a list of phrases to
+// repeat, with a due date. They travel as a link (the assignment is encoded in the URL hash, so it
+// never reaches a server) or as a small JSON file, and learners keep them in IndexedDB.
+
+export const ASSIGNMENT_FORMAT = 'ai-accent-coach-assignment';
+export const ASSIGNMENT_VERSION = 1;
+
+// What an assignment can ask the learner to do, with English labels (the interface strings
+// `classroom.kinds.<kind>` translate them)
+export const ASSIGNMENT_KINDS = {
+    drill: 'Drill set',
+    scenario: 'Role-play scenario',
+    phrases: 'Phrase list'
+};
+
+// Prefix of the URL hash that carries a shared assignment
+const LINK_PREFIX = '#assignment=';
+
+// A due date as the date input gives it, e.g. "2026-03-06"
+export const DUE_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const ASSIGNMENT_SCHEMA = {
+    type: 'object',
+    required: ['id', 'title', 'kind', 'due', 'createdAt'],
+    properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        kind: { type: 'string', enum: Object.keys(ASSIGNMENT_KINDS) },
+        setId: { type: 'string' },
+        scenarioId: { type: 'string' },
+        phrases: { type: 'array', items: { type: 'string' } },
+        due: { type: 'string', pattern: DUE_DATE.source },
+        instructions: { type: 'string' },
+        tutor: { type: 'string' },
+        createdAt: { type: 'number' }
+    }
+};
+
+const FILE_SCHEMA = {
+    type: 'object',
+    required: ['format', 'version', 'assignment'],
+    properties: {
+        format: { type: 'string', enum: [ASSIGNMENT_FORMAT] },
+        version: { type: 'integer', minimum: 1, maximum: ASSIGNMENT_VERSION },
+        assignment: ASSIGNMENT_SCHEMA
+    }
+};
+
+export const createAssignmentId = () =>
+    `asg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Split a pasted phrase list into one phrase per non-empty line
+export const parsePhraseList = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+// Build a new assignment from the tutor's form. Only the field for the chosen kind is kept.
+export const createAssignment = ({ title, kind, setId, scenarioId, phrases, due, instructions, tutor }) => ({
+    id: createAssignmentId(),
+    title: title.trim(),
+    kind,
+    ...(kind === 'drill' && { setId }),
+    ...(kind === 'scenario' && { scenarioId }),
+    ...(kind === 'phrases' && { phrases }),
+    due,
+    instructions: (instructions || '').trim(),
+    tutor: (tutor || '').trim(),
+    createdAt: Date.now()
+});
+
+// Fields of the tutor's form whose problems stop the assignment being created; empty when it is
+// ready. Each is explained by the interface string `classroom.problems.<field>`.
+export const checkAssignmentDraft = (draft) => [
+    ...(!draft.title.trim() ? ['title'] : []),
+    ...(draft.kind === 'drill' && !getDrillSet(draft.setId) ? ['setId'] : []),
+    ...(draft.kind === 'scenario' && !getScenario(draft.scenarioId) ? ['scenarioId'] : []),
+    ...(draft.kind === 'phrases' && draft.phrases.length === 0 ? ['phrases'] : []),
+    ...(!DUE_DATE.test(draft.due) ? ['due'] : [])
+];
+
+// Just the assignment's own content, the fields of the schema, without what a device keeps
+// alongside it (`isOwn`, `receivedAt`, `submittedAt`) or anything else a link or file carried
+export const assignmentContent = (assignment) => Object.fromEntries(Object.keys(ASSIGNMENT_SCHEMA.properties)
+    .filter(key => assignment[key] !== undefined)
+    .map(key => [key, assignment[key]]));
+
+// Check a received assignment, including that the drill set or scenario it names exists in
+// this version of the app, throwing ImportError if it can't be used
+const checkAssignment = (assignment) => {
+    const problems = validateSchema(assignment, ASSIGNMENT_SCHEMA);
+    if (problems.length > 0) {
+        throw new ImportError('assignmentDamaged', 'That assignment is damaged or incomplete.', problems);
+    }
+    if ((assignment.kind === 'drill' && !getDrillSet(assignment.setId)) ||
+        (assignment.kind === 'scenario' && !getScenario(assignment.scenarioId))) {
+        throw new ImportError('assignmentUnknownPractice', 'That assignment uses practice this version of the app does not have. Please update and try again.');
+    }
+    if (assignment.kind === 'phrases' && !(assignment.phrases && assignment.phrases.length > 0)) {
+        throw new ImportError('assignmentNoPhrases', 'That assignment has no phrases to practise.');
+    }
+    return assignmentContent(assignment);
+};
+
+
+// The file a tutor shares with the class
+export const assignmentToFile = (assignment) => JSON.stringify({
+    format: ASSIGNMENT_FORMAT,
+    version: ASSIGNMENT_VERSION,
+    assignment: assignmentContent(assignment)
+}, null, 2);
+
+// Parse and check the text of an assignment file, throwing ImportError if it can't be used
+export const parseAssignmentFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new ImportError('notJson', 'That file is not valid JSON.');
+    }
+    if (!data || data.format !== ASSIGNMENT_FORMAT) {
+        throw new ImportError('notAssignment', 'That file is not an assignment from this app.');
+    }
+    if (data.version > ASSIGNMENT_VERSION) {
+        throw new ImportError('assignmentNewer', 'That assignment was made by a newer version of the app. Please update and try again.');
+    }
+    const problems = validateSchema(data, FILE_SCHEMA);
+    if (problems.length > 0) {
+        throw new ImportError('assignmentDamaged', 'That assignment is damaged or incomplete.', problems);
+    }
+    return checkAssignment(data.assignment);
+};
+
+// Base64url of the UTF-8 bytes of `text`, so titles and phrases in any script survive the URL
+const encodeBase64Url = (text) => {
+    const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decodeBase64Url = (encoded) => {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+// Link that opens the app with the assignment ready to add, e.g. "https://…/#assignment=eyJp…"
+export const assignmentToLink = (assignment, baseUrl) =>
+    `${baseUrl}${LINK_PREFIX}${encodeBase64Url(JSON.stringify(assignmentContent(assignment)))}`;
+
+// The assignment carried by a URL hash, or null when the hash isn't an assignment link. Throws
+// ImportError for a link that was cut short or edited.
+export const readAssignmentLink = (hash) => {
+    if (!hash.startsWith(LINK_PREFIX)) return null;
+    let assignment;
+    try {
+        assignment = JSON.parse(decodeBase64Url(hash.slice(LINK_PREFIX.length)));
+    } catch (e) {
+        throw new ImportError('assignmentLink', 'That assignment link is incomplete. Ask your tutor to send it again.');
+    }
+    return checkAssignment(assignment);
+};
+
+// End of the due date, in the learner's time zone
+const dueTime = (assignment) => {
+    const [year, month, day] = assignment.due.split('-').map(Number);
+    return new Date(year, month - 1, day, 23, 59, 59, 999).getTime();
+};
+
+export const isOverdue = (assignment, now = Date.now()) => now > dueTime(assignment);
+
+// Soonest due first
+export const sortAssignments = (assignments) => [...assignments].sort((a, b) => dueTime(a) - dueTime(b));
+
+// The drill set a drill or phrase-list assignment runs; a phrase list becomes a set of sentences
+export const assignmentDrillSet = (assignment) => {
+    if (assignment.kind === 'drill') return getDrillSet(assignment.setId);
+    return {
+        id: `assignment-${assignment.id}`,
+        title: assignment.title,
+        feature: assignment.instructions || 'Phrases set by your tutor.',
+        items: assignment.phrases.map(text => ({ type: 'sentence', text }))
+    };
+};
@@ -0,0 +1,96 @@
+import {
+    assignmentDrillSet,
+    assignmentToFile,
+    assignmentToLink,
+    checkAssignmentDraft,
+    createAssignment,
+    isOverdue,
+    parseAssignmentFile,
+    parsePhraseList,
+    readAssignmentLink
+} from './assignments';
+import { ImportError } from './dataTransfer';
+
+const phraseAssignment = createAssignment({
+    title: 'Café phrases',
+    kind: 'phrases',
+    phrases: parsePhraseList('  A flat white, please.\n\nCould I have the bill?  \n'),
+    due: '2026-03-06',
+    instructions: 'Say each one twice.',
+    tutor: 'Ms Hughes'
+});
+
+describe('assignments', () => {
+    it('keeps only the practice the tutor chose', () => {
+        const assignment = createAssignment({ title: ' Week 3 ', kind: 'drill', setId: 'trap-bath', scenarioId: 'job-interview', phrases: [], due: '2026-03-06' });
+
+        expect(assignment).toMatchObject({ title: 'Week 3', kind: 'drill', setId: 'trap-bath' });
+        expect(assignment).not.toHaveProperty('scenarioId');
+        expect(assignment).not.toHaveProperty('phrases');
+    });
+
+    it('says what is missing from the form', () => {
+        expect(checkAssignmentDraft({ title: ' ', kind: 'phrases', phrases: [], due: '' })).toEqual(['title', 'phrases', 'due']);
+        expect(checkAssignmentDraft({ title: 'Week 3', kind: 'scenario', scenarioId: 'nowhere', due: '2026-03-06' })).toEqual(['scenarioId']);
+        expect(checkAssignmentDraft({ title: 'Week 3', kind: 'drill', setId: 'trap-bath', due: '2026-03-06' })).toEqual([]);
+    });
+
+    it('travels in a link, whatever the script', () => {
+        const arabic = { ...phraseAssignment, title: 'واجب الأسبوع', isOwn: true };
+        const link = assignmentToLink(arabic, 'https://coach.example/');
+
+        expect(link).toMatch(/^https:\/\/coach\.example\/#assignment=[\w-]+$/);
+        const { isOwn, ...shared } = arabic;
+        expect(readAssignmentLink(link.slice(link.indexOf('#')))).toEqual(shared);
+    });
+
+    it('ignores other hashes and rejects a link that was cut short', () => {
+        expect(readAssignmentLink('#message-input')).toBeNull();
+        const link = assignmentToLink(phraseAssignment, '');
+
+        expect(() => readAssignmentLink(link.slice(0, -10))).toThrow(ImportError);
+    });
+
+    it('reads back the file it shares, without what this device keeps', () => {
+        const text = assignmentToFile({ ...phraseAssignment, receivedAt: 1, submittedAt: 2 });
+
+        expect(parseAssignmentFile(text)).toEqual(phraseAssignment);
+    });
+
+    it('reads only the assignment itself from an edited link', () => {
+        const crafted = { ...phraseAssignment, isOwn: true, submittedAt: 2, receivedAt: 1, extra: '<b>' };
+        const hash = `#assignment=${btoa(String.fromCharCode(...new TextEncoder().encode(JSON.stringify(crafted))))}`;
+
+        expect(readAssignmentLink(hash)).toEqual(phraseAssignment);
+    });
+
+    it('rejects a due date that is not a date', () => {
+        const crafted = { ...phraseAssignment, due: 'next friday' };
+        const hash = `#assignment=${btoa(String.fromCharCode(...new TextEncoder().encode(JSON.stringify(crafted))))}`;
+
+        expect(() => readAssignmentLink(hash)).toThrow(ImportError);
+        expect(() => parseAssignmentFile(assignmentToFile(crafted))).toThrow(ImportError);
+    });
+
+    it('rejects files it cannot use', () => {
+        expect(() => parseAssignmentFile('not json')).toThrow('not valid JSON');
+        expect(() => parseAssignmentFile(JSON.stringify({ format: 'something-else' }))).toThrow('not an assignment');
+        const unknownSet = JSON.parse(assignmentToFile({ ...phraseAssignment, kind: 'drill', setId: 'no-such-set' }));
+        expect(() => parseAssignmentFile(JSON.stringify(unknownSet))).toThrow('does not have');
+    });
+
+    it('is overdue once its due date has passed', () => {
+        expect(isOverdue(phraseAssignment, new Date(2026, 2, 6, 23, 0).getTime())).toBe(false);
+        expect(isOverdue(phraseAssignment, new Date(2026, 2, 7, 0, 1).getTime())).toBe(true);
+    });
+
+    it('runs a phrase list as a drill of sentences', () => {
+        const set = assignmentDrillSet(phraseAssignment);
+
+        expect(set.title).toBe('Café phrases');
+        expect(set.items).toEqual([
+            { type: 'sentence', text: 'A flat white, please.' },
+            { type: 'sentence', text: 'Could I have the bill?' }
+        ]);
+    });
+});
@@ -0,0 +1,64 @@
+// Microphone capture with MediaRecorder, run alongside speech recognition so every spoken
+// turn can be replayed later
+
+export const isRecordingSupported = () =>
+    !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder);
+
+// Create a one-clip-at-a-time recorder. `start` opens the microphone and begins recording,
+// `stop` resolves with the recorded Blob (or null if nothing was captured) and `cancel`
+// throws the current clip away. The microphone is released after every clip.
+export const createAudioRecorder = () => {
+    let stream = null;
+    let mediaRecorder = null;
+    let chunks = [];
+    let startPromise = Promise.resolve();
+
+    const release = () => {
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+        }
+        stream = null;
+        mediaRecorder = null;
+    };
+
+    return {
+        start: () => {
+            startPromise = (async () => {
+                stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+                chunks = [];
+                mediaRecorder = new MediaRecorder(stream);
+                mediaRecorder.ondataavailable = (event) => {
+                    if (event.data && event.data.size > 0) chunks.push(event.data);
+                };
+                mediaRecorder.start();
+            })();
+            return startPromise;
+        },
+
+        stop: async () => {
+            // Recognition can finish before the microphone has even opened
+            await startPromise.catch(() => {});
+            const recorder = mediaRecorder;
+            if (!recorder || recorder.state === 'inactive') {
+                release();
+                return null;
+            }
+            return new Promise(resolve => {
+                recorder.onstop = () => {
+                    release();
+                    resolve(chunks.length > 0 ? new Blob(chunks, { type: recorder.mimeType }) : null);
+                };
+                recorder.stop();
+            });
+        },
+
+        cancel: async () => {
+            await startPromise.catch(() => {});
+            if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+                mediaRecorder.onstop = null;
+                mediaRecorder.stop();
+            }
+            release();
+        }
+    };
+};
@@ -0,0 +1,38 @@
+// CEFR levels the teacher can pitch its language at. `guidance` goes into the system
+// instruction so vocabulary, grammar and the depth of explanations match the learner.
+export const CEFR_LEVELS = {
+    A2: {
+        id: 'A2',
+        label: 'A2 – Elementary',
+        guidance: 'The learner is at CEFR level A2 (elementary). Use only common everyday words and short, simple sentences. Avoid idioms and phrasal verbs, or explain them in very simple words. Explain one pronunciation point at a time with a simple example word, and never use phonetic symbols without describing the sound in plain words. Keep replies to two or three short sentences.'
+    },
+    B1: {
+        id: 'B1',
+        label: 'B1 – Intermediate',
+        guidance: 'The learner is at CEFR level B1 (intermediate). Use clear, everyday language and mostly simple sentence structures. Introduce an idiom or less common word only occasionally, and explain it briefly. Keep pronunciation explanations practical, with an example or two, and keep replies short.'
+    },
+    B2: {
+        id: 'B2',
+        label: 'B2 – Upper intermediate',
+        guidance: 'The learner is at CEFR level B2 (upper intermediate). Use natural, varied language, including common idioms and phrasal verbs. Explain pronunciation points with some detail, such as linking, weak forms and stress patterns, and mention IPA symbols where they help.'
+    },
+    C1: {
+        id: 'C1',
+        label: 'C1 – Advanced',
+        guidance: 'The learner is at CEFR level C1 (advanced). Speak as you would to a fluent speaker, with a wide range of vocabulary and idiom. Give detailed feedback on subtle features such as intonation, rhythm, connected speech and register, using IPA freely.'
+    },
+    C2: {
+        id: 'C2',
+        label: 'C2 – Proficient',
+        guidance: 'The learner is at CEFR level C2 (proficient). Use the full range of natural, idiomatic English. Focus on fine distinctions of accent, prosody, register and style, and give precise, technical feedback using IPA.'
+    }
+};
+
+export const DEFAULT_CEFR_LEVEL = 'B1';
+
+export const getCefrLevel = (id) => CEFR_LEVELS[id] || CEFR_LEVELS[DEFAULT_CEFR_LEVEL];
+
+// System instruction for a request: the persona the model plays (if any), pitched at the
+// learner's level, followed by anything the teacher remembers about them
+export const buildSystemInstruction = ({ persona, level, memory }) =>
+    [persona, getCefrLevel(level).guidance, memory].filter(Boolean).join('\n\n');
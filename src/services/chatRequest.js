@@ -0,0 +1,32 @@
+// Everything sent with a chat turn: the system instruction and the history the teacher sees
+import { buildSystemInstruction } from './cefr';
+import { fitHistory } from './contextWindow';
+import { describeMemory } from './learnerProfile';
+import { isModelContext } from './messages';
+import { buildScenarioPrompt, countLearnerTurns } from './scenarios';
+
+// Build the request for the teacher's reply to `prompt`. Placeholders, notices, failed and queued
+// turns are left out; turns already folded into the session `memory` are replaced by the summary
+// and the learner `profile`, and the rest are trimmed to `historyBudget`. The `persona` goes in
+// the system instruction, pitched at `level`; while a `scenario` runs, the model plays its
+// character (in `accent`) instead. Returns { system, messages }.
+export const buildChatRequest = ({ conversation, prompt, persona, level, memory, profile, historyBudget, scenario, accent }) => {
+    const context = conversation.filter(isModelContext);
+    const recent = fitHistory(context.slice(memory ? memory.coveredCount : 0), historyBudget);
+    const memoryText = describeMemory(profile, memory && memory.summary);
+
+    const personaPrompt = scenario
+        ? buildScenarioPrompt(scenario, accent, countLearnerTurns(context) + 1)
+        : persona;
+
+    return {
+        system: buildSystemInstruction({ persona: personaPrompt, level, memory: memoryText }),
+        messages: [
+            ...recent.map(msg => ({
+                role: msg.role === 'user' ? 'user' : 'model',
+                text: msg.text
+            })),
+            { role: 'user', text: prompt }
+        ]
+    };
+};
@@ -0,0 +1,71 @@
+import { buildChatRequest } from './chatRequest';
+import { getScenario } from '../data/scenarios';
+import { getAccent } from './accents';
+import { EMPTY_LEARNER_PROFILE } from './learnerProfile';
+import { LISTENING_MESSAGE, MESSAGE_KINDS } from './messages';
+
+const baseRequest = {
+    conversation: [],
+    prompt: 'How do I say "water"?',
+    persona: 'You are a British accent teacher.',
+    level: 'B1',
+    memory: null,
+    profile: EMPTY_LEARNER_PROFILE,
+    historyBudget: 2000,
+    scenario: null,
+    accent: getAccent('rp')
+};
+
+describe('buildChatRequest', () => {
+    it('sends the history the model should see, ending with the new prompt', () => {
+        const conversation = [
+            { role: 'model', text: 'Hello!' },
+            { role: 'user', kind: MESSAGE_KINDS.SYSTEM_NOTICE, text: '✨ Getting tips...' },
+            { id: 'a', role: 'user', text: 'Is this right?', failed: true },
+            { id: 'b', role: 'user', text: 'Sent offline', queued: true },
+            { role: 'user', text: 'Hi there' },
+            LISTENING_MESSAGE
+        ];
+        const { messages } = buildChatRequest({ ...baseRequest, conversation });
+        expect(messages).toEqual([
+            { role: 'model', text: 'Hello!' },
+            { role: 'user', text: 'Hi there' },
+            { role: 'user', text: 'How do I say "water"?' }
+        ]);
+    });
+
+    it('puts the persona and the level in the system instruction', () => {
+        const { system } = buildChatRequest(baseRequest);
+        expect(system).toMatch(/^You are a British accent teacher\./);
+        expect(system).toMatch(/B1/);
+    });
+
+    it('replaces summarised turns with the memory', () => {
+        const conversation = [
+            { role: 'model', text: 'Old greeting' },
+            { role: 'user', text: 'Old question' },
+            { role: 'model', text: 'Recent answer' }
+        ];
+        const { system, messages } = buildChatRequest({
+            ...baseRequest,
+            conversation,
+            memory: { summary: 'The learner asked about vowels.', coveredCount: 2 },
+            profile: { ...EMPTY_LEARNER_PROFILE, interests: ['football'] }
+        });
+        expect(messages.map(msg => msg.text)).toEqual(['Recent answer', 'How do I say "water"?']);
+        expect(system).toMatch('The learner asked about vowels.');
+        expect(system).toMatch('football');
+    });
+
+    it('plays the scenario character instead of the teacher during a role-play', () => {
+        const scenario = getScenario('pub-order');
+        const { system } = buildChatRequest({
+            ...baseRequest,
+            conversation: [{ role: 'model', text: scenario.opening }, { role: 'user', text: 'A pint, please.' }],
+            scenario
+        });
+        expect(system).not.toMatch('You are a British accent teacher.');
+        expect(system).toMatch(scenario.setting);
+        expect(system).toMatch(`2 of ${scenario.turnLimit} turns`);
+    });
+});
@@ -0,0 +1,44 @@
+// Keeps the history sent with each request inside a token budget. Older turns are folded into a
+// running summary (see ./learnerProfile) instead of being resent on every call.
+
+// Tokens of history sent with each chat request unless the learner changes it
+export const DEFAULT_HISTORY_BUDGET = 2000;
+
+// Share of the budget kept as verbatim turns after older ones are summarised, so summarising
+// isn't needed again on the very next turn
+const KEEP_AFTER_SUMMARY = 0.5;
+
+// Rough token count: about four characters per token for English text. Good enough for
+// budgeting without shipping a provider-specific tokenizer.
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+export const estimateHistoryTokens = (messages) =>
+    messages.reduce((total, msg) => total + estimateTokens(msg.text), 0);
+
+// Count of newest messages that fit in `budget` tokens (at least one, so the latest turn is
+// never dropped)
+const countFitting = (messages, budget) => {
+    let total = 0;
+    let count = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        total += estimateTokens(messages[i].text);
+        if (count > 0 && total > budget) break;
+        count++;
+    }
+    return count;
+};
+
+// The newest messages that fit in `budget` tokens, oldest first
+export const fitHistory = (messages, budget) => messages.slice(messages.length - countFitting(messages, budget));
+
+// Decide whether older turns should be summarised. `context` is the model history and
+// `coveredCount` how many of its messages the session's summary already covers. Returns
+// { messages, coveredCount } with the turns to fold into the summary and the new count, or null
+// while the turns not yet summarised still fit the budget.
+export const planSummary = (context, coveredCount, budget) => {
+    const unsummarised = context.slice(coveredCount);
+    if (estimateHistoryTokens(unsummarised) <= budget) return null;
+    const keep = countFitting(unsummarised, budget * KEEP_AFTER_SUMMARY);
+    const messages = unsummarised.slice(0, unsummarised.length - keep);
+    return messages.length > 0 ? { messages, coveredCount: coveredCount + messages.length } : null;
+};
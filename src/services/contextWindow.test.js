@@ -0,0 +1,39 @@
+import { fitHistory, planSummary } from './contextWindow';
+
+// Messages of ten tokens each
+const turns = (count) => Array.from({ length: count }, (_, index) => ({
+    role: index % 2 ? 'user' : 'model',
+    text: `${index}`.padEnd(40, '.')
+}));
+
+describe('planSummary', () => {
+    it('leaves the history alone while it fits the budget', () => {
+        expect(planSummary(turns(6), 0, 100)).toBeNull();
+    });
+
+    it('summarises the oldest turns, keeping half the budget verbatim', () => {
+        const context = turns(10);
+
+        expect(planSummary(context, 0, 80)).toEqual({ messages: context.slice(0, 6), coveredCount: 6 });
+    });
+
+    it('only counts turns the summary does not cover yet', () => {
+        expect(planSummary(turns(10), 6, 80)).toBeNull();
+
+        const context = turns(16);
+        expect(planSummary(context, 6, 80)).toEqual({ messages: context.slice(6, 12), coveredCount: 12 });
+    });
+
+    it('never summarises the latest turn away', () => {
+        expect(planSummary([{ role: 'user', text: 'x'.repeat(400) }], 0, 50)).toBeNull();
+    });
+});
+
+describe('fitHistory', () => {
+    it('keeps the newest turns that fit, and always the latest one', () => {
+        const context = turns(5);
+
+        expect(fitHistory(context, 35)).toEqual(context.slice(2));
+        expect(fitHistory(context, 1)).toEqual(context.slice(4));
+    });
+});
@@ -0,0 +1,264 @@
+import { validateSchema } from './schema';
+import { importSessions } from './sessionStore';
+import { getRecording, saveRecording } from './recordingStore';
+import { importCards, listCards } from './deckStore';
+import { importPractice, listPractice } from './progressLog';
+import { MESSAGE_KINDS, messageRecordingIds, upgradeLegacyMessage } from './messages';
+import { PRONUNCIATION_FEEDBACK_SCHEMA } from './pronunciationFeedback';
+import { SCENARIO_DEBRIEF_SCHEMA } from './scenarios';
+
+// JSON export and import of sessions (with their recordings) and, for full backups, the
+// flashcard deck and practice log, so learning data can move between browsers and machines
+
+export const EXPORT_FORMAT = 'ai-accent-coach-export';
+export const EXPORT_VERSION = 1;
+
+// Recordings travel as base64 audio data URLs, e.g. "data:audio/webm;codecs=opus;base64,GkXf…".
+// Files can be edited, so nothing else is ever decoded or played.
+const AUDIO_DATA_URL = /^data:(audio\/[^,]*);base64,([\s\S]*)$/;
+
+export const isAudioDataUrl = (value) => typeof value === 'string' && AUDIO_DATA_URL.test(value);
+
+// Schema for the recordings carried by an export or a learner report
+export const RECORDINGS_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['id', 'dataUrl'],
+        properties: { id: { type: 'string' }, dataUrl: { type: 'string', pattern: AUDIO_DATA_URL.source } }
+    }
+};
+
+// Shape of the `data` each structured message kind carries. A debrief is the model's judgement
+// plus what the app worked out locally; a drill summary's item scores are null when unscored.
+const MESSAGE_DATA_SCHEMAS = {
+    [MESSAGE_KINDS.PRONUNCIATION_FEEDBACK]: PRONUNCIATION_FEEDBACK_SCHEMA,
+    [MESSAGE_KINDS.SCENARIO_DEBRIEF]: {
+        ...SCENARIO_DEBRIEF_SCHEMA,
+        required: [...SCENARIO_DEBRIEF_SCHEMA.required, 'title', 'score', 'phrases'],
+        properties: {
+            ...SCENARIO_DEBRIEF_SCHEMA.properties,
+            scenarioId: { type: 'string' },
+            title: { type: 'string' },
+            score: { type: 'number' },
+            phrases: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['phrase', 'used'],
+                    properties: { phrase: { type: 'string' }, used: { type: 'boolean' } }
+                }
+            }
+        }
+    },
+    [MESSAGE_KINDS.DRILL_SUMMARY]: {
+        type: 'object',
+        required: ['setId', 'title', 'items'],
+        properties: {
+            setId: { type: 'string' },
+            title: { type: 'string' },
+            items: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['target', 'transcript'],
+                    properties: {
+                        target: { type: 'string' },
+                        transcript: { type: 'string' },
+                        score: { type: 'number', nullable: true },
+                        recordingId: { type: 'string' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Whether a message's `data` is what its kind's view expects (messages without a kind that
+// carries data always are). Imported sessions and learner reports drop messages that aren't.
+export const hasUsableData = (msg) => {
+    const schema = MESSAGE_DATA_SCHEMAS[msg.kind];
+    return !schema || (msg.data !== undefined && validateSchema(msg.data, schema).length === 0);
+};
+
+// Shape an export must have to be imported; everything else in a message is kept as it is, apart
+// from structured messages whose data is damaged, which are dropped
+const EXPORT_SCHEMA = {
+    type: 'object',
+    required: ['format', 'version', 'sessions'],
+    properties: {
+        format: { type: 'string', enum: [EXPORT_FORMAT] },
+        version: { type: 'integer', minimum: 1, maximum: EXPORT_VERSION },
+        sessions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'title', 'mode', 'createdAt', 'updatedAt', 'conversation'],
+                properties: {
+                    id: { type: 'string' },
+                    title: { type: 'string' },
+                    mode: { type: 'string' },
+                    createdAt: { type: 'number' },
+                    updatedAt: { type: 'number' },
+                    conversation: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['role', 'text'],
+                            properties: {
+                                role: { type: 'string', enum: ['user', 'model'] },
+                                text: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        recordings: RECORDINGS_SCHEMA,
+        cards: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'front', 'back', 'due'],
+                properties: { id: { type: 'string' }, front: { type: 'string' }, back: { type: 'string' }, due: { type: 'number' } }
+            }
+        },
+        practiceLog: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['timestamp', 'type'],
+                properties: { timestamp: { type: 'number' }, type: { type: 'string' } }
+            }
+        }
+    }
+};
+
+// Raised when a file can't be imported. `key` names the interface string for the message (under
+// `imports.`) and `problems` lists what was wrong with the file.
+export class ImportError extends Error {
+    constructor(key, message, problems = []) {
+        super(message);
+        this.name = 'ImportError';
+        this.key = key;
+        this.problems = problems;
+    }
+}
+
+// What to tell the user about a file that couldn't be opened: the ImportError's message in the
+// interface language, or `failure` for anything else
+export const importErrorMessage = (t, err, failure) =>
+    err instanceof ImportError ? t(`imports.${err.key}`, {}, err.message) : failure;
+
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+// Decode an audio data URL by hand rather than fetching it, so an edited file can't point the
+// app at anything but audio bytes
+const dataUrlToBlob = (dataUrl) => {
+    const match = AUDIO_DATA_URL.exec(dataUrl);
+    let binary;
+    try {
+        binary = match && atob(match[2]);
+    } catch (e) {
+        binary = null;
+    }
+    if (binary === null) {
+        throw new ImportError('badRecording', 'That file contains a recording that is not valid audio.');
+    }
+    return new Blob([Uint8Array.from(binary, char => char.charCodeAt(0))], { type: match[1] });
+};
+
+// The recordings the sessions' messages point to, as data URLs keyed by recording id
+// (clips that have since been deleted are left out)
+export const collectRecordings = async (sessions) => {
+    const ids = [...new Set(sessions.flatMap(session => session.conversation.flatMap(messageRecordingIds)))];
+    const urls = {};
+    for (const id of ids) {
+        const blob = await getRecording(id);
+        if (blob) urls[id] = await blobToDataUrl(blob);
+    }
+    return urls;
+};
+
+// Build the export object for `sessions`; a full backup also carries the deck and practice log
+export const buildExport = async (sessions, { includeLearningData = false } = {}) => {
+    const recordingUrls = await collectRecordings(sessions);
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: Date.now(),
+        sessions,
+        recordings: Object.entries(recordingUrls).map(([id, dataUrl]) => ({ id, dataUrl })),
+        ...(includeLearningData && {
+            cards: await listCards(),
+            practiceLog: await listPractice()
+        })
+    };
+};
+
+// Parse and check the text of an export file, throwing ImportError if it can't be used
+export const parseExport = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new ImportError('notJson', 'That file is not valid JSON.');
+    }
+    if (!data || data.format !== EXPORT_FORMAT) {
+        throw new ImportError('notExport', 'That file is not an export from this app.');
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new ImportError('exportNewer', 'That file was exported by a newer version of the app. Please update and try again.');
+    }
+    const problems = validateSchema(data, EXPORT_SCHEMA);
+    if (problems.length > 0) {
+        throw new ImportError('exportDamaged', 'That export file is damaged or incomplete.', problems);
+    }
+    return {
+        ...data,
+        sessions: data.sessions.map(session => ({
+            ...session,
+            conversation: session.conversation.map(upgradeLegacyMessage).filter(hasUsableData)
+        }))
+    };
+};
+
+// Store everything in a parsed export. Existing data is kept: sessions are only replaced by a
+// more recently updated copy, and cards and log entries already present are skipped.
+// Resolves with how many of each were added.
+export const importExport = async (data) => {
+    // Decode every clip before saving anything, so a damaged one stops the import cleanly
+    const recordings = (data.recordings || []).map(({ id, dataUrl }) => [id, dataUrlToBlob(dataUrl)]);
+    for (const [id, blob] of recordings) {
+        await saveRecording(id, blob);
+    }
+    return {
+        sessions: await importSessions(data.sessions),
+        recordings: recordings.length,
+        cards: data.cards ? await importCards(data.cards) : 0,
+        practiceLog: data.practiceLog ? await importPractice(data.practiceLog) : 0
+    };
+};
+
+// File name for an export, based on the session title (e.g. "role-play-job-interview.md")
+export const exportFilename = (title, extension) => {
+    const slug = title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    return `${slug || 'session'}.${extension}`;
+};
+
+// Save `content` as a file through the browser's download prompt
+export const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,82 @@
+import { EXPORT_FORMAT, EXPORT_VERSION, ImportError, blobToDataUrl, importExport, parseExport } from './dataTransfer';
+import { saveRecording } from './recordingStore';
+import { MESSAGE_KINDS } from './messages';
+
+// The stores live in IndexedDB, which jsdom lacks
+jest.mock('./recordingStore', () => ({ getRecording: jest.fn(), saveRecording: jest.fn() }));
+jest.mock('./sessionStore', () => ({ importSessions: jest.fn() }));
+jest.mock('./deckStore', () => ({ importCards: jest.fn(), listCards: jest.fn() }));
+jest.mock('./progressLog', () => ({ importPractice: jest.fn(), listPractice: jest.fn() }));
+
+const session = {
+    id: 'session-1',
+    title: 'Free conversation',
+    mode: 'conversation',
+    createdAt: 10,
+    updatedAt: 20,
+    conversation: [{ role: 'user', text: 'Hello', recordingId: 'rec-a' }]
+};
+
+const exportText = (recordings, sessions = [session]) => JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, sessions, recordings });
+
+const feedback = {
+    sentence: 'A glass of water.',
+    score: 72,
+    summary: 'Lengthen the BATH vowel.',
+    words: [{ word: 'glass', ipa: '/ɡlɑːs/', sound: '/ɑː/ (BATH)', commonMispronunciations: ['/ɡlæs/'], score: 60 }]
+};
+
+describe('dataTransfer', () => {
+    it('imports audio recordings without fetching them', async () => {
+        const dataUrl = `data:audio/webm;codecs=opus;base64,${btoa('audio for rec-a')}`;
+        await importExport(parseExport(exportText([{ id: 'rec-a', dataUrl }])));
+
+        expect(window.fetch).not.toHaveBeenCalled();
+        const [id, blob] = saveRecording.mock.calls[0];
+        expect(id).toBe('rec-a');
+        expect(blob.type).toBe('audio/webm;codecs=opus');
+        expect(await blobToDataUrl(blob)).toBe(`data:audio/webm;codecs=opus;base64,${btoa('audio for rec-a')}`);
+    });
+
+    it('rejects recordings that are not audio data URLs', () => {
+        for (const dataUrl of ['https://example.com/clip.webm', 'data:text/html;base64,PHNjcmlwdD4=', 'data:audio/webm,raw']) {
+            expect(() => parseExport(exportText([{ id: 'rec-a', dataUrl }]))).toThrow(ImportError);
+        }
+    });
+
+    it('drops structured messages whose data is damaged', () => {
+        const conversation = [
+            { role: 'user', text: 'A glass of water.' },
+            { role: 'model', kind: MESSAGE_KINDS.PRONUNCIATION_FEEDBACK, text: 'Feedback', data: feedback },
+            { role: 'model', kind: MESSAGE_KINDS.PRONUNCIATION_FEEDBACK, text: 'Broken', data: { score: 'high', words: 'glass' } },
+            { role: 'model', kind: MESSAGE_KINDS.SCENARIO_DEBRIEF, text: 'No data' },
+            { role: 'model', kind: MESSAGE_KINDS.DRILL_SUMMARY, text: 'Drill', data: { setId: 'trap-bath', title: 'TRAP–BATH', items: 'all' } }
+        ];
+        const data = parseExport(exportText([], [{ ...session, conversation }]));
+
+        expect(data.sessions[0].conversation.map(msg => msg.text)).toEqual(['A glass of water.', 'Feedback']);
+    });
+
+    it('keeps feedback saved before messages carried data', () => {
+        const conversation = [{ role: 'model', kind: MESSAGE_KINDS.PRONUNCIATION_FEEDBACK, text: 'Feedback', feedback }];
+        const data = parseExport(exportText([], [{ ...session, conversation }]));
+
+        expect(data.sessions[0].conversation).toEqual([{
+            id: expect.any(String),
+            role: 'model',
+            kind: MESSAGE_KINDS.PRONUNCIATION_FEEDBACK,
+            text: 'Feedback',
+            data: feedback
+        }]);
+    });
+
+    it('saves nothing when a clip does not decode', async () => {
+        const data = parseExport(exportText([
+            { id: 'rec-a', dataUrl: `data:audio/webm;base64,${btoa('fine')}` },
+            { id: 'rec-b', dataUrl: 'data:audio/webm;base64,not base64!' }
+        ]));
+
+        await expect(importExport(data)).rejects.toThrow(ImportError);
+        expect(saveRecording).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,65 @@
+// Shared IndexedDB connection for everything the coach keeps in the browser
+
+const DB_NAME = 'accentCoach';
+const DB_VERSION = 5;
+
+export const SESSIONS_STORE = 'sessions';
+export const RECORDINGS_STORE = 'recordings';
+export const CARDS_STORE = 'cards';
+export const PRACTICE_LOG_STORE = 'practiceLog';
+export const ASSIGNMENTS_STORE = 'assignments';
+
+let dbPromise = null;
+
+// Open (and on first use, create or upgrade) the database; the connection is shared between calls
+export const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser.'));
+                return;
+            }
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+                    const store = db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains(RECORDINGS_STORE)) {
+                    db.createObjectStore(RECORDINGS_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(CARDS_STORE)) {
+                    const store = db.createObjectStore(CARDS_STORE, { keyPath: 'id' });
+                    store.createIndex('due', 'due');
+                }
+                if (!db.objectStoreNames.contains(PRACTICE_LOG_STORE)) {
+                    const store = db.createObjectStore(PRACTICE_LOG_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp');
+                }
+                if (!db.objectStoreNames.contains(ASSIGNMENTS_STORE)) {
+                    db.createObjectStore(ASSIGNMENTS_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later call to retry if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+// Run `callback` inside a transaction over `storeNames` and resolve with the result of the
+// request it returns once the transaction has completed
+export const withStores = async (storeNames, mode, callback) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const stores = [].concat(storeNames).map(name => transaction.objectStore(name));
+        const request = callback(...stores);
+        transaction.oncomplete = () => resolve(request && request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
@@ -0,0 +1,60 @@
+import { CARDS_STORE, withStores } from './db';
+import { initialSchedule } from './srs';
+
+// Flashcards saved from vocabulary and rephrasing replies, stored in IndexedDB
+
+const createCardId = () => `card-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const listCards = () => withStores(CARDS_STORE, 'readonly', store => store.getAll());
+
+export const updateCard = (card) => withStores(CARDS_STORE, 'readwrite', store => store.put(card));
+
+// Add new cards ({ front, back, example?, source }) to the deck, skipping any whose front is
+// already in it. Resolves with the number of cards actually added.
+export const addCards = async (newCards) => {
+    const existing = await listCards();
+    const seen = new Set(existing.map(card => card.front.trim().toLowerCase()));
+    const now = Date.now();
+    const toAdd = [];
+
+    for (const card of newCards) {
+        const key = card.front.trim().toLowerCase();
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        toAdd.push({ ...card, id: createCardId(), createdAt: now, ...initialSchedule(now) });
+    }
+
+    if (toAdd.length > 0) {
+        await withStores(CARDS_STORE, 'readwrite', store => {
+            let request;
+            toAdd.forEach(card => { request = store.put(card); });
+            return request;
+        });
+    }
+    return toAdd.length;
+};
+
+// Add cards from an export with their review schedule intact, skipping any already in the deck
+// (same id or same front). Resolves with the number of cards added.
+export const importCards = async (imported) => {
+    const existing = await listCards();
+    const ids = new Set(existing.map(card => card.id));
+    const fronts = new Set(existing.map(card => card.front.trim().toLowerCase()));
+    const toAdd = imported.filter(card => {
+        const key = card.front.trim().toLowerCase();
+        if (ids.has(card.id) || fronts.has(key)) return false;
+        fronts.add(key);
+        return true;
+    });
+
+    if (toAdd.length > 0) {
+        await withStores(CARDS_STORE, 'readwrite', store => {
+            let request;
+            toAdd.forEach(card => { request = store.put(card); });
+            return request;
+        });
+    }
+    return toAdd.length;
+};
+
+export const deleteCard = (id) => withStores(CARDS_STORE, 'readwrite', store => store.delete(id));
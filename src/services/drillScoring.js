@@ -0,0 +1,55 @@
+// Word-by-word comparison of a recognised transcript against a drill target
+
+// Lower-case and strip punctuation so "Class." matches "class"
+const normaliseWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+export const tokenize = (text) => text.split(/\s+/).map(normaliseWord).filter(Boolean);
+
+// The text the learner should say for a drill item (a minimal pair is said as both words)
+export const getDrillTarget = (item) => (item.type === 'minimal-pair' ? item.words.join(', ') : item.text);
+
+// Align the transcript with the target using word-level edit distance and label every word:
+// 'correct', 'wrong' (a different word was heard), 'missing' (not heard at all) or 'extra'
+// (heard but not in the target). The score is the share of target words said correctly.
+export const compareTranscript = (target, transcript) => {
+    const expected = tokenize(target);
+    const heard = tokenize(transcript);
+
+    // distances[i][j] = cost of turning the first i expected words into the first j heard words
+    const distances = Array.from({ length: expected.length + 1 }, (_, i) =>
+        Array.from({ length: heard.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+    );
+    for (let i = 1; i <= expected.length; i++) {
+        for (let j = 1; j <= heard.length; j++) {
+            const substitution = distances[i - 1][j - 1] + (expected[i - 1] === heard[j - 1] ? 0 : 1);
+            distances[i][j] = Math.min(substitution, distances[i - 1][j] + 1, distances[i][j - 1] + 1);
+        }
+    }
+
+    // Walk back from the bottom-right corner to recover the alignment
+    const words = [];
+    let i = expected.length;
+    let j = heard.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 &&
+            distances[i][j] === distances[i - 1][j - 1] + (expected[i - 1] === heard[j - 1] ? 0 : 1)) {
+            const status = expected[i - 1] === heard[j - 1] ? 'correct' : 'wrong';
+            words.unshift({ expected: expected[i - 1], heard: heard[j - 1], status });
+            i--;
+            j--;
+        } else if (i > 0 && distances[i][j] === distances[i - 1][j] + 1) {
+            words.unshift({ expected: expected[i - 1], heard: null, status: 'missing' });
+            i--;
+        } else {
+            words.unshift({ expected: null, heard: heard[j - 1], status: 'extra' });
+            j--;
+        }
+    }
+
+    const correct = words.filter(w => w.status === 'correct').length;
+    return {
+        words,
+        score: expected.length > 0 ? Math.round((correct / expected.length) * 100) : 0,
+        isPerfect: correct === expected.length && words.length === expected.length
+    };
+};
@@ -0,0 +1,38 @@
+import { compareTranscript, getDrillTarget } from './drillScoring';
+
+describe('compareTranscript', () => {
+    it('ignores case and punctuation', () => {
+        expect(compareTranscript('Can I have a glass of water?', 'can i have a glass of water')).toMatchObject({ score: 100, isPerfect: true });
+    });
+
+    it('marks words that were misheard or missed', () => {
+        const result = compareTranscript('a bath in the garden', 'a bat in garden');
+
+        expect(result.words).toEqual([
+            { expected: 'a', heard: 'a', status: 'correct' },
+            { expected: 'bath', heard: 'bat', status: 'wrong' },
+            { expected: 'in', heard: 'in', status: 'correct' },
+            { expected: 'the', heard: null, status: 'missing' },
+            { expected: 'garden', heard: 'garden', status: 'correct' }
+        ]);
+        expect(result).toMatchObject({ score: 60, isPerfect: false });
+    });
+
+    it('does not call an attempt with extra words perfect', () => {
+        const result = compareTranscript('thank you', 'thank you very much');
+
+        expect(result.words.filter(w => w.status === 'extra').map(w => w.heard)).toEqual(['very', 'much']);
+        expect(result).toMatchObject({ score: 100, isPerfect: false });
+    });
+
+    it('scores nothing against an empty target', () => {
+        expect(compareTranscript('', 'hello').score).toBe(0);
+    });
+});
+
+describe('getDrillTarget', () => {
+    it('says a minimal pair as both words', () => {
+        expect(getDrillTarget({ type: 'minimal-pair', words: ['ship', 'sheep'] })).toBe('ship, sheep');
+        expect(getDrillTarget({ type: 'sentence', text: 'Rather a lot of grass.' })).toBe('Rather a lot of grass.');
+    });
+});
@@ -0,0 +1,32 @@
+import { parseStructuredReply } from './schema';
+
+// Schema for flashcards extracted from a teacher reply
+export const FLASHCARDS_SCHEMA = {
+    type: 'object',
+    required: ['cards'],
+    properties: {
+        cards: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['front', 'back'],
+                properties: {
+                    front: { type: 'string', example: 'to be chuffed to bits' },
+                    back: { type: 'string', example: 'to be extremely pleased' },
+                    example: { type: 'string', example: 'She was chuffed to bits with her exam results.' }
+                }
+            }
+        }
+    }
+};
+
+// `instructions` say what to pull out of the notes; each skill that supports the deck supplies its own
+export const buildFlashcardPrompt = (text, instructions) => `Turn the following British English teaching notes into flashcards for a learner. ${instructions}
+Use only what is in the notes. Reply with JSON only, no other text, matching this JSON schema:
+${JSON.stringify(FLASHCARDS_SCHEMA)}
+
+Notes:
+${text}`;
+
+// Parse and validate the extracted cards, throwing StructuredReplyError if they aren't usable
+export const parseFlashcards = (text) => parseStructuredReply(text, FLASHCARDS_SCHEMA, 'flashcards').cards;
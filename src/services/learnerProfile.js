@@ -0,0 +1,83 @@
+import { parseStructuredReply } from './schema';
+
+// The teacher's memory of the learner: recurring mistakes and interests carried across sessions,
+// plus a per-session summary of turns that no longer fit in the history budget
+
+export const EMPTY_LEARNER_PROFILE = { mistakes: [], interests: [], updatedAt: null };
+
+// Longest list of mistakes or interests kept; the model is asked to merge and prioritise
+const MAX_PROFILE_ITEMS = 10;
+
+// Schema for the memory update the model returns when older turns are summarised
+export const MEMORY_SCHEMA = {
+    type: 'object',
+    required: ['summary', 'mistakes', 'interests'],
+    properties: {
+        summary: { type: 'string', example: 'The learner described a weekend trip to Bath and practised ordering food.' },
+        mistakes: {
+            type: 'array',
+            items: { type: 'string', example: 'Pronounces the "t" in "water" as a hard American "d"' }
+        },
+        interests: {
+            type: 'array',
+            items: { type: 'string', example: 'Football, especially Arsenal' }
+        }
+    }
+};
+
+const bulletList = (items) => items.map(item => `- ${item}`).join('\n');
+
+const transcriptOf = (messages) =>
+    messages.map(msg => `${msg.role === 'user' ? 'Learner' : 'Teacher'}: ${msg.text}`).join('\n');
+
+// Prompt asking the model to fold `messages` into the running summary and profile
+export const buildMemoryPrompt = ({ profile, summary, messages }) => `You keep notes for an English accent teacher about one learner.
+Update the notes with the conversation excerpt below.
+- "summary": a short paragraph covering the earlier summary and the excerpt, so the teacher can carry on the conversation without it.
+- "mistakes": recurring pronunciation, grammar or vocabulary mistakes, most frequent first, at most ${MAX_PROFILE_ITEMS}. Keep earlier ones unless the learner has clearly fixed them.
+- "interests": topics the learner enjoys talking about, at most ${MAX_PROFILE_ITEMS}.
+Reply with JSON only, no other text, matching this JSON schema:
+${JSON.stringify(MEMORY_SCHEMA)}
+
+Earlier summary:
+${summary || '(none yet)'}
+
+Known mistakes:
+${profile.mistakes.length > 0 ? bulletList(profile.mistakes) : '(none yet)'}
+
+Known interests:
+${profile.interests.length > 0 ? bulletList(profile.interests) : '(none yet)'}
+
+Conversation excerpt:
+${transcriptOf(messages)}`;
+
+const tidyList = (items) => [...new Set(items.map(item => item.trim()).filter(Boolean))].slice(0, MAX_PROFILE_ITEMS);
+
+// Parse a memory update into { summary, profile }, throwing StructuredReplyError if unusable
+export const parseMemoryUpdate = (text) => {
+    const update = parseStructuredReply(text, MEMORY_SCHEMA, 'notes');
+    return {
+        summary: update.summary.trim(),
+        profile: {
+            mistakes: tidyList(update.mistakes),
+            interests: tidyList(update.interests),
+            updatedAt: Date.now()
+        }
+    };
+};
+
+// Text added to the persona prompt so the teacher keeps what it knows without the full history;
+// empty when there is nothing to remember yet
+export const describeMemory = (profile, summary) => {
+    const parts = [];
+    if (profile.mistakes.length > 0) {
+        parts.push(`Mistakes this learner often makes (work on them when it fits naturally):\n${bulletList(profile.mistakes)}`);
+    }
+    if (profile.interests.length > 0) {
+        parts.push(`Topics this learner enjoys:\n${bulletList(profile.interests)}`);
+    }
+    if (summary) {
+        parts.push(`Summary of the earlier part of this conversation:\n${summary}`);
+    }
+    return parts.length > 0 ? `What you remember about the learner:\n\n${parts.join('\n\n')}` : '';
+};
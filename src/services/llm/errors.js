@@ -0,0 +1,65 @@
+// Errors raised by the LLM layer. Each carries a `kind` the UI uses to explain what went wrong
+// and whether retrying could help (`retryable`).
+export class LLMError extends Error {
+    constructor(message, { kind, retryable = false, details } = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.kind = kind;
+        this.retryable = retryable;
+        this.details = details;
+    }
+}
+
+// HTTP statuses worth trying again after a pause
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Error raised when a provider answers, but with an error payload or HTTP error status instead
+// of a reply. `status` is the HTTP status (when known) and `retryAfterMs` comes from the
+// server's Retry-After header.
+export class LLMApiError extends LLMError {
+    constructor(message, details, { status, retryAfterMs } = {}) {
+        super(message, {
+            kind: status === 429 ? 'rate-limit' : 'api',
+            retryable: RETRYABLE_STATUSES.includes(status),
+            details
+        });
+        this.name = 'LLMApiError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// The request never got an answer: offline, DNS failure, server down, CORS...
+export class LLMNetworkError extends LLMError {
+    constructor(message = 'Could not reach the language model. Please check your connection.') {
+        super(message, { kind: 'network', retryable: true });
+        this.name = 'LLMNetworkError';
+    }
+}
+
+// No answer (or, while streaming, no new text) within the time limit
+export class LLMTimeoutError extends LLMError {
+    constructor(message = 'The language model took too long to answer.') {
+        super(message, { kind: 'timeout', retryable: true });
+        this.name = 'LLMTimeoutError';
+    }
+}
+
+// The reply arrived but could not be used: not JSON, or empty
+export class LLMResponseError extends LLMError {
+    constructor(message, { status } = {}) {
+        super(message, { kind: 'response', retryable: status >= 500 });
+        this.name = 'LLMResponseError';
+        this.status = status;
+    }
+}
+
+// The caller cancelled the request (e.g. the learner pressed "Stop Teacher")
+export class LLMCancelledError extends LLMError {
+    constructor() {
+        super('The request was cancelled.', { kind: 'cancelled' });
+        this.name = 'LLMCancelledError';
+    }
+}
+
+export const isAbortError = (err) => Boolean(err) && err.name === 'AbortError';
@@ -0,0 +1,124 @@
+import { LLMApiError, LLMResponseError } from './errors';
+import { httpError, parseEvent, postJson, readJson } from './http';
+import { readSseData } from './sse';
+
+// Gemini is reached through our own proxy (see server/), which holds the API key. The proxy
+// is same-origin by default; REACT_APP_API_URL points a static build at a proxy elsewhere.
+const CHAT_PROXY_URL = `${(process.env.REACT_APP_API_URL || '').replace(/\/+$/, '')}/api/chat`;
+
+// Gemini wants the conversation to open with a user turn, but ours often opens with the
+// teacher's greeting (or a scenario persona's first line)
+const CONVERSATION_START = { role: 'user', parts: [{ text: '(The conversation starts.)' }] };
+
+// Convert the provider-neutral history ({ role, text }) into Gemini "contents"
+const toGeminiContents = (messages) => {
+    const contents = messages.map(msg => ({
+        role: msg.role === 'user' ? 'user' : 'model',
+        parts: [{ text: msg.text }]
+    }));
+    return contents.length > 0 && contents[0].role === 'model' ? [CONVERSATION_START, ...contents] : contents;
+};
+
+// Learners may be young, so anything beyond a low probability of harm is blocked
+const SAFETY_SETTINGS = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT'
+].map(category => ({ category, threshold: 'BLOCK_MEDIUM_AND_ABOVE' }));
+
+// A prompt or reply stopped by the safety settings comes back without text; say why
+const checkBlocked = (result) => {
+    const blockedPrompt = result.promptFeedback && result.promptFeedback.blockReason;
+    const blockedReply = result.candidates && result.candidates.length > 0 && result.candidates[0].finishReason === 'SAFETY';
+    if (blockedPrompt || blockedReply) {
+        throw new LLMResponseError('The reply was blocked by the safety filter. Please rephrase your message.');
+    }
+};
+
+// Pull the reply text out of a generateContent response (or one streamed chunk of it)
+const extractText = (result) => {
+    if (result.candidates && result.candidates.length > 0 &&
+        result.candidates[0].content && result.candidates[0].content.parts &&
+        result.candidates[0].content.parts.length > 0) {
+        return result.candidates[0].content.parts.map(part => part.text || '').join('');
+    }
+    return null;
+};
+
+const toApiError = (result) =>
+    new LLMApiError(result.error.message || 'An unknown API error occurred.', result.error, { status: result.error.code });
+
+// Error bodies are a single object, or a one-element array for streaming requests
+const errorMessageOf = (body) => {
+    const result = Array.isArray(body) ? body[0] || {} : body;
+    return result.error && result.error.message;
+};
+
+// Build the proxy request body; a `schema` asks Gemini for a JSON-only reply
+const buildPayload = ({ messages, model, system, generation, schema }, stream) => ({
+    model,
+    stream,
+    ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+    contents: toGeminiContents(messages),
+    generationConfig: {
+        temperature: generation.temperature,
+        maxOutputTokens: generation.maxOutputTokens,
+        ...(schema && { responseMimeType: 'application/json' })
+    },
+    safetySettings: SAFETY_SETTINGS
+});
+
+const postToProxy = (request, stream) => postJson(CHAT_PROXY_URL, {
+    body: buildPayload(request, stream),
+    signal: request.signal
+});
+
+// Google Gemini adapter (generateContent / streamGenerateContent, via the chat proxy)
+const geminiProvider = {
+    id: 'gemini',
+    label: 'Google Gemini',
+    defaultModel: 'gemini-2.0-flash',
+    requiresBaseUrl: false,
+
+    generate: async (request) => {
+        const response = await postToProxy(request, false);
+        if (!response.ok) {
+            throw await httpError(response, errorMessageOf);
+        }
+
+        const result = await readJson(response);
+
+        const text = extractText(result);
+        if (text !== null) {
+            return text;
+        }
+        if (result.error) {
+            throw toApiError(result);
+        }
+        checkBlocked(result);
+        return null;
+    },
+
+    // Yields the reply text piece by piece as Gemini produces it
+    stream: async function* (request) {
+        const response = await postToProxy(request, true);
+
+        // Errors are returned as a regular JSON body rather than as an event stream
+        if (!response.ok) {
+            throw await httpError(response, errorMessageOf);
+        }
+
+        for await (const data of readSseData(response)) {
+            const result = parseEvent(data);
+            if (result.error) {
+                throw toApiError(result);
+            }
+            const text = extractText(result);
+            if (text) yield text;
+            checkBlocked(result);
+        }
+    }
+};
+
+export default geminiProvider;
@@ -0,0 +1,61 @@
+import { LLMApiError, LLMNetworkError, LLMResponseError, isAbortError } from './errors';
+
+// Fetch helpers shared by the HTTP adapters, turning every way a request can fail into one of
+// the error types in ./errors. Aborts are passed through untouched for the caller to classify.
+
+export const postJson = async (url, { headers = {}, body, signal }) => {
+    try {
+        return await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal
+        });
+    } catch (err) {
+        if (isAbortError(err)) throw err;
+        throw new LLMNetworkError();
+    }
+};
+
+// Parse a JSON body; anything else (an HTML error page from a proxy, a truncated body...) is an
+// LLMResponseError
+export const readJson = async (response) => {
+    try {
+        return await response.json();
+    } catch (err) {
+        if (isAbortError(err)) throw err;
+        throw new LLMResponseError(`The language model sent an unreadable response (HTTP ${response.status}).`, { status: response.status });
+    }
+};
+
+// Parse one streamed event
+export const parseEvent = (data) => {
+    try {
+        return JSON.parse(data);
+    } catch (err) {
+        throw new LLMResponseError('The language model sent an unreadable part of its reply.');
+    }
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (response) => {
+    const value = response.headers.get('retry-after');
+    if (!value) return undefined;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+// Build the LLMApiError for a non-2xx response; `messageOf(body)` finds the provider's own
+// message in its JSON error body, if there is one
+export const httpError = async (response, messageOf) => {
+    let body = null;
+    try {
+        body = await response.json();
+    } catch (err) {
+        if (isAbortError(err)) throw err;
+    }
+    const message = (body && messageOf(body)) || `The language model returned HTTP ${response.status}.`;
+    return new LLMApiError(message, body, { status: response.status, retryAfterMs: parseRetryAfter(response) });
+};
@@ -0,0 +1,154 @@
+import geminiProvider from './geminiProvider';
+import openaiProvider from './openaiProvider';
+import mockProvider from './mockProvider';
+import { LLMCancelledError, LLMResponseError, LLMTimeoutError } from './errors';
+import { withRetries } from './retry';
+import { DEFAULT_HISTORY_BUDGET } from '../contextWindow';
+
+export {
+    LLMError,
+    LLMApiError,
+    LLMCancelledError,
+    LLMNetworkError,
+    LLMResponseError,
+    LLMTimeoutError
+} from './errors';
+
+// All available LLM adapters, keyed by id. Every adapter exposes the same shape:
+// { id, label, defaultModel, defaultBaseUrl?, requiresBaseUrl, generate(request), stream(request) }
+// where `request` is { messages, model, apiKey, baseUrl, system?, generation, schema?, signal } and
+// `messages` is a list of { role: 'user' | 'model', text }. `system` is the system instruction
+// (persona, learner level...) and `generation` is { temperature, maxOutputTokens }. When a
+// `schema` is given the reply should be JSON only. `generate` resolves to the reply text (or null
+// when the model returned nothing usable); `stream` is an async generator yielding text deltas.
+// Adapters pass `signal` to fetch and report failures with the error types in ./errors.
+export const PROVIDERS = {
+    [geminiProvider.id]: geminiProvider,
+    [openaiProvider.id]: openaiProvider,
+    [mockProvider.id]: mockProvider
+};
+
+// API keys are only ever read from the build environment, never from saved settings. Gemini's
+// key lives on the chat proxy instead, since anything here ends up in the public bundle.
+const API_KEYS = {
+    openai: process.env.REACT_APP_OPENAI_API_KEY
+};
+
+export const getProvider = (id) => PROVIDERS[id] || PROVIDERS.gemini;
+
+// Default provider settings, overridable at build time through REACT_APP_LLM_* variables
+export const getDefaultLlmSettings = () => {
+    const provider = getProvider(process.env.REACT_APP_LLM_PROVIDER);
+    return {
+        provider: provider.id,
+        model: process.env.REACT_APP_LLM_MODEL || provider.defaultModel,
+        baseUrl: process.env.REACT_APP_LLM_BASE_URL || provider.defaultBaseUrl || '',
+        stream: process.env.REACT_APP_LLM_STREAM !== 'false',
+        historyBudget: Number(process.env.REACT_APP_LLM_HISTORY_BUDGET) || DEFAULT_HISTORY_BUDGET
+    };
+};
+
+// Sampling settings for conversation, and for JSON replies, which should follow their schema
+// rather than be creative. Callers (e.g. skills) override them per request.
+export const DEFAULT_GENERATION = { temperature: 0.7, maxOutputTokens: 1024 };
+export const STRUCTURED_GENERATION = { temperature: 0.2, maxOutputTokens: 2048 };
+
+const buildRequest = (provider, settings, messages, options = {}) => ({
+    ...options,
+    generation: { ...(options.schema ? STRUCTURED_GENERATION : DEFAULT_GENERATION), ...options.generation },
+    messages,
+    model: settings.model || provider.defaultModel,
+    baseUrl: settings.baseUrl || provider.defaultBaseUrl,
+    apiKey: API_KEYS[provider.id]
+});
+
+// How long to wait for a whole reply, or while streaming, for the next piece of it
+export const REQUEST_TIMEOUT_MS = 60 * 1000;
+
+// Abort signal for one attempt, aborted by the caller's `signal` or after `timeoutMs` without
+// progress; `touch()` restarts the clock. `toError(err)` turns the resulting abort into
+// LLMTimeoutError or LLMCancelledError and leaves other errors alone.
+const createAttemptSignal = (signal, timeoutMs) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer;
+    const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+    };
+    const onAbort = () => controller.abort();
+    if (signal) {
+        if (signal.aborted) controller.abort();
+        signal.addEventListener('abort', onAbort);
+    }
+    touch();
+
+    return {
+        signal: controller.signal,
+        touch,
+        toError: (err) => {
+            if (!controller.signal.aborted) return err;
+            return timedOut ? new LLMTimeoutError() : new LLMCancelledError();
+        },
+        dispose: () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    };
+};
+
+// Send a provider-neutral chat history to the configured provider and return the reply text.
+// Options: `system` is the system instruction, `generation` overrides the sampling settings,
+// `schema` requests a JSON reply matching that schema, `signal` cancels the request,
+// `onRetry(info)` is told before transient failures are retried and `timeoutMs` overrides
+// REQUEST_TIMEOUT_MS.
+export const generateReply = (settings, messages, { signal, onRetry, timeoutMs = REQUEST_TIMEOUT_MS, ...options } = {}) => {
+    const provider = getProvider(settings.provider);
+    return withRetries(async () => {
+        const attempt = createAttemptSignal(signal, timeoutMs);
+        try {
+            return await provider.generate({ ...buildRequest(provider, settings, messages, options), signal: attempt.signal });
+        } catch (err) {
+            throw attempt.toError(err);
+        } finally {
+            attempt.dispose();
+        }
+    }, { signal, onRetry });
+};
+
+// Like generateReply, but reports the reply as it arrives: `onDelta(delta, textSoFar)` is called
+// for every streamed piece. Falls back to a single delta when streaming is switched off. Takes
+// the same options as generateReply except `schema`. Failures are only retried before any
+// text has arrived, and an empty reply is an LLMResponseError.
+export const streamReply = async (settings, messages, onDelta, { signal, onRetry, timeoutMs = REQUEST_TIMEOUT_MS, ...options } = {}) => {
+    const provider = getProvider(settings.provider);
+    let text = '';
+
+    return withRetries(async () => {
+        const attempt = createAttemptSignal(signal, timeoutMs);
+        const request = { ...buildRequest(provider, settings, messages, options), signal: attempt.signal };
+        try {
+            if (!settings.stream || !provider.stream) {
+                text = (await provider.generate(request)) || '';
+                if (text) onDelta(text, text);
+            } else {
+                for await (const delta of provider.stream(request)) {
+                    attempt.touch();
+                    text += delta;
+                    onDelta(delta, text);
+                }
+            }
+        } catch (err) {
+            throw attempt.toError(err);
+        } finally {
+            attempt.dispose();
+        }
+        if (!text) {
+            throw new LLMResponseError('The language model returned an empty reply.');
+        }
+        return text;
+    }, { signal, onRetry, canRetry: () => text === '' });
+};
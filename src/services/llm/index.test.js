@@ -0,0 +1,65 @@
+import { generateReply, streamReply, LLMApiError, LLMCancelledError } from './index';
+import { errorReply, jsonReply, mockFetch, requestBody, streamedReply } from '../../testing/browserFakes';
+
+const settings = { provider: 'gemini', model: 'gemini-2.0-flash', baseUrl: '', stream: true, historyBudget: 2000 };
+const history = [{ role: 'model', text: 'Hello!' }, { role: 'user', text: 'Hi' }];
+
+describe('streamReply', () => {
+    it('streams the reply from the chat proxy piece by piece', async () => {
+        const fetch = mockFetch(streamedReply('Lovely ', 'to meet you.'));
+        const onDelta = jest.fn();
+
+        const text = await streamReply(settings, history, onDelta, { system: 'Be a teacher.' });
+
+        expect(text).toBe('Lovely to meet you.');
+        expect(onDelta.mock.calls).toEqual([['Lovely ', 'Lovely '], ['to meet you.', 'Lovely to meet you.']]);
+        expect(fetch).toHaveBeenCalledWith('/api/chat', expect.objectContaining({ method: 'POST' }));
+        expect(requestBody()).toMatchObject({
+            model: 'gemini-2.0-flash',
+            stream: true,
+            systemInstruction: { parts: [{ text: 'Be a teacher.' }] },
+            // Gemini conversations must open with a user turn
+            contents: [
+                { role: 'user', parts: [{ text: '(The conversation starts.)' }] },
+                { role: 'model', parts: [{ text: 'Hello!' }] },
+                { role: 'user', parts: [{ text: 'Hi' }] }
+            ]
+        });
+    });
+
+    it('retries a rate-limited request after the wait the server asks for', async () => {
+        mockFetch(errorReply(429, 'Slow down.', { 'retry-after': '0' }), streamedReply('Here you are.'));
+        const onRetry = jest.fn();
+
+        await expect(streamReply(settings, history, () => {}, { onRetry })).resolves.toBe('Here you are.');
+        expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, delayMs: 0 }));
+        expect(onRetry.mock.calls[0][0].error.kind).toBe('rate-limit');
+    });
+});
+
+describe('generateReply', () => {
+    it('asks for JSON when a schema is given', async () => {
+        mockFetch(jsonReply('{"tips":[]}'));
+
+        await expect(generateReply(settings, history, { schema: { type: 'object' } })).resolves.toBe('{"tips":[]}');
+        expect(requestBody().generationConfig.responseMimeType).toBe('application/json');
+    });
+
+    it('does not retry an error that retrying cannot fix', async () => {
+        const fetch = mockFetch(errorReply(400, 'Invalid model.'));
+
+        const error = await generateReply(settings, history).catch(err => err);
+
+        expect(error).toBeInstanceOf(LLMApiError);
+        expect(error).toMatchObject({ kind: 'api', message: 'Invalid model.' });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails as cancelled when the learner stops the request', async () => {
+        mockFetch(jsonReply('Too late'));
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(generateReply(settings, history, { signal: controller.signal })).rejects.toBeInstanceOf(LLMCancelledError);
+    });
+});
@@ -0,0 +1,39 @@
+import { exampleFromSchema } from '../schema';
+
+// Build the canned reply for the latest user turn
+// (structured requests get the schema's example value back as JSON)
+const mockReply = (messages, schema) => {
+    if (schema) {
+        return JSON.stringify(exampleFromSchema(schema));
+    }
+
+    const lastUserMessage = messages
+        .slice()
+        .reverse()
+        .find(msg => msg.role === 'user');
+
+    if (!lastUserMessage) {
+        return 'Hello! I am your offline practice teacher. What would you like to say?';
+    }
+    return `Splendid. You said: "${lastUserMessage.text}". Try saying it once more, slowly and clearly.`;
+};
+
+// Deterministic offline adapter. It never touches the network and always gives the
+// same reply for the same input, which makes it suitable for tests and demos.
+const mockProvider = {
+    id: 'mock',
+    label: 'Offline mock (no network)',
+    defaultModel: 'mock-teacher',
+    requiresBaseUrl: false,
+
+    generate: async ({ messages, schema }) => mockReply(messages, schema),
+
+    // Streams the same canned reply one word at a time
+    stream: async function* ({ messages, schema }) {
+        for (const word of mockReply(messages, schema).split(/(?<=\s)/)) {
+            yield word;
+        }
+    }
+};
+
+export default mockProvider;
@@ -0,0 +1,90 @@
+import { LLMApiError } from './errors';
+import { httpError, parseEvent, postJson, readJson } from './http';
+import { readSseData } from './sse';
+
+// Convert the provider-neutral history ({ role, text }) into OpenAI chat messages, led by the
+// system instruction
+const toOpenAIMessages = (messages, system) => [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    ...messages.map(msg => ({
+        role: msg.role === 'user' ? 'user' : 'assistant',
+        content: msg.text
+    }))
+];
+
+const errorMessageOf = (body) => (typeof body.error === 'string' ? body.error : body.error && body.error.message);
+
+const toApiError = (result) =>
+    new LLMApiError(errorMessageOf(result) || 'An unknown API error occurred.', result.error);
+
+// Local servers usually don't need a key, so only send one when configured
+const buildHeaders = (apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+const completionsUrl = (baseUrl) => `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+// Build the request body; a `schema` asks the server for a JSON-only reply
+const buildPayload = ({ model, messages, system, generation, schema }, stream = false) => ({
+    model,
+    messages: toOpenAIMessages(messages, system),
+    temperature: generation.temperature,
+    max_tokens: generation.maxOutputTokens,
+    ...(schema && { response_format: { type: 'json_object' } }),
+    ...(stream && { stream: true })
+});
+
+// OpenAI-compatible adapter (/chat/completions). Works with OpenAI itself as well as
+// self-hosted servers that speak the same protocol, such as Ollama or llama.cpp.
+const openaiProvider = {
+    id: 'openai',
+    label: 'OpenAI-compatible (Ollama, llama.cpp, ...)',
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    requiresBaseUrl: true,
+
+    generate: async (request) => {
+        const response = await postJson(completionsUrl(request.baseUrl), {
+            headers: buildHeaders(request.apiKey),
+            body: buildPayload(request),
+            signal: request.signal
+        });
+        if (!response.ok) {
+            throw await httpError(response, errorMessageOf);
+        }
+
+        const result = await readJson(response);
+
+        if (result.choices && result.choices.length > 0 &&
+            result.choices[0].message && typeof result.choices[0].message.content === 'string') {
+            return result.choices[0].message.content;
+        }
+        if (result.error) {
+            throw toApiError(result);
+        }
+        return null;
+    },
+
+    // Yields the reply text piece by piece using the `stream: true` SSE protocol
+    stream: async function* (request) {
+        const response = await postJson(completionsUrl(request.baseUrl), {
+            headers: buildHeaders(request.apiKey),
+            body: buildPayload(request, true),
+            signal: request.signal
+        });
+
+        if (!response.ok) {
+            throw await httpError(response, errorMessageOf);
+        }
+
+        for await (const data of readSseData(response)) {
+            if (data === '[DONE]') break;
+            const result = parseEvent(data);
+            if (result.error) {
+                throw toApiError(result);
+            }
+            const delta = result.choices && result.choices[0] && result.choices[0].delta;
+            if (delta && delta.content) yield delta.content;
+        }
+    }
+};
+
+export default openaiProvider;
@@ -0,0 +1,52 @@
+import { LLMCancelledError, LLMError } from './errors';
+
+// Retries for transient failures (rate limits, overloaded servers, dropped connections)
+
+export const RETRY_POLICY = {
+    retries: 2, // After the first attempt
+    baseDelayMs: 1000,
+    maxDelayMs: 8000
+};
+
+// Wait `ms`, rejecting with LLMCancelledError as soon as `signal` aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        reject(new LLMCancelledError());
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new LLMCancelledError());
+    };
+    const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Exponential backoff with jitter, or the server's own Retry-After when it gave one
+export const backoffDelay = (attemptNumber, policy, retryAfterMs) => {
+    if (retryAfterMs !== undefined) return retryAfterMs;
+    const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attemptNumber);
+    return Math.round(ceiling * (0.5 + Math.random() / 2));
+};
+
+// Run `attempt()`, retrying retryable LLMErrors after a backoff. `canRetry(err)` can veto a
+// retry, and `onRetry({ attempt, retries, delayMs, error })` is told before each one. A server
+// asking us to wait longer than the policy allows is not retried automatically.
+export const withRetries = async (attempt, { policy = RETRY_POLICY, signal, onRetry, canRetry = () => true } = {}) => {
+    for (let attemptNumber = 0; ; attemptNumber++) {
+        try {
+            return await attempt();
+        } catch (err) {
+            const delayMs = err instanceof LLMError && backoffDelay(attemptNumber, policy, err.retryAfterMs);
+            if (!(err instanceof LLMError) || !err.retryable || attemptNumber >= policy.retries ||
+                delayMs > policy.maxDelayMs || !canRetry(err)) {
+                throw err;
+            }
+            if (onRetry) onRetry({ attempt: attemptNumber + 1, retries: policy.retries, delayMs, error: err });
+            await sleep(delayMs, signal);
+        }
+    }
+};
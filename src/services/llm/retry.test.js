@@ -0,0 +1,75 @@
+import { LLMApiError, LLMCancelledError, LLMNetworkError, LLMTimeoutError } from './errors';
+import { RETRY_POLICY, backoffDelay, withRetries } from './retry';
+
+// Retry straight away, so tests don't wait
+const policy = { retries: 2, baseDelayMs: 0, maxDelayMs: 0 };
+
+describe('withRetries', () => {
+    it('retries a dropped connection and says so first', async () => {
+        const error = new LLMNetworkError();
+        const attempt = jest.fn().mockRejectedValueOnce(error).mockResolvedValueOnce('Hello!');
+        const onRetry = jest.fn();
+
+        await expect(withRetries(attempt, { policy, onRetry })).resolves.toBe('Hello!');
+        expect(onRetry).toHaveBeenCalledWith({ attempt: 1, retries: 2, delayMs: 0, error });
+    });
+
+    it('gives up after the retries the policy allows', async () => {
+        const attempt = jest.fn().mockRejectedValue(new LLMTimeoutError());
+
+        await expect(withRetries(attempt, { policy })).rejects.toThrow(LLMTimeoutError);
+        expect(attempt).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not retry errors that retrying cannot fix', async () => {
+        const attempt = jest.fn().mockRejectedValue(new LLMApiError('Invalid model.', null, { status: 400 }));
+        await expect(withRetries(attempt, { policy })).rejects.toThrow('Invalid model.');
+        expect(attempt).toHaveBeenCalledTimes(1);
+
+        const bug = jest.fn().mockRejectedValue(new TypeError('oops'));
+        await expect(withRetries(bug, { policy })).rejects.toThrow(TypeError);
+        expect(bug).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not retry when the server asks for a longer wait than the policy allows', async () => {
+        const attempt = jest.fn().mockRejectedValue(new LLMApiError('Slow down.', null, { status: 429, retryAfterMs: 60000 }));
+
+        await expect(withRetries(attempt)).rejects.toThrow('Slow down.');
+        expect(attempt).toHaveBeenCalledTimes(1);
+    });
+
+    it('lets the caller veto a retry', async () => {
+        const attempt = jest.fn().mockRejectedValue(new LLMNetworkError());
+
+        await expect(withRetries(attempt, { policy, canRetry: () => false })).rejects.toThrow(LLMNetworkError);
+        expect(attempt).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops waiting as soon as the request is cancelled', async () => {
+        const controller = new AbortController();
+        const attempt = jest.fn().mockRejectedValue(new LLMNetworkError());
+
+        await expect(withRetries(attempt, {
+            policy: { retries: 1, baseDelayMs: 60000, maxDelayMs: 60000 },
+            signal: controller.signal,
+            onRetry: () => controller.abort()
+        })).rejects.toThrow(LLMCancelledError);
+        expect(attempt).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('backoffDelay', () => {
+    it('doubles up to the longest wait, with jitter', () => {
+        const first = backoffDelay(0, RETRY_POLICY);
+        const late = backoffDelay(5, RETRY_POLICY);
+
+        expect(first).toBeGreaterThanOrEqual(500);
+        expect(first).toBeLessThanOrEqual(1000);
+        expect(late).toBeGreaterThanOrEqual(4000);
+        expect(late).toBeLessThanOrEqual(8000);
+    });
+
+    it('waits as long as the server asks', () => {
+        expect(backoffDelay(0, RETRY_POLICY, 2500)).toBe(2500);
+    });
+});
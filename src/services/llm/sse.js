@@ -0,0 +1,30 @@
+// Read a Server-Sent Events response body and yield the payload of every "data:" field.
+// Both Gemini (alt=sse) and OpenAI-compatible servers stream their replies this way.
+export async function* readSseData(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line; keep any incomplete event in the buffer
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        for (const event of events) {
+            const data = event
+                .split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+            if (data) yield data;
+        }
+    }
+
+    const rest = buffer.trim();
+    if (rest.startsWith('data:')) {
+        yield rest.slice(5).trimStart();
+    }
+}
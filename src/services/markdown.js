@@ -0,0 +1,113 @@
+// A small Markdown parser for teacher replies. It understands the subset models actually use
+// (paragraphs, headings, bullet and numbered lists, bold, italics, inline code, links) plus IPA
+// transcriptions and quoted phrases, and returns a plain tree that is rendered as React
+// elements (or escaped HTML), never as raw HTML, so replies can't inject markup.
+//
+// Blocks:  { type: 'heading', level, children } | { type: 'paragraph', lines: [children] }
+//          | { type: 'list', ordered, items: [children] }
+// Inlines: { type: 'text', text } | { type: 'strong' | 'em', children } | { type: 'code', text }
+//          | { type: 'quote', text } | { type: 'ipa', text, open, close } | { type: 'link', href, children }
+
+// Letters and marks that only appear in IPA, telling /ˈwɔːtə/ apart from "and/or"
+const IPA_CHARS = /[ɑɒæɐʌəɚɜɛɪʊɔθðʃʒŋɹɾʔɫːˑˈˌ]/;
+
+const INLINE_PATTERN = new RegExp([
+    '`(?<code>[^`]+)`',
+    '\\*\\*(?<strong>.+?)\\*\\*',
+    '__(?<strongU>.+?)__',
+    '\\*(?<em>[^*\\s](?:[^*]*[^*\\s])?)\\*',
+    '(?<![\\w])_(?<emU>[^_\\s](?:[^_]*[^_\\s])?)_(?![\\w])',
+    '\\[(?<linkText>[^\\]]+)\\]\\((?<href>[^)\\s]+)\\)',
+    '(?<ipaOpen>[/[])(?<ipa>[^/[\\]\\n*`"]{1,40}?)(?<ipaClose>[/\\]])',
+    '["“](?<quote>[^"“”\\n]{1,80})["”]'
+].join('|'), 'g');
+
+// Only web links are kept as links; anything else (javascript:, data:...) becomes plain text
+export const isSafeHref = (href) => /^https?:\/\//i.test(href);
+
+export const parseInline = (text) => {
+    const nodes = [];
+    let last = 0;
+    const pushText = (value) => {
+        if (value) nodes.push({ type: 'text', text: value });
+    };
+
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+        const groups = match.groups;
+        let node;
+        if (groups.code !== undefined) {
+            node = { type: 'code', text: groups.code };
+        } else if (groups.strong !== undefined || groups.strongU !== undefined) {
+            node = { type: 'strong', children: parseInline(groups.strong ?? groups.strongU) };
+        } else if (groups.em !== undefined || groups.emU !== undefined) {
+            node = { type: 'em', children: parseInline(groups.em ?? groups.emU) };
+        } else if (groups.linkText !== undefined) {
+            node = { type: 'link', href: groups.href, children: parseInline(groups.linkText) };
+        } else if (groups.ipa !== undefined) {
+            // Slashes and brackets are only IPA when they hold IPA, and must pair up
+            const pairs = groups.ipaOpen === '/' ? groups.ipaClose === '/' : groups.ipaClose === ']';
+            if (!pairs || !IPA_CHARS.test(groups.ipa)) continue;
+            node = { type: 'ipa', text: groups.ipa, open: groups.ipaOpen, close: groups.ipaClose };
+        } else {
+            node = { type: 'quote', text: groups.quote };
+        }
+        pushText(text.slice(last, match.index));
+        nodes.push(node);
+        last = match.index + match[0].length;
+    }
+    pushText(text.slice(last));
+    return nodes;
+};
+
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const BULLET = /^[-*•+]\s+(.*)$/;
+const NUMBERED = /^\d+[.)]\s+(.*)$/;
+
+export const parseMarkdown = (text) => {
+    const blocks = [];
+    let paragraph = null;
+    let list = null;
+
+    (text || '').split('\n').forEach(rawLine => {
+        const line = rawLine.trim();
+        const heading = line.match(HEADING);
+        const bullet = line.match(BULLET);
+        const numbered = line.match(NUMBERED);
+
+        if (!line || heading || bullet || numbered) paragraph = null;
+        if (!line || heading || !(bullet || numbered)) list = null;
+        if (!line) return;
+
+        if (heading) {
+            blocks.push({ type: 'heading', level: Math.min(heading[1].length, 3), children: parseInline(heading[2]) });
+        } else if (bullet || numbered) {
+            const ordered = Boolean(numbered);
+            if (!list || list.ordered !== ordered) {
+                list = { type: 'list', ordered, items: [] };
+                blocks.push(list);
+            }
+            list.items.push(parseInline((bullet || numbered)[1]));
+        } else {
+            if (!paragraph) {
+                paragraph = { type: 'paragraph', lines: [] };
+                blocks.push(paragraph);
+            }
+            paragraph.lines.push(parseInline(line));
+        }
+    });
+    return blocks;
+};
+
+// The text of some inline nodes without any markup
+export const inlineText = (nodes) => nodes.map(node => {
+    switch (node.type) {
+        case 'strong':
+        case 'em':
+        case 'link':
+            return inlineText(node.children);
+        case 'ipa':
+            return `${node.open}${node.text}${node.close}`;
+        default:
+            return node.text;
+    }
+}).join('');
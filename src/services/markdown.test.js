@@ -0,0 +1,53 @@
+/* eslint-disable no-script-url */
+import { inlineText, isSafeHref, parseInline, parseMarkdown } from './markdown';
+
+describe('parseMarkdown', () => {
+    it('reads headings, bullet and numbered lists, bold text and IPA', () => {
+        expect(parseMarkdown('# Tips\n- **Chuffed** means pleased\n- Say it as /ˈtʃʌft/\n\n1. First\n2) Second')).toEqual([
+            { type: 'heading', level: 1, children: [{ type: 'text', text: 'Tips' }] },
+            {
+                type: 'list',
+                ordered: false,
+                items: [
+                    [{ type: 'strong', children: [{ type: 'text', text: 'Chuffed' }] }, { type: 'text', text: ' means pleased' }],
+                    [{ type: 'text', text: 'Say it as ' }, { type: 'ipa', text: 'ˈtʃʌft', open: '/', close: '/' }]
+                ]
+            },
+            { type: 'list', ordered: true, items: [[{ type: 'text', text: 'First' }], [{ type: 'text', text: 'Second' }]] }
+        ]);
+    });
+
+    it('keeps markup in a reply as plain text', () => {
+        const reply = '<script>alert(1)</script> <img src=x onerror=alert(1)>';
+
+        expect(parseMarkdown(reply)).toEqual([{ type: 'paragraph', lines: [[{ type: 'text', text: reply }]] }]);
+    });
+
+    it('only treats slashes as IPA when they hold IPA', () => {
+        expect(parseInline('either/or and/or')).toEqual([{ type: 'text', text: 'either/or and/or' }]);
+    });
+});
+
+describe('isSafeHref', () => {
+    it('allows web links only', () => {
+        expect(isSafeHref('https://www.bbc.co.uk/learningenglish')).toBe(true);
+        expect(isSafeHref('HTTP://example.com')).toBe(true);
+        expect(isSafeHref('javascript:alert(1)')).toBe(false);
+        expect(isSafeHref('data:text/html,<script>alert(1)</script>')).toBe(false);
+        expect(isSafeHref('//example.com')).toBe(false);
+    });
+
+    it('leaves the text of an unsafe link to show on its own', () => {
+        const [link] = parseInline('[Win a prize](javascript:steal)');
+
+        expect(link).toMatchObject({ type: 'link', href: 'javascript:steal' });
+        expect(isSafeHref(link.href)).toBe(false);
+        expect(inlineText(link.children)).toBe('Win a prize');
+    });
+});
+
+describe('inlineText', () => {
+    it('drops the markup but keeps IPA with its slashes', () => {
+        expect(inlineText(parseInline('**Bath** is /bɑːθ/ in [RP](https://example.com)'))).toBe('Bath is /bɑːθ/ in RP');
+    });
+});
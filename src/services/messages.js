@@ -0,0 +1,82 @@
+// Conversation messages are { id, role: 'user' | 'model', text, kind?, failed?, ... }. `kind` marks
+// anything that isn't a plain learner or teacher turn, so code never has to recognise messages by
+// text. `failed` marks a learner turn that got no reply (and any reply cut short), which stays on
+// screen but out of the model's history. `queued` marks a learner turn written while offline,
+// which is also left out of the history until it is sent once the connection returns.
+export const MESSAGE_KINDS = {
+    // Temporary "Listening..." bubble shown while speech recognition runs
+    LISTENING: 'listening',
+    // UI notices such as "✨ Starting a new role-play scenario..." or "Please wait a moment"
+    SYSTEM_NOTICE: 'system-notice',
+    // Structured pronunciation feedback ({ data })
+    PRONUNCIATION_FEEDBACK: 'pronunciation-feedback',
+    // Summary posted at the end of a drill ({ data } with each attempted item, when it was recorded)
+    DRILL_SUMMARY: 'drill-summary',
+    // Scored debrief posted at the end of a role-play scenario ({ data })
+    SCENARIO_DEBRIEF: 'scenario-debrief'
+};
+
+// Unique id for a message. Every message has one: the chat keys its bubbles by it, and other
+// state points at messages with it (streaming, failed turns), as replies can be inserted and
+// removed mid-conversation.
+export const createMessageId = () => `msg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// There is only ever one "Listening..." bubble, so it has a fixed id
+export const LISTENING_MESSAGE = { id: 'listening', role: 'user', kind: MESSAGE_KINDS.LISTENING, text: 'Listening...' };
+
+export const isListeningPlaceholder = (msg) => msg.kind === MESSAGE_KINDS.LISTENING;
+
+export const withoutListeningPlaceholder = (conversation) => conversation.filter(msg => !isListeningPlaceholder(msg));
+
+// Show what has been heard so far in the "Listening..." bubble (if it is still there)
+export const withListeningText = (text) => (conversation) => conversation.map(msg =>
+    isListeningPlaceholder(msg) ? { ...msg, text: text || LISTENING_MESSAGE.text } : msg
+);
+
+// Ids of the recordings a message points to: a learner turn's clip, or a drill summary's attempts
+export const messageRecordingIds = (msg) => [
+    ...(msg.recordingId ? [msg.recordingId] : []),
+    ...(msg.kind === MESSAGE_KINDS.DRILL_SUMMARY && msg.data
+        ? msg.data.items.filter(item => item.recordingId).map(item => item.recordingId)
+        : [])
+];
+
+// Something the learner actually said or typed (as opposed to a notice or placeholder)
+export const isLearnerTurn = (msg) => msg.role === 'user' && !msg.kind;
+
+// Whether a message belongs in the history sent to the model
+export const isModelContext = (msg) =>
+    msg.kind !== MESSAGE_KINDS.LISTENING && msg.kind !== MESSAGE_KINDS.SYSTEM_NOTICE && !msg.failed && !msg.queued;
+
+// A learner turn waiting for the connection to come back
+export const isQueuedTurn = (msg) => isLearnerTurn(msg) && Boolean(msg.queued);
+
+// Add a teacher reply straight after the learner turn it answers (`turnId`), so replies to turns
+// sent late, after the connection came back, still sit next to their question. Without a turn it
+// goes at the end.
+export const withReplyAfter = (turnId, reply) => (conversation) => {
+    const index = turnId ? conversation.findIndex(msg => msg.id === turnId) : -1;
+    if (index === -1) return [...conversation, reply];
+    return [...conversation.slice(0, index + 1), reply, ...conversation.slice(index + 1)];
+};
+
+// Texts that marked notices before messages carried a `kind`
+const LEGACY_NOTICE_TEXTS = [
+    'Thank you. Please wait a moment while I compile some suggestions for you.',
+    'Understood. Let me consider how to best rephrase that for a British context.'
+];
+
+// Give messages from sessions saved before `kind` and ids existed the kind they would have
+// today, and an id
+export const upgradeLegacyMessage = (message) => {
+    const msg = message.id ? message : { ...message, id: createMessageId() };
+    if (msg.kind === MESSAGE_KINDS.PRONUNCIATION_FEEDBACK && msg.feedback && !msg.data) {
+        const { feedback, ...rest } = msg;
+        return { ...rest, data: feedback };
+    }
+    if (msg.kind) return msg;
+    if (msg.text.startsWith('✨') || LEGACY_NOTICE_TEXTS.includes(msg.text)) {
+        return { ...msg, kind: MESSAGE_KINDS.SYSTEM_NOTICE };
+    }
+    return msg;
+};
@@ -0,0 +1,30 @@
+import { PRACTICE_LOG_STORE, withStores } from './db';
+
+// Local log of practice turns, used by the progress dashboard. Each entry looks like
+// { timestamp, sessionId, mode, type, text, spokenMs?, score?, flagged? } where `type` is
+// 'utterance' (a chat turn), 'pronunciation-feedback', 'drill-attempt' or 'scenario-debrief',
+// and `flagged` lists the { word, sound } pairs the feedback or drill marked as wrong.
+
+export const logPractice = (entry) =>
+    withStores(PRACTICE_LOG_STORE, 'readwrite', store => store.add({ timestamp: Date.now(), ...entry }));
+
+// All entries, oldest first
+export const listPractice = () =>
+    withStores(PRACTICE_LOG_STORE, 'readonly', store => store.index('timestamp').getAll());
+
+const entryKey = (entry) => `${entry.timestamp}|${entry.type}|${entry.text}`;
+
+// Add entries from an export, skipping ones already logged here. Ids are assigned afresh since
+// they only mean something in the database that made them. Resolves with the number added.
+export const importPractice = async (imported) => {
+    const seen = new Set((await listPractice()).map(entryKey));
+    const toAdd = imported.filter(entry => !seen.has(entryKey(entry)));
+    if (toAdd.length > 0) {
+        await withStores(PRACTICE_LOG_STORE, 'readwrite', store => {
+            let request;
+            toAdd.forEach(({ id, ...entry }) => { request = store.add(entry); });
+            return request;
+        });
+    }
+    return toAdd.length;
+};
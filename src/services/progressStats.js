@@ -0,0 +1,71 @@
+// Summary statistics for the progress dashboard, computed from the practice log
+
+// Local calendar day of a timestamp as YYYY-MM-DD, so streaks follow the learner's own days
+export const dayKey = (timestamp) => {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const previousDay = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return dayKey(new Date(year, month - 1, day - 1).getTime());
+};
+
+// Number of consecutive days with practice, ending today (or yesterday, if today has none yet)
+export const currentStreak = (days, now = Date.now()) => {
+    let key = dayKey(now);
+    if (!days.has(key)) {
+        key = previousDay(key);
+    }
+    let streak = 0;
+    while (days.has(key)) {
+        streak++;
+        key = previousDay(key);
+    }
+    return streak;
+};
+
+// Count occurrences and return the `limit` most frequent as [{ label, count }]
+const topCounts = (values, limit) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([label, count]) => ({ label, count }));
+};
+
+export const computeProgressStats = (entries, now = Date.now()) => {
+    const days = new Set(entries.map(entry => dayKey(entry.timestamp)));
+    const flagged = entries.flatMap(entry => entry.flagged || []);
+    const spokenMs = entries.reduce((sum, entry) => sum + (entry.spokenMs || 0), 0);
+
+    // Average score per day, separately for pronunciation feedback and drills
+    const scoresByDay = new Map();
+    entries
+        .filter(entry => typeof entry.score === 'number')
+        .forEach(entry => {
+            const key = `${dayKey(entry.timestamp)}|${entry.type}`;
+            const bucket = scoresByDay.get(key) || [];
+            bucket.push(entry.score);
+            scoresByDay.set(key, bucket);
+        });
+    const scoreTrend = [...scoresByDay.entries()]
+        .map(([key, scores]) => {
+            const [day, type] = key.split('|');
+            return { day, type, average: Math.round(scores.reduce((a, b) => a + b, 0) / scores.length), count: scores.length };
+        })
+        .sort((a, b) => a.day.localeCompare(b.day));
+
+    return {
+        turns: entries.filter(entry => entry.type === 'utterance').length,
+        practiceDays: days.size,
+        streak: currentStreak(days, now),
+        minutesSpoken: Math.round(spokenMs / 60000),
+        topSounds: topCounts(flagged.map(f => f.sound).filter(Boolean), 5),
+        topWords: topCounts(flagged.map(f => f.word.toLowerCase()), 8),
+        scoreTrend
+    };
+};
@@ -0,0 +1,48 @@
+import { parseStructuredReply } from './schema';
+
+// Schema for structured pronunciation feedback on one learner sentence
+export const PRONUNCIATION_FEEDBACK_SCHEMA = {
+    type: 'object',
+    required: ['sentence', 'score', 'words', 'summary'],
+    properties: {
+        sentence: { type: 'string', example: 'I would like a glass of water.' },
+        score: { type: 'integer', minimum: 0, maximum: 100, example: 72 },
+        summary: { type: 'string', example: 'Good rhythm overall; work on the long BATH vowel and the non-rhotic R.' },
+        words: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['word', 'ipa', 'sound', 'commonMispronunciations', 'score'],
+                properties: {
+                    word: { type: 'string', example: 'glass' },
+                    ipa: { type: 'string', example: '/ɡlɑːs/' },
+                    sound: { type: 'string', example: '/ɑː/ (BATH)' },
+                    commonMispronunciations: { type: 'array', items: { type: 'string' }, example: ['/ɡlæs/'] },
+                    score: { type: 'integer', minimum: 0, maximum: 100, example: 60 },
+                    tip: { type: 'string', example: 'Open the jaw and lengthen the vowel, as in "father".' }
+                }
+            }
+        }
+    }
+};
+
+export const buildPronunciationPrompt = (sentence) => `You are a British BBC (Received Pronunciation) accent coach. The learner just said: "${sentence}".
+Identify the words in this sentence a learner is most likely to mispronounce compared with RP. For each word give the target RP IPA, the sound or feature at risk (e.g. "/ɑː/ (BATH)", "non-rhotic R", "/ɒ/ (LOT)"), common mispronunciations in IPA, a 0-100 score for how hard it is to get right and a short tip. Then give the whole sentence an overall 0-100 score and a one-sentence summary.
+Reply with JSON only, no other text, matching this JSON schema:
+${JSON.stringify(PRONUNCIATION_FEEDBACK_SCHEMA)}`;
+
+// Parse and validate the model's reply, throwing StructuredReplyError if it isn't usable
+export const parsePronunciationFeedback = (text) =>
+    parseStructuredReply(text, PRONUNCIATION_FEEDBACK_SCHEMA, 'feedback');
+
+// Plain-text version of the feedback, used in the model history and for speech
+export const summariseFeedback = (feedback) => {
+    const words = feedback.words.map(w => `${w.word} ${w.ipa}`).join(', ');
+    return `Pronunciation score: ${feedback.score} out of 100. ${feedback.summary}${words ? ` Words to watch: ${words}.` : ''}`;
+};
+
+// Version of the feedback that reads well aloud (IPA and symbols left out)
+export const speakableFeedback = (feedback) => {
+    const words = feedback.words.map(w => w.word).join(', ');
+    return `Your score is ${feedback.score} out of 100. ${feedback.summary}${words ? ` Listen out for: ${words}.` : ''}`;
+};
@@ -0,0 +1,15 @@
+import { RECORDINGS_STORE, withStores } from './db';
+
+// Learner audio clips, stored as Blobs and referenced from user messages by `recordingId`
+
+export const createRecordingId = () =>
+    `rec-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const saveRecording = (id, blob) =>
+    withStores(RECORDINGS_STORE, 'readwrite', store => store.put({ id, blob, createdAt: Date.now() }));
+
+// Resolve with the clip's Blob, or null when it no longer exists
+export const getRecording = async (id) => {
+    const record = await withStores(RECORDINGS_STORE, 'readonly', store => store.get(id));
+    return record ? record.blob : null;
+};
@@ -0,0 +1,166 @@
+import { validateSchema } from './schema';
+import { DUE_DATE } from './assignments';
+import { ImportError, RECORDINGS_SCHEMA, collectRecordings, exportFilename, hasUsableData, isAudioDataUrl } from './dataTransfer';
+import { MESSAGE_KINDS } from './messages';
+
+// Learner reports: a session done for an assignment, with its transcript, scores and recordings,
+// handed in to the tutor as a file. The tutor comments on individual turns and sends the same
+// file back with their review.
+
+export const REPORT_FORMAT = 'ai-accent-coach-report';
+export const REPORT_VERSION = 1;
+
+const REPORT_SCHEMA = {
+    type: 'object',
+    required: ['format', 'version', 'submittedAt', 'learner', 'assignment', 'session', 'comments'],
+    properties: {
+        format: { type: 'string', enum: [REPORT_FORMAT] },
+        version: { type: 'integer', minimum: 1, maximum: REPORT_VERSION },
+        submittedAt: { type: 'number' },
+        learner: { type: 'string' },
+        assignment: {
+            type: 'object',
+            required: ['id', 'title', 'kind', 'due'],
+            properties: { id: { type: 'string' }, title: { type: 'string' }, kind: { type: 'string' }, due: { type: 'string', pattern: DUE_DATE.source } }
+        },
+        session: {
+            type: 'object',
+            required: ['id', 'title', 'conversation'],
+            properties: {
+                id: { type: 'string' },
+                title: { type: 'string' },
+                conversation: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['role', 'text'],
+                        properties: { role: { type: 'string', enum: ['user', 'model'] }, text: { type: 'string' } }
+                    }
+                }
+            }
+        },
+        scores: {
+            type: 'object',
+            properties: {
+                pronunciation: { type: 'number', nullable: true },
+                drills: { type: 'number', nullable: true },
+                scenario: { type: 'number', nullable: true }
+            }
+        },
+        recordings: RECORDINGS_SCHEMA,
+        comments: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['turn', 'text'],
+                properties: { turn: { type: 'integer', minimum: 0 }, text: { type: 'string' } }
+            }
+        },
+        feedback: { type: 'string' },
+        reviewer: { type: 'string' },
+        reviewedAt: { type: 'number' }
+    }
+};
+
+const average = (scores) =>
+    scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null;
+
+// Headline scores of a conversation: the average pronunciation feedback and drill item scores,
+// and the last scenario debrief. Each is null when the session had none.
+export const summariseScores = (conversation) => {
+    const debriefs = conversation.filter(msg => msg.kind === MESSAGE_KINDS.SCENARIO_DEBRIEF && msg.data);
+    return {
+        pronunciation: average(conversation
+            .filter(msg => msg.kind === MESSAGE_KINDS.PRONUNCIATION_FEEDBACK && msg.data)
+            .map(msg => msg.data.score)),
+        drills: average(conversation
+            .filter(msg => msg.kind === MESSAGE_KINDS.DRILL_SUMMARY && msg.data)
+            .flatMap(msg => msg.data.items)
+            .filter(item => item.score !== null)
+            .map(item => item.score)),
+        scenario: debriefs.length > 0 ? debriefs[debriefs.length - 1].data.score : null
+    };
+};
+
+// Build the report for a session done for `assignment`. Only what the tutor needs is sent: the
+// teacher's private memory of the learner and this device's bookkeeping stay behind.
+export const buildReport = async ({ assignment, session, learner }) => {
+    const { id, title, mode, createdAt, updatedAt, scenarioId, conversation } = session;
+    const recordingUrls = await collectRecordings([session]);
+    return {
+        format: REPORT_FORMAT,
+        version: REPORT_VERSION,
+        submittedAt: Date.now(),
+        learner: learner.trim(),
+        assignment: {
+            id: assignment.id,
+            title: assignment.title,
+            kind: assignment.kind,
+            due: assignment.due,
+            ...(assignment.tutor && { tutor: assignment.tutor })
+        },
+        session: { id, title, mode, createdAt, updatedAt, ...(scenarioId && { scenarioId }), conversation },
+        scores: summariseScores(conversation),
+        recordings: Object.entries(recordingUrls).map(([recordingId, dataUrl]) => ({ id: recordingId, dataUrl })),
+        comments: []
+    };
+};
+
+// Parse and check the text of a report file, throwing ImportError if it can't be used. The file
+// may have been edited: structured messages whose data is damaged are dropped like on import,
+// and the comments move with the turns they were made on.
+export const parseReport = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new ImportError('notJson', 'That file is not valid JSON.');
+    }
+    if (!data || data.format !== REPORT_FORMAT) {
+        throw new ImportError('notReport', 'That file is not a learner report from this app.');
+    }
+    if (data.version > REPORT_VERSION) {
+        throw new ImportError('reportNewer', 'That report was made by a newer version of the app. Please update and try again.');
+    }
+    const problems = validateSchema(data, REPORT_SCHEMA);
+    if (problems.length > 0) {
+        throw new ImportError('reportDamaged', 'That report is damaged or incomplete.', problems);
+    }
+    const kept = data.session.conversation
+        .map((msg, turn) => ({ msg, turn }))
+        .filter(({ msg }) => hasUsableData(msg));
+    const turns = new Map(kept.map(({ turn }, index) => [turn, index]));
+    return {
+        ...data,
+        session: { ...data.session, conversation: kept.map(({ msg }) => msg) },
+        comments: data.comments
+            .filter(comment => turns.has(comment.turn))
+            .map(comment => ({ ...comment, turn: turns.get(comment.turn) }))
+    };
+};
+
+// Set (or, with empty text, remove) the comment on one turn; comments stay in transcript order
+export const withTurnComment = (report, turn, text) => ({
+    ...report,
+    comments: [
+        ...report.comments.filter(c => c.turn !== turn),
+        ...(text.trim() ? [{ turn, text: text.trim() }] : [])
+    ].sort((a, b) => a.turn - b.turn)
+});
+
+// Stamp the review so the learner can tell a reviewed report from the one they handed in
+export const markReviewed = (report, reviewer) => ({
+    ...report,
+    reviewer: reviewer.trim(),
+    reviewedAt: Date.now()
+});
+
+// Recording data URLs keyed by recording id, for playing clips straight from the report. Only
+// audio data URLs are kept: the report came from someone else's file.
+export const reportRecordingUrls = (report) => Object.fromEntries((report.recordings || [])
+    .filter(({ dataUrl }) => isAudioDataUrl(dataUrl))
+    .map(({ id, dataUrl }) => [id, dataUrl]));
+
+// File name for a report, e.g. "sam-trap-bath-homework-report.json" or "…-reviewed.json"
+export const reportFilename = (report) =>
+    exportFilename(`${report.learner || 'learner'} ${report.assignment.title} ${report.reviewedAt ? 'reviewed' : 'report'}`, 'json');
@@ -0,0 +1,135 @@
+import { buildReport, markReviewed, parseReport, reportFilename, reportRecordingUrls, summariseScores, withTurnComment } from './reports';
+import { MESSAGE_KINDS } from './messages';
+
+// Recordings live in IndexedDB, which jsdom lacks: every clip is a short text blob
+jest.mock('./recordingStore', () => ({
+    getRecording: async (id) => new Blob([`audio for ${id}`], { type: 'audio/webm' })
+}));
+
+const assignment = { id: 'asg-1', title: 'Week 3', kind: 'drill', setId: 'trap-bath', due: '2026-03-06', tutor: 'Ms Hughes', isOwn: false, receivedAt: 1 };
+
+const session = {
+    id: 'session-1',
+    title: 'Assignment: Week 3',
+    mode: 'drill',
+    createdAt: 10,
+    updatedAt: 20,
+    assignmentId: 'asg-1',
+    memory: { summary: 'Private notes', coveredCount: 2 },
+    conversation: [
+        { role: 'model', kind: MESSAGE_KINDS.SYSTEM_NOTICE, text: '📝 Week 3' },
+        { role: 'user', text: 'Hello', recordingId: 'rec-a' },
+        {
+            role: 'model',
+            kind: MESSAGE_KINDS.PRONUNCIATION_FEEDBACK,
+            text: 'Feedback',
+            data: { sentence: 'Hello', score: 70, summary: 'Clear vowels.', words: [] }
+        },
+        {
+            role: 'model',
+            kind: MESSAGE_KINDS.DRILL_SUMMARY,
+            text: 'Drill complete',
+            data: {
+                setId: 'trap-bath',
+                title: 'TRAP–BATH split',
+                items: [
+                    { target: 'cart, cat', transcript: 'cart cat', score: 100, recordingId: 'rec-b' },
+                    { target: 'heart, hat', transcript: 'hat hat', score: 50 },
+                    { target: 'barn, ban', transcript: '', score: null, recordingId: 'rec-c' }
+                ]
+            }
+        }
+    ]
+};
+
+describe('reports', () => {
+    it('summarises the scores of a session', () => {
+        expect(summariseScores(session.conversation)).toEqual({ pronunciation: 70, drills: 75, scenario: null });
+    });
+
+    it('carries the transcript, scores and every recording, but not private notes', async () => {
+        const report = await buildReport({ assignment, session, learner: ' Sam ' });
+
+        expect(report).toMatchObject({
+            learner: 'Sam',
+            assignment: { id: 'asg-1', title: 'Week 3', kind: 'drill', due: '2026-03-06', tutor: 'Ms Hughes' },
+            scores: { pronunciation: 70, drills: 75, scenario: null },
+            comments: []
+        });
+        expect(report.assignment).not.toHaveProperty('receivedAt');
+        expect(report.session).not.toHaveProperty('memory');
+        expect(report.session.conversation).toEqual(session.conversation);
+        expect(report.recordings.map(r => r.id).sort()).toEqual(['rec-a', 'rec-b', 'rec-c']);
+        expect(report.recordings[0].dataUrl).toMatch(/^data:audio\/webm;base64,/);
+        expect(parseReport(JSON.stringify(report))).toEqual(report);
+    });
+
+    it('keeps one comment per turn, in transcript order', async () => {
+        let report = await buildReport({ assignment, session, learner: 'Sam' });
+        report = withTurnComment(report, 3, 'Good BATH vowels.');
+        report = withTurnComment(report, 1, 'Nice and clear.');
+        report = withTurnComment(report, 3, '  Watch "heart".  ');
+
+        expect(report.comments).toEqual([
+            { turn: 1, text: 'Nice and clear.' },
+            { turn: 3, text: 'Watch "heart".' }
+        ]);
+        expect(withTurnComment(report, 1, ' ').comments).toEqual([{ turn: 3, text: 'Watch "heart".' }]);
+    });
+
+    it('names the file after the learner, the assignment and whether it was reviewed', async () => {
+        const report = await buildReport({ assignment, session, learner: 'Sam' });
+
+        expect(reportFilename(report)).toBe('sam-week-3-report.json');
+        expect(reportFilename(markReviewed(report, 'Ms Hughes'))).toBe('sam-week-3-reviewed.json');
+    });
+
+    it('rejects files that are not reports', () => {
+        expect(() => parseReport('{')).toThrow('not valid JSON');
+        expect(() => parseReport(JSON.stringify({ format: 'ai-accent-coach-export' }))).toThrow('not a learner report');
+        expect(() => parseReport(JSON.stringify({ format: 'ai-accent-coach-report', version: 1 }))).toThrow('damaged or incomplete');
+    });
+
+    it('drops structured messages whose data was damaged, keeping comments on their turns', async () => {
+        const report = await buildReport({ assignment, session, learner: 'Sam' });
+        const conversation = [...report.session.conversation];
+        conversation.splice(1, 0,
+            { role: 'model', kind: MESSAGE_KINDS.SCENARIO_DEBRIEF, text: 'Debrief', data: {} },
+            { role: 'model', kind: MESSAGE_KINDS.DRILL_SUMMARY, text: 'Drill complete', data: { setId: 'x', title: 'X', items: [{ target: 'a', transcript: 'a', score: {} }] } });
+        const edited = { ...report, session: { ...report.session, conversation }, comments: [{ turn: 1, text: 'On a damaged turn' }, { turn: 5, text: 'Good drill.' }] };
+
+        const parsed = parseReport(JSON.stringify(edited));
+
+        expect(parsed.session.conversation).toEqual(session.conversation);
+        expect(parsed.comments).toEqual([{ turn: 3, text: 'Good drill.' }]);
+    });
+
+    it('rejects scores that are not numbers', async () => {
+        const report = await buildReport({ assignment, session, learner: 'Sam' });
+        const edited = { ...report, scores: { ...report.scores, pronunciation: { value: 70 } } };
+
+        expect(() => parseReport(JSON.stringify(edited))).toThrow('damaged or incomplete');
+    });
+
+    it('rejects a due date that is not a date', async () => {
+        const report = await buildReport({ assignment, session, learner: 'Sam' });
+        const edited = { ...report, assignment: { ...report.assignment, due: 'next friday' } };
+
+        expect(() => parseReport(JSON.stringify(edited))).toThrow('damaged or incomplete');
+    });
+
+    it('plays only audio data URLs from a report', async () => {
+        const report = await buildReport({ assignment, session, learner: 'Sam' });
+        const edited = {
+            ...report,
+            recordings: [
+                { id: 'rec-a', dataUrl: 'https://example.com/track.webm' },
+                { id: 'rec-b', dataUrl: 'data:text/html;base64,PHNjcmlwdD4=' },
+                report.recordings.find(r => r.id === 'rec-c')
+            ]
+        };
+
+        expect(() => parseReport(JSON.stringify(edited))).toThrow('damaged or incomplete');
+        expect(Object.keys(reportRecordingUrls(edited))).toEqual(['rec-c']);
+    });
+});
@@ -0,0 +1,118 @@
+import { parseStructuredReply } from './schema';
+import { isLearnerTurn } from './messages';
+
+// Prompts and scoring for the authored role-play scenarios in src/data/scenarios
+
+// Lower-case, unify apostrophes and drop punctuation so "I'd be delighted to!" matches "i’d be delighted to"
+const normalisePhrase = (text) => text
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Target phrases the learner has said so far, in the order the scenario lists them
+export const findUsedPhrases = (scenario, learnerTexts) => {
+    const said = ` ${learnerTexts.map(normalisePhrase).join(' | ')} `;
+    return scenario.targetPhrases.filter(phrase => said.includes(` ${normalisePhrase(phrase)} `));
+};
+
+// Number of turns the learner has taken in a scenario conversation
+export const countLearnerTurns = (conversation) => conversation.filter(isLearnerTurn).length;
+
+// Persona instructions sent as the system instruction instead of the teacher persona.
+// `turnsTaken` includes the turn being answered, so the persona can wrap up at the limit.
+export const buildScenarioPrompt = (scenario, accent, turnsTaken) => {
+    const { persona } = scenario;
+    const closing = turnsTaken >= scenario.turnLimit
+        ? 'This is the learner\'s last turn: bring the conversation to a natural, polite close in your reply.'
+        : `The learner has taken ${turnsTaken} of ${scenario.turnLimit} turns.`;
+    return `We are doing a spoken role-play so that a learner can practise ${accent.label} English in a realistic situation.
+Setting: ${scenario.setting}
+You are ${persona.name}; to the learner you are ${persona.role}. Manner: ${persona.manner}.
+Stay in character and reply as ${persona.name} would, in one to three short spoken sentences, using natural ${accent.label} vocabulary. Do not correct the learner or give teaching advice during the scene; that comes in the debrief afterwards. Give the learner chances to achieve these goals without doing it for them: ${scenario.goals.join('; ')}.
+You have already opened the scene by saying: "${scenario.opening}"
+${closing}`;
+};
+
+// Schema for the model's judgement of a finished scenario; phrase use is checked locally
+export const SCENARIO_DEBRIEF_SCHEMA = {
+    type: 'object',
+    required: ['summary', 'goals', 'tips'],
+    properties: {
+        summary: { type: 'string', example: 'You introduced yourself confidently and asked a good question at the end.' },
+        goals: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['goal', 'achieved', 'evidence'],
+                properties: {
+                    goal: { type: 'string', example: 'Introduce yourself and your relevant experience' },
+                    achieved: { type: 'boolean', example: true },
+                    evidence: { type: 'string', example: 'You said you had two years of experience in retail marketing.' }
+                }
+            }
+        },
+        tips: { type: 'array', items: { type: 'string' }, example: ['Try "I was wondering whether..." to make requests sound more polite.'] }
+    }
+};
+
+export const buildDebriefPrompt = (scenario, conversation) => {
+    const transcript = conversation
+        .filter(msg => isLearnerTurn(msg) || (msg.role === 'model' && !msg.kind))
+        .map(msg => `${msg.role === 'user' ? 'Learner' : scenario.persona.name}: ${msg.text}`)
+        .join('\n');
+    return `You are an English speaking coach debriefing a learner after a role-play.
+Scenario: ${scenario.title}. ${scenario.setting}
+The learner's goals, in order:
+${scenario.goals.map((goal, index) => `${index + 1}. ${goal}`).join('\n')}
+Transcript:
+${transcript}
+For each goal, in the same order, say whether the learner achieved it and quote or describe the evidence from the transcript (or what was missing). Then give a two-sentence summary and two or three short, specific tips for next time.
+Reply with JSON only, no other text, matching this JSON schema:
+${JSON.stringify(SCENARIO_DEBRIEF_SCHEMA)}`;
+};
+
+// Share of goals achieved and target phrases used, as a 0-100 score
+const scoreDebrief = (goals, phrases) => {
+    const total = goals.length + phrases.length;
+    if (total === 0) return 0;
+    const met = goals.filter(g => g.achieved).length + phrases.filter(p => p.used).length;
+    return Math.round((met / total) * 100);
+};
+
+// Parse the model's judgement (throwing StructuredReplyError if it isn't usable) and combine it
+// with the phrase check into the debrief stored on the message: goals are matched by position
+// to the scenario's own list, so the model can't add or reword them.
+export const parseScenarioDebrief = (text, scenario, learnerTexts) => {
+    const judgement = parseStructuredReply(text, SCENARIO_DEBRIEF_SCHEMA, 'debrief');
+    const goals = scenario.goals.map((goal, index) => {
+        const judged = judgement.goals[index];
+        return { goal, achieved: Boolean(judged && judged.achieved), evidence: judged ? judged.evidence : '' };
+    });
+    const used = findUsedPhrases(scenario, learnerTexts);
+    const phrases = scenario.targetPhrases.map(phrase => ({ phrase, used: used.includes(phrase) }));
+    return {
+        scenarioId: scenario.id,
+        title: scenario.title,
+        score: scoreDebrief(goals, phrases),
+        summary: judgement.summary,
+        goals,
+        phrases,
+        tips: judgement.tips
+    };
+};
+
+// Plain-text version of the debrief, used in the model history and saved transcripts
+export const summariseDebrief = (debrief) => {
+    const goalsMet = debrief.goals.filter(g => g.achieved).length;
+    const phrasesUsed = debrief.phrases.filter(p => p.used).map(p => `"${p.phrase}"`);
+    return `Scenario debrief: ${debrief.title}. Score: ${debrief.score} out of 100. Goals achieved: ${goalsMet} of ${debrief.goals.length}. Target phrases used: ${phrasesUsed.length ? phrasesUsed.join(', ') : 'none'}. ${debrief.summary}`;
+};
+
+// Version of the debrief that reads well aloud
+export const speakableDebrief = (debrief) => {
+    const goalsMet = debrief.goals.filter(g => g.achieved).length;
+    const phrasesUsed = debrief.phrases.filter(p => p.used).length;
+    return `That's the end of the scene. You scored ${debrief.score} out of 100, achieving ${goalsMet} of ${debrief.goals.length} goals and using ${phrasesUsed} of ${debrief.phrases.length} target phrases. ${debrief.summary}`;
+};
@@ -0,0 +1,109 @@
+// Minimal JSON-schema checker for the structured replies we ask the model for. It supports the
+// subset our schemas use: type (object, array, string, number, integer, boolean), properties,
+// required, items, enum, minimum, maximum, pattern (for strings) and nullable (null allowed as
+// well as the type). Schemas may also carry an `example`, which is shown to the model in prompts
+// and used by the offline mock provider.
+
+const typeOf = (value) => {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+// Return a list of human-readable problems; an empty list means the value matches the schema
+export const validateSchema = (value, schema, path = '$') => {
+    const errors = [];
+    const actualType = typeOf(value);
+    if (schema.nullable && actualType === 'null') return errors;
+    const typeMatches = schema.type === 'number'
+        ? actualType === 'number' || actualType === 'integer'
+        : actualType === schema.type;
+
+    if (schema.type && !typeMatches) {
+        return [`${path} should be ${schema.type} but is ${actualType}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+        errors.push(`${path} should be at least ${schema.minimum}`);
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+        errors.push(`${path} should be at most ${schema.maximum}`);
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path} should match ${schema.pattern}`);
+    }
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+    }
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+        });
+    }
+    return errors;
+};
+
+// Build a value that satisfies the schema, preferring any `example` the schema provides
+export const exampleFromSchema = (schema) => {
+    if (schema.example !== undefined) return schema.example;
+    if (schema.enum) return schema.enum[0];
+
+    switch (schema.type) {
+        case 'object':
+            return Object.fromEntries(
+                Object.entries(schema.properties || {}).map(([key, propertySchema]) => [key, exampleFromSchema(propertySchema)])
+            );
+        case 'array':
+            return schema.items ? [exampleFromSchema(schema.items)] : [];
+        case 'number':
+        case 'integer':
+            return typeof schema.minimum === 'number' ? schema.minimum : 0;
+        case 'boolean':
+            return false;
+        default:
+            return '';
+    }
+};
+
+// Parse a model reply that should contain JSON, tolerating a surrounding ```json fence
+export const parseJsonReply = (text) => {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    return JSON.parse((fenced ? fenced[1] : text).trim());
+};
+
+// Raised when a structured reply is not valid JSON or does not match its schema
+export class StructuredReplyError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'StructuredReplyError';
+        this.problems = problems;
+    }
+}
+
+// Parse a structured model reply and check it against `schema`, throwing StructuredReplyError
+// when it can't be used. `what` names the reply in the error message (e.g. "feedback").
+export const parseStructuredReply = (text, schema, what = 'reply') => {
+    let value;
+    try {
+        value = parseJsonReply(text || '');
+    } catch (e) {
+        throw new StructuredReplyError(`The teacher's ${what} was not valid JSON.`);
+    }
+    const problems = validateSchema(value, schema);
+    if (problems.length > 0) {
+        throw new StructuredReplyError(`The teacher's ${what} did not match the expected format.`, problems);
+    }
+    return value;
+};
@@ -0,0 +1,83 @@
+import { StructuredReplyError, exampleFromSchema, parseStructuredReply, validateSchema } from './schema';
+
+const FEEDBACK_SCHEMA = {
+    type: 'object',
+    required: ['score', 'tips'],
+    properties: {
+        score: { type: 'integer', minimum: 0, maximum: 100 },
+        tips: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+describe('validateSchema', () => {
+    it('names each problem with its path', () => {
+        expect(validateSchema({ score: 120, tips: ['Relax', 3.5] }, FEEDBACK_SCHEMA)).toEqual([
+            '$.score should be at most 100',
+            '$.tips[1] should be string but is number'
+        ]);
+        expect(validateSchema({ score: 'high' }, FEEDBACK_SCHEMA)).toEqual([
+            '$.tips is required',
+            '$.score should be integer but is string'
+        ]);
+    });
+
+    it('accepts whole numbers as numbers', () => {
+        expect(validateSchema(3, { type: 'number' })).toEqual([]);
+        expect(validateSchema(3.5, { type: 'integer' })).toEqual(['$ should be integer but is number']);
+    });
+
+    it('allows null only where the schema says so', () => {
+        expect(validateSchema(null, { type: 'number', nullable: true })).toEqual([]);
+        expect(validateSchema(7, { type: 'number', nullable: true, maximum: 5 })).toEqual(['$ should be at most 5']);
+        expect(validateSchema(null, { type: 'number' })).toEqual(['$ should be number but is null']);
+    });
+
+    it('checks strings against a pattern and an enum', () => {
+        const due = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+
+        expect(validateSchema('2026-03-06', due)).toEqual([]);
+        expect(validateSchema('next Friday', due)).toEqual(['$ should match ^\\d{4}-\\d{2}-\\d{2}$']);
+        expect(validateSchema('C3', { type: 'string', enum: ['B1', 'B2'] })).toEqual(['$ should be one of B1, B2']);
+    });
+});
+
+describe('parseStructuredReply', () => {
+    it('reads JSON inside a code fence', () => {
+        expect(parseStructuredReply('```json\n{ "score": 80, "tips": [] }\n```', FEEDBACK_SCHEMA)).toEqual({ score: 80, tips: [] });
+    });
+
+    it('says when a reply is not JSON', () => {
+        expect(() => parseStructuredReply('Sure! Here you go.', FEEDBACK_SCHEMA, 'feedback'))
+            .toThrow(new StructuredReplyError("The teacher's feedback was not valid JSON."));
+    });
+
+    it('lists the problems with a reply that does not match', () => {
+        let error;
+        try {
+            parseStructuredReply('{ "score": 80 }', FEEDBACK_SCHEMA, 'feedback');
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(StructuredReplyError);
+        expect(error.message).toBe("The teacher's feedback did not match the expected format.");
+        expect(error.problems).toEqual(['$.tips is required']);
+    });
+});
+
+describe('exampleFromSchema', () => {
+    it('builds a value the schema accepts, using its examples', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                level: { type: 'string', enum: ['B1', 'B2'] },
+                score: { type: 'integer', minimum: 1 },
+                tips: { type: 'array', items: { type: 'string', example: 'Relax your jaw.' } }
+            }
+        };
+
+        const example = exampleFromSchema(schema);
+        expect(example).toEqual({ level: 'B1', score: 1, tips: ['Relax your jaw.'] });
+        expect(validateSchema(example, schema)).toEqual([]);
+    });
+});
@@ -0,0 +1,94 @@
+import { RECORDINGS_STORE, SESSIONS_STORE, withStores } from './db';
+import { isLearnerTurn, messageRecordingIds, upgradeLegacyMessage } from './messages';
+
+// Persistent practice sessions, stored in IndexedDB so they survive reloads and "Clear Chat"
+
+// Practice modes a session can be in, with the labels shown in the history sidebar
+export const SESSION_MODES = {
+    'free-chat': 'Free chat',
+    'role-play': 'Role-play',
+    'vocab': 'Vocabulary',
+    'rephrase': 'Rephrase',
+    'drill': 'Drill',
+    'formal-email': 'Formal email'
+};
+
+export const DEFAULT_SESSION_TITLE = 'New session';
+
+export const createSessionId = () =>
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Build the metadata for a new session; the conversation is attached when it is saved
+export const createSession = (mode = 'free-chat') => {
+    const now = Date.now();
+    return {
+        id: createSessionId(),
+        title: DEFAULT_SESSION_TITLE,
+        mode,
+        createdAt: now,
+        updatedAt: now
+    };
+};
+
+// Derive a title from the first thing the learner said, for sessions that haven't been renamed
+export const suggestSessionTitle = (conversation) => {
+    const firstUserMessage = conversation.find(isLearnerTurn);
+    if (!firstUserMessage) return DEFAULT_SESSION_TITLE;
+    const text = firstUserMessage.text.trim();
+    return text.length > 40 ? `${text.slice(0, 40).trim()}…` : text;
+};
+
+// All saved sessions, most recently updated first
+export const listSessions = async () => {
+    const sessions = await withStores(SESSIONS_STORE, 'readonly', store => store.getAll());
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// Load one session, upgrading messages saved by older versions of the app
+export const getSession = async (id) => {
+    const session = await withStores(SESSIONS_STORE, 'readonly', store => store.get(id));
+    return session && { ...session, conversation: session.conversation.map(upgradeLegacyMessage) };
+};
+
+export const saveSession = (session) => withStores(SESSIONS_STORE, 'readwrite', store => store.put(session));
+
+// Save sessions from an export, keeping whichever copy of a session was updated last.
+// Resolves with the number of sessions added or replaced.
+export const importSessions = async (imported) => {
+    const existing = new Map((await listSessions()).map(session => [session.id, session]));
+    const toSave = imported.filter(session =>
+        !existing.has(session.id) || existing.get(session.id).updatedAt < session.updatedAt
+    );
+    if (toSave.length > 0) {
+        await withStores(SESSIONS_STORE, 'readwrite', store => {
+            let request;
+            toSave.forEach(session => { request = store.put(session); });
+            return request;
+        });
+    }
+    return toSave.length;
+};
+
+// Delete a session together with any recordings its messages reference
+export const deleteSession = (id) => withStores([SESSIONS_STORE, RECORDINGS_STORE], 'readwrite', (sessions, recordings) => {
+    const request = sessions.get(id);
+    request.onsuccess = () => {
+        const session = request.result;
+        if (!session) return;
+        session.conversation
+            .flatMap(messageRecordingIds)
+            .forEach(recordingId => recordings.delete(recordingId));
+        sessions.delete(id);
+    };
+    return request;
+});
+
+// Case-insensitive search over session titles and message text
+export const filterSessions = (sessions, query) => {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return sessions;
+    return sessions.filter(session =>
+        session.title.toLowerCase().includes(needle) ||
+        session.conversation.some(msg => msg.text.toLowerCase().includes(needle))
+    );
+};
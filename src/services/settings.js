@@ -0,0 +1,71 @@
+import { getDefaultLlmSettings } from './llm';
+import { EMPTY_LEARNER_PROFILE } from './learnerProfile';
+import { DEFAULT_CEFR_LEVEL } from './cefr';
+import { detectUiLanguage } from '../i18n';
+
+const LLM_SETTINGS_KEY = 'accentCoach.llmSettings';
+const SPEECH_SETTINGS_KEY = 'accentCoach.speechSettings';
+const LEARNER_PROFILE_KEY = 'accentCoach.learnerProfile';
+const TEACHER_SETTINGS_KEY = 'accentCoach.teacherSettings';
+const INTERFACE_SETTINGS_KEY = 'accentCoach.interfaceSettings';
+
+// Rate multiplier applied on top of the chosen rate when slow-down mode is on
+export const SLOW_MODE_FACTOR = 0.75;
+
+export const DEFAULT_SPEECH_SETTINGS = {
+    voiceURI: '', // Empty means "pick the best voice for the accent automatically"
+    rate: 1,
+    pitch: 1,
+    slowMode: false,
+    accent: 'rp'
+};
+
+export const DEFAULT_TEACHER_SETTINGS = {
+    level: DEFAULT_CEFR_LEVEL,
+    persona: '' // Empty means "use the target accent's own persona"
+};
+
+// Read a saved settings object, filling in any missing fields from `defaults`
+const loadSettings = (key, defaults) => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(key));
+        return saved ? { ...defaults, ...saved } : defaults;
+    } catch (e) {
+        console.error(`Could not read saved settings (${key}):`, e);
+        return defaults;
+    }
+};
+
+const saveSettings = (key, settings) => {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(settings));
+    } catch (e) {
+        console.error(`Could not save settings (${key}):`, e);
+    }
+};
+
+// Read the saved provider settings, falling back to the build-time defaults
+export const loadLlmSettings = () => loadSettings(LLM_SETTINGS_KEY, getDefaultLlmSettings());
+
+export const saveLlmSettings = (settings) => saveSettings(LLM_SETTINGS_KEY, settings);
+
+// Read the saved voice, rate, pitch and accent settings
+export const loadSpeechSettings = () => loadSettings(SPEECH_SETTINGS_KEY, DEFAULT_SPEECH_SETTINGS);
+
+export const saveSpeechSettings = (settings) => saveSettings(SPEECH_SETTINGS_KEY, settings);
+
+// Read the learner's level and the custom teacher persona
+export const loadTeacherSettings = () => loadSettings(TEACHER_SETTINGS_KEY, DEFAULT_TEACHER_SETTINGS);
+
+export const saveTeacherSettings = (settings) => saveSettings(TEACHER_SETTINGS_KEY, settings);
+
+// Read the teacher's saved memory of the learner (recurring mistakes and interests)
+export const loadLearnerProfile = () => loadSettings(LEARNER_PROFILE_KEY, EMPTY_LEARNER_PROFILE);
+
+export const saveLearnerProfile = (profile) => saveSettings(LEARNER_PROFILE_KEY, profile);
+
+// Read the interface language, defaulting to the browser's language when there is a catalogue for
+// it, and the classroom role ('learner' or 'tutor') and the name shown on assignments and reports
+export const loadInterfaceSettings = () => loadSettings(INTERFACE_SETTINGS_KEY, { language: detectUiLanguage(), role: 'learner', name: '' });
+
+export const saveInterfaceSettings = (settings) => saveSettings(INTERFACE_SETTINGS_KEY, settings);
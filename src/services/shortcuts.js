@@ -0,0 +1,22 @@
+// Keyboard shortcuts that work anywhere in the app (except inside an open dialog, which handles
+// its own keys). Alt+letter shortcuts match the physical key (`event.code`), because on macOS and
+// with non-Latin layouts such as Arabic, Alt+M doesn't type "m".
+//
+//   id     action name; its help text is the `shortcuts.<id>` string
+//   keys   how the shortcut is written in the help list
+export const SHORTCUTS = [
+    { id: 'toggleMic', keys: 'Alt+M', code: 'KeyM', alt: true },
+    { id: 'stopTeacher', keys: 'Esc', key: 'Escape' },
+    { id: 'toggleHandsFree', keys: 'Alt+H', code: 'KeyH', alt: true },
+    { id: 'retry', keys: 'Alt+R', code: 'KeyR', alt: true },
+    { id: 'focusInput', keys: 'Alt+I', code: 'KeyI', alt: true },
+    { id: 'showShortcuts', keys: 'Alt+/', code: 'Slash', alt: true }
+];
+
+const matches = (shortcut, event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey !== Boolean(shortcut.alt)) return false;
+    return shortcut.code ? event.code === shortcut.code : event.key === shortcut.key;
+};
+
+// The shortcut a keydown event triggers, or undefined
+export const findShortcut = (event) => SHORTCUTS.find(shortcut => matches(shortcut, event));
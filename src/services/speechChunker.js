@@ -0,0 +1,69 @@
+// Browsers tend to cut off or drop long utterances, so speech is queued in short chunks
+export const MAX_UTTERANCE_LENGTH = 160;
+
+// Split text by sentence punctuation or newlines and pack the pieces into chunks of at most
+// `maxLength` characters (a single sentence longer than that becomes its own chunk)
+export const chunkText = (text, maxLength = MAX_UTTERANCE_LENGTH) => {
+    const segments = text.split(/(?<=[.!?])\s+|\n+/).filter(s => s.trim().length > 0);
+    const chunks = [];
+    let currentChunk = '';
+
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i].trim();
+        if (segment.length === 0) continue;
+
+        // If adding the next segment keeps it under the limit, add it
+        if ((currentChunk + ' ' + segment).trim().length <= maxLength) {
+            currentChunk += (currentChunk ? ' ' : '') + segment;
+        } else {
+            // If currentChunk is not empty, push it
+            if (currentChunk.trim()) {
+                chunks.push(currentChunk.trim());
+            }
+            // Start a new chunk with the current segment
+            currentChunk = segment;
+        }
+    }
+    // Push the last chunk
+    if (currentChunk.trim()) {
+        chunks.push(currentChunk.trim());
+    }
+
+    return chunks;
+};
+
+// Incremental sentence splitter for streamed text. `push` takes the next piece of text and
+// returns every sentence that is now complete; `flush` returns whatever is left at the end.
+// A sentence only counts as complete once the character after its punctuation has arrived,
+// so a number like "3.5" split across two deltas is not cut early. A numbered-list marker ("1.")
+// at the start of a line stays with its item, so the item is spoken as a whole reply would be.
+export const createSentenceSplitter = () => {
+    let buffer = '';
+    let atLineStart = true; // Whether the buffer starts a line
+
+    return {
+        push: (delta) => {
+            buffer += delta;
+            const sentences = [];
+            const sentenceEnd = /[.!?](?=\s)|\n/g;
+            let start = 0;
+            let match;
+            while ((match = sentenceEnd.exec(buffer)) !== null) {
+                const end = match.index + match[0].length;
+                const sentence = buffer.slice(start, end).trim();
+                if (atLineStart && /^\d+\.$/.test(sentence)) continue;
+                if (sentence) sentences.push(sentence);
+                start = end;
+                atLineStart = match[0] === '\n';
+            }
+            buffer = buffer.slice(start);
+            return sentences;
+        },
+        flush: () => {
+            const rest = buffer.trim();
+            buffer = '';
+            atLineStart = true;
+            return rest ? [rest] : [];
+        }
+    };
+};
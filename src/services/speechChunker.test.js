@@ -0,0 +1,48 @@
+import { chunkText, createSentenceSplitter } from './speechChunker';
+import { toSpeechText } from './speechText';
+
+describe('chunkText', () => {
+    it('packs sentences into chunks under the length limit', () => {
+        expect(chunkText('One. Two! Three?', 9)).toEqual(['One. Two!', 'Three?']);
+    });
+
+    it('keeps a sentence longer than the limit whole', () => {
+        const sentence = 'This sentence is far too long for one chunk.';
+        expect(chunkText(`${sentence} Short.`, 20)).toEqual([sentence, 'Short.']);
+    });
+
+    it('splits on new lines and drops blank ones', () => {
+        expect(chunkText('First line\n\n\nSecond line', 12)).toEqual(['First line', 'Second line']);
+    });
+});
+
+describe('createSentenceSplitter', () => {
+    it('returns each sentence once the text after it arrives', () => {
+        const splitter = createSentenceSplitter();
+        expect(splitter.push('Hello there.')).toEqual([]);
+        expect(splitter.push(' How are')).toEqual(['Hello there.']);
+        expect(splitter.push(' you? Fine')).toEqual(['How are you?']);
+        expect(splitter.flush()).toEqual(['Fine']);
+        expect(splitter.flush()).toEqual([]);
+    });
+
+    it('does not cut a number split across two pieces', () => {
+        const splitter = createSentenceSplitter();
+        expect(splitter.push('It costs 3.')).toEqual([]);
+        expect(splitter.push('5 pounds. Next')).toEqual(['It costs 3.5 pounds.']);
+    });
+
+    it('keeps a numbered list item with its marker, so it is spoken as in a whole reply', () => {
+        const reply = 'Some words for today:\n1. **Chuffed** - pleased\n2. Knackered.';
+        const splitter = createSentenceSplitter();
+        const sentences = [...reply.match(/.{1,4}/gs).flatMap(piece => splitter.push(piece)), ...splitter.flush()];
+
+        expect(sentences).toEqual(['Some words for today:', '1. **Chuffed** - pleased', '2. Knackered.']);
+        expect(sentences.map(toSpeechText)).toEqual(toSpeechText(reply).split('\n'));
+    });
+
+    it('still ends a sentence at a number in the middle of a line', () => {
+        const splitter = createSentenceSplitter();
+        expect(splitter.push('Great. 3. Then')).toEqual(['Great.', '3.']);
+    });
+});
@@ -0,0 +1,69 @@
+import { parseMarkdown } from './markdown';
+
+// Turns teacher text (Markdown, IPA, abbreviations, symbols) into what speech synthesis should
+// actually say. Display keeps the original text; only speech goes through here.
+
+// Spoken names for single IPA sounds, so "the /ɑː/ in bath" is read as "the ah in bath". Whole
+// transcriptions (/ˈwɔːtə/) are dropped instead: the word itself is always written next to them.
+const IPA_SOUND_NAMES = {
+    'iː': 'ee', 'ɪ': 'short i', 'e': 'short e', 'ɛ': 'short e', 'æ': 'short a', 'ʌ': 'short u',
+    'ɑː': 'ah', 'ɒ': 'short o', 'ɔː': 'or', 'ʊ': 'short oo', 'uː': 'oo', 'ɜː': 'er', 'ə': 'schwa',
+    'eɪ': 'ay', 'aɪ': 'eye', 'ɔɪ': 'oy', 'əʊ': 'oh', 'oʊ': 'oh', 'aʊ': 'ow', 'ɪə': 'ear',
+    'eə': 'air', 'ʊə': 'oor', 'θ': 'th, as in thin', 'ð': 'th, as in this', 'ʃ': 'sh',
+    'ʒ': 'zh, as in measure', 'tʃ': 'ch', 'dʒ': 'j', 'ŋ': 'ng', 'j': 'y', 'r': 'r', 'ɹ': 'r',
+    'ʔ': 'glottal stop', 'h': 'h', 'l': 'l', 'ɫ': 'dark l', 'w': 'w'
+};
+
+const speakIpa = (text) => IPA_SOUND_NAMES[text.replace(/[ˈˌ]/g, '').trim()] || '';
+
+// Abbreviations and symbols that speech engines read badly
+const REPLACEMENTS = [
+    [/\be\.g\.,?/gi, 'for example,'],
+    [/\bi\.e\.,?/gi, 'that is,'],
+    [/\betc\./gi, 'et cetera'],
+    [/\bvs\.?(?=\s)/gi, 'versus'],
+    [/\bapprox\./gi, 'approximately'],
+    [/\bRP\b/g, 'R P'],
+    [/\bIPA\b/g, 'I P A'],
+    [/\bCEFR\b/g, 'C E F R'],
+    [/\s*(?:->|→|=>)\s*/g, ' to '],
+    [/\s*&\s*/g, ' and '],
+    [/≈/g, 'about '],
+    [/\p{Extended_Pictographic}️?/gu, ''],
+    [/<\/?[a-z][^>]*>/gi, ''],
+    // Leftover markup, e.g. a bold phrase split across two streamed sentences
+    [/[*`#]+|(?<!\w)_+|_+(?!\w)/g, ''],
+    [/\s{2,}/g, ' ']
+];
+
+const inlineSpeech = (nodes) => nodes.map(node => {
+    switch (node.type) {
+        case 'strong':
+        case 'em':
+        case 'link':
+            return inlineSpeech(node.children);
+        case 'ipa':
+            return speakIpa(node.text);
+        case 'quote':
+            return `"${node.text}"`;
+        default:
+            return node.text;
+    }
+}).join('');
+
+// End a heading or list item with a full stop so it is spoken as its own phrase
+const asSentence = (text) => (/[.!?:;,]$/.test(text) ? text : `${text}.`);
+
+const tidy = (text) => REPLACEMENTS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text).trim();
+
+// Speech-ready text, one line per heading, list item or paragraph line
+export const toSpeechText = (text) => parseMarkdown(text).flatMap(block => {
+    switch (block.type) {
+        case 'heading':
+            return [asSentence(tidy(inlineSpeech(block.children)))];
+        case 'list':
+            return block.items.map(item => asSentence(tidy(inlineSpeech(item))));
+        default:
+            return block.lines.map(line => tidy(inlineSpeech(line)));
+    }
+}).filter(line => line && line !== '.').join('\n');
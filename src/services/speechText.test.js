@@ -0,0 +1,19 @@
+import { toSpeechText } from './speechText';
+
+describe('toSpeechText', () => {
+    it('names single IPA sounds and drops whole transcriptions', () => {
+        expect(toSpeechText('## Vowels\n- The /ɑː/ in bath\n- Say /ˈwɔːtə/ water')).toBe('Vowels.\nThe ah in bath.\nSay water.');
+    });
+
+    it('spells out abbreviations and symbols', () => {
+        expect(toSpeechText('Use RP, e.g. bath → baath & grass.')).toBe('Use R P, for example, bath to baath and grass.');
+    });
+
+    it('drops emoji and markup left over from a split reply', () => {
+        expect(toSpeechText('Well done! 🎉 **Brilliant')).toBe('Well done! Brilliant');
+    });
+
+    it('keeps quoted phrases quoted', () => {
+        expect(toSpeechText('Say "cheers" like a local')).toBe('Say "cheers" like a local');
+    });
+});
@@ -0,0 +1,52 @@
+// SM-2 spaced-repetition scheduling for flashcards
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Answer grades offered on the review screen, mapped to SM-2 quality scores (0-5)
+export const REVIEW_GRADES = [
+    { label: 'Again', quality: 1 },
+    { label: 'Hard', quality: 3 },
+    { label: 'Good', quality: 4 },
+    { label: 'Easy', quality: 5 }
+];
+
+// Scheduling fields for a card that has never been reviewed; it is due straight away
+export const initialSchedule = (now = Date.now()) => ({
+    repetitions: 0,
+    interval: 0,
+    easeFactor: 2.5,
+    due: now
+});
+
+// Return the card rescheduled after a review answered with `quality` (0-5). A failed recall
+// (quality below 3) starts the card again from a one-day interval.
+export const scheduleReview = (card, quality, now = Date.now()) => {
+    let { repetitions, interval, easeFactor } = card;
+
+    if (quality >= 3) {
+        if (repetitions === 0) {
+            interval = 1;
+        } else if (repetitions === 1) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * easeFactor);
+        }
+        repetitions += 1;
+    } else {
+        repetitions = 0;
+        interval = 1;
+    }
+
+    easeFactor = Math.max(1.3, easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    return {
+        ...card,
+        repetitions,
+        interval,
+        easeFactor,
+        due: now + interval * DAY_MS,
+        lastReviewedAt: now
+    };
+};
+
+export const isDue = (card, now = Date.now()) => card.due <= now;
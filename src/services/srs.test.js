@@ -0,0 +1,41 @@
+import { initialSchedule, isDue, scheduleReview } from './srs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('scheduleReview', () => {
+    it('spaces out a card answered well: one day, six days, then by its ease', () => {
+        let card = { front: 'Chuffed', ...initialSchedule(0) };
+        const intervals = [];
+        for (let review = 0; review < 3; review++) {
+            card = scheduleReview(card, 4, 0);
+            intervals.push(card.interval);
+        }
+
+        expect(intervals).toEqual([1, 6, 15]);
+        expect(card).toMatchObject({ front: 'Chuffed', repetitions: 3, easeFactor: 2.5, due: 15 * DAY_MS, lastReviewedAt: 0 });
+    });
+
+    it('makes a card easier after an easy answer', () => {
+        expect(scheduleReview(initialSchedule(0), 5, 0).easeFactor).toBeCloseTo(2.6);
+    });
+
+    it('starts a forgotten card again from one day', () => {
+        const card = scheduleReview({ repetitions: 3, interval: 15, easeFactor: 2.5 }, 1, 0);
+
+        expect(card).toMatchObject({ repetitions: 0, interval: 1, due: DAY_MS });
+        expect(card.easeFactor).toBeCloseTo(1.96);
+    });
+
+    it('never lets the ease fall below 1.3', () => {
+        expect(scheduleReview({ repetitions: 2, interval: 6, easeFactor: 1.3 }, 3, 0).easeFactor).toBe(1.3);
+    });
+});
+
+describe('isDue', () => {
+    it('is due from its due time on', () => {
+        const card = initialSchedule(1000);
+
+        expect(isDue(card, 999)).toBe(false);
+        expect(isDue(card, 1000)).toBe(true);
+    });
+});
@@ -0,0 +1,159 @@
+import { MESSAGE_KINDS } from './messages';
+import { isSafeHref, parseMarkdown } from './markdown';
+import { SESSION_MODES } from './sessionStore';
+
+// Human-readable transcripts of a saved session, for sending to a tutor or printing
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString();
+
+const describeSession = (session) =>
+    `${SESSION_MODES[session.mode] || SESSION_MODES['free-chat']} · started ${formatDate(session.createdAt)} · last updated ${formatDate(session.updatedAt)}`;
+
+// Messages worth showing in a transcript (the "Listening..." placeholder never is)
+const transcriptMessages = (session) => session.conversation.filter(msg => msg.kind !== MESSAGE_KINDS.LISTENING);
+
+// Keep table cells on one line
+const cell = (text) => String(text || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+const pronunciationMarkdown = (feedback) => [
+    `**Teacher – pronunciation feedback (${feedback.score}/100)**`,
+    `> ${feedback.sentence}`,
+    feedback.summary,
+    ...(feedback.words.length > 0 ? [[
+        '| Word | IPA | Sound | Avoid | Score | Tip |',
+        '| --- | --- | --- | --- | --- | --- |',
+        ...feedback.words.map(w =>
+            `| ${cell(w.word)} | ${cell(w.ipa)} | ${cell(w.sound)} | ${cell(w.commonMispronunciations.join(', '))} | ${w.score} | ${cell(w.tip)} |`
+        )
+    ].join('\n')] : [])
+].join('\n\n');
+
+const debriefMarkdown = (debrief) => [
+    `**Scenario debrief: ${debrief.title} (${debrief.score}/100)**`,
+    debrief.summary,
+    debrief.goals.map(g => `- [${g.achieved ? 'x' : ' '}] ${g.goal}${g.evidence ? ` – ${g.evidence}` : ''}`).join('\n'),
+    `Target phrases: ${debrief.phrases.map(p => `${p.used ? '✓' : '✗'} "${p.phrase}"`).join(', ')}`,
+    ...(debrief.tips.length > 0 ? [debrief.tips.map(tip => `- ${tip}`).join('\n')] : [])
+].join('\n\n');
+
+const messageMarkdown = (msg) => {
+    if (msg.kind === MESSAGE_KINDS.PRONUNCIATION_FEEDBACK && msg.data) return pronunciationMarkdown(msg.data);
+    if (msg.kind === MESSAGE_KINDS.SCENARIO_DEBRIEF && msg.data) return debriefMarkdown(msg.data);
+    if (msg.kind === MESSAGE_KINDS.SYSTEM_NOTICE) return `> _${msg.text}_`;
+    if (msg.role === 'user') return `**You:** ${msg.text}${msg.recordingId ? ' 🎙' : ''}`;
+    return `**Teacher:** ${msg.text}`;
+};
+
+export const sessionToMarkdown = (session) => [
+    `# ${session.title}`,
+    `_${describeSession(session)}_`,
+    ...transcriptMessages(session).map(messageMarkdown),
+    ...(session.conversation.some(msg => msg.recordingId)
+        ? ['---\n\n🎙 marks turns with a voice recording; recordings are included in the JSON export.']
+        : [])
+].join('\n\n') + '\n';
+
+const escapeHtml = (text) => String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const inlineHtml = (nodes) => nodes.map(node => {
+    switch (node.type) {
+        case 'strong':
+            return `<strong>${inlineHtml(node.children)}</strong>`;
+        case 'em':
+            return `<em>${inlineHtml(node.children)}</em>`;
+        case 'code':
+            return `<code>${escapeHtml(node.text)}</code>`;
+        case 'quote':
+            return `“${escapeHtml(node.text)}”`;
+        case 'ipa':
+            return `<span class="ipa">${escapeHtml(`${node.open}${node.text}${node.close}`)}</span>`;
+        case 'link':
+            return isSafeHref(node.href) ? `<a href="${escapeHtml(node.href)}">${inlineHtml(node.children)}</a>` : inlineHtml(node.children);
+        default:
+            return escapeHtml(node.text);
+    }
+}).join('');
+
+// Teacher replies are Markdown; render them the way the chat does
+const markdownHtml = (text) => parseMarkdown(text).map(block => {
+    switch (block.type) {
+        case 'heading':
+            return `<h${block.level + 2}>${inlineHtml(block.children)}</h${block.level + 2}>`;
+        case 'list': {
+            const tag = block.ordered ? 'ol' : 'ul';
+            return `<${tag}>${block.items.map(item => `<li>${inlineHtml(item)}</li>`).join('')}</${tag}>`;
+        }
+        default:
+            return `<p>${block.lines.map(inlineHtml).join('<br>')}</p>`;
+    }
+}).join('');
+
+const pronunciationHtml = (feedback) => `
+    <div class="card">
+        <h3>Pronunciation feedback <span class="score">${feedback.score}/100</span></h3>
+        <blockquote>${escapeHtml(feedback.sentence)}</blockquote>
+        <p>${escapeHtml(feedback.summary)}</p>
+        ${feedback.words.length > 0 ? `<table>
+            <tr><th>Word</th><th>IPA</th><th>Sound</th><th>Avoid</th><th>Score</th><th>Tip</th></tr>
+            ${feedback.words.map(w => `<tr><td>${escapeHtml(w.word)}</td><td>${escapeHtml(w.ipa)}</td><td>${escapeHtml(w.sound)}</td><td>${escapeHtml(w.commonMispronunciations.join(', '))}</td><td>${w.score}</td><td>${escapeHtml(w.tip)}</td></tr>`).join('')}
+        </table>` : ''}
+    </div>`;
+
+const debriefHtml = (debrief) => `
+    <div class="card">
+        <h3>Scenario debrief: ${escapeHtml(debrief.title)} <span class="score">${debrief.score}/100</span></h3>
+        <p>${escapeHtml(debrief.summary)}</p>
+        <ul>${debrief.goals.map(g => `<li>${g.achieved ? '✓' : '✗'} <strong>${escapeHtml(g.goal)}</strong>${g.evidence ? ` – ${escapeHtml(g.evidence)}` : ''}</li>`).join('')}</ul>
+        <p>Target phrases: ${debrief.phrases.map(p => `${p.used ? '✓' : '✗'} “${escapeHtml(p.phrase)}”`).join(', ')}</p>
+        ${debrief.tips.length > 0 ? `<ul>${debrief.tips.map(tip => `<li>${escapeHtml(tip)}</li>`).join('')}</ul>` : ''}
+    </div>`;
+
+const messageHtml = (msg, recordingUrls) => {
+    if (msg.kind === MESSAGE_KINDS.PRONUNCIATION_FEEDBACK && msg.data) return pronunciationHtml(msg.data);
+    if (msg.kind === MESSAGE_KINDS.SCENARIO_DEBRIEF && msg.data) return debriefHtml(msg.data);
+    if (msg.kind === MESSAGE_KINDS.SYSTEM_NOTICE) return `<p class="notice">${escapeHtml(msg.text)}</p>`;
+    const audioUrl = msg.recordingId && recordingUrls[msg.recordingId];
+    return `
+    <div class="turn ${msg.role}">
+        <strong>${msg.role === 'user' ? 'You' : 'Teacher'}:</strong> ${msg.role === 'user' ? escapeHtml(msg.text) : markdownHtml(msg.text)}
+        ${audioUrl ? `<audio class="no-print" controls src="${audioUrl}"></audio>` : ''}
+    </div>`;
+};
+
+// Standalone, printable HTML page. `recordingUrls` maps recording ids to (data) URLs that are
+// embedded as audio players on screen; they are hidden when printing.
+export const sessionToHtml = (session, recordingUrls = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(session.title)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1e293b; }
+    h1 { color: #1e40af; margin-bottom: 0.25rem; }
+    .meta { color: #64748b; font-size: 0.9rem; }
+    .turn { margin: 0.75rem 0; padding: 0.75rem; border-radius: 0.5rem; break-inside: avoid; }
+    .turn.user { background: #e0e7ff; margin-left: 15%; }
+    .turn.model { background: #dbeafe; margin-right: 15%; }
+    .turn audio { display: block; margin-top: 0.5rem; width: 100%; }
+    .turn p, .turn ul, .turn ol { margin: 0.25rem 0; }
+    .ipa { font-family: monospace; color: #6b21a8; }
+    .notice { color: #64748b; font-style: italic; }
+    .card { border: 1px solid #d8b4fe; background: #faf5ff; border-radius: 0.5rem; padding: 0.75rem; margin: 0.75rem 0; break-inside: avoid; }
+    .card h3 { margin-top: 0; }
+    .score { float: right; font-weight: bold; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border: 1px solid #e2e8f0; padding: 0.25rem 0.5rem; text-align: left; }
+    @media print { .no-print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(session.title)}</h1>
+<p class="meta">${escapeHtml(describeSession(session))}</p>
+${transcriptMessages(session).map(msg => messageHtml(msg, recordingUrls)).join('\n')}
+</body>
+</html>
+`;
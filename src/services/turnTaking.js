@@ -0,0 +1,41 @@
+// Helpers for hands-free conversation: reading continuous recognition results, deciding when
+// the learner has finished a turn, and telling the learner's voice from the teacher's echo
+import { tokenize } from './drillScoring';
+
+// How long the learner must stay silent before their turn is sent
+export const SILENCE_TIMEOUT_MS = 1500;
+
+// Share of heard words that must also be in the teacher's reply for speech to count as echo
+const ECHO_OVERLAP = 0.6;
+
+// Join recognition results from `fromIndex` on. Final results always precede interim ones, so
+// `settledIndex` is where the interim (still changing) results begin.
+export const readTranscript = (results, fromIndex = 0) => {
+    const finalParts = [];
+    const interimParts = [];
+    let settledIndex = fromIndex;
+    for (let i = fromIndex; i < results.length; i++) {
+        const transcript = results[i][0].transcript.trim();
+        if (results[i].isFinal) {
+            finalParts.push(transcript);
+            settledIndex = i + 1;
+        } else {
+            interimParts.push(transcript);
+        }
+    }
+    return {
+        finalText: finalParts.join(' ').trim(),
+        interimText: interimParts.join(' ').trim(),
+        settledIndex
+    };
+};
+
+// Whether what the microphone heard is most likely the teacher's own voice from the speakers,
+// so that it doesn't cut the teacher off or end up in the learner's turn
+export const isLikelyEcho = (heard, teacherText) => {
+    const heardWords = tokenize(heard);
+    if (heardWords.length === 0) return true;
+    const teacherWords = new Set(tokenize(teacherText));
+    const overlap = heardWords.filter(word => teacherWords.has(word)).length;
+    return overlap / heardWords.length >= ECHO_OVERLAP;
+};
@@ -0,0 +1,36 @@
+import { isLikelyEcho, readTranscript } from './turnTaking';
+
+// Recognition results as the browser reports them
+const result = (transcript, isFinal) => Object.assign([{ transcript }], { isFinal });
+
+describe('readTranscript', () => {
+    it('separates settled text from text still being recognised', () => {
+        const results = [result('I would like', true), result(' a cup', true), result('of tea', false)];
+        expect(readTranscript(results)).toEqual({
+            finalText: 'I would like a cup',
+            interimText: 'of tea',
+            settledIndex: 2
+        });
+    });
+
+    it('only reads results from the start of the turn', () => {
+        const results = [result('teacher echo', true), result('my answer', false)];
+        expect(readTranscript(results, 1)).toEqual({ finalText: '', interimText: 'my answer', settledIndex: 1 });
+    });
+});
+
+describe('isLikelyEcho', () => {
+    const teacherText = 'Lovely to meet you. Shall we talk about the weather today?';
+
+    it('recognises the teacher heard back through the speakers', () => {
+        expect(isLikelyEcho('shall we talk about the weather', teacherText)).toBe(true);
+    });
+
+    it('lets the learner interrupt with their own words', () => {
+        expect(isLikelyEcho('sorry can I ask something else', teacherText)).toBe(false);
+    });
+
+    it('treats silence as echo', () => {
+        expect(isLikelyEcho('', teacherText)).toBe(true);
+    });
+});
@@ -0,0 +1,30 @@
+import { getAccent } from './accents';
+import { SLOW_MODE_FACTOR } from './settings';
+
+// Choose the synthesis voice: the one the learner picked if it is still installed, otherwise
+// the last voice for the accent's language, stopping early at the accent's preferred voice.
+// When `offline`, only voices on the device are used: network voices (such as Chrome's
+// "Google UK English") fail without a connection.
+export const pickVoice = (voices, speechSettings, { offline = false } = {}) => {
+    const usableVoices = offline ? voices.filter(voice => voice.localService) : voices;
+    if (speechSettings.voiceURI) {
+        const chosen = usableVoices.find(voice => voice.voiceURI === speechSettings.voiceURI);
+        if (chosen) return chosen;
+    }
+
+    const accent = getAccent(speechSettings.accent);
+    let accentVoice = null;
+    for (const voice of usableVoices) {
+        if (voice.lang === accent.lang) {
+            accentVoice = voice;
+            if (voice.name.includes(accent.preferredVoice)) {
+                break;
+            }
+        }
+    }
+    return accentVoice;
+};
+
+// The speaking rate with slow-down mode applied
+export const effectiveRate = (speechSettings) =>
+    speechSettings.slowMode ? speechSettings.rate * SLOW_MODE_FACTOR : speechSettings.rate;
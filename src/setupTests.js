@@ -0,0 +1,14 @@
+// Run by react-scripts before every test file
+import '@testing-library/jest-dom';
+import { TextDecoder, TextEncoder } from 'util';
+import { installBrowserFakes } from './testing/browserFakes';
+
+// jsdom has no TextEncoder/TextDecoder, which streamed replies are read with
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+// Every test starts with fresh fakes for speech, fetch and the connection, and no saved settings
+beforeEach(() => {
+    installBrowserFakes();
+    window.localStorage.clear();
+});
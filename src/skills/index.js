@@ -0,0 +1,113 @@
+import {
+    PRONUNCIATION_FEEDBACK_SCHEMA,
+    buildPronunciationPrompt,
+    parsePronunciationFeedback,
+    speakableFeedback,
+    summariseFeedback
+} from '../services/pronunciationFeedback';
+import { MESSAGE_KINDS } from '../services/messages';
+
+// Registry of teacher skills shown as buttons under the chat. Adding a skill here is all it
+// takes to offer it; the chat logic reads everything it needs from these declarations:
+//
+//   id           unique id, also stored on replies as `msg.skill`
+//   label        button text; buttonClass gives its colours
+//   mode         session mode recorded when the skill is used (see SESSION_MODES)
+//   notice(ctx)  learner-side notice posted when the skill starts
+//   input        'last-utterance' when the skill works on the learner's last turn
+//   followUp     optional question the teacher asks first: { question, placeholder, acknowledgement }
+//   buildPrompt({ input, accent })  prompt sent to the model
+//   generation   optional { temperature, maxOutputTokens } overriding the provider defaults
+//   output       how the result is shown:
+//                { type: 'chat', deckInstructions? }   streamed into a teacher bubble; with
+//                    deckInstructions the reply can be saved to the flashcard deck
+//                { type: 'structured', kind, schema, parse, summarise, speakable, what, toProgress? }
+//                    requested as JSON and rendered by the component registered for `kind`;
+//                    toProgress(data) gives the { score, flagged } logged for the progress dashboard
+export const SKILLS = [
+    {
+        id: 'pronunciation-tips',
+        label: '✨ Pronunciation Tips',
+        buttonClass: 'bg-purple-600 hover:bg-purple-700',
+        input: 'last-utterance',
+        missingInputError: 'Please speak or type a message first to get pronunciation tips.',
+        notice: ({ input }) => `✨ Requested pronunciation tips for: "${input}"`,
+        buildPrompt: ({ input }) => buildPronunciationPrompt(input),
+        generation: { temperature: 0.2, maxOutputTokens: 2048 },
+        output: {
+            type: 'structured',
+            kind: MESSAGE_KINDS.PRONUNCIATION_FEEDBACK,
+            what: 'feedback',
+            schema: PRONUNCIATION_FEEDBACK_SCHEMA,
+            parse: parsePronunciationFeedback,
+            summarise: summariseFeedback,
+            speakable: speakableFeedback,
+            toProgress: (data) => ({
+                score: data.score,
+                flagged: data.words.map(w => ({ word: w.word, sound: w.sound }))
+            })
+        }
+    },
+    {
+        id: 'vocab',
+        label: '✨ British Vocab/Idioms',
+        buttonClass: 'bg-yellow-600 hover:bg-yellow-700',
+        mode: 'vocab',
+        notice: () => '✨ I\'d like some British vocabulary/idioms.',
+        followUp: {
+            question: 'Excellent! Please tell me, what topic would you like vocabulary or idioms for? For example, you could say "food," "travel," or "everyday life."',
+            placeholder: 'Enter a topic for vocabulary...',
+            acknowledgement: 'Thank you. Please wait a moment while I compile some suggestions for you.'
+        },
+        buildPrompt: ({ input }) => `The user is asking for British English vocabulary and idioms related to the topic: "${input}". As a British BBC accent teacher, please provide a list of 5-7 relevant words or idioms with brief explanations/contexts.`,
+        generation: { temperature: 0.9, maxOutputTokens: 800 },
+        output: {
+            type: 'chat',
+            deckInstructions: 'Make one card per word or idiom: the word or idiom on the front, its meaning on the back, and an example sentence if the reply gives one.'
+        }
+    },
+    {
+        id: 'rephrase',
+        label: '✨ Rephrase Britishly',
+        buttonClass: 'bg-pink-600 hover:bg-pink-700',
+        mode: 'rephrase',
+        notice: () => '✨ I\'d like a sentence rephrased in British English.',
+        followUp: {
+            question: 'Certainly. Please provide the sentence you wish to rephrase. I will endeavour to make it sound more quintessentially British.',
+            placeholder: 'Enter sentence to rephrase...',
+            acknowledgement: 'Understood. Let me consider how to best rephrase that for a British context.'
+        },
+        buildPrompt: ({ input }) => `The user wants to rephrase the sentence: "${input}". As a British BBC accent teacher, please rephrase this sentence to sound more natural and idiomatic in British English. Offer one or two alternative phrasings.`,
+        generation: { temperature: 0.7, maxOutputTokens: 400 },
+        output: {
+            type: 'chat',
+            deckInstructions: 'Make one card per suggested British phrasing: the learner\'s original wording (or a short description of it) on the front, the improved British phrasing on the back.'
+        }
+    },
+    {
+        id: 'formal-email',
+        label: '✨ Formal Email Register',
+        buttonClass: 'bg-slate-600 hover:bg-slate-700',
+        mode: 'formal-email',
+        notice: () => '✨ I\'d like help writing in a formal British email register.',
+        followUp: {
+            question: 'Of course. Please give me the message you would like to send, and I shall show you how it would read in a formal British email.',
+            placeholder: 'Enter the message for your email...',
+            acknowledgement: 'Very good. Let me draft that in a suitably formal register.'
+        },
+        buildPrompt: ({ input }) => `The user wants to send this message by email: "${input}". As a British BBC accent teacher, rewrite it as a short formal British English email (greeting, body and sign-off), then briefly point out two or three phrases that mark the formal register.`,
+        generation: { temperature: 0.4, maxOutputTokens: 600 },
+        output: {
+            type: 'chat',
+            deckInstructions: 'Make one card per formal phrase the reply points out: an informal way of saying it on the front, the formal British phrase on the back.'
+        }
+    }
+];
+
+export const getSkill = (id) => SKILLS.find(skill => skill.id === id);
+
+// Whether replies produced by the skill can be turned into flashcards
+export const canSaveToDeck = (skillId) => {
+    const skill = getSkill(skillId);
+    return Boolean(skill && skill.output.deckInstructions);
+};
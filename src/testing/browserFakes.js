@@ -0,0 +1,208 @@
+// Stand-ins for the browser APIs the coach talks to, so every flow can be tested without speakers,
+// a microphone or a network: speech synthesis, webkitSpeechRecognition, fetch (the chat proxy)
+// and the online/offline state. setupTests.js installs a fresh set before each test.
+
+// SpeechSynthesis that "speaks" one utterance at a time until the test calls `finish()`
+export class FakeSpeechSynthesis {
+    constructor(voices = []) {
+        this.voices = voices;
+        this.spoken = []; // Every utterance handed to speak(), in order
+        this.current = null;
+        this.queue = [];
+        this.listeners = {};
+    }
+
+    get speaking() {
+        return Boolean(this.current);
+    }
+
+    get pending() {
+        return this.queue.length > 0;
+    }
+
+    getVoices() {
+        return this.voices;
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = [...(this.listeners[type] || []), listener];
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    }
+
+    speak(utterance) {
+        this.spoken.push(utterance);
+        if (this.current) {
+            this.queue.push(utterance);
+            return;
+        }
+        this.start(utterance);
+    }
+
+    start(utterance) {
+        this.current = utterance;
+        if (utterance.onstart) utterance.onstart();
+    }
+
+    // The current utterance has been said in full; the next queued one starts
+    finish() {
+        const utterance = this.current;
+        this.current = null;
+        if (utterance && utterance.onend) utterance.onend();
+        if (!this.current && this.queue.length > 0) this.start(this.queue.shift());
+    }
+
+    cancel() {
+        this.current = null;
+        this.queue = [];
+    }
+
+    // The texts spoken so far
+    texts() {
+        return this.spoken.map(utterance => utterance.text);
+    }
+}
+
+export class FakeSpeechSynthesisUtterance {
+    constructor(text) {
+        this.text = text;
+    }
+}
+
+// webkitSpeechRecognition driven by the test: `hear()` delivers what the learner said, `fail()`
+// an error. Every recogniser the app creates is kept in `FakeSpeechRecognition.instances`.
+export class FakeSpeechRecognition {
+    static instances = [];
+
+    constructor() {
+        this.continuous = false;
+        this.interimResults = false;
+        this.lang = '';
+        this.isStarted = false;
+        this.results = [];
+        FakeSpeechRecognition.instances.push(this);
+    }
+
+    // The recogniser created last
+    static latest() {
+        return FakeSpeechRecognition.instances[FakeSpeechRecognition.instances.length - 1];
+    }
+
+    start() {
+        if (this.isStarted) throw new Error('InvalidStateError: recognition has already started.');
+        this.isStarted = true;
+        this.results = [];
+    }
+
+    stop() {
+        if (!this.isStarted) return;
+        this.isStarted = false;
+        this.end();
+    }
+
+    abort() {
+        if (!this.isStarted) return;
+        this.isStarted = false;
+        if (this.onerror) this.onerror({ error: 'aborted' });
+        this.end();
+    }
+
+    // Recognition reports that it has ended a moment after stopping, as in the browser
+    end() {
+        setTimeout(() => {
+            if (this.onend) this.onend();
+        }, 0);
+    }
+
+    // Deliver a result. A final result settles it; an interim one is replaced by the next result.
+    // Push-to-talk recognition stops by itself after a final result.
+    hear(transcript, { isFinal = true } = {}) {
+        const settled = this.results.filter(result => result.isFinal);
+        const result = Object.assign([{ transcript, confidence: 0.9 }], { isFinal });
+        this.results = [...settled, result];
+        if (this.onresult) this.onresult({ results: this.results, resultIndex: settled.length });
+        if (isFinal && !this.continuous) this.stop();
+    }
+
+    speechStart() {
+        if (this.onspeechstart) this.onspeechstart();
+    }
+
+    // Report an error; recognition then ends, as in the browser
+    fail(error) {
+        if (this.onerror) this.onerror({ error });
+        this.stop();
+    }
+}
+
+// A chat proxy response streaming `pieces` of a Gemini reply as Server-Sent Events
+export const streamedReply = (...pieces) => {
+    const encoder = new TextEncoder();
+    const chunks = pieces.map(text => encoder.encode(`data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\n\n`));
+    return {
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        body: {
+            getReader: () => ({
+                read: async () => chunks.length > 0 ? { value: chunks.shift(), done: false } : { value: undefined, done: true }
+            })
+        }
+    };
+};
+
+// A whole (non-streamed) Gemini reply, e.g. JSON for a skill
+export const jsonReply = (text) => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    json: async () => ({ candidates: [{ content: { parts: [{ text }] } }] })
+});
+
+// An HTTP error from the proxy, with Gemini's error body
+export const errorReply = (status, message, headers = {}) => ({
+    ok: false,
+    status,
+    headers: { get: (name) => headers[name.toLowerCase()] || null },
+    json: async () => ({ error: { code: status, message } })
+});
+
+// Make fetch answer with `replies` in order: a response built above, or an Error for a request
+// that never gets an answer. A request already cancelled fails like an aborted fetch. Returns
+// the mock, whose calls hold the request bodies.
+export const mockFetch = (...replies) => {
+    const queue = [...replies];
+    window.fetch.mockImplementation(async (url, { signal } = {}) => {
+        if (signal && signal.aborted) throw new DOMException('The user aborted a request.', 'AbortError');
+        const reply = queue.shift();
+        if (!reply) throw new Error('No more fake replies.');
+        if (reply instanceof Error) throw reply;
+        return reply;
+    });
+    return window.fetch;
+};
+
+// The JSON body of the `index`th request sent to fetch
+export const requestBody = (index = 0) => JSON.parse(window.fetch.mock.calls[index][1].body);
+
+// Switch the connection off or on, telling the app as the browser would
+export const setOnline = (isOnline) => {
+    Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => isOnline });
+    window.dispatchEvent(new Event(isOnline ? 'online' : 'offline'));
+};
+
+// Replace the browser APIs with fresh fakes; returns the speech synthesis fake
+export const installBrowserFakes = () => {
+    const synth = new FakeSpeechSynthesis();
+    window.speechSynthesis = synth;
+    window.SpeechSynthesisUtterance = FakeSpeechSynthesisUtterance;
+    FakeSpeechRecognition.instances = [];
+    window.webkitSpeechRecognition = FakeSpeechRecognition;
+    window.fetch = jest.fn(async () => {
+        throw new Error('fetch was called without a fake reply.');
+    });
+    Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => true });
+    return synth;
+};